@@ -0,0 +1,145 @@
+/**
+ * Audit log of moderation and destructive actions
+ *
+ * The replication Durable Object keeps an append-only `audit_log` table
+ * (triggers refuse updates and deletes). It records:
+ *  - deletions of messages, pins and channels, from `handleMasterWrite`
+ *  - moderation commands and room shutdowns, sent by the ChatRoom with
+ *    POST /audit, signed with SESSION_SECRET like the moderation state
+ *
+ * Each entry has who (name), when, and from which session: the id of the
+ * WebSocket session (null for REST requests) and the hash of the client IP
+ * (see moderation.mjs).
+ *
+ * Room owners read it through `GET /api/room/<name>/audit?before=<id>`,
+ * newest entries first.
+ */
+
+import { signToken, verifyToken } from './session-token.mjs';
+
+export const AUDIT_PAGE_SIZE = 50;
+const MAX_AUDIT_PAGE_SIZE = 200;
+
+// Lifetime of a signed audit entry, it is delivered right away
+const AUDIT_TOKEN_TTL_MS = 60 * 1000;
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {string} actor - Name of the user who acted
+ * @property {string} action - e.g. 'message.delete', 'moderation.ban', 'room.shutdown'
+ * @property {string|null} [target] - What the action was applied to
+ * @property {Object|null} [details] - Anything else worth keeping
+ * @property {string|null} [sessionId] - Session the action came from
+ * @property {string|null} [ipHash] - Hash of the client IP
+ */
+
+/**
+ * Create the audit table
+ * @param {SqlStorage} sql
+ */
+export function initAuditLog(sql) {
+  sql.exec(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      at REAL NOT NULL,
+      actor TEXT NOT NULL,
+      action TEXT NOT NULL,
+      target TEXT,
+      details TEXT,
+      session_id TEXT,
+      ip_hash TEXT
+    )
+  `);
+  sql.exec(`
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_update
+    BEFORE UPDATE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+  `);
+  sql.exec(`
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_delete
+    BEFORE DELETE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+  `);
+}
+
+/**
+ * Append an entry
+ * @param {SqlStorage} sql
+ * @param {AuditEntry} entry
+ * @param {number} [at] - When it happened (ms), defaults to now
+ */
+export function appendAuditEntry(sql, entry, at = Date.now()) {
+  sql.exec(
+    `INSERT INTO audit_log
+     (at, actor, action, target, details, session_id, ip_hash)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    at,
+    entry.actor,
+    entry.action,
+    entry.target ?? null,
+    entry.details ? JSON.stringify(entry.details) : null,
+    entry.sessionId ?? null,
+    entry.ipHash ?? null,
+  );
+}
+
+/**
+ * Read a page of entries, newest first
+ * @param {SqlStorage} sql
+ * @param {{ before?: number, limit?: number }} [options] - `before` is the id
+ *   of the oldest entry of the previous page
+ * @returns {{ entries: Array<AuditEntry & { id: number, at: number }>, hasMore: boolean }}
+ */
+export function listAuditEntries(sql, { before, limit } = {}) {
+  const pageSize = Math.min(
+    Math.max(Math.floor(limit) || AUDIT_PAGE_SIZE, 1),
+    MAX_AUDIT_PAGE_SIZE,
+  );
+  const rows = sql
+    .exec(
+      `SELECT id, at, actor, action, target, details,
+              session_id AS sessionId, ip_hash AS ipHash
+       FROM audit_log
+       WHERE id < ?
+       ORDER BY id DESC
+       LIMIT ?`,
+      before > 0 ? before : Number.MAX_SAFE_INTEGER,
+      pageSize + 1,
+    )
+    .toArray();
+
+  return {
+    entries: rows.slice(0, pageSize).map((row) => ({
+      ...row,
+      details: row.details ? JSON.parse(row.details) : null,
+    })),
+    hasMore: rows.length > pageSize,
+  };
+}
+
+/**
+ * Sign an audit entry for the replication Durable Object
+ * @param {string} secret - env.SESSION_SECRET
+ * @param {string} room - Room name
+ * @param {AuditEntry} entry
+ * @returns {Promise<string>}
+ */
+export function signAuditEntry(secret, room, entry) {
+  return signToken(secret, 'audit', { room, entry }, AUDIT_TOKEN_TTL_MS);
+}
+
+/**
+ * Verify a signed audit entry
+ * @param {string} secret - env.SESSION_SECRET
+ * @param {string} token
+ * @param {string} room - Room name the request was routed through
+ * @returns {Promise<{ entry: AuditEntry, at: number }>} The entry and when it was signed
+ * @throws {Error} If the token is invalid or was signed for another room
+ */
+export async function verifyAuditEntry(secret, token, room) {
+  const claims = await verifyToken(secret, token, 'audit');
+  if (claims.room !== room) {
+    throw new Error('Audit entry was signed for another room');
+  }
+  return { entry: claims.entry, at: claims.exp - AUDIT_TOKEN_TTL_MS };
+}
@@ -4,14 +4,101 @@ import { showRoutes } from 'hono/dev';
 import {
   MAX_MESSAGE_LENGTH,
   MAX_FILE_SIZE_BYTES,
+  TYPING_TTL_MS,
+  TYPING_THROTTLE_MS,
+  PRESENCE_STATUSES,
+  MAX_STATUS_TEXT_LENGTH,
+  DEFAULT_MUTE_SECONDS,
+  MAX_MUTE_SECONDS,
+  KICKED_CLOSE_CODE,
+  BANNED_CLOSE_CODE,
+  SNIFF_BYTES,
 } from '../common/constants.mjs';
 import { getPath, splitPath } from 'hono/utils/url';
 import {
   RxDBReplicationDurableObject,
   getRxdbReplicationFetch,
 } from './rxdb-replication.mjs';
+import { signSessionToken, verifySessionToken } from './session-token.mjs';
+import { signAuditEntry } from './audit-log.mjs';
+import {
+  FILE_URL_TTL_MS,
+  MAX_SIGNED_FILES,
+  signFileUrl,
+  verifyFileUrl,
+  isFileOfRoom,
+} from './file-urls.mjs';
+import {
+  getStorageQuotas,
+  initStorageUsage,
+  getStorageUsage,
+  checkStorageQuota,
+  recordUpload,
+  recordUploadPart,
+  recordStoredPart,
+  getStoredParts,
+  getPendingUpload,
+  completeUpload,
+  releaseUploads,
+  verifyUploadRelease,
+} from './storage-quota.mjs';
+import { extractImageMetadata } from './image-metadata.mjs';
+import {
+  getContentPolicy,
+  sniffContentType,
+  resolveContentType,
+  checkContentPolicy,
+  readStreamHead,
+  digestHead,
+  getSafeExtension,
+  getContentDisposition,
+} from './content-policy.mjs';
+import {
+  canModerate,
+  generateSecret,
+  hashSecret,
+  hashIp,
+  signModerationState,
+  signOwnerClaim,
+  verifyOwnerClaim,
+} from './moderation.mjs';
+import {
+  RateLimiter,
+  RateLimiterClient,
+  chargeRateLimit,
+  rateLimitedResponse,
+} from './rate-limiter.mjs';
+import {
+  FileSweeper,
+  startFileSweep,
+  trackMultipartUpload,
+  SWEEPER_NAME,
+} from './file-sweeper.mjs';
+
+export { RxDBReplicationDurableObject, RateLimiter, FileSweeper };
+
+// Offline members listed in the roster: seen within the last week, at most 50
+const RECENTLY_SEEN_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const RECENTLY_SEEN_LIMIT = 50;
 
-export { RxDBReplicationDurableObject };
+// When a user has several tabs open, the roster shows the most present one
+const STATUS_RANK = { online: 0, idle: 1, away: 2 };
+
+/**
+ * Read a status and custom status text sent by a client
+ * Unknown statuses fall back to 'online'; the text is trimmed and truncated.
+ * @param {{status?: string, statusText?: string}} data
+ * @returns {{status: string, statusText: string}}
+ */
+function normalizePresence(data) {
+  const status = PRESENCE_STATUSES.includes(data.status)
+    ? data.status
+    : 'online';
+  const statusText = ('' + (data.statusText || ''))
+    .trim()
+    .substring(0, MAX_STATUS_TEXT_LENGTH);
+  return { status, statusText };
+}
 
 // `handleErrors()` is a little utility function that can wrap an HTTP request handler in a
 // try/catch and return errors to the client. You probably wouldn't want to use this in production
@@ -52,16 +139,47 @@ function ignite(mount) {
   return app;
 }
 
+/**
+ * Make a new owner for a private room
+ * @param {Object} env - Environment bindings
+ * @param {DurableObjectId} id - The room's ChatRoom
+ * @param {string} room - Room name (its ID)
+ * @param {string} ownerSecret - See generateSecret()
+ * @returns {Promise<Response>} The ChatRoom's answer
+ */
+async function claimRoomOwner(env, id, room, ownerSecret) {
+  const claim = new Request('https://dummy-url/owner', {
+    method: 'PUT',
+    headers: { 'X-Room-Name': room },
+    body: await signOwnerClaim(env.SESSION_SECRET, room, ownerSecret),
+  });
+  return env.rooms.get(id).fetch(claim);
+}
+
 const app = ignite((app) => {
   function apiRoutes() {
     const api = new Hono();
     api.route('/rxdb', rxdbRoutes());
-    api.post('/room', (c) => {
+
+    // Status of the garbage collection of uploaded files
+    api.get('/files/gc', (c) => {
+      const stub = c.env.sweeper.get(c.env.sweeper.idFromName(SWEEPER_NAME));
+      return stub.fetch('https://dummy-url/status');
+    });
+    api.post('/room', async (c) => {
+      const cooldown = await chargeRateLimit(
+        c.env,
+        c.req.header('CF-Connecting-IP'),
+        'room-creation',
+      );
+      if (cooldown > 0) {
+        return rateLimitedResponse(cooldown, 'Too many rooms created.');
+      }
+
       // POST to /api/room creates a private room.
       //
-      // Incidentally, this code doesn't actually store anything. It just generates a valid
-      // unique ID for this namespace. Each durable object namespace has its own ID space, but
-      // IDs from one namespace are not valid for any other.
+      // This generates a valid unique ID for this namespace. Each durable object namespace has
+      // its own ID space, but IDs from one namespace are not valid for any other.
       //
       // The IDs returned by `newUniqueId()` are unguessable, so are a valid way to implement
       // "anyone with the link can access" sharing. Additionally, IDs generated this way have
@@ -71,7 +189,45 @@ const app = ignite((app) => {
       // could coincidentally create the same ID at the same time, because unique IDs are,
       // well, unique!
       let id = c.env.rooms.newUniqueId();
-      return new Response(id.toString());
+      let room = id.toString();
+
+      // The creator becomes the room's owner, with a claim only the Worker can sign (see
+      // moderation.mjs).
+      let ownerSecret = generateSecret();
+      let response = await claimRoomOwner(c.env, id, room, ownerSecret);
+      if (!response.ok) {
+        throw new Error(`Failed to claim room: ${await response.text()}`);
+      }
+      return c.json({ room, ownerSecret });
+    });
+
+    // Give a private room created before rooms had owners an owner, on the operator's
+    // request. Disabled unless ADMIN_SECRET is set.
+    api.post('/admin/room/:name/owner', async (c) => {
+      const adminSecret = c.env.ADMIN_SECRET;
+      const authorization = c.req.header('Authorization') || '';
+      if (
+        !adminSecret ||
+        (await hashSecret(authorization)) !==
+          (await hashSecret(`Bearer ${adminSecret}`))
+      ) {
+        return c.json({ error: 'Forbidden' }, 403);
+      }
+      const room = c.req.param('name');
+      if (!/^[0-9a-f]{64}$/.test(room)) {
+        return c.json({ error: 'Only private rooms have owners' }, 400);
+      }
+      const ownerSecret = generateSecret();
+      const response = await claimRoomOwner(
+        c.env,
+        c.env.rooms.idFromString(room),
+        room,
+        ownerSecret,
+      );
+      if (!response.ok) {
+        return response;
+      }
+      return c.json({ room, ownerSecret });
     });
 
     api.all('/room/*', async (c, next) => {
@@ -120,10 +276,15 @@ const app = ignite((app) => {
       newUrl.pathname = '/' + path;
       console.log('Forwarding to DO with path:', newUrl.toString());
 
+      // The object only knows its ID, so tell it which room name it was reached by. Session
+      // tokens are bound to this name. Always overwrite whatever the client sent.
+      const forwarded = new Request(newUrl, request);
+      forwarded.headers.set('X-Room-Name', name);
+
       // Send the request to the object. The `fetch()` method of a Durable Object stub has the
       // same signature as the global `fetch()` function, but the request is always sent to the
       // object, regardless of the request's URL.
-      return roomObject.fetch(newUrl, request);
+      return roomObject.fetch(forwarded);
     });
 
     return api;
@@ -159,7 +320,9 @@ const app = ignite((app) => {
       const newUrl = new URL(request.url);
       newUrl.pathname = '/' + pathParts.slice(1).join('/');
 
-      return stub.fetch(new Request(newUrl.toString(), request));
+      const forwarded = new Request(newUrl.toString(), request);
+      forwarded.headers.set('X-Room-Name', roomName);
+      return stub.fetch(forwarded);
     });
 
     return rxdb;
@@ -217,6 +380,18 @@ const app = ignite((app) => {
 
     const fileKey = path;
 
+    // Only signed URLs are served, see file-urls.mjs
+    let claims;
+    try {
+      claims = await verifyFileUrl(
+        env.SESSION_SECRET,
+        url.searchParams.get('token'),
+        fileKey,
+      );
+    } catch (err) {
+      return new Response(`Forbidden: ${err.message}`, { status: 403 });
+    }
+
     // Support conditional requests (If-None-Match, Range)
     const object = await env.CHAT_FILES.get(fileKey, {
       onlyIf: req.raw.headers,
@@ -226,11 +401,26 @@ const app = ignite((app) => {
     if (object === null) {
       return new Response('File not found', { status: 404 });
     }
+    if (!isFileOfRoom(object, claims.room)) {
+      await object.body?.cancel();
+      return new Response('File not found', { status: 404 });
+    }
 
     const headers = new Headers();
     object.writeHttpMetadata(headers);
     headers.set('etag', object.httpEtag);
-    headers.set('Cache-Control', 'public, max-age=31536000, immutable');
+    // Never render risky types on the app origin, see content-policy.mjs
+    headers.set(
+      'Content-Disposition',
+      getContentDisposition(
+        object.httpMetadata?.contentType,
+        object.customMetadata?.originalName,
+      ),
+    );
+    headers.set('X-Content-Type-Options', 'nosniff');
+    // Cacheable by the browser for as long as the link is valid
+    const maxAge = Math.max(0, Math.floor((claims.exp - Date.now()) / 1000));
+    headers.set('Cache-Control', `private, max-age=${maxAge}`);
 
     // CRITICAL: Expose headers for CORS and download progress tracking
     headers.set(
@@ -299,6 +489,11 @@ export default {
       return app.fetch(request, env, ctx);
     });
   },
+
+  // Cron trigger, see wrangler.toml
+  async scheduled(controller, env, ctx) {
+    ctx.waitUntil(startFileSweep(env));
+  },
 };
 
 // =======================================================================================
@@ -316,6 +511,12 @@ export class ChatRoom {
    * @param {DurableObjectNamespace} env.rooms - ChatRoom namespace
    * @param {DurableObjectNamespace} env.limiters - RateLimiter namespace
    * @param {R2Bucket} env.CHAT_FILES - R2 bucket for file storage
+   * @param {DurableObjectNamespace} env.rxdb - RxDB replication namespace
+   * @param {DurableObjectNamespace} env.sweeper - FileSweeper namespace
+   * @param {Object} [env.RATE_LIMITS] - Rate limit overrides (see rate-limiter.mjs)
+   * @param {Object} [env.STORAGE_QUOTAS] - Storage quota overrides (see storage-quota.mjs)
+   * @param {string} [env.SINGLE_SESSION] - "true" to allow one connection per
+   *   user: a new connection closes the user's older ones
    */
   constructor(state, env) {
     /** @type {DurableObjectState} */
@@ -328,7 +529,7 @@ export class ChatRoom {
     this.env = env;
 
     // Track WebSocket sessions
-    /** @type {Map<WebSocket, {name?: string, limiterId: string, limiter: RateLimiterClient, blockedMessages: string[], quit?: boolean}>} */
+    /** @type {Map<WebSocket, {name?: string, room: string, sessionId: string, ipHash: string|null, limiterId: string, limiter: RateLimiterClient, blockedMessages: string[], quit?: boolean, lastTypingAt?: number, status?: string, statusText?: string, presenceAt?: number, role?: string|null}>} */
     this.sessions = new Map();
     this.state.getWebSockets().forEach((webSocket) => {
       // The constructor may have been called when waking up from hibernation,
@@ -351,6 +552,54 @@ export class ChatRoom {
       this.sessions.set(webSocket, { ...meta, limiter, blockedMessages });
     });
 
+    // Last time each user was connected, for "last seen" in the roster
+    this.sql.exec(`
+      CREATE TABLE IF NOT EXISTS last_seen (
+        name TEXT PRIMARY KEY,
+        last_seen REAL NOT NULL
+      )
+    `);
+
+    // Moderation (see moderation.mjs): hashed role secrets, bans by name or
+    // IP hash, and mutes. `name` of an IP ban is the user it was taken from.
+    this.sql.exec(`
+      CREATE TABLE IF NOT EXISTS room_roles (
+        secret_hash TEXT PRIMARY KEY,
+        role TEXT NOT NULL,
+        name TEXT,
+        granted_by TEXT,
+        granted_at REAL NOT NULL
+      )
+    `);
+    // Names the owner secret was used under, so that the owner is recognized
+    // as a moderation target while offline
+    this.sql.exec(`
+      CREATE TABLE IF NOT EXISTS owner_names (
+        name TEXT PRIMARY KEY,
+        last_used REAL NOT NULL
+      )
+    `);
+    this.sql.exec(`
+      CREATE TABLE IF NOT EXISTS bans (
+        kind TEXT NOT NULL,
+        value TEXT NOT NULL,
+        name TEXT NOT NULL,
+        banned_by TEXT NOT NULL,
+        banned_at REAL NOT NULL,
+        PRIMARY KEY (kind, value)
+      )
+    `);
+    this.sql.exec(`
+      CREATE TABLE IF NOT EXISTS mutes (
+        name TEXT PRIMARY KEY,
+        until REAL NOT NULL,
+        muted_by TEXT NOT NULL
+      )
+    `);
+
+    // Bytes stored by the room's uploads, for storage quotas
+    initStorageUsage(this.sql);
+
     /** @type {number} */
     this.lastTimestamp = 0;
     /** @type {import('hono').Hono} */
@@ -375,6 +624,8 @@ export class ChatRoom {
 
         // Get the client's IP address for use with the rate limiter.
         let ip = request.headers.get('CF-Connecting-IP');
+        // Room name as routed by the Worker, used to scope session tokens.
+        let room = request.headers.get('X-Room-Name');
 
         // To accept the WebSocket request, we create a WebSocketPair (which is like a socketpair,
         // i.e. two WebSockets that talk to each other), we return one end of the pair in the
@@ -384,7 +635,7 @@ export class ChatRoom {
         let pair = new WebSocketPair();
 
         // We're going to take pair[1] as our end, and return pair[0] to the client.
-        await this.handleSession(pair[1], ip);
+        await this.handleSession(pair[1], ip, room);
 
         // Now we return the other end of the pair to the client.
         return new Response(null, { status: 101, webSocket: pair[0] });
@@ -396,18 +647,9 @@ export class ChatRoom {
         const ip = request.headers.get('CF-Connecting-IP');
 
         // Rate limit check
-        const limiterId = this.env.limiters.idFromName(ip);
-        const limiter = this.env.limiters.get(limiterId);
-        const response = await limiter.fetch('https://dummy-url', {
-          method: 'POST',
-        });
-        const cooldown = +(await response.text());
-
+        const cooldown = await chargeRateLimit(this.env, ip, 'uploads');
         if (cooldown > 0) {
-          return c.json(
-            { error: 'Rate limit exceeded. Please wait before uploading.' },
-            { status: 429 },
-          );
+          return rateLimitedResponse(cooldown, 'Too many uploads.');
         }
 
         const formData = await request.formData();
@@ -426,19 +668,73 @@ export class ChatRoom {
           );
         }
 
+        // Store the detected type, not the one the client claims
+        const contentType = resolveContentType(
+          sniffContentType(
+            new Uint8Array(await file.slice(0, SNIFF_BYTES).arrayBuffer()),
+          ),
+          file.type,
+        );
+        const policyError = checkContentPolicy(
+          getContentPolicy(this.env),
+          contentType,
+        );
+        if (policyError) {
+          return c.json({ error: policyError }, { status: 415 });
+        }
+
+        const bytesCooldown = await chargeRateLimit(
+          this.env,
+          ip,
+          'upload-bytes',
+          file.size,
+        );
+        if (bytesCooldown > 0) {
+          return rateLimitedResponse(
+            bytesCooldown,
+            'Upload bandwidth exceeded.',
+          );
+        }
+
+        const uploader = await this.getUploader(request);
+        const quotaError = checkStorageQuota(
+          this.sql,
+          getStorageQuotas(this.env),
+          uploader,
+          file.size,
+        );
+        if (quotaError) {
+          return c.json({ error: quotaError }, { status: 413 });
+        }
+
         const fileId = crypto.randomUUID();
-        const fileExtension = file.name.split('.').pop() || 'bin';
-        const fileKey = `${fileId}.${fileExtension}`;
-
-        // Use R2's conditional put to prevent overwrites
-        await this.env.CHAT_FILES.put(fileKey, file.stream(), {
-          httpMetadata: request.headers,
-          onlyIf: request.headers,
-          customMetadata: {
-            originalName: file.name,
-            uploadedAt: new Date().toISOString(),
-            uploadedBy: ip || 'unknown',
-          },
+        const fileKey = `${fileId}.${getSafeExtension(file.name)}`;
+
+        // Count the file before storing it, so concurrent uploads see it
+        recordUpload(this.sql, { key: fileKey, uploader, size: file.size });
+        try {
+          // Use R2's conditional put to prevent overwrites
+          await this.env.CHAT_FILES.put(fileKey, file.stream(), {
+            httpMetadata: { contentType },
+            onlyIf: request.headers,
+            customMetadata: {
+              originalName: file.name,
+              uploadedAt: new Date().toISOString(),
+              uploadedBy: ip || 'unknown',
+              room: req.header('X-Room-Name'),
+            },
+          });
+        } catch (err) {
+          releaseUploads(this.sql, [fileKey]);
+          throw err;
+        }
+
+        const image = await extractImageMetadata(this.env, {
+          key: fileKey,
+          room: req.header('X-Room-Name'),
+          type: contentType,
+          size: file.size,
+          getStream: async () => file.stream(),
         });
 
         const fileUrl = `/files/${fileKey}`;
@@ -446,9 +742,10 @@ export class ChatRoom {
           success: true,
           fileUrl: fileUrl,
           fileName: file.name,
-          fileType: file.type,
+          fileType: contentType,
           fileSize: file.size,
           fileId: fileId,
+          image,
         });
       });
 
@@ -458,30 +755,64 @@ export class ChatRoom {
         const request = req.raw;
         const ip = request.headers.get('CF-Connecting-IP');
 
-        // Rate limit check
-        const limiterId = this.env.limiters.idFromName(ip);
-        const limiter = this.env.limiters.get(limiterId);
-        const response = await limiter.fetch('https://dummy-url', {
-          method: 'POST',
-        });
-        const cooldown = +(await response.text());
-
+        // Rate limit check (bytes are charged per part)
+        const cooldown = await chargeRateLimit(this.env, ip, 'uploads');
         if (cooldown > 0) {
-          return c.json(
-            { error: 'Rate limit exceeded. Please wait before uploading.' },
-            { status: 429 },
-          );
+          return rateLimitedResponse(cooldown, 'Too many uploads.');
         }
 
-        const { fileName, fileType, fileSize } = await request.json();
+        const { fileName, fileType, fileSize, head } = await request.json();
 
         if (!fileName) {
           return c.json({ error: 'Missing fileName' }, { status: 400 });
         }
+        if (!(fileSize > 0)) {
+          return c.json({ error: 'Missing fileSize' }, { status: 400 });
+        }
+
+        // The type is detected from the first bytes of the file, which the
+        // first part is held to, see content-policy.mjs
+        let headBytes = null;
+        try {
+          headBytes = Uint8Array.from(atob(head), (char) => char.charCodeAt(0));
+        } catch {}
+        if (headBytes?.length !== Math.min(fileSize, SNIFF_BYTES)) {
+          return c.json({ error: 'Missing file head' }, { status: 400 });
+        }
+        const contentType = resolveContentType(
+          sniffContentType(headBytes),
+          fileType,
+        );
+        const policyError = checkContentPolicy(
+          getContentPolicy(this.env),
+          contentType,
+        );
+        if (policyError) {
+          return c.json({ error: policyError }, { status: 415 });
+        }
+
+        const uploader = await this.getUploader(request);
+        const quotaError = checkStorageQuota(
+          this.sql,
+          getStorageQuotas(this.env),
+          uploader,
+          fileSize,
+        );
+        if (quotaError) {
+          return c.json({ error: quotaError }, { status: 413 });
+        }
 
         const fileId = crypto.randomUUID();
-        const fileExtension = fileName.split('.').pop() || 'bin';
-        const fileKey = `${fileId}.${fileExtension}`;
+        const fileKey = `${fileId}.${getSafeExtension(fileName)}`;
+
+        // Reserve the announced size until the upload completes
+        recordUpload(this.sql, {
+          key: fileKey,
+          uploader,
+          size: fileSize,
+          pending: true,
+          headDigest: await digestHead(headBytes),
+        });
 
         try {
           const multipartUpload =
@@ -491,9 +822,15 @@ export class ChatRoom {
                 uploadedAt: new Date().toISOString(),
                 uploadedBy: ip || 'unknown',
                 fileSize: fileSize?.toString() || '',
+                room: req.header('X-Room-Name'),
               },
-              httpMetadata: fileType ? { contentType: fileType } : undefined,
+              httpMetadata: { contentType },
             });
+          await trackMultipartUpload(this.env, 'PUT', {
+            uploadId: multipartUpload.uploadId,
+            key: multipartUpload.key,
+            room: req.header('X-Room-Name'),
+          });
 
           return c.json({
             success: true,
@@ -504,6 +841,7 @@ export class ChatRoom {
           });
         } catch (error) {
           console.error('Failed to create multipart upload:', error);
+          releaseUploads(this.sql, [fileKey]);
           return c.json(
             { error: 'Failed to create multipart upload' },
             { status: 500 },
@@ -531,15 +869,77 @@ export class ChatRoom {
           return c.json({ error: 'Missing request body' }, { status: 400 });
         }
 
+        // The part is charged by its announced size, so it must have one
+        const partSize = Number(request.headers.get('Content-Length'));
+        if (
+          !request.headers.has('Content-Length') ||
+          !Number.isSafeInteger(partSize) ||
+          partSize <= 0
+        ) {
+          return c.json({ error: 'Missing Content-Length' }, { status: 411 });
+        }
+
+        const upload = getPendingUpload(
+          this.sql,
+          fileKey,
+          await this.getUploader(request),
+        );
+        if (!upload) {
+          return c.json({ error: 'Upload not found' }, { status: 404 });
+        }
+
+        // The first part must start with the bytes the type was detected from
+        let partBody = request.body;
+        if (parseInt(partNumber) === 1 && upload.headDigest) {
+          const { head, body } = await readStreamHead(partBody, SNIFF_BYTES);
+          if ((await digestHead(head)) !== upload.headDigest) {
+            await body.cancel();
+            return c.json(
+              { error: 'The file does not start as announced' },
+              { status: 400 },
+            );
+          }
+          partBody = body;
+        }
+
+        const cooldown = await chargeRateLimit(
+          this.env,
+          request.headers.get('CF-Connecting-IP'),
+          'upload-bytes',
+          partSize,
+        );
+        if (cooldown > 0) {
+          return rateLimitedResponse(cooldown, 'Upload bandwidth exceeded.');
+        }
+
+        const partError = recordUploadPart(
+          this.sql,
+          fileKey,
+          parseInt(partNumber),
+          partSize,
+        );
+        if (partError) {
+          return c.json({ error: partError }, { status: 413 });
+        }
+
         try {
           const multipartUpload = this.env.CHAT_FILES.resumeMultipartUpload(
             fileKey,
             uploadId,
           );
 
+          // R2 does not report the size of a part; a body that is not
+          // exactly the charged size makes the stream, and the upload, fail
+          const body = partBody.pipeThrough(new FixedLengthStream(partSize));
           const uploadedPart = await multipartUpload.uploadPart(
             parseInt(partNumber),
-            request.body,
+            body,
+          );
+          recordStoredPart(
+            this.sql,
+            fileKey,
+            uploadedPart.partNumber,
+            uploadedPart.etag,
           );
 
           return c.json({
@@ -556,6 +956,28 @@ export class ChatRoom {
         }
       });
 
+      // Multipart upload: List the parts stored so far, to resume an upload
+      app.get('/upload/mpu-listparts', async (c) => {
+        const { req } = c;
+        const uploadId = req.query('uploadId');
+        const key = req.query('key');
+
+        if (!uploadId || !key) {
+          return c.json({ error: 'Missing uploadId or key' }, { status: 400 });
+        }
+
+        const parts = getStoredParts(
+          this.sql,
+          key,
+          await this.getUploader(req.raw),
+        );
+        if (!parts) {
+          return c.json({ error: 'Upload not found' }, { status: 404 });
+        }
+
+        return c.json({ success: true, uploadId, key, parts });
+      });
+
       // Multipart upload: Complete multipart upload
       app.post('/upload/mpu-complete', async (c) => {
         const { req } = c;
@@ -570,6 +992,10 @@ export class ChatRoom {
           );
         }
 
+        if (!getPendingUpload(this.sql, key, await this.getUploader(request))) {
+          return c.json({ error: 'Upload not found' }, { status: 404 });
+        }
+
         try {
           const multipartUpload = this.env.CHAT_FILES.resumeMultipartUpload(
             key,
@@ -577,15 +1003,30 @@ export class ChatRoom {
           );
 
           const object = await multipartUpload.complete(parts);
+          completeUpload(this.sql, key, object.size);
+          await trackMultipartUpload(this.env, 'DELETE', { uploadId, key });
+
+          // Detected and checked at mpu-create
+          const contentType =
+            object.httpMetadata?.contentType || 'application/octet-stream';
+
+          const image = await extractImageMetadata(this.env, {
+            key,
+            room: req.header('X-Room-Name'),
+            type: contentType,
+            size: object.size,
+            getStream: async () => (await this.env.CHAT_FILES.get(key)).body,
+          });
 
           const fileUrl = `/files/${key}`;
           return c.json({
             success: true,
             fileUrl: fileUrl,
             fileName: fileName || key,
-            fileType: fileType || 'application/octet-stream',
+            fileType: contentType,
             fileSize: fileSize || 0,
             etag: object.httpEtag,
+            image,
           });
         } catch (error) {
           console.error('Failed to complete multipart upload:', error);
@@ -606,12 +1047,18 @@ export class ChatRoom {
           return c.json({ error: 'Missing uploadId or key' }, { status: 400 });
         }
 
+        if (!getPendingUpload(this.sql, key, await this.getUploader(request))) {
+          return c.json({ error: 'Upload not found' }, { status: 404 });
+        }
+
         try {
           const multipartUpload = this.env.CHAT_FILES.resumeMultipartUpload(
             key,
             uploadId,
           );
           await multipartUpload.abort();
+          releaseUploads(this.sql, [key]);
+          await trackMultipartUpload(this.env, 'DELETE', { uploadId, key });
 
           return c.json({ success: true });
         } catch (error) {
@@ -623,10 +1070,121 @@ export class ChatRoom {
         }
       });
 
+      // Sign download URLs of the room's files for a member, see file-urls.mjs
+      app.post('/files/sign', async (c) => {
+        const room = c.req.header('X-Room-Name');
+        const claims = await this.getRequestClaims(c.req.raw);
+        if (!claims) {
+          return c.json({ error: 'Not authenticated' }, 401);
+        }
+        const { keys } = await c.req.json();
+        if (!Array.isArray(keys) || keys.length > MAX_SIGNED_FILES) {
+          return c.json(
+            { error: `Expected at most ${MAX_SIGNED_FILES} keys` },
+            400,
+          );
+        }
+
+        const urls = {};
+        for (const key of new Set(keys)) {
+          const object =
+            typeof key === 'string'
+              ? await this.env.CHAT_FILES.head(key)
+              : null;
+          if (object && isFileOfRoom(object, room)) {
+            urls[key] = await signFileUrl(this.env.SESSION_SECRET, room, key);
+          }
+        }
+        return c.json({ urls, expiresAt: Date.now() + FILE_URL_TTL_MS });
+      });
+
+      // Storage used by the room and by the caller, see storage-quota.mjs
+      app.get('/storage', async (c) => {
+        const quotas = getStorageQuotas(this.env);
+        const usage = getStorageUsage(
+          this.sql,
+          await this.getUploader(c.req.raw),
+        );
+        return c.json({
+          room: { used: usage.room, quota: quotas.room },
+          uploader: { used: usage.uploader, quota: quotas.uploader },
+        });
+      });
+
+      // Files deleted by the sweeper no longer count
+      app.delete('/uploads', async (c) => {
+        let keys;
+        try {
+          keys = await verifyUploadRelease(
+            this.env.SESSION_SECRET,
+            await c.req.text(),
+            c.req.header('X-Room-Name'),
+          );
+        } catch (err) {
+          return c.json({ error: err.message }, 403);
+        }
+        releaseUploads(this.sql, keys);
+        return c.json({ success: true });
+      });
+
       // Room info (name, note) is now stored in RxDB Values for automatic sync
 
+      // Messages live in the room's replication DO; it serves the message,
+      // thread and channel endpoints from the replicated data.
+      app.all('/message/*', (c) => this.forwardToReplication(c.req.raw));
+      app.all('/thread/*', (c) => this.forwardToReplication(c.req.raw));
+      app.all('/channel/*', (c) => this.forwardToReplication(c.req.raw));
+      app.get('/audit', (c) => this.forwardToReplication(c.req.raw));
+
+      // Take the owner of a private room, from a claim signed by the Worker
+      // (see POST /api/room and POST /api/admin/room/<name>/owner)
+      app.put('/owner', async (c) => {
+        const room = c.req.header('X-Room-Name') || '';
+        if (!/^[0-9a-f]{64}$/.test(room)) {
+          return c.json({ error: 'Only private rooms have owners' }, 403);
+        }
+        let secretHash;
+        try {
+          secretHash = await verifyOwnerClaim(
+            this.env.SESSION_SECRET,
+            await c.req.text(),
+            room,
+          );
+        } catch (err) {
+          return c.json({ error: err.message }, 403);
+        }
+        const [owner] = this.sql
+          .exec(`SELECT 1 FROM room_roles WHERE role = 'owner' LIMIT 1`)
+          .toArray();
+        if (owner) {
+          return c.json({ error: 'Room already has an owner' }, 409);
+        }
+        this.sql.exec(
+          `INSERT INTO room_roles (secret_hash, role, granted_at)
+           VALUES (?, 'owner', ?)`,
+          secretHash,
+          Date.now(),
+        );
+        return c.json({ success: true });
+      });
+
       app.post('/shutdown', async (c) => {
+        const claims = await this.getRequestClaims(c.req.raw);
+        if (claims?.role !== 'owner') {
+          return c.json(
+            { error: 'Only the room owner can shut down the room' },
+            403,
+          );
+        }
         try {
+          await this.recordAudit(claims.room, {
+            actor: claims.name,
+            action: 'room.shutdown',
+            ipHash: await hashIp(
+              this.env.SESSION_SECRET,
+              c.req.header('CF-Connecting-IP'),
+            ),
+          });
           await this.shutdown();
           return c.json({ success: true });
         } catch (err) {
@@ -637,6 +1195,55 @@ export class ChatRoom {
     });
   }
 
+  /**
+   * Forward a request to this room's RxDB replication Durable Object
+   * The path and headers (including X-Room-Name) are kept as they are.
+   * @param {Request} request - Incoming HTTP request
+   * @returns {Promise<Response>} Response of the replication DO
+   */
+  forwardToReplication(request) {
+    const roomName = request.headers.get('X-Room-Name');
+    const stub = this.env.rxdb.get(this.env.rxdb.idFromName(roomName));
+    return stub.fetch(new Request(request.url, request));
+  }
+
+  /**
+   * Get the session token claims of an HTTP request
+   * @param {Request} request
+   * @returns {Promise<{room: string, name: string, role: string|null}|null>} Null if the bearer token is missing or invalid
+   */
+  async getRequestClaims(request) {
+    const header = request.headers.get('Authorization') || '';
+    const match = header.match(/^Bearer (.+)$/);
+    if (!match) return null;
+    try {
+      const claims = await verifySessionToken(
+        this.env.SESSION_SECRET,
+        match[1],
+      );
+      if (claims.room !== request.headers.get('X-Room-Name')) return null;
+      return claims;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Identify the uploader of a file, for storage quotas
+   * @param {Request} request
+   * @returns {Promise<string>} The name in the session token, or the hashed
+   *   client IP if the request has none
+   */
+  async getUploader(request) {
+    const claims = await this.getRequestClaims(request);
+    if (claims) return claims.name;
+    const ipHash = await hashIp(
+      this.env.SESSION_SECRET,
+      request.headers.get('CF-Connecting-IP'),
+    );
+    return `ip:${ipHash || 'unknown'}`;
+  }
+
   /**
    * Fetch handler for incoming HTTP requests
    * @param {Request} request - Incoming HTTP request
@@ -654,29 +1261,49 @@ export class ChatRoom {
    * Accepts WebSocket, sets up rate limiter, and queues join messages
    * @param {WebSocket} webSocket - WebSocket connection
    * @param {string} ip - Client IP address
+   * @param {string} room - Room name the client connected through
    * @returns {Promise<void>}
    */
-  async handleSession(webSocket, ip) {
+  async handleSession(webSocket, ip, room) {
     this.state.acceptWebSocket(webSocket);
 
+    // Bans are checked once the session registers, as they do not apply to
+    // the owner
+    let ipHash = await hashIp(this.env.SESSION_SECRET, ip);
+
     let limiterId = this.env.limiters.idFromName(ip);
     let limiter = new RateLimiterClient(
       () => this.env.limiters.get(limiterId),
       (err) => webSocket.close(1011, err.stack),
     );
 
-    let session = { limiterId, limiter, blockedMessages: [] };
+    // Identifies the connection in the audit log
+    let sessionId = crypto.randomUUID();
+
+    let session = {
+      room,
+      sessionId,
+      ipHash,
+      limiterId,
+      limiter,
+      blockedMessages: [],
+    };
     webSocket.serializeAttachment({
       ...webSocket.deserializeAttachment(),
+      room,
+      sessionId,
+      ipHash,
       limiterId: limiterId.toString(),
     });
     this.sessions.set(webSocket, session);
 
-    // Queue join messages
+    // Queue join messages, once per user however many tabs they have open
+    let present = new Set();
     for (let otherSession of this.sessions.values()) {
-      if (otherSession.name) {
+      if (otherSession.name && !present.has(otherSession.name)) {
+        present.add(otherSession.name);
         session.blockedMessages.push(
-          JSON.stringify({ joined: otherSession.name }),
+          JSON.stringify(this.joinedMessage(otherSession.name)),
         );
       }
     }
@@ -698,27 +1325,81 @@ export class ChatRoom {
         return;
       }
 
+      let data = JSON.parse(msg);
+
+      // Typing events are ephemeral and throttled on their own, so they don't
+      // use up the session's message rate limit
+      if (data.typing) {
+        if (session.name && !this.getMutedUntil(session.name)) {
+          this.handleTyping(session, data.typing);
+        }
+        return;
+      }
+
+      // Status changes are driven by page visibility and input activity,
+      // so they aren't rate-limited either (only changes are broadcast)
+      if (data.presence) {
+        if (session.name) {
+          this.handlePresence(webSocket, session, data.presence);
+        }
+        return;
+      }
+
       if (!session.limiter.checkLimit()) {
+        const retryAfter = session.limiter.getRetryAfter();
         webSocket.send(
           JSON.stringify({
-            error: 'Your IP is being rate-limited. Please try again later.',
+            error: `Your IP is being rate-limited. Please try again in ${retryAfter}s.`,
+            retryAfter,
           }),
         );
         return;
       }
 
-      let data = JSON.parse(msg);
-
       if (!session.name) {
-        session.name = '' + (data.name || 'anonymous');
-        session.name = session.name.substring(0, 32);
+        let name = ('' + (data.name || 'anonymous')).substring(0, 32);
+        let role = await this.getRole(data.roleSecret, name);
+        if (
+          role !== 'owner' &&
+          (this.isBanned('name', name) ||
+            (session.ipHash && this.isBanned('ip', session.ipHash)))
+        ) {
+          session.quit = true;
+          this.sessions.delete(webSocket);
+          webSocket.close(BANNED_CLOSE_CODE, 'Banned from this room');
+          return;
+        }
+        if (role === 'owner') {
+          this.sql.exec(
+            `INSERT OR REPLACE INTO owner_names (name, last_used) VALUES (?, ?)`,
+            name,
+            Date.now(),
+          );
+        }
+
+        session.name = name;
+        session.role = role;
+        Object.assign(session, normalizePresence(data), {
+          presenceAt: Date.now(),
+        });
 
         // Serialize the name to attachment for hibernation recovery
         webSocket.serializeAttachment({
           ...webSocket.deserializeAttachment(),
           name: session.name,
+          role: session.role,
+          status: session.status,
+          statusText: session.statusText,
+          presenceAt: session.presenceAt,
         });
 
+        // Sessions are counted per user: only the first connection announces
+        // the user, later ones (other tabs) at most change their presence.
+        let previousPresence = this.getUserPresence(session.name, webSocket);
+        if (previousPresence && this.env.SINGLE_SESSION === 'true') {
+          this.closeOtherSessions(webSocket, session.name);
+        }
+
         if (session.blockedMessages.length > 0) {
           session.blockedMessages.forEach((queued) => {
             try {
@@ -730,8 +1411,43 @@ export class ChatRoom {
           session.blockedMessages = [];
         }
 
-        this.broadcast({ joined: session.name });
-        webSocket.send(JSON.stringify({ ready: true }));
+        if (!previousPresence) {
+          this.broadcast(this.joinedMessage(session.name));
+        } else {
+          this.broadcastPresenceChange(session.name, previousPresence);
+        }
+        webSocket.send(
+          JSON.stringify({
+            ready: true,
+            token: await this.createSessionToken(session),
+            recentlySeen: this.getRecentlySeen(),
+            role: session.role,
+            mutedUntil: this.getMutedUntil(session.name),
+          }),
+        );
+        return;
+      }
+
+      // The client asks for a fresh session token before the old one expires
+      if (data.refreshToken) {
+        webSocket.send(
+          JSON.stringify({ token: await this.createSessionToken(session) }),
+        );
+        return;
+      }
+
+      if (data.moderate) {
+        await this.handleModeration(webSocket, session, data.moderate);
+        return;
+      }
+
+      const mutedUntil = this.getMutedUntil(session.name);
+      if (mutedUntil) {
+        webSocket.send(
+          JSON.stringify({
+            error: `You are muted until ${new Date(mutedUntil).toISOString()}`,
+          }),
+        );
         return;
       }
 
@@ -765,6 +1481,658 @@ export class ChatRoom {
     }
   }
 
+  /**
+   * Broadcast a typing event
+   * Typing state is never stored: each event is active for TYPING_TTL_MS,
+   * and clients keep it alive by repeating it while the user types.
+   * @param {{name: string, lastTypingAt?: number}} session - Registered session
+   * @param {{channel?: string, threadId?: string|null, active?: boolean}} typing
+   */
+  handleTyping(session, typing) {
+    const active = typing.active !== false;
+    const now = Date.now();
+
+    // Drop active events repeated faster than clients send them
+    if (active && now - (session.lastTypingAt || 0) < TYPING_THROTTLE_MS / 2) {
+      return;
+    }
+    session.lastTypingAt = active ? now : 0;
+
+    const channel = '' + (typing.channel || 'general');
+    const threadId = typing.threadId ? '' + typing.threadId : null;
+    if (channel.length > 100 || (threadId && threadId.length > 100)) {
+      return;
+    }
+
+    this.broadcast({
+      typing: {
+        name: session.name,
+        channel,
+        threadId,
+        active,
+        expiresIn: TYPING_TTL_MS,
+      },
+    });
+  }
+
+  /**
+   * Update a session's status and custom status text
+   * @param {WebSocket} webSocket - WebSocket connection
+   * @param {{name: string, status?: string, statusText?: string}} session - Registered session
+   * @param {{status?: string, statusText?: string}} presence - Requested presence
+   */
+  handlePresence(webSocket, session, presence) {
+    const { status, statusText } = normalizePresence(presence);
+    if (status === session.status && statusText === session.statusText) {
+      return;
+    }
+
+    const previousPresence = this.getUserPresence(session.name);
+    session.status = status;
+    session.statusText = statusText;
+    session.presenceAt = Date.now();
+    webSocket.serializeAttachment({
+      ...webSocket.deserializeAttachment(),
+      status,
+      statusText,
+      presenceAt: session.presenceAt,
+    });
+    this.broadcastPresenceChange(session.name, previousPresence);
+  }
+
+  /**
+   * Get a user's presence across all of their sessions
+   * Do not disturb wins, otherwise the most present status; the status text
+   * comes from the session that changed its presence last.
+   * @param {string} name - Username
+   * @param {WebSocket} [except] - Session to leave out
+   * @returns {{status: string, statusText: string}|null} Null if the user has no other session
+   */
+  getUserPresence(name, except) {
+    let sessions = [];
+    for (let [webSocket, session] of this.sessions) {
+      if (webSocket !== except && session.name === name && !session.quit) {
+        sessions.push(session);
+      }
+    }
+    if (sessions.length === 0) {
+      return null;
+    }
+
+    let statuses = sessions.map((session) => session.status || 'online');
+    let status = statuses.includes('dnd')
+      ? 'dnd'
+      : statuses.reduce((best, next) =>
+          STATUS_RANK[next] < STATUS_RANK[best] ? next : best,
+        );
+    let latest = sessions.reduce((a, b) =>
+      (b.presenceAt || 0) > (a.presenceAt || 0) ? b : a,
+    );
+    return { status, statusText: latest.statusText || '' };
+  }
+
+  /**
+   * Broadcast a user's presence if it differs from before
+   * @param {string} name - Username
+   * @param {{status: string, statusText: string}|null} previousPresence
+   */
+  broadcastPresenceChange(name, previousPresence) {
+    const presence = this.getUserPresence(name);
+    if (
+      presence &&
+      (!previousPresence ||
+        presence.status !== previousPresence.status ||
+        presence.statusText !== previousPresence.statusText)
+    ) {
+      this.broadcast({ presence: { name, ...presence } });
+    }
+  }
+
+  /**
+   * Close a user's other connections (single session mode)
+   * The user stays present, so no `quit` is broadcast for them.
+   * @param {WebSocket} keep - The new connection
+   * @param {string} name - Username
+   */
+  closeOtherSessions(keep, name) {
+    for (let [webSocket, session] of this.sessions) {
+      if (webSocket === keep || session.name !== name) continue;
+      session.quit = true;
+      this.sessions.delete(webSocket);
+      try {
+        webSocket.close(1000, 'Reconnected from another session');
+      } catch (err) {}
+    }
+  }
+
+  /**
+   * Build the `joined` event announcing a user, including their presence
+   * @param {string} name - Username
+   * @returns {{joined: string, status: string, statusText: string}}
+   */
+  joinedMessage(name) {
+    return {
+      joined: name,
+      ...(this.getUserPresence(name) || { status: 'online', statusText: '' }),
+    };
+  }
+
+  /**
+   * Look up the role a registering session's secret grants
+   * Owner secrets work under any name, moderator secrets only under the name
+   * they were granted to.
+   * @param {string|undefined} secret - Role secret sent by the client
+   * @param {string} name - Username
+   * @returns {Promise<string|null>}
+   */
+  async getRole(secret, name) {
+    if (typeof secret !== 'string' || !secret) return null;
+    const [row] = this.sql
+      .exec(
+        `SELECT role, name FROM room_roles WHERE secret_hash = ?`,
+        await hashSecret(secret),
+      )
+      .toArray();
+    if (!row || (row.role === 'moderator' && row.name !== name)) {
+      return null;
+    }
+    return row.role;
+  }
+
+  /**
+   * Get the role a moderation command would have to overcome
+   * A name the owner secret was used under counts as the owner while nobody
+   * is connected under it; once connected, only an owner session does.
+   * @param {string} name - Username
+   * @returns {string|null} 'owner', 'moderator' if granted, otherwise null
+   */
+  getTargetRole(name) {
+    const sessions = [...this.sessions.values()].filter(
+      (session) => session.name === name && !session.quit,
+    );
+    if (sessions.some((session) => session.role === 'owner')) return 'owner';
+    if (sessions.length === 0) {
+      const [owner] = this.sql
+        .exec(`SELECT 1 FROM owner_names WHERE name = ?`, name)
+        .toArray();
+      if (owner) return 'owner';
+    }
+    const [row] = this.sql
+      .exec(
+        `SELECT 1 FROM room_roles WHERE role = 'moderator' AND name = ?`,
+        name,
+      )
+      .toArray();
+    return row ? 'moderator' : null;
+  }
+
+  /**
+   * @param {'name'|'ip'} kind
+   * @param {string} value - Username or IP hash
+   * @returns {boolean}
+   */
+  isBanned(kind, value) {
+    const [row] = this.sql
+      .exec(`SELECT 1 FROM bans WHERE kind = ? AND value = ?`, kind, value)
+      .toArray();
+    return !!row;
+  }
+
+  /**
+   * Get the end of a user's mute
+   * @param {string} name - Username
+   * @returns {number} End of the mute (ms), or 0 if the user is not muted
+   */
+  getMutedUntil(name) {
+    const [row] = this.sql
+      .exec(
+        `SELECT until FROM mutes WHERE name = ? AND until > ?`,
+        name,
+        Date.now(),
+      )
+      .toArray();
+    return row ? row.until : 0;
+  }
+
+  /**
+   * Run a moderation command sent over the presence WebSocket
+   *
+   * Commands: { action, target?, duration? }
+   *  - kick: close the target's sessions
+   *  - ban / banip: ban the target's name / the IP hashes of its sessions
+   *  - unban: lift the bans taken against a name, or of an IP hash
+   *  - mute / unmute: mute the target for `duration` seconds, or end it
+   *  - grant / revoke: give or take the moderator role (owners only)
+   *  - list: reply with the current bans, mutes and moderators
+   *
+   * Everyone is told what happened with `{ moderated }`, and the replication
+   * DO is sent the new state.
+   * @param {WebSocket} webSocket - WebSocket connection of the moderator
+   * @param {{name: string, room: string, role?: string|null}} session - Registered session
+   * @param {{action?: string, target?: string, duration?: number}} command
+   * @returns {Promise<void>}
+   */
+  async handleModeration(webSocket, session, command) {
+    const refuse = (error) => webSocket.send(JSON.stringify({ error }));
+    const action = command.action;
+    const target = ('' + (command.target || '')).trim();
+    const now = Date.now();
+
+    if (!canModerate(session.role)) {
+      refuse('Only moderators can do that');
+      return;
+    }
+    if (action === 'list') {
+      webSocket.send(JSON.stringify({ moderation: this.getModerationList() }));
+      return;
+    }
+    if (!target || target.length > 64) {
+      refuse('Missing or invalid target');
+      return;
+    }
+    if (['grant', 'revoke'].includes(action) && session.role !== 'owner') {
+      refuse('Only the room owner can grant or revoke the moderator role');
+      return;
+    }
+    if (['kick', 'ban', 'banip', 'mute'].includes(action)) {
+      if (target === session.name) {
+        refuse('You cannot moderate yourself');
+        return;
+      }
+      const targetRole = this.getTargetRole(target);
+      if (targetRole && (targetRole === 'owner' || session.role !== 'owner')) {
+        refuse(`${target} is a ${targetRole} of this room`);
+        return;
+      }
+    }
+
+    const targetSessions = [...this.sessions.values()].filter(
+      (other) => other.name === target && !other.quit,
+    );
+    let kicked = [];
+    let until;
+
+    switch (action) {
+      case 'kick':
+        if (targetSessions.length === 0) {
+          refuse(`${target} is not in the room`);
+          return;
+        }
+        this.disconnectUsers(
+          (other) => other.name === target,
+          KICKED_CLOSE_CODE,
+          'Kicked by a moderator',
+        );
+        kicked = [target];
+        break;
+
+      case 'ban':
+        this.sql.exec(
+          `INSERT OR REPLACE INTO bans (kind, value, name, banned_by, banned_at)
+           VALUES ('name', ?, ?, ?, ?)`,
+          target,
+          target,
+          session.name,
+          now,
+        );
+        this.disconnectUsers(
+          (other) => other.name === target,
+          BANNED_CLOSE_CODE,
+          'Banned from this room',
+        );
+        break;
+
+      case 'banip': {
+        const ipHashes = [
+          ...new Set(targetSessions.map((other) => other.ipHash)),
+        ].filter(Boolean);
+        if (ipHashes.length === 0) {
+          refuse(`${target} is not in the room`);
+          return;
+        }
+        for (const ipHash of ipHashes) {
+          this.sql.exec(
+            `INSERT OR REPLACE INTO bans (kind, value, name, banned_by, banned_at)
+             VALUES ('ip', ?, ?, ?, ?)`,
+            ipHash,
+            target,
+            session.name,
+            now,
+          );
+        }
+        this.disconnectUsers(
+          (other) => ipHashes.includes(other.ipHash),
+          BANNED_CLOSE_CODE,
+          'Banned from this room',
+        );
+        break;
+      }
+
+      case 'unban': {
+        const { rowsWritten } = this.sql.exec(
+          `DELETE FROM bans WHERE name = ? OR value = ?`,
+          target,
+          target,
+        );
+        if (!rowsWritten) {
+          refuse(`No ban found for ${target}`);
+          return;
+        }
+        break;
+      }
+
+      case 'mute': {
+        const seconds = Math.min(
+          Math.max(Number(command.duration) || DEFAULT_MUTE_SECONDS, 1),
+          MAX_MUTE_SECONDS,
+        );
+        until = now + seconds * 1000;
+        this.sql.exec(
+          `INSERT OR REPLACE INTO mutes (name, until, muted_by) VALUES (?, ?, ?)`,
+          target,
+          until,
+          session.name,
+        );
+        break;
+      }
+
+      case 'unmute':
+        if (!this.getMutedUntil(target)) {
+          refuse(`${target} is not muted`);
+          return;
+        }
+        this.sql.exec(`DELETE FROM mutes WHERE name = ?`, target);
+        break;
+
+      case 'grant': {
+        if (targetSessions.length === 0) {
+          refuse(`${target} is not in the room`);
+          return;
+        }
+        if (this.getTargetRole(target)) {
+          refuse(`${target} is already a ${this.getTargetRole(target)}`);
+          return;
+        }
+        // The secret is only delivered to the sessions connected now
+        const secret = generateSecret();
+        this.sql.exec(
+          `INSERT INTO room_roles (secret_hash, role, name, granted_by, granted_at)
+           VALUES (?, 'moderator', ?, ?, ?)`,
+          await hashSecret(secret),
+          target,
+          session.name,
+          now,
+        );
+        await this.changeRole(target, 'moderator', secret);
+        break;
+      }
+
+      case 'revoke': {
+        const { rowsWritten } = this.sql.exec(
+          `DELETE FROM room_roles WHERE role = 'moderator' AND name = ?`,
+          target,
+        );
+        if (!rowsWritten) {
+          refuse(`${target} is not a moderator`);
+          return;
+        }
+        await this.changeRole(target, null, null);
+        break;
+      }
+
+      default:
+        refuse(`Unknown moderation action: ${action}`);
+        return;
+    }
+
+    this.broadcast({
+      moderated: { action, target, by: session.name, until },
+    });
+    await this.pushModerationState(session.room, kicked);
+    await this.recordAudit(session.room, {
+      actor: session.name,
+      action: `moderation.${action}`,
+      target,
+      details: until ? { until } : null,
+      sessionId: session.sessionId,
+      ipHash: session.ipHash,
+    });
+  }
+
+  /**
+   * Close the sessions matching a predicate, and announce the users who have
+   * no session left as gone
+   * @param {(session: Object) => boolean} match
+   * @param {number} code - Close code
+   * @param {string} reason - Close reason
+   */
+  disconnectUsers(match, code, reason) {
+    const names = new Set();
+    for (const [webSocket, session] of this.sessions) {
+      if (!session.name || !match(session)) continue;
+      names.add(session.name);
+      session.quit = true;
+      this.sessions.delete(webSocket);
+      try {
+        webSocket.close(code, reason);
+      } catch (err) {}
+    }
+
+    for (const name of names) {
+      if (!this.getUserPresence(name)) {
+        this.broadcast({ quit: name, lastSeen: this.recordLastSeen(name) });
+      }
+    }
+  }
+
+  /**
+   * Apply a new role to a user's connected sessions
+   * Each session gets a token with the new role, and the role secret to keep
+   * if one was granted.
+   * @param {string} name - Username
+   * @param {string|null} role - New role, null to remove the moderator role
+   * @param {string|null} secret - Role secret for the client to store
+   * @returns {Promise<void>}
+   */
+  async changeRole(name, role, secret) {
+    for (const [webSocket, session] of this.sessions) {
+      if (session.name !== name || session.role === 'owner') continue;
+      session.role = role;
+      webSocket.serializeAttachment({
+        ...webSocket.deserializeAttachment(),
+        role,
+      });
+      try {
+        webSocket.send(
+          JSON.stringify({
+            roleChanged: {
+              role,
+              secret,
+              token: await this.createSessionToken(session),
+            },
+          }),
+        );
+      } catch (err) {
+        session.quit = true;
+      }
+    }
+  }
+
+  /**
+   * Describe the current bans, mutes and moderators for moderators
+   * IP bans are listed by hash and by the user they were taken from.
+   * @returns {{bans: Array<{kind: string, value: string, name: string, bannedBy: string, bannedAt: number}>, mutes: Array<{name: string, until: number, mutedBy: string}>, moderators: string[]}}
+   */
+  getModerationList() {
+    return {
+      bans: this.sql
+        .exec(
+          `SELECT kind, value, name, banned_by AS bannedBy, banned_at AS bannedAt
+           FROM bans ORDER BY banned_at DESC`,
+        )
+        .toArray(),
+      mutes: this.sql
+        .exec(
+          `SELECT name, until, muted_by AS mutedBy FROM mutes
+           WHERE until > ? ORDER BY until`,
+          Date.now(),
+        )
+        .toArray(),
+      moderators: this.getModerators(),
+    };
+  }
+
+  /**
+   * @returns {string[]} Names holding the moderator role
+   */
+  getModerators() {
+    return this.sql
+      .exec(`SELECT DISTINCT name FROM room_roles WHERE role = 'moderator'`)
+      .toArray()
+      .map((row) => row.name);
+  }
+
+  /**
+   * Send the moderation state to the room's replication DO, which enforces
+   * it on writes (see moderation.mjs)
+   * @param {string} room - Room name
+   * @param {string[]} kicked - Users to sign out of replication
+   * @returns {Promise<void>}
+   */
+  async pushModerationState(room, kicked) {
+    const now = Date.now();
+    this.sql.exec(`DELETE FROM mutes WHERE until <= ?`, now);
+    const bans = this.sql.exec(`SELECT kind, value FROM bans`).toArray();
+    const state = {
+      version: now,
+      moderators: this.getModerators(),
+      mutes: Object.fromEntries(
+        this.sql
+          .exec(`SELECT name, until FROM mutes`)
+          .toArray()
+          .map((row) => [row.name, row.until]),
+      ),
+      bannedNames: bans
+        .filter((ban) => ban.kind === 'name')
+        .map((ban) => ban.value),
+      bannedIpHashes: bans
+        .filter((ban) => ban.kind === 'ip')
+        .map((ban) => ban.value),
+      kicked,
+    };
+
+    try {
+      await this.sendToReplication(
+        room,
+        'PUT',
+        '/moderation',
+        await signModerationState(this.env.SESSION_SECRET, room, state),
+      );
+    } catch (err) {
+      console.error('Failed to push moderation state:', err);
+    }
+  }
+
+  /**
+   * Record an action in the room's audit log, kept by the replication DO
+   * (see audit-log.mjs)
+   * @param {string} room - Room name
+   * @param {import('./audit-log.mjs').AuditEntry} entry
+   * @returns {Promise<void>}
+   */
+  async recordAudit(room, entry) {
+    try {
+      await this.sendToReplication(
+        room,
+        'POST',
+        '/audit',
+        await signAuditEntry(this.env.SESSION_SECRET, room, entry),
+      );
+    } catch (err) {
+      console.error('Failed to record audit entry:', err);
+    }
+  }
+
+  /**
+   * Send a signed token to an endpoint of the room's replication DO
+   * @param {string} room - Room name
+   * @param {string} method - HTTP method
+   * @param {string} path - Endpoint path
+   * @param {string} token - Request body
+   * @returns {Promise<void>}
+   * @throws {Error} If the replication DO refused it
+   */
+  async sendToReplication(room, method, path, token) {
+    const stub = this.env.rxdb.get(this.env.rxdb.idFromName(room));
+    const response = await stub.fetch(`https://dummy-url${path}`, {
+      method,
+      headers: { 'X-Room-Name': room },
+      body: token,
+    });
+    if (!response.ok) {
+      throw new Error(await response.text());
+    }
+  }
+
+  /**
+   * Remember when a user was last connected
+   * @param {string} name - Username
+   * @returns {number} The recorded last-seen timestamp
+   */
+  recordLastSeen(name) {
+    const lastSeen = Date.now();
+    this.sql.exec(
+      `INSERT INTO last_seen (name, last_seen) VALUES (?, ?)
+       ON CONFLICT(name) DO UPDATE SET last_seen = excluded.last_seen`,
+      name,
+      lastSeen,
+    );
+    return lastSeen;
+  }
+
+  /**
+   * Get recently seen members who are not connected now, most recent first
+   * @returns {Array<{name: string, lastSeen: number}>}
+   */
+  getRecentlySeen() {
+    const online = new Set();
+    for (const session of this.sessions.values()) {
+      if (session.name) online.add(session.name);
+    }
+
+    return this.sql
+      .exec(
+        `SELECT name, last_seen AS lastSeen FROM last_seen
+         WHERE last_seen >= ?
+         ORDER BY last_seen DESC
+         LIMIT ?`,
+        Date.now() - RECENTLY_SEEN_WINDOW_MS,
+        RECENTLY_SEEN_LIMIT + online.size,
+      )
+      .toArray()
+      .filter((row) => !online.has(row.name))
+      .slice(0, RECENTLY_SEEN_LIMIT);
+  }
+
+  /**
+   * Issue a session token binding this session's name and role to the room
+   * The RxDB replication DO requires it before accepting writes
+   * @param {{name: string, room: string, role?: string|null}} session - Registered session
+   * @returns {Promise<string|null>} Signed token, or null if signing is not configured
+   */
+  async createSessionToken(session) {
+    try {
+      return await signSessionToken(this.env.SESSION_SECRET, {
+        room: session.room,
+        name: session.name,
+        role: session.role || null,
+      });
+    } catch (err) {
+      console.error('Failed to issue session token:', err);
+      return null;
+    }
+  }
+
   /**
    * Handle WebSocket close or error
    * Cleans up session and broadcasts quit message
@@ -773,11 +2141,23 @@ export class ChatRoom {
    */
   async closeOrErrorHandler(webSocket) {
     let session = this.sessions.get(webSocket) || {};
+    let previousPresence = session.name
+      ? this.getUserPresence(session.name)
+      : null;
     session.quit = true;
     this.sessions.delete(webSocket);
-    if (session.name) {
-      this.broadcast({ quit: session.name });
+    if (!session.name) {
+      return;
+    }
+
+    // The user is still present in another tab
+    if (this.getUserPresence(session.name)) {
+      this.broadcastPresenceChange(session.name, previousPresence);
+      return;
     }
+
+    const lastSeen = this.recordLastSeen(session.name);
+    this.broadcast({ quit: session.name, lastSeen });
   }
 
   /**
@@ -862,128 +2242,3 @@ export class ChatRoom {
     }
   }
 }
-
-// =======================================================================================
-// The RateLimiter Durable Object class.
-
-/**
- * RateLimiter Durable Object - tracks message frequency per IP address
- * Implements global rate limiting across all chat rooms
- * Uses "cooldown" pattern: allows burst traffic, then enforces delay
- *
- * Rate: 10 messages/second with 300-second grace period
- */
-export class RateLimiter {
-  /**
-   * @param {DurableObjectState} state - Durable Object state
-   * @param {Object} env - Environment bindings
-   */
-  constructor(state, env) {
-    // Timestamp at which this IP will next be allowed to send a message. Start in the distant
-    // past, i.e. the IP can send a message now.
-    /** @type {number} */
-    this.nextAllowedTime = 0;
-  }
-
-  /**
-   * Fetch handler for rate limiter
-   * POST: Register an action and update cooldown
-   * GET: Read current cooldown
-   * @param {Request} request - Incoming HTTP request
-   * @returns {Promise<Response>} Response with cooldown seconds (text/plain)
-   */
-  async fetch(request) {
-    return await handleErrors(request, async () => {
-      let now = Date.now() / 1000;
-      this.nextAllowedTime = Math.max(now, this.nextAllowedTime);
-
-      if (request.method == 'POST') {
-        this.nextAllowedTime += 1 / 10; // 10 requests per second
-      }
-
-      // Return the number of seconds that the client needs to wait.
-      //
-      // We provide a "grace" period of 300 seconds (5 minutes), meaning that the client can make thousands of requests
-      // in a quick burst before they start being limited.
-      let cooldown = Math.max(0, this.nextAllowedTime - now - 300);
-      return new Response(cooldown);
-    });
-  }
-}
-
-/**
- * RateLimiterClient - client-side rate limiting logic
- * Manages communication with RateLimiter Durable Object
- * Implements cooldown tracking and automatic reconnection
- */
-class RateLimiterClient {
-  /**
-   * @param {Function} getLimiterStub - Function that returns a RateLimiter DO stub
-   * @param {Function} reportError - Error handler function
-   */
-  constructor(getLimiterStub, reportError) {
-    /** @type {Function} */
-    this.getLimiterStub = getLimiterStub;
-    /** @type {Function} */
-    this.reportError = reportError;
-    /** @type {DurableObjectStub} */
-    this.limiter = getLimiterStub();
-
-    // When `inCooldown` is true, the rate limit is currently applied and checkLimit() will return false
-    /** @type {boolean} */
-    this.inCooldown = false;
-  }
-
-  /**
-   * Check if message should be allowed or blocked by rate limit
-   * @returns {boolean} true if message should be accepted, false to reject
-   */
-  checkLimit() {
-    if (this.inCooldown) {
-      return false;
-    }
-    this.inCooldown = true;
-    this.callLimiter();
-    return true;
-  }
-
-  /**
-   * Internal method - communicate with RateLimiter DO
-   * Implements automatic reconnection on stub disconnect
-   * Waits for cooldown period before clearing inCooldown flag
-   * @returns {Promise<void>}
-   */
-  async callLimiter() {
-    try {
-      let response;
-      try {
-        // Currently, fetch() needs a valid URL even though it's not actually going to the
-        // internet. We may loosen this in the future to accept an arbitrary string. But for now,
-        // we have to provide a dummy URL that will be ignored at the other end anyway.
-        response = await this.limiter.fetch('https://dummy-url', {
-          method: 'POST',
-        });
-      } catch (err) {
-        // `fetch()` threw an exception. This is probably because the limiter has been
-        // disconnected. Stubs implement E-order semantics, meaning that calls to the same stub
-        // are delivered to the remote object in order, until the stub becomes disconnected, after
-        // which point all further calls fail. This guarantee makes a lot of complex interaction
-        // patterns easier, but it means we must be prepared for the occasional disconnect, as
-        // networks are inherently unreliable.
-        //
-        // Anyway, get a new limiter and try again. If it fails again, something else is probably
-        // wrong.
-        this.limiter = this.getLimiterStub();
-        response = await this.limiter.fetch('https://dummy-url', {
-          method: 'POST',
-        });
-      }
-
-      let cooldown = +(await response.text());
-      await new Promise((resolve) => setTimeout(resolve, cooldown * 1000));
-      this.inCooldown = false;
-    } catch (err) {
-      this.reportError(err);
-    }
-  }
-}
@@ -0,0 +1,311 @@
+/**
+ * Upload content policy
+ *
+ * Uploads are served from the app's origin (`/files/*`), so a file the
+ * browser renders as a document (HTML, SVG, XML) could run scripts there.
+ * The client's file name and type are not trusted:
+ *  - sniffContentType() detects the type from the first bytes of the file
+ *    (magic numbers, or markup at the start of text files).
+ *  - /upload stores the detected type. Multipart uploads send the first
+ *    bytes of the file to mpu-create, which detects and checks the type, and
+ *    creates the object with it; the first part must then start with those
+ *    bytes (compared by their SHA-256, see readStreamHead()).
+ *  - Types matching a `deny` pattern, or no `allow` pattern when an allow-list
+ *    is set, are refused with 415. The policy can be overridden per
+ *    environment with an `UPLOAD_CONTENT_POLICY` table in wrangler.toml, e.g.
+ *
+ *      [vars.UPLOAD_CONTENT_POLICY]
+ *      allow = ["image/*", "video/*", "application/pdf"]
+ *      deny = ["text/html", "image/svg+xml"]
+ *
+ * On download, files are served with `X-Content-Type-Options: nosniff`, and
+ * with `Content-Disposition: attachment` unless their type is known to be
+ * safe to display inline (see getContentDisposition()). This also covers files
+ * stored before types were detected.
+ */
+
+/**
+ * @typedef {Object} ContentPolicy
+ * @property {string[]} allow - Allowed type patterns (`type/*` or exact), empty to allow all
+ * @property {string[]} deny - Refused type patterns
+ */
+
+/** @type {ContentPolicy} */
+export const DEFAULT_CONTENT_POLICY = {
+  allow: [],
+  deny: [
+    'text/html',
+    'application/xhtml+xml',
+    'image/svg+xml',
+    'application/xml',
+    'text/xml',
+    'text/javascript',
+    'application/javascript',
+  ],
+};
+
+// Types browsers display without running anything; others are downloaded
+const INLINE_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'image/avif',
+  'image/bmp',
+  'video/mp4',
+  'video/webm',
+  'audio/mpeg',
+  'audio/ogg',
+  'audio/wav',
+  'application/pdf',
+  'text/plain',
+];
+
+// Text types kept as declared when the content is plain text
+const TEXT_TYPES = [
+  'text/plain',
+  'text/csv',
+  'text/markdown',
+  'application/json',
+];
+
+/**
+ * Magic numbers: [offset, bytes, type]
+ * @type {Array<[number, number[]|string, string]>}
+ */
+const SIGNATURES = [
+  [0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a], 'image/png'],
+  [0, [0xff, 0xd8, 0xff], 'image/jpeg'],
+  [0, 'GIF87a', 'image/gif'],
+  [0, 'GIF89a', 'image/gif'],
+  [0, 'BM', 'image/bmp'],
+  [4, 'ftypavif', 'image/avif'],
+  [4, 'ftypheic', 'image/heic'],
+  [4, 'ftypqt', 'video/quicktime'],
+  [4, 'ftyp', 'video/mp4'],
+  [0, [0x1a, 0x45, 0xdf, 0xa3], 'video/webm'],
+  [0, 'ID3', 'audio/mpeg'],
+  [0, [0xff, 0xfb], 'audio/mpeg'],
+  [0, 'OggS', 'audio/ogg'],
+  [0, 'fLaC', 'audio/flac'],
+  [0, '%PDF-', 'application/pdf'],
+  [0, [0x50, 0x4b, 0x03, 0x04], 'application/zip'],
+  [0, [0x1f, 0x8b], 'application/gzip'],
+  [0, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c], 'application/x-7z-compressed'],
+  [0, 'Rar!', 'application/vnd.rar'],
+  [0, [0x00, 0x61, 0x73, 0x6d], 'application/wasm'],
+];
+
+// RIFF containers tell their format at offset 8
+const RIFF_TYPES = {
+  WEBP: 'image/webp',
+  WAVE: 'audio/wav',
+  'AVI ': 'video/x-msvideo',
+};
+
+// Markup at the start of a text file, as browsers sniff it
+const MARKUP_PATTERNS = [
+  [/^<\?xml[^>]*>[\s\S]*<svg[\s>]/i, 'image/svg+xml'],
+  [/^<svg[\s>]/i, 'image/svg+xml'],
+  [/^<\?xml/i, 'application/xml'],
+  [
+    /^<(!doctype html|html|head|body|script|iframe|h1|div|font|table|a|style|title|b|br|p|!--)[\s>]/i,
+    'text/html',
+  ],
+];
+
+/**
+ * Get the upload content policy, with overrides from the environment
+ * @param {Object} env - Environment bindings
+ * @returns {ContentPolicy}
+ */
+export function getContentPolicy(env) {
+  return { ...DEFAULT_CONTENT_POLICY, ...env.UPLOAD_CONTENT_POLICY };
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {number[]|string} signature
+ * @returns {boolean}
+ */
+function matchesAt(bytes, offset, signature) {
+  const expected =
+    typeof signature === 'string'
+      ? Array.from(signature, (char) => char.charCodeAt(0))
+      : signature;
+  if (bytes.length < offset + expected.length) return false;
+  return expected.every((byte, i) => bytes[offset + i] === byte);
+}
+
+/**
+ * Detect the type of a file from its first bytes
+ * @param {Uint8Array} bytes - Up to SNIFF_BYTES (common/constants.mjs) from
+ *   the start of the file
+ * @returns {string} `text/plain` for text without markup,
+ *   `application/octet-stream` for unknown binary data
+ */
+export function sniffContentType(bytes) {
+  if (matchesAt(bytes, 0, 'RIFF')) {
+    const format = String.fromCharCode(...bytes.subarray(8, 12));
+    if (RIFF_TYPES[format]) return RIFF_TYPES[format];
+  }
+  for (const [offset, signature, type] of SIGNATURES) {
+    if (matchesAt(bytes, offset, signature)) return type;
+  }
+
+  if (bytes.includes(0)) {
+    return 'application/octet-stream';
+  }
+  let text;
+  try {
+    // `stream` tolerates a character cut off at the end of the sample
+    text = new TextDecoder('utf-8', { fatal: true }).decode(bytes, {
+      stream: true,
+    });
+  } catch {
+    return 'application/octet-stream';
+  }
+  const start = text.replace(/^\uFEFF/, '').trimStart();
+  for (const [pattern, type] of MARKUP_PATTERNS) {
+    if (pattern.test(start)) return type;
+  }
+  return 'text/plain';
+}
+
+/**
+ * Choose the type to store an upload with
+ * @param {string} sniffedType - From sniffContentType()
+ * @param {string} [declaredType] - Sent by the client
+ * @returns {string}
+ */
+export function resolveContentType(sniffedType, declaredType) {
+  const declared = (declaredType || '').split(';')[0].trim().toLowerCase();
+  if (sniffedType === 'text/plain' && TEXT_TYPES.includes(declared)) {
+    return declared;
+  }
+  // Office documents, EPUBs, JARs... are ZIP files
+  if (
+    sniffedType === 'application/zip' &&
+    /^application\/(vnd\.|epub\+zip|java-archive)/.test(declared)
+  ) {
+    return declared;
+  }
+  return sniffedType;
+}
+
+/**
+ * @param {string} type
+ * @param {string} pattern - `type/*` or an exact type
+ * @returns {boolean}
+ */
+function matchesType(type, pattern) {
+  return pattern.endsWith('/*')
+    ? type.startsWith(pattern.slice(0, -1))
+    : type === pattern;
+}
+
+/**
+ * Check a type against the policy
+ * @param {ContentPolicy} policy
+ * @param {string} type
+ * @returns {string|null} Why the upload is refused, or null
+ */
+export function checkContentPolicy(policy, type) {
+  const normalized = (type || 'application/octet-stream')
+    .split(';')[0]
+    .trim()
+    .toLowerCase();
+  if (policy.deny.some((pattern) => matchesType(normalized, pattern))) {
+    return `Files of type ${normalized} are not allowed`;
+  }
+  if (
+    policy.allow.length > 0 &&
+    !policy.allow.some((pattern) => matchesType(normalized, pattern))
+  ) {
+    return `Files of type ${normalized} are not allowed`;
+  }
+  return null;
+}
+
+/**
+ * Read the first bytes of a stream without consuming them
+ * @param {ReadableStream<Uint8Array>} stream
+ * @param {number} length - Bytes wanted
+ * @returns {Promise<{ head: Uint8Array, body: ReadableStream<Uint8Array> }>}
+ *   Up to `length` bytes (fewer if the stream is shorter), and a stream of
+ *   all the bytes, to be read instead of `stream`
+ */
+export async function readStreamHead(stream, length) {
+  const reader = stream.getReader();
+  const chunks = [];
+  let size = 0;
+  while (size < length) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    size += value.byteLength;
+  }
+  const buffered = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    buffered.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+
+  const body = new ReadableStream({
+    start(controller) {
+      if (size > 0) controller.enqueue(buffered);
+    },
+    async pull(controller) {
+      const { done, value } = await reader.read();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    },
+  });
+  return { head: buffered.subarray(0, length), body };
+}
+
+/**
+ * Hash the first bytes of a file, to check a multipart upload's first part
+ * @param {Uint8Array} bytes
+ * @returns {Promise<string>} Hex SHA-256
+ */
+export async function digestHead(bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, '0'),
+  ).join('');
+}
+
+/**
+ * Clean up a file extension taken from a client file name
+ * @param {string} fileName
+ * @returns {string}
+ */
+export function getSafeExtension(fileName) {
+  const extension = fileName.includes('.')
+    ? fileName.split('.').pop().toLowerCase()
+    : '';
+  return /^[a-z0-9]{1,10}$/.test(extension) ? extension : 'bin';
+}
+
+/**
+ * Get the Content-Disposition a file is served with
+ * @param {string} [contentType] - Stored type
+ * @param {string} [fileName] - Original file name
+ * @returns {string}
+ */
+export function getContentDisposition(contentType, fileName) {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  const disposition = INLINE_TYPES.includes(type) ? 'inline' : 'attachment';
+  return fileName
+    ? `${disposition}; filename*=UTF-8''${encodeURIComponent(fileName)}`
+    : disposition;
+}
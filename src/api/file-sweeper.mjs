@@ -0,0 +1,559 @@
+/**
+ * Garbage collection of uploaded files
+ *
+ * Uploads are stored in the CHAT_FILES bucket under `<uuid>.<ext>`, shared by
+ * all rooms, and linked from `FILE:` messages. Nothing else refers to them,
+ * so objects whose messages were deleted (or never sent) and multipart
+ * uploads that were never completed or aborted would stay forever.
+ *
+ * A single FileSweeper Durable Object (`env.sweeper`, keyed by
+ * SWEEPER_NAME) cleans them up. The hourly cron trigger starts a sweep,
+ * which continues through alarms, one bucket listing page at a time:
+ *  - multipart uploads started more than STALE_UPLOAD_MS ago are aborted.
+ *    R2 cannot list them, so the ChatRoom registers each one on creation
+ *    (PUT /uploads) and unregisters it once completed or aborted
+ *    (DELETE /uploads).
+ *  - objects uploaded more than ORPHAN_GRACE_MS ago are deleted unless the
+ *    replication Durable Object of the room they were uploaded to still has
+ *    a message linking them (see `room` in the object's custom metadata).
+ *    A room whose replication DO cannot be reached is skipped until the
+ *    next sweep.
+ *
+ * Objects uploaded before rooms were recorded have no `room` metadata. Each
+ * replication DO reports the files its messages link once, the first time a
+ * client connects to it (PUT /room-files), and such objects are then swept
+ * as files of the room that reported them. Objects no room has reported,
+ * e.g. of rooms nobody opened since, are left alone; `unclaimedObjects` in
+ * the sweep report counts them, for an operator to review by hand.
+ *
+ * Rooms are told which of their files are gone (DELETE /uploads on the
+ * ChatRoom), so they no longer count against storage quotas
+ * (see storage-quota.mjs).
+ *
+ * `GET /api/files/gc` reports the current sweep and totals, including the
+ * bytes reclaimed.
+ */
+
+import { Hono } from 'hono';
+import { signUploadRelease } from './storage-quota.mjs';
+import { signToken, verifyToken } from './session-token.mjs';
+
+export const SWEEPER_NAME = 'files';
+
+// Uploads not yet linked from a message are kept this long, so that files
+// being posted are not swept from under their message
+const ORPHAN_GRACE_MS = 24 * 60 * 60 * 1000;
+
+// Multipart uploads still open after this long are considered abandoned
+const STALE_UPLOAD_MS = 24 * 60 * 60 * 1000;
+
+// Objects per bucket listing page, the most R2 returns
+const LIST_PAGE_SIZE = 1000;
+
+// Delay between the pages of a sweep
+const SWEEP_STEP_DELAY_MS = 1000;
+
+// Lifetime of a signed reference query, it is delivered right away
+const QUERY_TOKEN_TTL_MS = 60 * 1000;
+
+/**
+ * Find the file keys linked from a message text
+ * Both the JSON and the legacy `FILE:url|name|...` formats link
+ * `/files/<key>`.
+ * @param {string} text - Message text
+ * @returns {string[]}
+ */
+export function getLinkedFileKeys(text) {
+  if (typeof text !== 'string' || !text.startsWith('FILE:')) {
+    return [];
+  }
+  return Array.from(text.matchAll(/\/files\/([^"|?#\s]+)/g), (m) => m[1]);
+}
+
+/**
+ * Sign a query for the files of a room still linked from a message
+ * @param {string} secret - env.SESSION_SECRET
+ * @param {string} room - Room name
+ * @param {string[]} keys - Object keys
+ * @returns {Promise<string>}
+ */
+export function signReferencedQuery(secret, room, keys) {
+  return signToken(secret, 'files', { room, keys }, QUERY_TOKEN_TTL_MS);
+}
+
+/**
+ * Verify a signed reference query
+ * @param {string} secret - env.SESSION_SECRET
+ * @param {string} token
+ * @param {string} room - Room name the request was routed through
+ * @returns {Promise<string[]>} Object keys to look up
+ * @throws {Error} If the token is invalid or was signed for another room
+ */
+export async function verifyReferencedQuery(secret, token, room) {
+  const claims = await verifyToken(secret, token, 'files');
+  if (claims.room !== room) {
+    throw new Error('Reference query was signed for another room');
+  }
+  return claims.keys;
+}
+
+/**
+ * Get the FileSweeper stub
+ * @param {Object} env - Environment bindings
+ * @returns {DurableObjectStub}
+ */
+function getSweeper(env) {
+  return env.sweeper.get(env.sweeper.idFromName(SWEEPER_NAME));
+}
+
+/**
+ * Get the ChatRoom stub of a room, as the Worker routes /api/room/<name>
+ * @param {Object} env - Environment bindings
+ * @param {string} room - Room name
+ * @returns {DurableObjectStub}
+ */
+function getRoomStub(env, room) {
+  const id = /^[0-9a-f]{64}$/.test(room)
+    ? env.rooms.idFromString(room)
+    : env.rooms.idFromName(room);
+  return env.rooms.get(id);
+}
+
+/**
+ * Start a sweep, from the cron trigger
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+export async function startFileSweep(env) {
+  await getSweeper(env).fetch('https://dummy-url/sweep', { method: 'POST' });
+}
+
+/**
+ * Register or unregister an open multipart upload
+ * Failures are logged and otherwise ignored: the upload itself works anyway.
+ * @param {Object} env - Environment bindings
+ * @param {'PUT'|'DELETE'} method - PUT when created, DELETE when completed or aborted
+ * @param {{ uploadId: string, key: string, room?: string }} upload
+ * @returns {Promise<void>}
+ */
+export async function trackMultipartUpload(env, method, upload) {
+  try {
+    const response = await getSweeper(env).fetch('https://dummy-url/uploads', {
+      method,
+      body: JSON.stringify(upload),
+    });
+    if (!response.ok) {
+      throw new Error(await response.text());
+    }
+  } catch (err) {
+    console.error('Failed to track multipart upload:', err);
+  }
+}
+
+/**
+ * Report the files linked from a room's messages, see the header comment
+ * @param {Object} env - Environment bindings
+ * @param {string} room - Room name
+ * @param {string[]} keys - Object keys
+ * @returns {Promise<void>}
+ * @throws {Error} If the sweeper did not record them
+ */
+export async function reportRoomFiles(env, room, keys) {
+  const response = await getSweeper(env).fetch('https://dummy-url/room-files', {
+    method: 'PUT',
+    body: JSON.stringify({ room, keys }),
+  });
+  if (!response.ok) {
+    throw new Error(await response.text());
+  }
+}
+
+/**
+ * FileSweeper Durable Object - deletes orphaned files and aborts abandoned
+ * multipart uploads
+ */
+export class FileSweeper {
+  /**
+   * @param {DurableObjectState} state - Durable Object state
+   * @param {Object} env - Environment bindings
+   * @param {R2Bucket} env.CHAT_FILES - R2 bucket for file storage
+   * @param {DurableObjectNamespace} env.rxdb - RxDB replication namespace
+   * @param {DurableObjectNamespace} env.rooms - ChatRoom namespace
+   * @param {string} env.SESSION_SECRET - Signs the releases sent to rooms
+   */
+  constructor(state, env) {
+    this.state = state;
+    this.sql = state.storage.sql;
+    this.env = env;
+
+    this.sql.exec(`
+      CREATE TABLE IF NOT EXISTS open_uploads (
+        upload_id TEXT PRIMARY KEY,
+        file_key TEXT NOT NULL,
+        room TEXT,
+        created_at REAL NOT NULL
+      )
+    `);
+    // Rooms of the objects uploaded before rooms were recorded
+    this.sql.exec(`
+      CREATE TABLE IF NOT EXISTS file_rooms (
+        file_key TEXT PRIMARY KEY,
+        room TEXT NOT NULL
+      )
+    `);
+    // One row per sweep; `cursor` is the next listing page while it runs
+    this.sql.exec(`
+      CREATE TABLE IF NOT EXISTS sweeps (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        started_at REAL NOT NULL,
+        finished_at REAL,
+        cursor TEXT,
+        scanned INTEGER NOT NULL DEFAULT 0,
+        deleted INTEGER NOT NULL DEFAULT 0,
+        reclaimed_bytes INTEGER NOT NULL DEFAULT 0,
+        aborted_uploads INTEGER NOT NULL DEFAULT 0,
+        skipped_rooms INTEGER NOT NULL DEFAULT 0,
+        unclaimed_objects INTEGER NOT NULL DEFAULT 0,
+        error TEXT
+      )
+    `);
+    const columns = this.sql.exec('PRAGMA table_info(sweeps)').toArray();
+    for (const column of ['skipped_rooms', 'unclaimed_objects']) {
+      if (!columns.some(({ name }) => name === column)) {
+        this.sql.exec(
+          `ALTER TABLE sweeps ADD COLUMN ${column} INTEGER NOT NULL DEFAULT 0`,
+        );
+      }
+    }
+
+    /** @type {import('hono').Hono} */
+    this.app = this.createApp();
+  }
+
+  /**
+   * Create Hono app with the sweeper endpoints
+   * @returns {import('hono').Hono} Configured Hono app
+   */
+  createApp() {
+    const app = new Hono();
+
+    app.post('/sweep', async (c) => {
+      if (!this.getRunningSweep()) {
+        this.sql.exec('INSERT INTO sweeps (started_at) VALUES (?)', Date.now());
+        await this.state.storage.setAlarm(Date.now());
+      }
+      return c.json(this.getStatus());
+    });
+
+    app.get('/status', (c) => c.json(this.getStatus()));
+
+    app.put('/uploads', async (c) => {
+      const { uploadId, key, room } = await c.req.json();
+      if (!uploadId || !key) {
+        return c.json({ error: 'Missing uploadId or key' }, 400);
+      }
+      this.sql.exec(
+        `INSERT OR REPLACE INTO open_uploads (upload_id, file_key, room, created_at)
+         VALUES (?, ?, ?, ?)`,
+        uploadId,
+        key,
+        room || null,
+        Date.now(),
+      );
+      return c.json({ success: true });
+    });
+
+    app.delete('/uploads', async (c) => {
+      const { uploadId } = await c.req.json();
+      this.sql.exec('DELETE FROM open_uploads WHERE upload_id = ?', uploadId);
+      return c.json({ success: true });
+    });
+
+    app.put('/room-files', async (c) => {
+      const { room, keys } = await c.req.json();
+      if (!room || !Array.isArray(keys)) {
+        return c.json({ error: 'Missing room or keys' }, 400);
+      }
+      this.sql.exec(
+        `INSERT OR IGNORE INTO file_rooms (file_key, room)
+         SELECT value, ? FROM json_each(?)`,
+        room,
+        JSON.stringify(keys),
+      );
+      return c.json({ success: true });
+    });
+
+    return app;
+  }
+
+  /**
+   * @param {Request} request
+   * @returns {Promise<Response>}
+   */
+  async fetch(request) {
+    return this.app.fetch(request);
+  }
+
+  /**
+   * Alarm handler: sweep the next page of the running sweep
+   */
+  async alarm() {
+    const sweep = this.getRunningSweep();
+    if (!sweep) return;
+
+    try {
+      const aborted = sweep.cursor ? 0 : await this.abortStaleUploads();
+      const page = await this.sweepPage(sweep.cursor || undefined);
+      this.sql.exec(
+        `UPDATE sweeps
+         SET cursor = ?, finished_at = ?,
+             scanned = scanned + ?, deleted = deleted + ?,
+             reclaimed_bytes = reclaimed_bytes + ?,
+             aborted_uploads = aborted_uploads + ?,
+             skipped_rooms = skipped_rooms + ?,
+             unclaimed_objects = unclaimed_objects + ?
+         WHERE id = ?`,
+        page.cursor,
+        page.cursor ? null : Date.now(),
+        page.scanned,
+        page.deleted,
+        page.reclaimedBytes,
+        aborted,
+        page.skippedRooms,
+        page.unclaimedObjects,
+        sweep.id,
+      );
+      if (page.cursor) {
+        await this.state.storage.setAlarm(Date.now() + SWEEP_STEP_DELAY_MS);
+      }
+    } catch (err) {
+      // Give up on this sweep, the next cron trigger starts over
+      console.error('File sweep failed:', err);
+      this.sql.exec(
+        'UPDATE sweeps SET cursor = NULL, finished_at = ?, error = ? WHERE id = ?',
+        Date.now(),
+        err.message,
+        sweep.id,
+      );
+    }
+  }
+
+  /**
+   * Abort the multipart uploads left open for too long
+   * @returns {Promise<number>} Number of uploads aborted
+   */
+  async abortStaleUploads() {
+    const stale = this.sql
+      .exec(
+        'SELECT upload_id, file_key, room FROM open_uploads WHERE created_at < ?',
+        Date.now() - STALE_UPLOAD_MS,
+      )
+      .toArray();
+
+    let aborted = 0;
+    for (const upload of stale) {
+      try {
+        await this.env.CHAT_FILES.resumeMultipartUpload(
+          upload.file_key,
+          upload.upload_id,
+        ).abort();
+        aborted++;
+        if (upload.room) {
+          await this.releaseUploads(upload.room, [upload.file_key]);
+        }
+      } catch (err) {
+        // Most likely completed, aborted or expired by R2 in the meantime
+        console.warn(`Could not abort upload ${upload.upload_id}:`, err);
+      }
+      this.sql.exec(
+        'DELETE FROM open_uploads WHERE upload_id = ?',
+        upload.upload_id,
+      );
+    }
+    return aborted;
+  }
+
+  /**
+   * Delete the orphaned objects of one bucket listing page
+   * @param {string} [cursor] - Listing cursor, undefined for the first page
+   * @returns {Promise<{ cursor: string|null, scanned: number, deleted: number, reclaimedBytes: number, skippedRooms: number, unclaimedObjects: number }>}
+   */
+  async sweepPage(cursor) {
+    const listing = await this.env.CHAT_FILES.list({
+      cursor,
+      limit: LIST_PAGE_SIZE,
+      include: ['customMetadata'],
+    });
+
+    // Candidates by the room they were uploaded to, or that reported them
+    const horizon = Date.now() - ORPHAN_GRACE_MS;
+    const candidates = listing.objects.filter(
+      (object) => object.uploaded.getTime() < horizon,
+    );
+    const reportedRooms = this.getReportedRooms(
+      candidates
+        .filter((object) => !object.customMetadata?.room)
+        .map((object) => object.key),
+    );
+    const byRoom = new Map();
+    let unclaimedObjects = 0;
+    for (const object of candidates) {
+      const room = object.customMetadata?.room || reportedRooms.get(object.key);
+      if (!room) {
+        unclaimedObjects++;
+        continue;
+      }
+      if (!byRoom.has(room)) byRoom.set(room, []);
+      byRoom.get(room).push(object);
+    }
+
+    const orphans = [];
+    let skippedRooms = 0;
+    for (const [room, objects] of byRoom) {
+      let referenced;
+      try {
+        referenced = await this.getReferencedKeys(
+          room,
+          objects.map((object) => object.key),
+        );
+      } catch (err) {
+        // Nothing of the room is deleted; the next sweep tries again
+        console.warn('Skipping the files of a room in this sweep:', err);
+        skippedRooms++;
+        continue;
+      }
+      const roomOrphans = objects.filter(
+        (object) => !referenced.has(object.key),
+      );
+      if (roomOrphans.length > 0) {
+        const keys = roomOrphans.map((object) => object.key);
+        await this.env.CHAT_FILES.delete(keys);
+        this.sql.exec(
+          'DELETE FROM file_rooms WHERE file_key IN (SELECT value FROM json_each(?))',
+          JSON.stringify(keys),
+        );
+        await this.releaseUploads(room, keys);
+        orphans.push(...roomOrphans);
+      }
+    }
+
+    return {
+      cursor: listing.truncated ? listing.cursor : null,
+      scanned: listing.objects.length,
+      deleted: orphans.length,
+      reclaimedBytes: orphans.reduce((sum, object) => sum + object.size, 0),
+      skippedRooms,
+      unclaimedObjects,
+    };
+  }
+
+  /**
+   * Look up the rooms that reported objects without `room` metadata
+   * @param {string[]} keys - Object keys
+   * @returns {Map<string, string>} Room by object key, for reported objects
+   */
+  getReportedRooms(keys) {
+    if (keys.length === 0) return new Map();
+    const rows = this.sql
+      .exec(
+        `SELECT file_key, room FROM file_rooms
+         WHERE file_key IN (SELECT value FROM json_each(?))`,
+        JSON.stringify(keys),
+      )
+      .toArray();
+    return new Map(rows.map((row) => [row.file_key, row.room]));
+  }
+
+  /**
+   * Ask a room's replication DO which of its files are still linked
+   * @param {string} room - Room name
+   * @param {string[]} keys - Object keys
+   * @returns {Promise<Set<string>>}
+   * @throws {Error} If the replication DO did not answer, so nothing is deleted
+   */
+  async getReferencedKeys(room, keys) {
+    const stub = this.env.rxdb.get(this.env.rxdb.idFromName(room));
+    const response = await stub.fetch('https://dummy-url/files/referenced', {
+      method: 'POST',
+      headers: { 'X-Room-Name': room },
+      body: await signReferencedQuery(this.env.SESSION_SECRET, room, keys),
+    });
+    if (!response.ok) {
+      throw new Error(`Room ${room}: ${await response.text()}`);
+    }
+    const { referenced } = await response.json();
+    return new Set(referenced);
+  }
+
+  /**
+   * Tell a room that some of its files are gone
+   * Failures are logged: the room then overestimates its usage, nothing worse.
+   * @param {string} room - Room name
+   * @param {string[]} keys - Object keys
+   * @returns {Promise<void>}
+   */
+  async releaseUploads(room, keys) {
+    try {
+      const response = await getRoomStub(this.env, room).fetch(
+        'https://dummy-url/uploads',
+        {
+          method: 'DELETE',
+          headers: { 'X-Room-Name': room },
+          body: await signUploadRelease(this.env.SESSION_SECRET, room, keys),
+        },
+      );
+      if (!response.ok) {
+        throw new Error(await response.text());
+      }
+    } catch (err) {
+      console.error(`Failed to release uploads of room ${room}:`, err);
+    }
+  }
+
+  /**
+   * @returns {{ id: number, cursor: string|null }|null} The sweep in progress
+   */
+  getRunningSweep() {
+    return (
+      this.sql
+        .exec('SELECT id, cursor FROM sweeps WHERE finished_at IS NULL')
+        .toArray()[0] || null
+    );
+  }
+
+  /**
+   * Report of the latest sweep and totals over all sweeps
+   * @returns {Object}
+   */
+  getStatus() {
+    const latest = this.sql
+      .exec(
+        `SELECT started_at AS startedAt, finished_at AS finishedAt,
+                scanned, deleted, reclaimed_bytes AS reclaimedBytes,
+                aborted_uploads AS abortedUploads,
+                skipped_rooms AS skippedRooms,
+                unclaimed_objects AS unclaimedObjects, error
+         FROM sweeps ORDER BY id DESC LIMIT 1`,
+      )
+      .toArray()[0];
+    const totals = this.sql
+      .exec(
+        `SELECT COUNT(*) AS sweeps,
+                COALESCE(SUM(deleted), 0) AS deleted,
+                COALESCE(SUM(reclaimed_bytes), 0) AS reclaimedBytes,
+                COALESCE(SUM(aborted_uploads), 0) AS abortedUploads
+         FROM sweeps`,
+      )
+      .toArray()[0];
+    const openUploads = this.sql
+      .exec('SELECT COUNT(*) AS count FROM open_uploads')
+      .toArray()[0].count;
+
+    return {
+      running: !!latest && latest.finishedAt === null,
+      latest: latest || null,
+      totals,
+      openUploads,
+    };
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * Signed file download URLs
+ *
+ * Messages link uploads by their stable path, `/files/<key>`. That path alone
+ * no longer serves the file: a member of the room asks the ChatRoom to sign
+ * it (POST /api/room/<name>/files/sign with their session token), and gets
+ * `/files/<key>?token=<token>`, valid for FILE_URL_TTL_MS.
+ *
+ * The token is signed with SESSION_SECRET (see session-token.mjs) and binds
+ * the key to the room. The ChatRoom only signs files uploaded to the room
+ * (`room` in the object's custom metadata; files uploaded before rooms were
+ * recorded can be signed by any room), and `GET /files/*` checks the token
+ * and the object's room again before serving it.
+ */
+
+import { signToken, verifyToken } from './session-token.mjs';
+
+export const FILE_URL_TTL_MS = 60 * 60 * 1000;
+
+// Upper bound for the keys signed by one request
+export const MAX_SIGNED_FILES = 100;
+
+/**
+ * Sign a download URL
+ * @param {string} secret - env.SESSION_SECRET
+ * @param {string} room - Room the file was uploaded to
+ * @param {string} key - Object key
+ * @returns {Promise<string>} `/files/<key>?token=...`
+ */
+export async function signFileUrl(secret, room, key) {
+  const token = await signToken(secret, 'file', { room, key }, FILE_URL_TTL_MS);
+  return `/files/${key}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Verify the token of a download URL
+ * @param {string} secret - env.SESSION_SECRET
+ * @param {string|null} token
+ * @param {string} key - Object key requested
+ * @returns {Promise<{ room: string, exp: number }>}
+ * @throws {Error} If the token is missing, invalid, expired or for another file
+ */
+export async function verifyFileUrl(secret, token, key) {
+  const claims = await verifyToken(secret, token, 'file');
+  if (claims.key !== key) {
+    throw new Error('Token was signed for another file');
+  }
+  return claims;
+}
+
+/**
+ * Whether an object may be served under a room
+ * @param {R2Object} object
+ * @param {string} room
+ * @returns {boolean}
+ */
+export function isFileOfRoom(object, room) {
+  const uploadedTo = object.customMetadata?.room;
+  return !uploadedTo || uploadedTo === room;
+}
@@ -0,0 +1,121 @@
+/**
+ * Image metadata and thumbnails for uploads
+ *
+ * After an image is stored (/upload or /upload/mpu-complete), the ChatRoom
+ * reads its dimensions and derives, with the Cloudflare Images binding
+ * (`env.IMAGES`):
+ *  - a thumbnail THUMBNAIL_WIDTH pixels wide, stored next to the original
+ *    under getThumbnailKey(key), for images wider than that
+ *  - a tiny blurred-up placeholder, inlined as a data: URL
+ *
+ * Clients put these into the `FILE:` message (width, height, thumbnail,
+ * placeholder), so that chat bubbles reserve the image's space and load the
+ * thumbnail instead of the original. Thumbnails carry the room of their
+ * original, so they are signed (file-urls.mjs) and swept (file-sweeper.mjs)
+ * the same way; they do not count against storage quotas.
+ *
+ * Processing is best effort: without the binding, or if it fails, the upload
+ * simply has no image metadata.
+ */
+
+export const THUMBNAIL_WIDTH = 400;
+const PLACEHOLDER_WIDTH = 16;
+
+// Larger images are left as they are
+const MAX_PROCESSED_IMAGE_BYTES = 20 * 1024 * 1024;
+
+// Raster formats the Images binding can read; SVG is served as is
+const PROCESSED_IMAGE_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'image/avif',
+];
+
+/**
+ * @typedef {Object} ImageMetadata
+ * @property {number} width - Width of the original, in pixels
+ * @property {number} height - Height of the original, in pixels
+ * @property {string|null} thumbnailUrl - Stable path of the thumbnail, null if the original is small enough
+ * @property {string|null} placeholder - data: URL of a tiny preview
+ */
+
+/**
+ * Get the R2 key of an upload's thumbnail
+ * @param {string} key - Key of the original
+ * @returns {string}
+ */
+export function getThumbnailKey(key) {
+  return `${key}.thumb.webp`;
+}
+
+/**
+ * @param {ArrayBuffer} buffer
+ * @returns {string}
+ */
+function toBase64(buffer) {
+  let binary = '';
+  for (const byte of new Uint8Array(buffer)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Read the dimensions of an uploaded image and derive its thumbnail and
+ * placeholder
+ * @param {Object} env - Environment bindings
+ * @param {{ key: string, room: string, type: string, size: number, getStream: () => Promise<ReadableStream> }} upload
+ *   `getStream` opens the stored image again; it is read more than once
+ * @returns {Promise<ImageMetadata|null>} Null for files that are not processed
+ */
+export async function extractImageMetadata(
+  env,
+  { key, room, type, size, getStream },
+) {
+  if (
+    !env.IMAGES ||
+    !PROCESSED_IMAGE_TYPES.includes(type) ||
+    size > MAX_PROCESSED_IMAGE_BYTES
+  ) {
+    return null;
+  }
+
+  try {
+    const { width, height } = await env.IMAGES.info(await getStream());
+    if (!width || !height) return null;
+
+    let thumbnailUrl = null;
+    if (width > THUMBNAIL_WIDTH) {
+      const thumbnail = await env.IMAGES.input(await getStream())
+        .transform({ width: THUMBNAIL_WIDTH })
+        .output({ format: 'image/webp', quality: 80 });
+      const thumbnailKey = getThumbnailKey(key);
+      await env.CHAT_FILES.put(
+        thumbnailKey,
+        await thumbnail.response().arrayBuffer(),
+        {
+          httpMetadata: { contentType: 'image/webp' },
+          customMetadata: { room, thumbnailOf: key },
+        },
+      );
+      thumbnailUrl = `/files/${thumbnailKey}`;
+    }
+
+    const placeholder = await env.IMAGES.input(await getStream())
+      .transform({ width: PLACEHOLDER_WIDTH })
+      .output({ format: 'image/webp', quality: 50 });
+    const placeholderBytes = await placeholder.response().arrayBuffer();
+
+    return {
+      width,
+      height,
+      thumbnailUrl,
+      placeholder: `data:image/webp;base64,${toBase64(placeholderBytes)}`,
+    };
+  } catch (err) {
+    console.error(`Failed to process image ${key}:`, err);
+    return null;
+  }
+}
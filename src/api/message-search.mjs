@@ -0,0 +1,237 @@
+/**
+ * Full-text search over replicated messages
+ *
+ * The replication Durable Object keeps an FTS5 table next to its `messages`
+ * table. Rows are indexed from `handleMasterWrite`, so the index always
+ * matches the stored documents, and searched through
+ * `GET /api/rxdb/<room>/search?q=...&offset=...`, which requires the
+ * session token of a room member.
+ *
+ * Queries use the same grammar as the search modal (see
+ * common/search-query.mjs): free text is matched against the index, filters
+ * are applied to the stored documents.
+ */
+
+import {
+  parseSearchQuery,
+  SNIPPET_MARK_START,
+  SNIPPET_MARK_END,
+} from '../common/search-query.mjs';
+import {
+  ENCRYPTED_TEXT_PREFIX,
+  isEncryptedText,
+} from '../common/encrypted-text.mjs';
+
+export const SEARCH_PAGE_SIZE = 20;
+const MAX_SEARCH_PAGE_SIZE = 50;
+
+// Length of the preview returned when there is no text to highlight
+const PREVIEW_LENGTH = 200;
+
+/**
+ * Get the text of a message that should be searchable.
+ * File messages (`FILE:url|name|type`) are found by their file name.
+ * Encrypted messages (see common/encrypted-text.mjs) are not searchable.
+ * @param {Object} doc - Message document
+ * @returns {string}
+ */
+function getSearchableText(doc) {
+  const text = doc.text || '';
+  if (isEncryptedText(text)) {
+    return '';
+  }
+  if (text.startsWith('FILE:')) {
+    return text.substring(5).split('|')[1] || '';
+  }
+  return text;
+}
+
+/**
+ * Create the search index, filling it from stored messages the first time
+ * @param {SqlStorage} sql
+ */
+export function initSearchIndex(sql) {
+  const exists =
+    sql
+      .exec(
+        `SELECT name FROM sqlite_master
+         WHERE type = 'table' AND name = 'messages_fts'`,
+      )
+      .toArray().length > 0;
+  if (exists) return;
+
+  sql.exec(`
+    CREATE VIRTUAL TABLE messages_fts USING fts5(
+      id UNINDEXED,
+      text,
+      tokenize = 'unicode61 remove_diacritics 2'
+    )
+  `);
+  rebuildSearchIndex(sql);
+}
+
+/**
+ * Re-index every stored message, e.g. after a schema migration
+ * @param {SqlStorage} sql
+ */
+export function rebuildSearchIndex(sql) {
+  sql.exec('DELETE FROM messages_fts');
+  const rows = sql
+    .exec('SELECT id, data FROM messages WHERE _deleted = 0')
+    .toArray();
+  for (const row of rows) {
+    indexMessage(sql, row.id, JSON.parse(row.data), false);
+  }
+}
+
+/**
+ * Update the index entry of a single message
+ * @param {SqlStorage} sql
+ * @param {string} id - Message id
+ * @param {Object} doc - Stored message document
+ * @param {boolean} deleted - Whether the message is soft-deleted
+ */
+export function indexMessage(sql, id, doc, deleted) {
+  sql.exec('DELETE FROM messages_fts WHERE id = ?', id);
+  const text = getSearchableText(doc);
+  if (!deleted && text) {
+    sql.exec('INSERT INTO messages_fts (id, text) VALUES (?, ?)', id, text);
+  }
+}
+
+/**
+ * Turn free text into an FTS5 query: every word must match, and the last
+ * word may be a prefix (search-as-you-type). Words are quoted so FTS5
+ * operators in user input are matched literally.
+ * @param {string} text
+ * @returns {string}
+ */
+function toMatchQuery(text) {
+  const words = text.split(/\s+/).filter(Boolean);
+  return words
+    .map((word, index) => {
+      const quoted = `"${word.replace(/"/g, '""')}"`;
+      return index === words.length - 1 ? `${quoted}*` : quoted;
+    })
+    .join(' ');
+}
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {string} messageId
+ * @property {string} username
+ * @property {string} channel
+ * @property {number} timestamp
+ * @property {boolean} isFile - Whether the message is a file message
+ * @property {string} snippet - Matching excerpt; matched terms are wrapped in
+ *   SNIPPET_MARK_START / SNIPPET_MARK_END
+ */
+
+/**
+ * Search messages
+ *
+ * Results are ranked by relevance when the query has free text, otherwise
+ * newest first.
+ *
+ * @param {SqlStorage} sql
+ * @param {string} query - Search query (see common/search-query.mjs)
+ * @param {Object} [options]
+ * @param {number} [options.offset] - Number of results to skip
+ * @param {number} [options.limit] - Page size
+ * @returns {{ results: SearchResult[], nextOffset: number|null }}
+ */
+export function searchMessages(
+  sql,
+  query,
+  { offset = 0, limit = SEARCH_PAGE_SIZE } = {},
+) {
+  const filters = parseSearchQuery(query);
+  offset = Math.max(Math.floor(offset) || 0, 0);
+  limit = Math.min(
+    Math.max(Math.floor(limit) || SEARCH_PAGE_SIZE, 1),
+    MAX_SEARCH_PAGE_SIZE,
+  );
+
+  const conditions = ['m._deleted = 0'];
+  const bindings = [];
+  if (filters.from) {
+    conditions.push(`json_extract(m.data, '$.username') = ?`);
+    bindings.push(filters.from);
+  }
+  if (filters.in) {
+    conditions.push(`lower(json_extract(m.data, '$.channel')) = ?`);
+    bindings.push(filters.in.toLowerCase());
+  }
+  if (filters.has === 'link') {
+    // Ciphertext may contain "http" by chance; its links cannot be seen
+    conditions.push(
+      `json_extract(m.data, '$.text') LIKE '%http%'`,
+      `json_extract(m.data, '$.text') NOT LIKE ?`,
+    );
+    bindings.push(`${ENCRYPTED_TEXT_PREFIX}%`);
+  } else if (filters.has === 'file') {
+    conditions.push(`json_extract(m.data, '$.text') LIKE 'FILE:%'`);
+  }
+  if (filters.pinned !== null) {
+    conditions.push(
+      `${filters.pinned ? '' : 'NOT '}EXISTS (
+        SELECT 1 FROM pins p WHERE p.id = m.id AND p._deleted = 0
+      )`,
+    );
+  }
+
+  const matchQuery = toMatchQuery(filters.text);
+  if (!matchQuery && conditions.length === 1) {
+    return { results: [], nextOffset: null };
+  }
+
+  // Fetch one extra row to know whether there is another page
+  const rows = matchQuery
+    ? sql
+        .exec(
+          `SELECT m.id, m.data,
+             snippet(messages_fts, 1, ?, ?, '…', 16) AS snippet
+           FROM messages_fts
+           JOIN messages m ON m.id = messages_fts.id
+           WHERE messages_fts MATCH ? AND ${conditions.join(' AND ')}
+           ORDER BY bm25(messages_fts), json_extract(m.data, '$.timestamp') DESC
+           LIMIT ? OFFSET ?`,
+          SNIPPET_MARK_START,
+          SNIPPET_MARK_END,
+          matchQuery,
+          ...bindings,
+          limit + 1,
+          offset,
+        )
+        .toArray()
+    : sql
+        .exec(
+          `SELECT m.id, m.data, NULL AS snippet
+           FROM messages m
+           WHERE ${conditions.join(' AND ')}
+           ORDER BY json_extract(m.data, '$.timestamp') DESC, m.id DESC
+           LIMIT ? OFFSET ?`,
+          ...bindings,
+          limit + 1,
+          offset,
+        )
+        .toArray();
+
+  const results = rows.slice(0, limit).map((row) => {
+    const doc = JSON.parse(row.data);
+    return {
+      messageId: row.id,
+      username: doc.username,
+      channel: doc.channel,
+      timestamp: doc.timestamp,
+      isFile: (doc.text || '').startsWith('FILE:'),
+      snippet:
+        row.snippet ?? getSearchableText(doc).substring(0, PREVIEW_LENGTH),
+    };
+  });
+
+  return {
+    results,
+    nextOffset: rows.length > limit ? offset + limit : null,
+  };
+}
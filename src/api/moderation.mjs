@@ -0,0 +1,224 @@
+/**
+ * Room moderation
+ *
+ * Roles:
+ *  - owner: holds the owner secret returned when a private room is created
+ *    (POST /api/room). Owners can grant and revoke the moderator role, shut
+ *    the room down, and do everything moderators can.
+ *  - moderator: granted by an owner to a connected user, whose client then
+ *    receives a moderator secret. It only works together with that name.
+ *
+ * Role secrets are stored hashed by the ChatRoom. Clients present theirs when
+ * they register on the presence WebSocket, and the role ends up in the
+ * session token (see session-token.mjs).
+ *
+ * The ChatRoom only takes an owner from a claim signed with SESSION_SECRET,
+ * which the Worker signs when it creates the room. Private rooms created
+ * before rooms had owners get one from the operator instead:
+ * `POST /api/admin/room/<name>/owner` with `Authorization: Bearer
+ * <ADMIN_SECRET>` returns a new owner secret, to hand to the rightful owner.
+ *
+ * Moderators can kick a user's sessions, ban a name or the IP hashes of a
+ * user's connections, mute a user for a while, and delete anyone's message.
+ * Owners and moderators cannot be moderated, except moderators by an owner.
+ * Names the owner used are protected while the owner is offline, and bans
+ * never apply to the owner.
+ *
+ * The ChatRoom keeps the moderation state and enforces it on the presence
+ * WebSocket. After every change it pushes a snapshot to the room's
+ * replication Durable Object (PUT /moderation), which enforces it on
+ * replicated and REST writes. The snapshot is signed with SESSION_SECRET, as
+ * that endpoint is reachable by clients too.
+ */
+
+import { signToken, verifyToken } from './session-token.mjs';
+
+// Roles allowed to moderate, most powerful first
+export const MODERATION_ROLES = ['owner', 'moderator'];
+
+// Lifetime of a signed moderation snapshot, it is delivered right away
+const MODERATION_TOKEN_TTL_MS = 60 * 1000;
+
+// Lifetime of a signed owner claim, it is delivered right away
+const OWNER_CLAIM_TTL_MS = 60 * 1000;
+
+/**
+ * @typedef {Object} ModerationState
+ * @property {number} version - When the snapshot was taken; older ones are ignored
+ * @property {string[]} moderators - Names currently holding the moderator role
+ * @property {Object<string, number>} mutes - Muted names -> end of the mute (ms)
+ * @property {string[]} bannedNames
+ * @property {string[]} bannedIpHashes - See hashIp()
+ * @property {string[]} kicked - Names whose connections must be signed out now
+ */
+
+/**
+ * Whether a role may use moderation commands
+ * @param {string|null|undefined} role
+ * @returns {boolean}
+ */
+export function canModerate(role) {
+  return MODERATION_ROLES.includes(role);
+}
+
+/**
+ * @param {ArrayBuffer|Uint8Array} bytes
+ * @returns {string}
+ */
+function toHex(bytes) {
+  return Array.from(new Uint8Array(bytes), (byte) =>
+    byte.toString(16).padStart(2, '0'),
+  ).join('');
+}
+
+/**
+ * Generate a random role secret
+ * @returns {string} 64 hex digits
+ */
+export function generateSecret() {
+  return toHex(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+/**
+ * Hash a role secret for storage
+ * @param {string} secret
+ * @returns {Promise<string>}
+ */
+export async function hashSecret(secret) {
+  return toHex(
+    await crypto.subtle.digest('SHA-256', new TextEncoder().encode(secret)),
+  );
+}
+
+/**
+ * Hash a client IP, so that bans don't store addresses
+ * Peppered with SESSION_SECRET: without it, the IPv4 space is small enough
+ * to reverse the hashes.
+ * @param {string} pepper - env.SESSION_SECRET
+ * @param {string|null} ip - Client IP
+ * @returns {Promise<string|null>} Null if the IP is unknown
+ */
+export async function hashIp(pepper, ip) {
+  if (!ip) return null;
+  return hashSecret(`${pepper || ''}:${ip}`);
+}
+
+/**
+ * Sign a moderation snapshot for the replication Durable Object
+ * @param {string} secret - env.SESSION_SECRET
+ * @param {string} room - Room name
+ * @param {ModerationState} state
+ * @returns {Promise<string>}
+ */
+export function signModerationState(secret, room, state) {
+  return signToken(
+    secret,
+    'moderation',
+    { room, state },
+    MODERATION_TOKEN_TTL_MS,
+  );
+}
+
+/**
+ * Verify a signed moderation snapshot
+ * @param {string} secret - env.SESSION_SECRET
+ * @param {string} token
+ * @param {string} room - Room name the request was routed through
+ * @returns {Promise<ModerationState>}
+ * @throws {Error} If the token is invalid or was signed for another room
+ */
+export async function verifyModerationState(secret, token, room) {
+  const claims = await verifyToken(secret, token, 'moderation');
+  if (claims.room !== room) {
+    throw new Error('Moderation state was signed for another room');
+  }
+  return claims.state;
+}
+
+/**
+ * Sign the claim of a room's owner secret for the room's ChatRoom
+ * @param {string} secret - env.SESSION_SECRET
+ * @param {string} room - Room name
+ * @param {string} ownerSecret - See generateSecret()
+ * @returns {Promise<string>}
+ */
+export async function signOwnerClaim(secret, room, ownerSecret) {
+  return signToken(
+    secret,
+    'owner',
+    { room, secretHash: await hashSecret(ownerSecret) },
+    OWNER_CLAIM_TTL_MS,
+  );
+}
+
+/**
+ * Verify a signed owner claim
+ * @param {string} secret - env.SESSION_SECRET
+ * @param {string} token
+ * @param {string} room - Room name the request was routed through
+ * @returns {Promise<string>} Hash of the owner secret
+ * @throws {Error} If the token is invalid or was signed for another room
+ */
+export async function verifyOwnerClaim(secret, token, room) {
+  const claims = await verifyToken(secret, token, 'owner');
+  if (claims.room !== room) {
+    throw new Error('Owner claim was signed for another room');
+  }
+  return claims.secretHash;
+}
+
+/**
+ * Get the remaining mute of a user
+ * @param {ModerationState|null} state
+ * @param {string} name
+ * @returns {number} End of the mute (ms), or 0 if the user is not muted
+ */
+export function getMutedUntil(state, name) {
+  const until = state?.mutes?.[name] || 0;
+  return until > Date.now() ? until : 0;
+}
+
+/**
+ * Check whether a user or connection is banned
+ * @param {ModerationState|null} state
+ * @param {{ name?: string|null, role?: string|null, ipHash?: string|null }} who
+ * @returns {boolean} Never true for the owner
+ */
+export function isBanned(state, { name, role, ipHash }) {
+  if (!state || role === 'owner') return false;
+  return (
+    (!!name && state.bannedNames.includes(name)) ||
+    (!!ipHash && state.bannedIpHashes.includes(ipHash))
+  );
+}
+
+/**
+ * Check whether a user may write under the moderation state
+ * @param {ModerationState|null} state
+ * @param {{ name: string, role?: string|null, ipHash?: string|null }} identity
+ * @returns {string|null} Why the user may not write, or null
+ */
+export function getModerationRejection(state, identity) {
+  if (isBanned(state, identity)) {
+    return 'You are banned from this room';
+  }
+  const mutedUntil = getMutedUntil(state, identity.name);
+  if (mutedUntil && identity.role !== 'owner') {
+    return `You are muted until ${new Date(mutedUntil).toISOString()}`;
+  }
+  return null;
+}
+
+/**
+ * Get the role of an identity that is still in effect
+ * A moderator role in a session token is dropped once it has been revoked.
+ * @param {ModerationState|null} state
+ * @param {{ name: string, role?: string|null }} identity
+ * @returns {string|null}
+ */
+export function getEffectiveRole(state, identity) {
+  if (identity.role === 'moderator') {
+    return state?.moderators.includes(identity.name) ? 'moderator' : null;
+  }
+  return identity.role || null;
+}
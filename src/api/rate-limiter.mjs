@@ -0,0 +1,237 @@
+/**
+ * Per-IP rate limiting
+ *
+ * Each client IP gets a RateLimiter Durable Object (`env.limiters`, keyed by
+ * `idFromName(ip)`) holding one bucket per kind of action. A bucket allows
+ * `perSecond` units of cost per second, after a burst worth `graceSeconds`
+ * of that rate:
+ *
+ *   messages       chat messages over the presence WebSocket
+ *   uploads        file uploads started
+ *   upload-bytes   bytes uploaded
+ *   room-creation  private rooms created
+ *   replication-rows   documents written through RxDB replication
+ *   replication-bytes  size of those writes
+ *
+ * Limits can be overridden per environment with a `RATE_LIMITS` table in
+ * wrangler.toml, e.g.
+ *
+ *   [vars.RATE_LIMITS]
+ *   uploads = { perSecond = 0.5, graceSeconds = 60 }
+ */
+
+/**
+ * @typedef {Object} RateLimit
+ * @property {number} perSecond - Sustained cost allowed per second
+ * @property {number} graceSeconds - Burst allowance, in seconds of `perSecond`
+ */
+
+/** @type {Object<string, RateLimit>} */
+export const DEFAULT_RATE_LIMITS = {
+  messages: { perSecond: 10, graceSeconds: 300 },
+  uploads: { perSecond: 0.5, graceSeconds: 60 },
+  'upload-bytes': { perSecond: 2 * 1024 * 1024, graceSeconds: 300 },
+  'room-creation': { perSecond: 0.1, graceSeconds: 300 },
+  'replication-rows': { perSecond: 20, graceSeconds: 60 },
+  'replication-bytes': { perSecond: 256 * 1024, graceSeconds: 60 },
+};
+
+/**
+ * Get the limits of every bucket, with overrides from the environment
+ * @param {Object} env - Environment bindings
+ * @returns {Object<string, RateLimit>}
+ */
+export function getRateLimits(env) {
+  const overrides = env.RATE_LIMITS || {};
+  return Object.fromEntries(
+    Object.entries(DEFAULT_RATE_LIMITS).map(([bucket, limit]) => [
+      bucket,
+      { ...limit, ...overrides[bucket] },
+    ]),
+  );
+}
+
+/**
+ * RateLimiter Durable Object - tracks action frequency per IP address
+ * Implements global rate limiting across all chat rooms
+ * Uses "cooldown" pattern: allows burst traffic, then enforces delay
+ */
+export class RateLimiter {
+  /**
+   * @param {DurableObjectState} state - Durable Object state
+   * @param {Object} env - Environment bindings
+   * @param {Object<string, RateLimit>} [env.RATE_LIMITS] - Limit overrides
+   */
+  constructor(state, env) {
+    /** @type {Object<string, RateLimit>} */
+    this.limits = getRateLimits(env);
+
+    // Timestamp (in seconds) at which this IP will next be allowed to act, per bucket.
+    // Missing buckets are in the distant past, i.e. the IP can act now.
+    /** @type {Map<string, number>} */
+    this.nextAllowedTime = new Map();
+  }
+
+  /**
+   * Fetch handler for rate limiter
+   * POST /<bucket>?cost=N: Register an action and update cooldown
+   * GET /<bucket>: Read current cooldown
+   * @param {Request} request - Incoming HTTP request
+   * @returns {Promise<Response>} Response with cooldown seconds (text/plain)
+   */
+  async fetch(request) {
+    const url = new URL(request.url);
+    const bucket = url.pathname.slice(1) || 'messages';
+    const limit = this.limits[bucket];
+    if (!limit) {
+      return new Response(`Unknown rate limit bucket: ${bucket}`, {
+        status: 400,
+      });
+    }
+
+    let now = Date.now() / 1000;
+    let nextAllowedTime = Math.max(now, this.nextAllowedTime.get(bucket) || 0);
+
+    if (request.method == 'POST') {
+      const cost = url.searchParams.has('cost')
+        ? Math.max(Number(url.searchParams.get('cost')) || 0, 0)
+        : 1;
+      nextAllowedTime += cost / limit.perSecond;
+    }
+    this.nextAllowedTime.set(bucket, nextAllowedTime);
+
+    // Return the number of seconds that the client needs to wait. The grace
+    // period lets a client make a burst of requests before being limited.
+    let cooldown = Math.max(0, nextAllowedTime - now - limit.graceSeconds);
+    return new Response(cooldown);
+  }
+}
+
+/**
+ * Charge an action against an IP's bucket
+ * @param {Object} env - Environment bindings
+ * @param {string} ip - Client IP
+ * @param {string} bucket - Bucket name (see DEFAULT_RATE_LIMITS)
+ * @param {number} [cost] - Cost of the action (e.g. bytes)
+ * @returns {Promise<number>} Seconds to wait; 0 if the action is allowed
+ */
+export async function chargeRateLimit(env, ip, bucket, cost = 1) {
+  const limiter = env.limiters.get(env.limiters.idFromName(ip || 'unknown'));
+  const response = await limiter.fetch(
+    `https://dummy-url/${bucket}?cost=${cost}`,
+    { method: 'POST' },
+  );
+  return +(await response.text());
+}
+
+/**
+ * Build a 429 response for a rate-limited HTTP request
+ * @param {number} cooldown - Seconds to wait
+ * @param {string} message - What the client should wait for
+ * @returns {Response}
+ */
+export function rateLimitedResponse(cooldown, message) {
+  const retryAfter = Math.max(1, Math.ceil(cooldown));
+  return Response.json(
+    { error: `${message} Try again in ${retryAfter}s.`, retryAfter },
+    { status: 429, headers: { 'Retry-After': String(retryAfter) } },
+  );
+}
+
+/**
+ * RateLimiterClient - client-side rate limiting logic
+ * Manages communication with RateLimiter Durable Object
+ * Implements cooldown tracking and automatic reconnection
+ */
+export class RateLimiterClient {
+  /**
+   * @param {Function} getLimiterStub - Function that returns a RateLimiter DO stub
+   * @param {Function} reportError - Error handler function
+   * @param {string} [bucket] - Bucket the actions are charged to
+   */
+  constructor(getLimiterStub, reportError, bucket = 'messages') {
+    /** @type {Function} */
+    this.getLimiterStub = getLimiterStub;
+    /** @type {Function} */
+    this.reportError = reportError;
+    /** @type {string} */
+    this.bucket = bucket;
+    /** @type {DurableObjectStub} */
+    this.limiter = getLimiterStub();
+
+    // When `inCooldown` is true, the rate limit is currently applied and checkLimit() will return false
+    /** @type {boolean} */
+    this.inCooldown = false;
+    // When the current cooldown ends (ms), once the limiter has answered
+    /** @type {number} */
+    this.cooldownUntil = 0;
+  }
+
+  /**
+   * Check if message should be allowed or blocked by rate limit
+   * @returns {boolean} true if message should be accepted, false to reject
+   */
+  checkLimit() {
+    if (this.inCooldown) {
+      return false;
+    }
+    this.inCooldown = true;
+    this.cooldownUntil = 0;
+    this.callLimiter();
+    return true;
+  }
+
+  /**
+   * Seconds until checkLimit() will accept again
+   * @returns {number} At least 1 while in cooldown, 0 otherwise
+   */
+  getRetryAfter() {
+    if (!this.inCooldown) {
+      return 0;
+    }
+    return Math.max(1, Math.ceil((this.cooldownUntil - Date.now()) / 1000));
+  }
+
+  /**
+   * Internal method - communicate with RateLimiter DO
+   * Implements automatic reconnection on stub disconnect
+   * Waits for cooldown period before clearing inCooldown flag
+   * @returns {Promise<void>}
+   */
+  async callLimiter() {
+    try {
+      let response;
+      try {
+        // Currently, fetch() needs a valid URL even though it's not actually going to the
+        // internet. We may loosen this in the future to accept an arbitrary string. But for now,
+        // we have to provide a dummy URL; only its path (the bucket) is used at the other end.
+        response = await this.limiter.fetch(
+          `https://dummy-url/${this.bucket}`,
+          { method: 'POST' },
+        );
+      } catch (err) {
+        // `fetch()` threw an exception. This is probably because the limiter has been
+        // disconnected. Stubs implement E-order semantics, meaning that calls to the same stub
+        // are delivered to the remote object in order, until the stub becomes disconnected, after
+        // which point all further calls fail. This guarantee makes a lot of complex interaction
+        // patterns easier, but it means we must be prepared for the occasional disconnect, as
+        // networks are inherently unreliable.
+        //
+        // Anyway, get a new limiter and try again. If it fails again, something else is probably
+        // wrong.
+        this.limiter = this.getLimiterStub();
+        response = await this.limiter.fetch(
+          `https://dummy-url/${this.bucket}`,
+          { method: 'POST' },
+        );
+      }
+
+      let cooldown = +(await response.text());
+      this.cooldownUntil = Date.now() + cooldown * 1000;
+      await new Promise((resolve) => setTimeout(resolve, cooldown * 1000));
+      this.inCooldown = false;
+    } catch (err) {
+      this.reportError(err);
+    }
+  }
+}
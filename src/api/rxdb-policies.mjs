@@ -0,0 +1,255 @@
+/**
+ * Write policies for replicated RxDB collections
+ *
+ * The replication Durable Object accepts `masterWrite` batches from any
+ * connected socket, so each incoming row is checked against the policy of
+ * its collection before it is stored.
+ *
+ * A policy receives:
+ *  - identity: the authenticated writer ({ name, role }), see session-token.mjs
+ *    and moderation.mjs; `role` is only set while it is in effect
+ *  - newDoc: the document state the client wants to write
+ *  - currentDoc: the document currently stored on the server (including
+ *    soft-deleted rows), or null for a fresh insert
+ *  - getDocument(collectionName, id): lookup for related rows
+ *
+ * It returns null to accept the write, or a string describing why the write
+ * was rejected. Rejected rows are reported back to the client as conflicts.
+ */
+
+import { canModerate } from './moderation.mjs';
+import {
+  isRetentionKey,
+  isCanonicalRetentionKey,
+  isValidRetentionValue,
+} from '../common/retention.mjs';
+import {
+  ENCRYPTED_ROOM_KEY,
+  isEncryptedText,
+} from '../common/encrypted-text.mjs';
+
+/**
+ * Keys clients are allowed to write into `room_settings`
+ */
+export const ROOM_SETTING_KEYS = ['roomName'];
+
+// Fields a moderator's deletion must leave untouched
+const MESSAGE_FIELDS = [
+  'username',
+  'text',
+  'channel',
+  'timestamp',
+  'replyToId',
+  'editedAt',
+];
+
+/**
+ * Compare two field values, treating undefined and null as equal
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function sameValue(a, b) {
+  return (a ?? null) === (b ?? null);
+}
+
+/**
+ * Find the first field whose value differs between two documents
+ * @param {Object} newDoc
+ * @param {Object} currentDoc
+ * @param {string[]} fields
+ * @returns {string|null} Name of the changed field, or null
+ */
+function findChangedField(newDoc, currentDoc, fields) {
+  return (
+    fields.find((field) => !sameValue(newDoc[field], currentDoc[field])) ?? null
+  );
+}
+
+/**
+ * Check that a document is written under the writer's own name, and that an
+ * existing document already belonged to the writer
+ * @param {{ name: string }} identity
+ * @param {Object} newDoc
+ * @param {Object|null} currentDoc
+ * @param {string} label - Document kind for the rejection reason
+ * @returns {string|null}
+ */
+function checkOwnership(identity, newDoc, currentDoc, label) {
+  if (newDoc.username !== identity.name) {
+    return `Cannot write a ${label} as ${newDoc.username} (authenticated as ${identity.name})`;
+  }
+  if (currentDoc && currentDoc.username !== identity.name) {
+    return `This ${label} belongs to ${currentDoc.username}`;
+  }
+  return null;
+}
+
+/**
+ * Only the original author may write, edit or delete a message, and the
+ * fields that place a message in history cannot be rewritten by an edit.
+ * Owners and moderators may also delete anyone's message, as it is.
+ * In rooms marked as encrypted, message text must be encrypted.
+ */
+function messagesPolicy({ identity, newDoc, currentDoc, getDocument }) {
+  if (
+    canModerate(identity.role) &&
+    currentDoc &&
+    !currentDoc._deleted &&
+    newDoc._deleted &&
+    !findChangedField(newDoc, currentDoc, MESSAGE_FIELDS)
+  ) {
+    return null;
+  }
+
+  if (!newDoc._deleted && !isEncryptedText(newDoc.text)) {
+    const encrypted = getDocument('room_settings', ENCRYPTED_ROOM_KEY);
+    if (encrypted && !encrypted._deleted && encrypted.value === 'true') {
+      return 'Messages in this room must be end-to-end encrypted';
+    }
+  }
+
+  const ownership = checkOwnership(identity, newDoc, currentDoc, 'message');
+  if (ownership || !currentDoc) {
+    return ownership;
+  }
+  const changed = findChangedField(newDoc, currentDoc, [
+    'channel',
+    'timestamp',
+    'replyToId',
+  ]);
+  if (changed) {
+    return `Field "${changed}" of a message cannot be changed`;
+  }
+  return null;
+}
+
+/**
+ * Reactions are added under the writer's own name, and only the reacting
+ * user may change or remove them.
+ */
+function reactionsPolicy({ identity, newDoc, currentDoc }) {
+  const ownership = checkOwnership(identity, newDoc, currentDoc, 'reaction');
+  if (ownership || !currentDoc) {
+    return ownership;
+  }
+  const changed = findChangedField(newDoc, currentDoc, [
+    'messageId',
+    'reactionId',
+  ]);
+  if (changed) {
+    return `Field "${changed}" of a reaction cannot be changed`;
+  }
+  return null;
+}
+
+/**
+ * Check that a document is created under the writer's own name, and that an
+ * existing one is only changed by its creator or an owner or moderator.
+ * Documents whose creator is unknown (null) are left to owners and moderators.
+ * @param {{ name: string, role?: string|null }} identity
+ * @param {Object} newDoc
+ * @param {Object|null} currentDoc
+ * @param {string} field - Field holding the creator
+ * @param {string} label - Document kind for the rejection reason
+ * @returns {string|null}
+ */
+function checkCreator(identity, newDoc, currentDoc, field, label) {
+  if (!currentDoc || currentDoc._deleted) {
+    if (newDoc[field] !== identity.name) {
+      return `Cannot write a ${label} as ${newDoc[field]} (authenticated as ${identity.name})`;
+    }
+    return null;
+  }
+  if (!sameValue(newDoc[field], currentDoc[field])) {
+    return `Field "${field}" of a ${label} cannot be changed`;
+  }
+  if (currentDoc[field] !== identity.name && !canModerate(identity.role)) {
+    return currentDoc[field]
+      ? `This ${label} belongs to ${currentDoc[field]}`
+      : `Only owners and moderators can change this ${label}`;
+  }
+  return null;
+}
+
+/**
+ * Channels are created under the writer's name; only their creator or an
+ * owner or moderator may change or delete them.
+ */
+function channelsPolicy({ identity, newDoc, currentDoc }) {
+  return checkCreator(identity, newDoc, currentDoc, 'createdBy', 'channel');
+}
+
+/**
+ * Pins must point at an existing message and stay in that message's channel.
+ * Only the member who pinned a message, or an owner or moderator, may unpin
+ * it or change the pin.
+ */
+function pinsPolicy({ identity, newDoc, currentDoc, getDocument }) {
+  const creator = checkCreator(identity, newDoc, currentDoc, 'pinnedBy', 'pin');
+  if (creator || newDoc._deleted) {
+    return creator;
+  }
+  const message = getDocument('messages', newDoc.messageId);
+  if (!message || message._deleted) {
+    return `Cannot pin unknown message ${newDoc.messageId}`;
+  }
+  const messageChannel = (message.channel || 'general').toLowerCase();
+  if ((newDoc.channelName || '').toLowerCase() !== messageChannel) {
+    return 'Pin channel does not match message channel';
+  }
+  return null;
+}
+
+/**
+ * Room settings are a fixed set of keys that can be updated but never removed.
+ * Retention settings (see retention.mjs) are left to owners and moderators,
+ * and so is marking the room as encrypted, which cannot be undone
+ * (see encrypted-text.mjs).
+ */
+function roomSettingsPolicy({ identity, newDoc }) {
+  if (isRetentionKey(newDoc.key)) {
+    if (!canModerate(identity.role)) {
+      return 'Only owners and moderators can change message retention';
+    }
+    if (!isCanonicalRetentionKey(newDoc.key)) {
+      return `Retention keys use lowercase channel names: ${newDoc.key}`;
+    }
+    if (!isValidRetentionValue(newDoc.value)) {
+      return `Invalid retention: ${newDoc.value}`;
+    }
+  } else if (newDoc.key === ENCRYPTED_ROOM_KEY) {
+    if (!canModerate(identity.role)) {
+      return 'Only owners and moderators can mark the room as encrypted';
+    }
+    if (newDoc.value !== 'true') {
+      return 'An encrypted room cannot be made unencrypted';
+    }
+  } else if (!ROOM_SETTING_KEYS.includes(newDoc.key)) {
+    return `Unknown room setting: ${newDoc.key}`;
+  }
+  if (newDoc._deleted) {
+    return `Room setting ${newDoc.key} cannot be deleted`;
+  }
+  return null;
+}
+
+const WRITE_POLICIES = {
+  messages: messagesPolicy,
+  reactions: reactionsPolicy,
+  channels: channelsPolicy,
+  pins: pinsPolicy,
+  room_settings: roomSettingsPolicy,
+};
+
+/**
+ * Check a single write against the policy of its collection
+ *
+ * @param {string} collectionName
+ * @param {{ identity: { name: string, role?: string|null }, newDoc: Object, currentDoc: Object|null, getDocument: Function }} context
+ * @returns {string|null} Rejection reason, or null if the write is allowed
+ */
+export function checkWritePolicy(collectionName, context) {
+  const policy = WRITE_POLICIES[collectionName];
+  return policy ? policy(context) : null;
+}
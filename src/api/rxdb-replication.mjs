@@ -6,11 +6,118 @@
  *
  * Protocol:
  * - Client sends: { id, collection, method, params }
- *   Methods: 'masterChangesSince', 'masterWrite', 'masterChangeStream$', 'auth'
+ *   Methods: 'masterChangesSince', 'masterWrite', 'masterChangeStream$',
+ *   'masterHistory' (messages only), 'handshake', 'auth'
  * - Server responds: { id, collection, result }
+ *   'masterWrite' responses may also carry `rejected`, one structured error
+ *   per row the server refused: { documentId, code, message, errors? }
  * - Server streams changes: { id: 'stream', collection, result }
+ *
+ * History:
+ * - A first sync of `messages` starts at the current end of the change log
+ *   instead of replaying the whole room. Clients page in each channel's
+ *   history with 'masterHistory', newest page first.
+ *
+ * HTTP endpoints (besides the WebSocket upgrade):
+ * - GET /search?q=...&offset=... runs a full-text search over the room's
+ *   messages (see message-search.mjs), for members with a session token.
+ * - POST /files/referenced tells which uploaded files are still linked from
+ *   a message; only the FileSweeper can ask, with a query signed with
+ *   SESSION_SECRET (see file-sweeper.mjs).
+ * - GET/PUT/DELETE /message/<id>, GET /message/<id>/revisions,
+ *   GET /thread/<id> and GET /channel/<name>/messages serve the REST API of
+ *   `ChatAPI` (the ChatRoom forwards /api/room/<name>/... here). They
+ *   require `Authorization: Bearer <session token>`, and writes go through
+ *   the same path as replicated writes.
+ *
+ * Schema versions:
+ * - 'handshake' takes { schemaVersions } (collection name -> schema version).
+ *   Replication methods are refused until the client's versions match the
+ *   server's, so clients running an older or newer bundle cannot sync
+ *   documents in an incompatible shape. Stored documents are migrated to the
+ *   current versions when the Durable Object starts (see rxdb-migrations.mjs).
+ *
+ * Authentication:
+ * - 'auth' takes a session token issued by the ChatRoom (see session-token.mjs).
+ *   The verified identity is kept in the WebSocket attachment for the lifetime
+ *   of the socket, and 'masterWrite' is refused until auth succeeds.
+ *
+ * Moderation:
+ * - The ChatRoom pushes its moderation state (bans, mutes, moderators) with
+ *   PUT /moderation, signed with SESSION_SECRET (see moderation.mjs). Banned
+ *   users are disconnected and cannot authenticate, kicked users are signed
+ *   out, and writes of banned or muted users are refused with code
+ *   'MODERATION'. Owners and moderators may delete anyone's message.
+ *
+ * Audit log:
+ * - Deletions of messages, pins and channels are recorded in an append-only
+ *   audit log, next to entries the ChatRoom sends with POST /audit. Owners
+ *   read it with GET /audit (see audit-log.mjs).
+ *
+ * Retention:
+ * - Room owners and moderators set how long messages are kept, for the room
+ *   and per channel, in `room_settings` (see retention.mjs). An hourly alarm
+ *   turns expired messages into tombstones, together with their reactions
+ *   and pins, and streams them to connected clients.
+ * - The same alarm compacts tombstones older than TOMBSTONE_HORIZON_MS by
+ *   removing them for good. A client whose checkpoint predates the last
+ *   compaction of a collection gets { error, code: 'RESYNC_REQUIRED' } from
+ *   'masterChangesSince', as it may have missed deletions, and must drop its
+ *   local copy and sync again.
+ *
+ * Rate limiting:
+ * - Writes ('masterWrite' batches and REST edits/deletes) are charged to the
+ *   caller's per-IP RateLimiter, by rows and by bytes (see rate-limiter.mjs).
+ *   Over the limit, the write is refused with
+ *   { error, code: 'RATE_LIMITED', retryAfter } and nothing is stored.
  */
 
+import { Hono } from 'hono';
+import { checkWritePolicy } from './rxdb-policies.mjs';
+import { verifySessionToken } from './session-token.mjs';
+import {
+  hashIp,
+  isBanned,
+  getModerationRejection,
+  getEffectiveRole,
+  verifyModerationState,
+} from './moderation.mjs';
+import { BANNED_CLOSE_CODE } from '../common/constants.mjs';
+import {
+  initAuditLog,
+  appendAuditEntry,
+  listAuditEntries,
+  verifyAuditEntry,
+} from './audit-log.mjs';
+import { chargeRateLimit, rateLimitedResponse } from './rate-limiter.mjs';
+import {
+  getLinkedFileKeys,
+  verifyReferencedQuery,
+  reportRoomFiles,
+} from './file-sweeper.mjs';
+import {
+  RETENTION_KEY,
+  isRetentionKey,
+  parseRetentionDays,
+  getRetentionCutoff,
+} from '../common/retention.mjs';
+import {
+  collectionSchemas,
+  serverFieldLimits,
+} from '../common/rxdb-schemas.mjs';
+import { validateDocument } from '../common/schema-validator.mjs';
+import {
+  getSchemaVersions,
+  migrateDocument,
+} from '../common/rxdb-migrations.mjs';
+import { HISTORY_PAGE_SIZE } from '../common/constants.mjs';
+import {
+  initSearchIndex,
+  rebuildSearchIndex,
+  indexMessage,
+  searchMessages,
+} from './message-search.mjs';
+
 /**
  * SQL table schema for each RxDB collection.
  * Each collection gets its own table with:
@@ -28,6 +135,67 @@ const COLLECTIONS = [
   'room_settings',
 ];
 
+// Upper bound for a single 'masterHistory' page
+const MAX_HISTORY_PAGE_SIZE = 200;
+
+// Upper bound for the replies returned by GET /thread/<id>
+const MAX_THREAD_REPLIES = 1000;
+
+// Message fields the server sets on new messages, see stampMessage
+const STAMPED_FIELDS = ['username', 'timestamp'];
+
+// Deletions recorded in the audit log, by collection
+const AUDITED_DELETIONS = {
+  messages: 'message.delete',
+  pins: 'pin.delete',
+  channels: 'channel.delete',
+};
+
+// How often the alarm expires messages and compacts tombstones
+const RETENTION_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// Upper bound for the messages expired by one alarm; the alarm comes back
+// right away when there are more
+const RETENTION_BATCH_SIZE = 500;
+
+// Age after which tombstones are removed for good. Clients that have not
+// synced for longer must resync from scratch.
+const TOMBSTONE_HORIZON_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Storage flag set once the room's linked files were reported to the
+// FileSweeper, see reportLinkedFiles
+const LINKED_FILES_REPORTED_KEY = 'linkedFilesReported';
+
+// Sort key of a message within its channel, see handleMasterHistory
+const MESSAGE_CHANNEL_SQL = `lower(json_extract(data, '$.channel'))`;
+const MESSAGE_TIMESTAMP_SQL = `json_extract(data, '$.timestamp')`;
+
+/**
+ * Strip replication metadata from a message document for the REST API
+ * @param {Object} doc - Stored message document
+ * @returns {Object}
+ */
+function toApiMessage(doc) {
+  const { _deleted, _meta, _rev, ...message } = doc;
+  return message;
+}
+
+/**
+ * Describe a deleted document for the audit log
+ * @param {string} collectionName
+ * @param {Object} doc - Deleted document
+ * @returns {Object|null}
+ */
+function getDeletionDetails(collectionName, doc) {
+  if (collectionName === 'messages') {
+    return { author: doc.username, channel: doc.channel };
+  }
+  if (collectionName === 'pins') {
+    return { messageId: doc.messageId, channel: doc.channelName };
+  }
+  return null;
+}
+
 /**
  * Initialize SQLite tables for all collections
  * @param {SqlStorage} sql
@@ -48,6 +216,122 @@ function initTables(sql) {
         ON "${collection}" (_meta_lwt, id)
     `);
   }
+
+  // Per-channel history paging
+  sql.exec(`
+    CREATE INDEX IF NOT EXISTS idx_messages_channel_timestamp
+      ON messages (${MESSAGE_CHANNEL_SQL}, ${MESSAGE_TIMESTAMP_SQL}, id)
+  `);
+
+  // Thread lookups by parent message
+  sql.exec(`
+    CREATE INDEX IF NOT EXISTS idx_messages_reply_to
+      ON messages (json_extract(data, '$.replyToId'))
+  `);
+
+  // Previous texts of edited messages, oldest revision first
+  sql.exec(`
+    CREATE TABLE IF NOT EXISTS message_revisions (
+      message_id TEXT NOT NULL,
+      revision INTEGER NOT NULL,
+      text TEXT NOT NULL,
+      replaced_at REAL NOT NULL,
+      edited_by TEXT NOT NULL,
+      PRIMARY KEY (message_id, revision)
+    )
+  `);
+
+  // Last moderation state pushed by the ChatRoom, a single JSON row
+  sql.exec(`
+    CREATE TABLE IF NOT EXISTS moderation_state (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      data TEXT NOT NULL
+    )
+  `);
+
+  // Last write time of the newest tombstone compacted away, per collection
+  sql.exec(`
+    CREATE TABLE IF NOT EXISTS compaction_horizon (
+      collection TEXT PRIMARY KEY,
+      compacted_before REAL NOT NULL
+    )
+  `);
+
+  // Schema version of the documents stored in each collection table
+  sql.exec(`
+    CREATE TABLE IF NOT EXISTS _schema_versions (
+      collection TEXT PRIMARY KEY,
+      version INTEGER NOT NULL
+    )
+  `);
+}
+
+/**
+ * Migrate stored documents to the current schema version of each collection
+ *
+ * Tables created before schema versioning hold version 0 documents. Each
+ * collection is migrated in its own transaction, so a failing strategy leaves
+ * that table untouched at its previous version.
+ *
+ * @param {DurableObjectStorage} storage
+ * @returns {string[]} Names of the collections whose documents were migrated
+ */
+function migrateTables(storage) {
+  const sql = storage.sql;
+  const currentVersions = getSchemaVersions();
+  const migrated = [];
+
+  for (const collection of COLLECTIONS) {
+    const stored = sql
+      .exec(
+        'SELECT version FROM _schema_versions WHERE collection = ?',
+        collection,
+      )
+      .toArray()[0];
+    const storedVersion = stored ? stored.version : 0;
+    const currentVersion = currentVersions[collection];
+
+    if (storedVersion > currentVersion) {
+      console.error(
+        `Stored ${collection} documents are at schema v${storedVersion}, newer than v${currentVersion}`,
+      );
+      continue;
+    }
+
+    storage.transactionSync(() => {
+      if (storedVersion < currentVersion) {
+        const rows = sql.exec(`SELECT id, data FROM "${collection}"`).toArray();
+        for (const row of rows) {
+          const migratedDoc = migrateDocument(
+            collection,
+            JSON.parse(row.data),
+            storedVersion,
+            currentVersion,
+          );
+          if (migratedDoc === null) {
+            sql.exec(`DELETE FROM "${collection}" WHERE id = ?`, row.id);
+          } else {
+            sql.exec(
+              `UPDATE "${collection}" SET data = ? WHERE id = ?`,
+              JSON.stringify(migratedDoc),
+              row.id,
+            );
+          }
+        }
+        console.log(
+          `Migrated ${rows.length} ${collection} documents from schema v${storedVersion} to v${currentVersion}`,
+        );
+        migrated.push(collection);
+      }
+      sql.exec(
+        'INSERT OR REPLACE INTO _schema_versions (collection, version) VALUES (?, ?)',
+        collection,
+        currentVersion,
+      );
+    });
+  }
+
+  return migrated;
 }
 
 /**
@@ -61,9 +345,25 @@ export class RxDBReplicationDurableObject {
     this.sql = state.storage.sql;
     this.env = env;
 
-    // Initialize tables
+    // Moderation state pushed by the ChatRoom, see moderation.mjs
+    /** @type {import('./moderation.mjs').ModerationState|null} */
+    this.moderation = null;
+
+    // Initialize tables and bring stored documents up to the current schemas
     this.state.blockConcurrencyWhile(async () => {
       initTables(this.sql);
+      initAuditLog(this.sql);
+      this.moderation = this.loadModerationState();
+      const migrated = migrateTables(this.state.storage);
+      initSearchIndex(this.sql);
+      if (migrated.includes('messages')) {
+        rebuildSearchIndex(this.sql);
+      }
+      if ((await this.state.storage.getAlarm()) === null) {
+        await this.state.storage.setAlarm(
+          Date.now() + RETENTION_CHECK_INTERVAL_MS,
+        );
+      }
     });
 
     // Track WebSocket sessions for broadcasting
@@ -72,25 +372,304 @@ export class RxDBReplicationDurableObject {
       const meta = ws.deserializeAttachment();
       this.sessions.set(ws, new Set(meta?.collections || []));
     });
+
+    // Last stamped message timestamp, keeps message order monotonic
+    /** @type {number} */
+    this.lastTimestamp = 0;
+
+    /** @type {import('hono').Hono} */
+    this.app = this.createApp();
   }
 
-  async fetch(request) {
-    const url = new URL(request.url);
+  /**
+   * Create Hono app with the HTTP endpoints of the replicated data
+   * @returns {import('hono').Hono} Configured Hono app
+   */
+  createApp() {
+    const app = new Hono();
 
+    app.put('/moderation', async (c) => {
+      let state;
+      try {
+        state = await verifyModerationState(
+          this.env.SESSION_SECRET,
+          await c.req.text(),
+          c.req.header('X-Room-Name'),
+        );
+      } catch (err) {
+        return c.json({ error: err.message }, 403);
+      }
+      if (!this.moderation || state.version >= this.moderation.version) {
+        await this.applyModerationState(state);
+      }
+      return c.json({ success: true });
+    });
+
+    app.post('/audit', async (c) => {
+      let audit;
+      try {
+        audit = await verifyAuditEntry(
+          this.env.SESSION_SECRET,
+          await c.req.text(),
+          c.req.header('X-Room-Name'),
+        );
+      } catch (err) {
+        return c.json({ error: err.message }, 403);
+      }
+      appendAuditEntry(this.sql, audit.entry, audit.at);
+      return c.json({ success: true });
+    });
+
+    app.get('/audit', async (c) => {
+      const identity = await this.getRequestIdentity(c.req.raw);
+      if (!identity) {
+        return c.json({ error: 'Not authenticated' }, 401);
+      }
+      if (getEffectiveRole(this.moderation, identity) !== 'owner') {
+        return c.json(
+          { error: 'Only room owners can read the audit log' },
+          403,
+        );
+      }
+      return c.json(
+        listAuditEntries(this.sql, {
+          before: Number(c.req.query('before')),
+          limit: Number(c.req.query('limit')),
+        }),
+      );
+    });
+
+    // Which of the given files are linked from a message, see file-sweeper.mjs
+    app.post('/files/referenced', async (c) => {
+      let keys;
+      try {
+        keys = await verifyReferencedQuery(
+          this.env.SESSION_SECRET,
+          await c.req.text(),
+          c.req.header('X-Room-Name'),
+        );
+      } catch (err) {
+        return c.json({ error: err.message }, 403);
+      }
+      if (!Array.isArray(keys)) {
+        return c.json({ error: 'Missing keys' }, 400);
+      }
+      const linked = this.getLinkedFileKeys();
+      return c.json({ referenced: keys.filter((key) => linked.has(key)) });
+    });
+
+    app.get('/search', async (c) => {
+      const identity = await this.getRequestIdentity(c.req.raw);
+      if (!identity) {
+        return c.json({ error: 'Not authenticated' }, 401);
+      }
+      return c.json(
+        searchMessages(this.sql, c.req.query('q') || '', {
+          offset: Number(c.req.query('offset')),
+          limit: Number(c.req.query('limit')),
+        }),
+      );
+    });
+
+    app.get('/message/:id', async (c) => {
+      const identity = await this.getRequestIdentity(c.req.raw);
+      if (!identity) {
+        return c.json({ error: 'Not authenticated' }, 401);
+      }
+      const doc = this.getDocument('messages', c.req.param('id'));
+      if (!doc || doc._deleted) {
+        return c.json({ error: 'Message not found' }, 404);
+      }
+      return c.json(toApiMessage(doc));
+    });
+
+    app.get('/message/:id/revisions', async (c) => {
+      const identity = await this.getRequestIdentity(c.req.raw);
+      if (!identity) {
+        return c.json({ error: 'Not authenticated' }, 401);
+      }
+      const messageId = c.req.param('id');
+      const doc = this.getDocument('messages', messageId);
+      if (!doc || doc._deleted) {
+        return c.json({ error: 'Message not found' }, 404);
+      }
+      return c.json({ messageId, revisions: this.getRevisions(messageId) });
+    });
+
+    app.put('/message/:id', async (c) => {
+      const identity = await this.getRequestIdentity(c.req.raw);
+      if (!identity) {
+        return c.json({ error: 'Not authenticated' }, 401);
+      }
+      const body = await c.req.text();
+      const cooldown = await this.chargeWrite(
+        c.req.header('CF-Connecting-IP'),
+        1,
+        new TextEncoder().encode(body).byteLength,
+      );
+      if (cooldown > 0) {
+        return rateLimitedResponse(cooldown, 'You are writing too fast.');
+      }
+      let newMessage;
+      try {
+        ({ newMessage } = JSON.parse(body) ?? {});
+      } catch {
+        return c.json({ error: 'Invalid JSON body' }, 400);
+      }
+      if (typeof newMessage !== 'string' || !newMessage.trim()) {
+        return c.json({ error: 'newMessage is required' }, 400);
+      }
+
+      const messageId = c.req.param('id');
+      const doc = this.getDocument('messages', messageId);
+      if (!doc || doc._deleted) {
+        return c.json({ error: 'Message not found' }, 404);
+      }
+
+      const failure = this.applyRestWrite(identity, doc, {
+        ...doc,
+        text: newMessage,
+        editedAt: Date.now(),
+      });
+      if (failure) {
+        return c.json(failure, failure.status);
+      }
+      return c.json({
+        success: true,
+        message: toApiMessage(this.getDocument('messages', messageId)),
+      });
+    });
+
+    app.delete('/message/:id', async (c) => {
+      const identity = await this.getRequestIdentity(c.req.raw);
+      if (!identity) {
+        return c.json({ error: 'Not authenticated' }, 401);
+      }
+      const doc = this.getDocument('messages', c.req.param('id'));
+      if (!doc || doc._deleted) {
+        return c.json({ error: 'Message not found' }, 404);
+      }
+
+      // Charged like the same tombstone pushed over the replication socket
+      const tombstone = { ...doc, _deleted: true };
+      const cooldown = await this.chargeWrite(
+        c.req.header('CF-Connecting-IP'),
+        1,
+        new TextEncoder().encode(JSON.stringify(tombstone)).byteLength,
+      );
+      if (cooldown > 0) {
+        return rateLimitedResponse(cooldown, 'You are writing too fast.');
+      }
+
+      const failure = this.applyRestWrite(identity, doc, tombstone);
+      if (failure) {
+        return c.json(failure, failure.status);
+      }
+      return c.json({ success: true });
+    });
+
+    app.get('/thread/:id', async (c) => {
+      const identity = await this.getRequestIdentity(c.req.raw);
+      if (!identity) {
+        return c.json({ error: 'Not authenticated' }, 401);
+      }
+      const messageId = c.req.param('id');
+      const root = this.getDocument('messages', messageId);
+      if (!root) {
+        return c.json({ error: 'Message not found' }, 404);
+      }
+      const nested = c.req.query('nested') !== 'false';
+      return c.json({
+        messageId,
+        root: root._deleted ? null : toApiMessage(root),
+        replies: this.getThreadReplies(messageId, nested).map(toApiMessage),
+      });
+    });
+
+    app.get('/channel/:name/messages', async (c) => {
+      const identity = await this.getRequestIdentity(c.req.raw);
+      if (!identity) {
+        return c.json({ error: 'Not authenticated' }, 401);
+      }
+      const channel = c.req.param('name');
+      const before = c.req.query('before');
+      const { documents, hasMore } = this.handleMasterHistory({
+        channel,
+        limit: Number(c.req.query('limit')),
+        before: before
+          ? {
+              timestamp: Number(before),
+              messageId: c.req.query('beforeId') || '',
+            }
+          : null,
+      });
+      return c.json({
+        channel,
+        messages: documents.map(toApiMessage),
+        hasMore,
+      });
+    });
+
+    return app;
+  }
+
+  async fetch(request) {
     if (request.headers.get('Upgrade') === 'websocket') {
       const pair = new WebSocketPair();
-      await this.handleSession(pair[1]);
+      await this.handleSession(
+        pair[1],
+        request.headers.get('X-Room-Name'),
+        request.headers.get('CF-Connecting-IP'),
+      );
       return new Response(null, { status: 101, webSocket: pair[0] });
     }
 
-    return new Response('Expected WebSocket', { status: 400 });
+    return this.app.fetch(request);
   }
 
-  async handleSession(webSocket) {
+  /**
+   * Accept a replication WebSocket
+   * @param {WebSocket} webSocket
+   * @param {string} room - Room name the client connected through
+   * @param {string} ip - Client IP, for rate limiting writes
+   */
+  async handleSession(webSocket, room, ip) {
     this.state.acceptWebSocket(webSocket);
+    const ipHash = await hashIp(this.env.SESSION_SECRET, ip);
+    if (ipHash && isBanned(this.moderation, { ipHash })) {
+      webSocket.close(BANNED_CLOSE_CODE, 'Banned from this room');
+      return;
+    }
+
     const subscribedCollections = new Set();
     this.sessions.set(webSocket, subscribedCollections);
-    webSocket.serializeAttachment({ collections: [] });
+    webSocket.serializeAttachment({
+      room,
+      ip,
+      ipHash,
+      // Identifies the connection in the audit log
+      sessionId: crypto.randomUUID(),
+      collections: [],
+      identity: null,
+      schemaVersionsChecked: false,
+    });
+
+    this.reportLinkedFiles(room).catch((err) =>
+      console.error('Failed to report linked files:', err),
+    );
+  }
+
+  /**
+   * Report the files linked from the room's messages to the FileSweeper,
+   * once, so that files uploaded before rooms were recorded can be swept
+   * (see file-sweeper.mjs)
+   * @param {string} room - Room name
+   * @returns {Promise<void>}
+   */
+  async reportLinkedFiles(room) {
+    if (await this.state.storage.get(LINKED_FILES_REPORTED_KEY)) return;
+    await reportRoomFiles(this.env, room, [...this.getLinkedFileKeys()]);
+    await this.state.storage.put(LINKED_FILES_REPORTED_KEY, true);
   }
 
   async webSocketMessage(ws, messageStr) {
@@ -99,7 +678,30 @@ export class RxDBReplicationDurableObject {
       const { id, collection, method, params } = message;
 
       if (method === 'auth') {
-        // Auth not implemented - just acknowledge
+        const result = await this.handleAuth(ws, params?.[0]);
+        ws.send(JSON.stringify({ id, collection, result }));
+        return;
+      }
+
+      if (method === 'handshake') {
+        const result = this.handleHandshake(ws, params?.[0]);
+        ws.send(JSON.stringify({ id, collection, result }));
+        return;
+      }
+
+      if (!ws.deserializeAttachment()?.schemaVersionsChecked) {
+        // Stream subscriptions have no response to carry an error
+        if (method === 'masterChangeStream$') return;
+        ws.send(
+          JSON.stringify({
+            id,
+            collection,
+            result: {
+              error: 'Schema handshake required',
+              code: 'SCHEMA_HANDSHAKE_REQUIRED',
+            },
+          }),
+        );
         return;
       }
 
@@ -120,6 +722,7 @@ export class RxDBReplicationDurableObject {
         if (subs) {
           subs.add(collection);
           ws.serializeAttachment({
+            ...ws.deserializeAttachment(),
             collections: Array.from(subs),
           });
         }
@@ -136,12 +739,65 @@ export class RxDBReplicationDurableObject {
         return;
       }
 
-      if (method === 'masterWrite') {
-        const result = this.handleMasterWrite(collection, params[0]);
+      if (method === 'masterHistory' && collection === 'messages') {
+        const result = this.handleMasterHistory(params?.[0]);
         ws.send(JSON.stringify({ id, collection, result }));
+        return;
+      }
 
-        // Broadcast changes to other subscribed clients
-        this.broadcastChanges(ws, collection, params[0]);
+      if (method === 'masterWrite') {
+        const identity = ws.deserializeAttachment()?.identity;
+        if (!identity) {
+          ws.send(
+            JSON.stringify({
+              id,
+              collection,
+              result: { error: 'Not authenticated' },
+            }),
+          );
+          return;
+        }
+
+        const cooldown = await this.chargeWrite(
+          ws.deserializeAttachment()?.ip,
+          params[0].length,
+          new TextEncoder().encode(messageStr).byteLength,
+        );
+        if (cooldown > 0) {
+          const retryAfter = Math.max(1, Math.ceil(cooldown));
+          ws.send(
+            JSON.stringify({
+              id,
+              collection,
+              result: {
+                error: `You are writing too fast. Try again in ${retryAfter}s.`,
+                code: 'RATE_LIMITED',
+                retryAfter,
+              },
+            }),
+          );
+          return;
+        }
+
+        const { conflicts, accepted, rejected, corrected } =
+          this.handleMasterWrite(collection, params[0], identity);
+        ws.send(
+          JSON.stringify({
+            id,
+            collection,
+            result: conflicts,
+            ...(rejected.length > 0 ? { rejected } : {}),
+          }),
+        );
+
+        // Broadcast accepted changes to other subscribed clients
+        if (accepted.length > 0) {
+          this.broadcastChanges(ws, collection, accepted);
+        }
+        // The writer adopts the stamped fields like any pulled change
+        if (corrected.length > 0) {
+          this.sendStream(ws, collection, corrected);
+        }
         return;
       }
 
@@ -164,6 +820,148 @@ export class RxDBReplicationDurableObject {
     }
   }
 
+  /**
+   * Handle handshake request
+   *
+   * Compares the client's schema version of every collection with the
+   * server's, and only lets the socket replicate if all of them match.
+   *
+   * @param {WebSocket} ws
+   * @param {{ schemaVersions: Object<string, number> }} hello
+   * @returns {{ ok: true, schemaVersions: Object } | { error: string, code: string, schemaVersions: Object, mismatched: string[] }}
+   */
+  handleHandshake(ws, hello) {
+    const serverVersions = getSchemaVersions();
+    const clientVersions = hello?.schemaVersions || {};
+    const mismatched = COLLECTIONS.filter(
+      (collection) => clientVersions[collection] !== serverVersions[collection],
+    );
+
+    const meta = ws.deserializeAttachment() || {};
+    ws.serializeAttachment({
+      ...meta,
+      schemaVersionsChecked: mismatched.length === 0,
+    });
+
+    if (mismatched.length > 0) {
+      return {
+        error: `Incompatible schema versions: ${mismatched.join(', ')}`,
+        code: 'SCHEMA_VERSION_MISMATCH',
+        schemaVersions: serverVersions,
+        mismatched,
+      };
+    }
+    return { ok: true, schemaVersions: serverVersions };
+  }
+
+  /**
+   * Handle auth request
+   *
+   * Verifies the session token and stores the identity in the WebSocket
+   * attachment. The token only needs to be valid at auth time; the socket
+   * stays authenticated until it closes or re-authenticates.
+   *
+   * @param {WebSocket} ws
+   * @param {string} token - Session token issued by the ChatRoom
+   * @returns {Promise<{ ok: true, name: string } | { error: string }>}
+   */
+  async handleAuth(ws, token) {
+    const meta = ws.deserializeAttachment() || {};
+    let identity;
+    try {
+      identity = await this.verifyIdentity(token, meta.room);
+    } catch (err) {
+      return { error: err.message };
+    }
+    identity.ipHash = meta.ipHash || null;
+    identity.sessionId = meta.sessionId || null;
+    if (isBanned(this.moderation, identity)) {
+      return { error: 'You are banned from this room' };
+    }
+
+    ws.serializeAttachment({ ...meta, identity });
+    return { ok: true, name: identity.name };
+  }
+
+  /**
+   * Verify a session token for this room
+   * @param {string} token - Session token issued by the ChatRoom
+   * @param {string} room - Room name the request was routed through
+   * @returns {Promise<{ name: string, role: string|null }>} The authenticated identity
+   * @throws {Error} If the token is invalid or was issued for another room
+   */
+  async verifyIdentity(token, room) {
+    const claims = await verifySessionToken(this.env.SESSION_SECRET, token);
+    if (claims.room !== room) {
+      throw new Error('Session token was issued for another room');
+    }
+    return { name: claims.name, role: claims.role || null };
+  }
+
+  /**
+   * Get the identity of an HTTP request from its bearer session token
+   * @param {Request} request
+   * @returns {Promise<{ name: string, role: string|null, ipHash: string|null }|null>} Null if missing or invalid
+   */
+  async getRequestIdentity(request) {
+    const header = request.headers.get('Authorization') || '';
+    const match = header.match(/^Bearer (.+)$/);
+    if (!match) return null;
+    try {
+      const identity = await this.verifyIdentity(
+        match[1],
+        request.headers.get('X-Room-Name'),
+      );
+      identity.ipHash = await hashIp(
+        this.env.SESSION_SECRET,
+        request.headers.get('CF-Connecting-IP'),
+      );
+      return identity;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Load the last moderation state pushed by the ChatRoom
+   * @returns {import('./moderation.mjs').ModerationState|null}
+   */
+  loadModerationState() {
+    const [row] = this.sql
+      .exec(`SELECT data FROM moderation_state WHERE id = 1`)
+      .toArray();
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Store a moderation state pushed by the ChatRoom and apply it to the
+   * connected sockets: banned users are disconnected, kicked users have to
+   * authenticate again.
+   * @param {import('./moderation.mjs').ModerationState} state
+   * @returns {Promise<void>}
+   */
+  async applyModerationState(state) {
+    this.moderation = state;
+    this.sql.exec(
+      `INSERT OR REPLACE INTO moderation_state (id, data) VALUES (1, ?)`,
+      JSON.stringify(state),
+    );
+
+    for (const ws of this.state.getWebSockets()) {
+      const meta = ws.deserializeAttachment() || {};
+      const name = meta.identity?.name;
+      const role = meta.identity?.role;
+      if (isBanned(state, { name, role, ipHash: meta.ipHash })) {
+        this.sessions.delete(ws);
+        try {
+          ws.close(BANNED_CLOSE_CODE, 'Banned from this room');
+        } catch (err) {}
+      } else if (name && state.kicked.includes(name)) {
+        ws.serializeAttachment({ ...meta, identity: null });
+      }
+    }
+  }
+
   webSocketClose(ws, code, reason) {
     this.sessions.delete(ws);
   }
@@ -179,14 +977,42 @@ export class RxDBReplicationDurableObject {
    * Returns documents that changed after the given checkpoint.
    * Checkpoint format: { lwt: number, id: string } or null
    *
+   * Without a checkpoint, `messages` returns no documents and a checkpoint at
+   * the latest change, so a fresh client only follows new changes and pages
+   * in history through 'masterHistory'.
+   *
    * @param {string} collectionName
    * @param {Object|null} checkpoint
    * @param {number} batchSize
-   * @returns {{ documents: Array, checkpoint: Object|null }}
+   * @returns {{ documents: Array, checkpoint: Object|null }|{ error: string, code: string }}
    */
   handleMasterChangesSince(collectionName, checkpoint, batchSize) {
     let rows;
 
+    if (
+      checkpoint &&
+      checkpoint.lwt < this.getCompactedBefore(collectionName)
+    ) {
+      return {
+        error: 'Checkpoint predates compacted deletions, resync required',
+        code: 'RESYNC_REQUIRED',
+      };
+    }
+
+    if (!checkpoint && collectionName === 'messages') {
+      const latest = this.sql
+        .exec(
+          `SELECT id, _meta_lwt FROM messages
+           ORDER BY _meta_lwt DESC, id DESC
+           LIMIT 1`,
+        )
+        .toArray()[0];
+      return {
+        documents: [],
+        checkpoint: latest ? { lwt: latest._meta_lwt, id: latest.id } : null,
+      };
+    }
+
     if (!checkpoint) {
       // First sync - get all documents
       rows = this.sql
@@ -215,13 +1041,7 @@ export class RxDBReplicationDurableObject {
         .toArray();
     }
 
-    const documents = rows.map((row) => {
-      const doc = JSON.parse(row.data);
-      doc._deleted = !!row._deleted;
-      doc._meta = { lwt: row._meta_lwt };
-      doc._rev = row._rev;
-      return doc;
-    });
+    const documents = rows.map((row) => this.rowToDocument(row));
 
     const newCheckpoint =
       documents.length > 0
@@ -237,27 +1057,149 @@ export class RxDBReplicationDurableObject {
     };
   }
 
+  /**
+   * Handle masterHistory request
+   *
+   * Pages through a channel's messages from newest to oldest, ordered by
+   * (timestamp, messageId). Deleted messages are skipped.
+   *
+   * @param {Object} query
+   * @param {string} query.channel - Channel name (case-insensitive)
+   * @param {{ timestamp: number, messageId: string }|null} [query.before] -
+   *   Return messages older than this one; the newest page if omitted
+   * @param {number} [query.limit] - Page size
+   * @returns {{ documents: Array, hasMore: boolean }} Documents in ascending
+   *   order, and whether older messages exist
+   */
+  handleMasterHistory(query) {
+    const channel = String(query?.channel || 'general').toLowerCase();
+    const limit = Math.min(
+      Math.max(Math.floor(Number(query?.limit)) || HISTORY_PAGE_SIZE, 1),
+      MAX_HISTORY_PAGE_SIZE,
+    );
+    const before = query?.before;
+
+    // Fetch one extra row to know whether there is another page
+    const rows = before
+      ? this.sql
+          .exec(
+            `SELECT id, data, _deleted, _meta_lwt, _rev
+             FROM messages
+             WHERE ${MESSAGE_CHANNEL_SQL} = ? AND _deleted = 0
+               AND (${MESSAGE_TIMESTAMP_SQL} < ?
+                 OR (${MESSAGE_TIMESTAMP_SQL} = ? AND id < ?))
+             ORDER BY ${MESSAGE_TIMESTAMP_SQL} DESC, id DESC
+             LIMIT ?`,
+            channel,
+            before.timestamp,
+            before.timestamp,
+            before.messageId,
+            limit + 1,
+          )
+          .toArray()
+      : this.sql
+          .exec(
+            `SELECT id, data, _deleted, _meta_lwt, _rev
+             FROM messages
+             WHERE ${MESSAGE_CHANNEL_SQL} = ? AND _deleted = 0
+             ORDER BY ${MESSAGE_TIMESTAMP_SQL} DESC, id DESC
+             LIMIT ?`,
+            channel,
+            limit + 1,
+          )
+          .toArray();
+
+    return {
+      documents: rows
+        .slice(0, limit)
+        .reverse()
+        .map((row) => this.rowToDocument(row)),
+      hasMore: rows.length > limit,
+    };
+  }
+
   /**
    * Handle masterWrite request
    *
    * Accepts an array of write rows from the client.
    * Each row has: { newDocumentState, assumedMasterState }
-   * Returns an array of conflict documents (empty if no conflicts).
+   * Every row is validated against the collection schema (shared with the
+   * client, see common/rxdb-schemas.mjs) and checked against the collection's
+   * write policy (see rxdb-policies.mjs). Rows that conflict or are rejected
+   * are returned as conflicts carrying the current master state, so RxDB
+   * rolls back the local change. Each rejected row is also reported in
+   * `rejected` with a structured error.
+   *
+   * New messages are stamped with the writer's identity and a server
+   * timestamp (see stampMessage). When that changes the document, the stored
+   * state is returned in `corrected`, to be streamed back to the writer.
+   * Until it arrives, the writer assumes the message as it sent it; an edit
+   * based on that state is not a conflict, and keeps the stamped fields.
    *
    * @param {string} collectionName
    * @param {Array} rows - Array of { newDocumentState, assumedMasterState }
-   * @returns {Array} Array of conflict documents
+   * @param {{ name: string, role?: string|null, ipHash?: string|null, sessionId?: string|null }} identity - Authenticated identity of the writer
+   * @returns {{ conflicts: Array, accepted: Array, rejected: Array, corrected: Array }}
+   *   Conflict documents for the client, the rows that were written (for
+   *   broadcasting), the structured errors of rejected rows, and the stored
+   *   documents that differ from what the writer sent
    */
-  handleMasterWrite(collectionName, rows) {
+  handleMasterWrite(collectionName, rows, identity) {
     const conflicts = [];
+    const accepted = [];
+    const rejected = [];
+    const corrected = [];
+
+    // Banned and muted users cannot write; a revoked role no longer counts
+    const moderationRejection = getModerationRejection(
+      this.moderation,
+      identity,
+    );
+    identity = {
+      ...identity,
+      role: getEffectiveRole(this.moderation, identity),
+    };
 
     for (const row of rows) {
-      const newDoc = row.newDocumentState;
+      let newDoc = row.newDocumentState;
       const assumedMaster = row.assumedMasterState;
 
       // Get the primary key from the document
       const primaryKey = this.getPrimaryKey(collectionName);
-      const docId = newDoc[primaryKey];
+      const docId = newDoc?.[primaryKey];
+
+      // Reject malformed documents before they reach the table
+      const schemaErrors = validateDocument(
+        collectionSchemas[collectionName],
+        newDoc,
+        serverFieldLimits[collectionName],
+      );
+      if (schemaErrors.length > 0) {
+        console.warn(
+          `Rejected invalid document ${collectionName}/${docId}:`,
+          schemaErrors,
+        );
+        rejected.push({
+          documentId: docId ?? null,
+          code: 'SCHEMA_VALIDATION',
+          message: 'Document does not match the collection schema',
+          errors: schemaErrors,
+        });
+        if (typeof docId === 'string') {
+          conflicts.push(this.getRollbackDocument(collectionName, newDoc));
+        }
+        continue;
+      }
+
+      if (moderationRejection) {
+        rejected.push({
+          documentId: docId,
+          code: 'MODERATION',
+          message: moderationRejection,
+        });
+        conflicts.push(this.getRollbackDocument(collectionName, newDoc));
+        continue;
+      }
 
       // Check current state in database
       const existing = this.sql
@@ -268,35 +1210,71 @@ export class RxDBReplicationDurableObject {
           docId,
         )
         .toArray();
+      const currentRow = existing[0] || null;
+      // Whether the writer has not seen the stamped fields of the message yet
+      let unstamped = false;
 
-      if (existing.length > 0) {
-        const currentDoc = JSON.parse(existing[0].data);
-        const currentRev = existing[0]._rev;
-        const currentDeleted = !!existing[0]._deleted;
+      if (currentRow) {
+        const currentRev = currentRow._rev;
+        const currentDeleted = !!currentRow._deleted;
 
         // Check for conflict: if assumed master state doesn't match current
         if (assumedMaster) {
           const assumedRev = assumedMaster._rev;
           if (currentRev && assumedRev && currentRev !== assumedRev) {
-            // Conflict! Return the current state
-            currentDoc._deleted = currentDeleted;
-            currentDoc._meta = { lwt: existing[0]._meta_lwt };
-            currentDoc._rev = currentRev;
-            conflicts.push(currentDoc);
-            continue;
+            unstamped =
+              collectionName === 'messages' &&
+              this.isUnstampedState(assumedMaster, currentRow);
+            if (!unstamped) {
+              // Conflict! Return the current state
+              conflicts.push(this.rowToDocument(currentRow));
+              continue;
+            }
           }
         } else if (!currentDeleted) {
           // No assumed master state and document exists and is NOT deleted
           // This is a concurrent insert conflict
-          currentDoc._deleted = false;
-          currentDoc._meta = { lwt: existing[0]._meta_lwt };
-          currentDoc._rev = currentRev;
-          conflicts.push(currentDoc);
+          conflicts.push(this.rowToDocument(currentRow));
           continue;
         }
         // If document is deleted and no assumed master, allow re-creation
       }
 
+      const stamped = collectionName === 'messages' && !currentRow;
+      if (stamped) {
+        newDoc = this.stampMessage(newDoc, identity);
+      } else if (unstamped) {
+        // Keep the stamped fields the edit did not mean to change
+        const currentDoc = this.rowToDocument(currentRow);
+        newDoc = { ...newDoc };
+        for (const field of STAMPED_FIELDS) {
+          if (newDoc[field] === assumedMaster[field]) {
+            newDoc[field] = currentDoc[field];
+          }
+        }
+      }
+
+      const rejection = checkWritePolicy(collectionName, {
+        identity,
+        newDoc,
+        currentDoc: currentRow ? this.rowToDocument(currentRow) : null,
+        getDocument: (name, id) => this.getDocument(name, id),
+      });
+      if (rejection) {
+        console.warn(
+          `Rejected write to ${collectionName}/${docId}: ${rejection}`,
+        );
+        rejected.push({
+          documentId: docId,
+          code: 'POLICY',
+          message: rejection,
+        });
+        conflicts.push(
+          this.getRollbackDocument(collectionName, row.newDocumentState),
+        );
+        continue;
+      }
+
       // No conflict - write the document
       // Server always generates authoritative timestamp
       const lwt = Date.now();
@@ -310,6 +1288,13 @@ export class RxDBReplicationDurableObject {
       delete cleanDoc._deleted;
       delete cleanDoc._attachments;
 
+      if (collectionName === 'messages') {
+        this.updateRevisions(docId, currentRow, cleanDoc, !!deleted, {
+          replacedAt: lwt,
+          editedBy: identity.name,
+        });
+      }
+
       this.sql.exec(
         `INSERT OR REPLACE INTO "${collectionName}"
          (id, data, _deleted, _meta_lwt, _rev)
@@ -320,9 +1305,536 @@ export class RxDBReplicationDurableObject {
         lwt,
         rev,
       );
+      if (collectionName === 'messages') {
+        indexMessage(this.sql, docId, cleanDoc, !!deleted);
+      }
+      if (
+        deleted &&
+        currentRow &&
+        !currentRow._deleted &&
+        AUDITED_DELETIONS[collectionName]
+      ) {
+        appendAuditEntry(
+          this.sql,
+          {
+            actor: identity.name,
+            action: AUDITED_DELETIONS[collectionName],
+            target: docId,
+            details: getDeletionDetails(collectionName, cleanDoc),
+            sessionId: identity.sessionId,
+            ipHash: identity.ipHash,
+          },
+          lwt,
+        );
+      }
+      accepted.push({ ...row, newDocumentState: newDoc });
+
+      // Hand the corrected document back to the writer
+      const original = row.newDocumentState;
+      if (
+        (stamped || unstamped) &&
+        STAMPED_FIELDS.some((field) => original[field] !== newDoc[field])
+      ) {
+        corrected.push({
+          ...cleanDoc,
+          _deleted: !!deleted,
+          _meta: { lwt },
+          _rev: rev,
+        });
+      }
     }
 
-    return conflicts;
+    return { conflicts, accepted, rejected, corrected };
+  }
+
+  /**
+   * Alarm handler: expire messages past their retention and compact old
+   * tombstones, then schedule the next run
+   */
+  async alarm() {
+    let more = false;
+    try {
+      const now = Date.now();
+      const expired = this.expireMessages(now);
+      more = expired.length >= RETENTION_BATCH_SIZE;
+      const compacted = this.compactTombstones(now - TOMBSTONE_HORIZON_MS);
+
+      if (expired.length > 0 || compacted > 0) {
+        appendAuditEntry(
+          this.sql,
+          {
+            actor: 'system',
+            action: 'retention.purge',
+            details: { expired: expired.length, compacted },
+          },
+          now,
+        );
+      }
+    } finally {
+      await this.state.storage.setAlarm(
+        Date.now() + (more ? 1000 : RETENTION_CHECK_INTERVAL_MS),
+      );
+    }
+  }
+
+  /**
+   * Read the retention settings of the room
+   * @returns {{ roomDays: number, channels: Map<string, number> }} Days to keep
+   *   messages (0 = forever) for the room, and for channels that override it
+   */
+  getRetentionSettings() {
+    const rows = this.sql
+      .exec(`SELECT data FROM room_settings WHERE _deleted = 0`)
+      .toArray()
+      .map((row) => JSON.parse(row.data))
+      .filter((setting) => isRetentionKey(setting.key));
+
+    let roomDays = 0;
+    const channels = new Map();
+    for (const { key, value } of rows) {
+      const days = parseRetentionDays(value);
+      if (days === null) continue;
+      if (key === RETENTION_KEY) {
+        roomDays = days;
+      } else {
+        channels.set(key.slice(RETENTION_KEY.length + 1), days);
+      }
+    }
+    return { roomDays, channels };
+  }
+
+  /**
+   * Turn messages past their retention into tombstones
+   * Their reactions and pins are deleted with them, and the deletions are
+   * streamed to connected clients.
+   * @param {number} now
+   * @returns {string[]} Ids of the expired messages, at most RETENTION_BATCH_SIZE
+   */
+  expireMessages(now) {
+    const { roomDays, channels } = this.getRetentionSettings();
+    const rows = [];
+
+    for (const [channel, days] of channels) {
+      if (days === 0) continue;
+      rows.push(
+        ...this.sql
+          .exec(
+            `SELECT id, data FROM messages
+             WHERE _deleted = 0
+               AND ${MESSAGE_CHANNEL_SQL} = ?
+               AND ${MESSAGE_TIMESTAMP_SQL} < ?
+             LIMIT ?`,
+            channel,
+            getRetentionCutoff(days, now),
+            RETENTION_BATCH_SIZE - rows.length,
+          )
+          .toArray(),
+      );
+      if (rows.length >= RETENTION_BATCH_SIZE) break;
+    }
+
+    if (roomDays > 0 && rows.length < RETENTION_BATCH_SIZE) {
+      rows.push(
+        ...this.sql
+          .exec(
+            `SELECT id, data FROM messages
+             WHERE _deleted = 0
+               AND ${MESSAGE_TIMESTAMP_SQL} < ?
+               AND ${MESSAGE_CHANNEL_SQL} NOT IN (SELECT value FROM json_each(?))
+             LIMIT ?`,
+            getRetentionCutoff(roomDays, now),
+            JSON.stringify([...channels.keys()]),
+            RETENTION_BATCH_SIZE - rows.length,
+          )
+          .toArray(),
+      );
+    }
+
+    if (rows.length === 0) return [];
+
+    const ids = JSON.stringify(rows.map((row) => row.id));
+    const related = {
+      reactions: this.sql
+        .exec(
+          `SELECT id, data FROM reactions
+           WHERE _deleted = 0
+             AND json_extract(data, '$.messageId') IN (SELECT value FROM json_each(?))`,
+          ids,
+        )
+        .toArray(),
+      pins: this.sql
+        .exec(
+          `SELECT id, data FROM pins
+           WHERE _deleted = 0 AND id IN (SELECT value FROM json_each(?))`,
+          ids,
+        )
+        .toArray(),
+    };
+
+    const tombstones = {};
+    this.state.storage.transactionSync(() => {
+      tombstones.messages = this.writeTombstones('messages', rows, now);
+      for (const [collectionName, relatedRows] of Object.entries(related)) {
+        tombstones[collectionName] = this.writeTombstones(
+          collectionName,
+          relatedRows,
+          now,
+        );
+      }
+    });
+
+    for (const [collectionName, docs] of Object.entries(tombstones)) {
+      if (docs.length > 0) {
+        this.broadcastChanges(
+          null,
+          collectionName,
+          docs.map((doc) => ({ newDocumentState: doc })),
+        );
+      }
+    }
+    return rows.map((row) => row.id);
+  }
+
+  /**
+   * Soft-delete stored rows on behalf of the server
+   * Message texts are blanked, and their revisions and search entries removed.
+   * @param {string} collectionName
+   * @param {Array<{ id: string, data: string }>} rows
+   * @param {number} lwt - Write time of the tombstones
+   * @returns {Object[]} The tombstone documents, for broadcasting
+   */
+  writeTombstones(collectionName, rows, lwt) {
+    return rows.map((row) => {
+      const doc = JSON.parse(row.data);
+      const rev = `${lwt}-${crypto.randomUUID()}`;
+      if (collectionName === 'messages') {
+        doc.text = '';
+        this.updateRevisions(row.id, null, doc, true);
+        indexMessage(this.sql, row.id, doc, true);
+      }
+      this.sql.exec(
+        `UPDATE "${collectionName}"
+         SET data = ?, _deleted = 1, _meta_lwt = ?, _rev = ?
+         WHERE id = ?`,
+        JSON.stringify(doc),
+        lwt,
+        rev,
+        row.id,
+      );
+      return { ...doc, _deleted: true, _meta: { lwt }, _rev: rev };
+    });
+  }
+
+  /**
+   * Remove tombstones written before a horizon
+   * Remembers the newest removed write time of each collection, so that
+   * clients with older checkpoints are told to resync.
+   * @param {number} horizon - Write time (ms)
+   * @returns {number} Number of tombstones removed
+   */
+  compactTombstones(horizon) {
+    let compacted = 0;
+    for (const collection of COLLECTIONS) {
+      this.state.storage.transactionSync(() => {
+        const newest = this.sql
+          .exec(
+            `SELECT MAX(_meta_lwt) AS lwt, COUNT(*) AS count
+             FROM "${collection}"
+             WHERE _deleted = 1 AND _meta_lwt < ?`,
+            horizon,
+          )
+          .toArray()[0];
+        if (newest.count === 0) return;
+
+        this.sql.exec(
+          `DELETE FROM "${collection}" WHERE _deleted = 1 AND _meta_lwt < ?`,
+          horizon,
+        );
+        this.sql.exec(
+          `INSERT INTO compaction_horizon (collection, compacted_before)
+           VALUES (?, ?)
+           ON CONFLICT (collection) DO UPDATE
+             SET compacted_before = MAX(compacted_before, excluded.compacted_before)`,
+          collection,
+          newest.lwt,
+        );
+        compacted += newest.count;
+      });
+    }
+    return compacted;
+  }
+
+  /**
+   * @param {string} collectionName
+   * @returns {number} Write time of the newest compacted tombstone, 0 if none
+   */
+  getCompactedBefore(collectionName) {
+    const row = this.sql
+      .exec(
+        'SELECT compacted_before FROM compaction_horizon WHERE collection = ?',
+        collectionName,
+      )
+      .toArray()[0];
+    return row ? row.compacted_before : 0;
+  }
+
+  /**
+   * Get the keys of the uploaded files linked from the room's messages
+   * @returns {Set<string>}
+   */
+  getLinkedFileKeys() {
+    const rows = this.sql
+      .exec(
+        `SELECT json_extract(data, '$.text') AS text FROM messages
+         WHERE _deleted = 0 AND json_extract(data, '$.text') LIKE 'FILE:%'`,
+      )
+      .toArray();
+    return new Set(rows.flatMap((row) => getLinkedFileKeys(row.text)));
+  }
+
+  /**
+   * Charge a write to the caller's rate limits
+   * @param {string} ip - Client IP
+   * @param {number} rows - Number of documents written
+   * @param {number} bytes - Size of the request
+   * @returns {Promise<number>} Seconds to wait; 0 if the write is allowed
+   */
+  async chargeWrite(ip, rows, bytes) {
+    const [rowsCooldown, bytesCooldown] = await Promise.all([
+      chargeRateLimit(this.env, ip, 'replication-rows', rows),
+      chargeRateLimit(this.env, ip, 'replication-bytes', bytes),
+    ]);
+    return Math.max(rowsCooldown, bytesCooldown);
+  }
+
+  /**
+   * Apply a single message write made through the REST API
+   *
+   * The write goes through handleMasterWrite, so it is validated, checked
+   * against the write policy, indexed and recorded in the revision history
+   * exactly like a replicated write, and then streamed to connected clients.
+   *
+   * @param {{ name: string }} identity - Authenticated writer
+   * @param {Object} currentDoc - Stored document the change is based on
+   * @param {Object} newDoc - New document state
+   * @returns {{ status: number, error: string, errors?: Array }|null} Null on success
+   */
+  applyRestWrite(identity, currentDoc, newDoc) {
+    const { accepted, rejected } = this.handleMasterWrite(
+      'messages',
+      [{ assumedMasterState: currentDoc, newDocumentState: newDoc }],
+      identity,
+    );
+    if (rejected.length > 0) {
+      const [rejection] = rejected;
+      return {
+        status: ['POLICY', 'MODERATION'].includes(rejection.code) ? 403 : 400,
+        error: rejection.message,
+        errors: rejection.errors,
+      };
+    }
+    if (accepted.length === 0) {
+      return { status: 409, error: 'Message was changed concurrently' };
+    }
+    this.broadcastChanges(null, 'messages', accepted);
+    return null;
+  }
+
+  /**
+   * Keep the revision history of a message in step with a write
+   *
+   * An edit that changes the text stores the previous text as a new
+   * revision. Deleting a message also deletes its history.
+   *
+   * @param {string} messageId
+   * @param {Object|null} currentRow - Stored row before the write
+   * @param {Object} newDoc - Document being written
+   * @param {boolean} deleted - Whether the write deletes the message
+   * @param {{ replacedAt: number, editedBy: string }} edit
+   */
+  updateRevisions(messageId, currentRow, newDoc, deleted, edit) {
+    if (deleted) {
+      this.sql.exec(
+        'DELETE FROM message_revisions WHERE message_id = ?',
+        messageId,
+      );
+      return;
+    }
+    if (!currentRow || currentRow._deleted) return;
+
+    const previous = JSON.parse(currentRow.data);
+    if (previous.text === newDoc.text) return;
+
+    this.sql.exec(
+      `INSERT INTO message_revisions
+         (message_id, revision, text, replaced_at, edited_by)
+       SELECT ?, COALESCE(MAX(revision), 0) + 1, ?, ?, ?
+       FROM message_revisions WHERE message_id = ?`,
+      messageId,
+      previous.text,
+      edit.replacedAt,
+      edit.editedBy,
+      messageId,
+    );
+  }
+
+  /**
+   * Get the previous versions of a message, oldest first
+   * @param {string} messageId
+   * @returns {Array<{ revision: number, text: string, replacedAt: number, editedBy: string }>}
+   */
+  getRevisions(messageId) {
+    return this.sql
+      .exec(
+        `SELECT revision, text, replaced_at AS replacedAt, edited_by AS editedBy
+         FROM message_revisions
+         WHERE message_id = ?
+         ORDER BY revision ASC`,
+        messageId,
+      )
+      .toArray();
+  }
+
+  /**
+   * Get the replies to a message, oldest first
+   * @param {string} messageId
+   * @param {boolean} nested - Include replies to replies
+   * @returns {Array} Message documents
+   */
+  getThreadReplies(messageId, nested) {
+    const rows = nested
+      ? this.sql
+          .exec(
+            `WITH RECURSIVE thread(id) AS (
+               SELECT id FROM messages
+               WHERE json_extract(data, '$.replyToId') = ?
+               UNION
+               SELECT m.id FROM messages m
+               JOIN thread t ON json_extract(m.data, '$.replyToId') = t.id
+             )
+             SELECT m.id, m.data, m._deleted, m._meta_lwt, m._rev
+             FROM messages m JOIN thread t ON m.id = t.id
+             WHERE m._deleted = 0
+             ORDER BY json_extract(m.data, '$.timestamp') ASC, m.id ASC
+             LIMIT ?`,
+            messageId,
+            MAX_THREAD_REPLIES,
+          )
+          .toArray()
+      : this.sql
+          .exec(
+            `SELECT id, data, _deleted, _meta_lwt, _rev
+             FROM messages
+             WHERE json_extract(data, '$.replyToId') = ? AND _deleted = 0
+             ORDER BY json_extract(data, '$.timestamp') ASC, id ASC
+             LIMIT ?`,
+            messageId,
+            MAX_THREAD_REPLIES,
+          )
+          .toArray();
+    return rows.map((row) => this.rowToDocument(row));
+  }
+
+  /**
+   * Get the document a client should roll back to after a rejected write
+   *
+   * This is the current master state. For a rejected insert there is no
+   * master state, so it is a tombstone of the rejected document.
+   *
+   * @param {string} collectionName
+   * @param {Object} newDoc - Rejected document state
+   * @returns {Object}
+   */
+  getRollbackDocument(collectionName, newDoc) {
+    const docId = newDoc[this.getPrimaryKey(collectionName)];
+    return (
+      this.getDocument(collectionName, docId) || {
+        ...newDoc,
+        _deleted: true,
+        _meta: { lwt: 0 },
+        _rev: '',
+      }
+    );
+  }
+
+  /**
+   * Stamp a new message with server-authoritative fields
+   *
+   * Authorship comes from the authenticated identity, and the timestamp uses
+   * the same monotonic rule as ChatRoom.webSocketMessage, so a skewed client
+   * clock cannot misorder history.
+   *
+   * @param {Object} doc - Message document from the client
+   * @param {{ name: string }} identity - Authenticated identity of the writer
+   * @returns {Object} Stamped copy of the document
+   */
+  stampMessage(doc, identity) {
+    const timestamp = Math.max(Date.now(), this.lastTimestamp + 1);
+    this.lastTimestamp = timestamp;
+    return { ...doc, username: identity.name, timestamp };
+  }
+
+  /**
+   * Whether a client's assumed state of a message is the stored message as
+   * its writer sent it, before the stamped copy reached them: it differs
+   * from the stored state only in the stamped fields and the revision
+   * @param {Object} assumedMaster - Assumed master state sent by the client
+   * @param {{ data: string, _deleted: number }} currentRow - Stored row
+   * @returns {boolean}
+   */
+  isUnstampedState(assumedMaster, currentRow) {
+    if (currentRow._deleted || assumedMaster._deleted) {
+      return false;
+    }
+    const currentDoc = JSON.parse(currentRow.data);
+    const fields = new Set([
+      ...Object.keys(assumedMaster),
+      ...Object.keys(currentDoc),
+    ]);
+    for (const field of fields) {
+      if (field.startsWith('_') || STAMPED_FIELDS.includes(field)) continue;
+      if (
+        JSON.stringify(assumedMaster[field] ?? null) !==
+        JSON.stringify(currentDoc[field] ?? null)
+      ) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Convert a stored SQL row into an RxDB document with replication metadata
+   * @param {{ data: string, _deleted: number, _meta_lwt: number, _rev: string }} row
+   * @returns {Object}
+   */
+  rowToDocument(row) {
+    const doc = JSON.parse(row.data);
+    doc._deleted = !!row._deleted;
+    doc._meta = { lwt: row._meta_lwt };
+    doc._rev = row._rev;
+    return doc;
+  }
+
+  /**
+   * Look up a stored document by collection and primary key
+   * @param {string} collectionName
+   * @param {string} id
+   * @returns {Object|null} Document (with `_deleted`), or null if not found
+   */
+  getDocument(collectionName, id) {
+    if (!COLLECTIONS.includes(collectionName)) {
+      return null;
+    }
+    const rows = this.sql
+      .exec(
+        `SELECT id, data, _deleted, _meta_lwt, _rev
+         FROM "${collectionName}"
+         WHERE id = ?`,
+        id,
+      )
+      .toArray();
+    return rows.length > 0 ? this.rowToDocument(rows[0]) : null;
   }
 
   /**
@@ -377,18 +1889,39 @@ export class RxDBReplicationDurableObject {
     }
   }
 
+  /**
+   * Stream stored documents to one client, as pulled changes
+   * @param {WebSocket} ws
+   * @param {string} collectionName
+   * @param {Array} documents - With replication metadata, see rowToDocument
+   */
+  sendStream(ws, collectionName, documents) {
+    const last = documents[documents.length - 1];
+    try {
+      ws.send(
+        JSON.stringify({
+          id: 'stream',
+          collection: collectionName,
+          result: {
+            documents,
+            checkpoint: {
+              lwt: last._meta.lwt,
+              id: last[this.getPrimaryKey(collectionName)],
+            },
+          },
+        }),
+      );
+    } catch (e) {
+      // Client disconnected
+      this.sessions.delete(ws);
+    }
+  }
+
   /**
    * Get the primary key field name for a collection
    */
   getPrimaryKey(collectionName) {
-    const keys = {
-      messages: 'messageId',
-      reactions: 'id',
-      channels: 'channel',
-      pins: 'messageId',
-      room_settings: 'key',
-    };
-    return keys[collectionName] || 'id';
+    return collectionSchemas[collectionName]?.primaryKey || 'id';
   }
 }
 
@@ -414,6 +1947,8 @@ export function getRxdbReplicationFetch(bindingName) {
     const newUrl = new URL(request.url);
     newUrl.pathname = '/' + pathParts.slice(1).join('/');
 
-    return stub.fetch(new Request(newUrl.toString(), request));
+    const forwarded = new Request(newUrl.toString(), request);
+    forwarded.headers.set('X-Room-Name', roomName);
+    return stub.fetch(forwarded);
   };
 }
@@ -0,0 +1,166 @@
+/**
+ * Session tokens
+ *
+ * Short-lived HMAC-SHA256 signed tokens that bind a username to a room.
+ * The ChatRoom Durable Object issues a token once a presence session has
+ * registered its name, and the RxDB replication Durable Object verifies it
+ * before accepting writes from a socket.
+ *
+ * Token format: base64url(JSON payload) + '.' + base64url(signature)
+ * Payload: { typ: 'session', room: string, name: string, role: string|null, exp: number (ms since epoch) }
+ * `role` is the user's moderation role in the room ('owner', 'moderator'),
+ * see moderation.mjs.
+ *
+ * signToken()/verifyToken() sign other claims the same way, for messages
+ * between the Durable Objects of a room. The `typ` claim keeps one kind of
+ * token from being accepted as another.
+ *
+ * The signing secret comes from the `SESSION_SECRET` binding
+ * (`wrangler secret put SESSION_SECRET`, or `.dev.vars` for local dev).
+ */
+
+export const SESSION_TOKEN_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/** @type {Map<string, Promise<CryptoKey>>} */
+const keyCache = new Map();
+
+/**
+ * Import (and cache) the HMAC key for a secret
+ * @param {string} secret
+ * @returns {Promise<CryptoKey>}
+ */
+function getKey(secret) {
+  if (!secret) {
+    throw new Error('SESSION_SECRET is not configured');
+  }
+  let key = keyCache.get(secret);
+  if (!key) {
+    key = crypto.subtle.importKey(
+      'raw',
+      encoder.encode(secret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign', 'verify'],
+    );
+    keyCache.set(secret, key);
+  }
+  return key;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary)
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * @param {string} str
+ * @returns {Uint8Array}
+ */
+function fromBase64Url(str) {
+  const base64 = str.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Sign a token of the given type
+ * @param {string} secret - Signing secret (env.SESSION_SECRET)
+ * @param {string} typ - Token type
+ * @param {Object} claims - JSON-serializable claims
+ * @param {number} ttl - Lifetime in milliseconds
+ * @returns {Promise<string>} Signed token
+ */
+export async function signToken(secret, typ, claims, ttl) {
+  const payload = toBase64Url(
+    encoder.encode(JSON.stringify({ ...claims, typ, exp: Date.now() + ttl })),
+  );
+  const signature = await crypto.subtle.sign(
+    'HMAC',
+    await getKey(secret),
+    encoder.encode(payload),
+  );
+  return `${payload}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+/**
+ * Verify a token signed with signToken() and return its claims
+ * @param {string} secret - Signing secret (env.SESSION_SECRET)
+ * @param {string} token - Token to verify
+ * @param {string} typ - Expected token type
+ * @returns {Promise<Object>} Claims, including `exp`
+ * @throws {Error} If the token is malformed, forged, expired or of another type
+ */
+export async function verifyToken(secret, token, typ) {
+  if (typeof token !== 'string') {
+    throw new Error('Missing session token');
+  }
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) {
+    throw new Error('Malformed session token');
+  }
+
+  const key = await getKey(secret);
+  let valid = false;
+  try {
+    valid = await crypto.subtle.verify(
+      'HMAC',
+      key,
+      fromBase64Url(signature),
+      encoder.encode(payload),
+    );
+  } catch (err) {
+    // Undecodable signature
+    valid = false;
+  }
+  if (!valid) {
+    throw new Error('Invalid session token');
+  }
+
+  const claims = JSON.parse(decoder.decode(fromBase64Url(payload)));
+  if (claims.typ !== typ) {
+    throw new Error('Invalid session token');
+  }
+  if (!claims.exp || claims.exp < Date.now()) {
+    throw new Error('Session token expired');
+  }
+  return claims;
+}
+
+/**
+ * Sign a session token
+ * @param {string} secret - Signing secret (env.SESSION_SECRET)
+ * @param {{ room: string, name: string, role?: string|null }} claims - Room, username and role to bind
+ * @param {number} [ttl] - Lifetime in milliseconds
+ * @returns {Promise<string>} Signed token
+ */
+export function signSessionToken(
+  secret,
+  { room, name, role = null },
+  ttl = SESSION_TOKEN_TTL_MS,
+) {
+  return signToken(secret, 'session', { room, name, role }, ttl);
+}
+
+/**
+ * Verify a session token and return its claims
+ * @param {string} secret - Signing secret (env.SESSION_SECRET)
+ * @param {string} token - Token to verify
+ * @returns {Promise<{ typ: 'session', room: string, name: string, role: string|null, exp: number }>}
+ * @throws {Error} If the token is malformed, forged or expired
+ */
+export function verifySessionToken(secret, token) {
+  return verifyToken(secret, token, 'session');
+}
@@ -0,0 +1,305 @@
+/**
+ * Per-room storage quotas for uploads
+ *
+ * The ChatRoom records each file uploaded to the room in its `uploads` table,
+ * with the uploader and the bytes the file takes in CHAT_FILES:
+ *  - /upload records the file once it is stored.
+ *  - /upload/mpu-create reserves the announced size until mpu-complete
+ *    records the actual size; mpu-abort releases it. Parts beyond the
+ *    announced size are refused.
+ *  - The parts stored so far, with their etags, are listed to their uploader
+ *    by /upload/mpu-listparts, to resume an upload after a page reload.
+ *  - Files the sweeper deletes (see file-sweeper.mjs) are released with
+ *    DELETE /uploads, signed with SESSION_SECRET.
+ *
+ * An upload is refused with 413 when it would take the room or its uploader
+ * over quota. The uploader is the name in the request's session token, or the
+ * hashed client IP without one. Quotas (in bytes) can be overridden per
+ * environment with a `STORAGE_QUOTAS` table in wrangler.toml, e.g.
+ *
+ *   [vars.STORAGE_QUOTAS]
+ *   room = 1073741824
+ *   uploader = 268435456
+ *
+ * `GET /api/room/<name>/storage` reports the usage of the room and the caller.
+ */
+
+import { signToken, verifyToken } from './session-token.mjs';
+import { formatFileSize } from '../common/format-utils.js';
+
+/**
+ * @typedef {Object} StorageQuotas
+ * @property {number} room - Bytes all uploads of a room may take
+ * @property {number} uploader - Bytes one uploader may take in a room
+ */
+
+/** @type {StorageQuotas} */
+export const DEFAULT_STORAGE_QUOTAS = {
+  room: 1024 * 1024 * 1024,
+  uploader: 256 * 1024 * 1024,
+};
+
+// Lifetime of a signed release, it is delivered right away
+const RELEASE_TOKEN_TTL_MS = 60 * 1000;
+
+/**
+ * Get the storage quotas, with overrides from the environment
+ * @param {Object} env - Environment bindings
+ * @returns {StorageQuotas}
+ */
+export function getStorageQuotas(env) {
+  return { ...DEFAULT_STORAGE_QUOTAS, ...env.STORAGE_QUOTAS };
+}
+
+/**
+ * Create the upload tables
+ * @param {SqlStorage} sql
+ */
+export function initStorageUsage(sql) {
+  // `pending` uploads are multipart uploads whose `size` is reserved, and
+  // `head_digest` the SHA-256 of the first bytes their first part must have
+  sql.exec(`
+    CREATE TABLE IF NOT EXISTS uploads (
+      file_key TEXT PRIMARY KEY,
+      uploader TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      pending INTEGER NOT NULL DEFAULT 0,
+      created_at REAL NOT NULL,
+      head_digest TEXT
+    )
+  `);
+  const uploadColumns = sql.exec('PRAGMA table_info(uploads)').toArray();
+  if (!uploadColumns.some((column) => column.name === 'head_digest')) {
+    sql.exec('ALTER TABLE uploads ADD COLUMN head_digest TEXT');
+  }
+  sql.exec(`
+    CREATE INDEX IF NOT EXISTS idx_uploads_uploader ON uploads (uploader)
+  `);
+  // Parts received so far of pending uploads, `etag` once stored in R2
+  sql.exec(`
+    CREATE TABLE IF NOT EXISTS upload_parts (
+      file_key TEXT NOT NULL,
+      part_number INTEGER NOT NULL,
+      size INTEGER NOT NULL,
+      etag TEXT,
+      PRIMARY KEY (file_key, part_number)
+    )
+  `);
+  const columns = sql.exec('PRAGMA table_info(upload_parts)').toArray();
+  if (!columns.some((column) => column.name === 'etag')) {
+    sql.exec('ALTER TABLE upload_parts ADD COLUMN etag TEXT');
+  }
+}
+
+/**
+ * Get the bytes taken by the room and by one uploader
+ * @param {SqlStorage} sql
+ * @param {string} uploader
+ * @returns {{ room: number, uploader: number }}
+ */
+export function getStorageUsage(sql, uploader) {
+  return sql
+    .exec(
+      `SELECT COALESCE(SUM(size), 0) AS room,
+              COALESCE(SUM(CASE WHEN uploader = ? THEN size END), 0) AS uploader
+       FROM uploads`,
+      uploader,
+    )
+    .toArray()[0];
+}
+
+/**
+ * Check whether an upload fits in the quotas
+ * @param {SqlStorage} sql
+ * @param {StorageQuotas} quotas
+ * @param {string} uploader
+ * @param {number} size - Bytes to add
+ * @returns {string|null} Why the upload is refused, or null
+ */
+export function checkStorageQuota(sql, quotas, uploader, size) {
+  const usage = getStorageUsage(sql, uploader);
+  if (usage.room + size > quotas.room) {
+    return `Room storage is full (${formatFileSize(usage.room)} of ${formatFileSize(quotas.room)} used)`;
+  }
+  if (usage.uploader + size > quotas.uploader) {
+    return `Your storage in this room is full (${formatFileSize(usage.uploader)} of ${formatFileSize(quotas.uploader)} used)`;
+  }
+  return null;
+}
+
+/**
+ * Record an upload, or reserve the space of a multipart upload
+ * @param {SqlStorage} sql
+ * @param {{ key: string, uploader: string, size: number, pending?: boolean, headDigest?: string|null }} upload
+ */
+export function recordUpload(
+  sql,
+  { key, uploader, size, pending = false, headDigest = null },
+) {
+  sql.exec(
+    `INSERT OR REPLACE INTO uploads (file_key, uploader, size, pending, created_at, head_digest)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    key,
+    uploader,
+    size,
+    pending ? 1 : 0,
+    Date.now(),
+    headDigest,
+  );
+}
+
+/**
+ * Get a pending multipart upload of an uploader
+ * @param {SqlStorage} sql
+ * @param {string} key - Object key
+ * @param {string} uploader - Only the uploader may continue their upload
+ * @returns {{ size: number, headDigest: string|null }|null} Null if there
+ *   is no such pending upload; `headDigest` is null for uploads started
+ *   before it was recorded
+ */
+export function getPendingUpload(sql, key, uploader) {
+  return (
+    sql
+      .exec(
+        `SELECT size, head_digest AS headDigest FROM uploads
+         WHERE file_key = ? AND uploader = ? AND pending = 1`,
+        key,
+        uploader,
+      )
+      .toArray()[0] || null
+  );
+}
+
+/**
+ * Record a part of a pending multipart upload
+ * A part sent again (on retry) replaces the earlier one.
+ * @param {SqlStorage} sql
+ * @param {string} key - Object key
+ * @param {number} partNumber
+ * @param {number} size - Bytes in the part
+ * @returns {string|null} Why the part is refused, or null
+ */
+export function recordUploadPart(sql, key, partNumber, size) {
+  const upload = sql
+    .exec('SELECT size FROM uploads WHERE file_key = ? AND pending = 1', key)
+    .toArray()[0];
+  if (!upload) {
+    return 'Unknown upload';
+  }
+  const { received } = sql
+    .exec(
+      `SELECT COALESCE(SUM(size), 0) AS received FROM upload_parts
+       WHERE file_key = ? AND part_number != ?`,
+      key,
+      partNumber,
+    )
+    .toArray()[0];
+  if (received + size > upload.size) {
+    return 'Upload is larger than announced';
+  }
+  sql.exec(
+    `INSERT OR REPLACE INTO upload_parts (file_key, part_number, size)
+     VALUES (?, ?, ?)`,
+    key,
+    partNumber,
+    size,
+  );
+  return null;
+}
+
+/**
+ * Record that a part of a pending multipart upload is stored in R2
+ * @param {SqlStorage} sql
+ * @param {string} key - Object key
+ * @param {number} partNumber
+ * @param {string} etag - Etag returned by R2, needed to complete the upload
+ */
+export function recordStoredPart(sql, key, partNumber, etag) {
+  sql.exec(
+    'UPDATE upload_parts SET etag = ? WHERE file_key = ? AND part_number = ?',
+    etag,
+    key,
+    partNumber,
+  );
+}
+
+/**
+ * List the stored parts of a pending multipart upload
+ * @param {SqlStorage} sql
+ * @param {string} key - Object key
+ * @param {string} uploader - Only the uploader may resume their upload
+ * @returns {Array<{ partNumber: number, etag: string, size: number }>|null}
+ *   Null if there is no such pending upload
+ */
+export function getStoredParts(sql, key, uploader) {
+  if (!getPendingUpload(sql, key, uploader)) {
+    return null;
+  }
+  return sql
+    .exec(
+      `SELECT part_number AS partNumber, etag, size FROM upload_parts
+       WHERE file_key = ? AND etag IS NOT NULL
+       ORDER BY part_number`,
+      key,
+    )
+    .toArray();
+}
+
+/**
+ * Turn a pending multipart upload into a stored file of its actual size
+ * @param {SqlStorage} sql
+ * @param {string} key - Object key
+ * @param {number} size - Size of the completed object
+ */
+export function completeUpload(sql, key, size) {
+  sql.exec(
+    'UPDATE uploads SET size = ?, pending = 0 WHERE file_key = ?',
+    size,
+    key,
+  );
+  sql.exec('DELETE FROM upload_parts WHERE file_key = ?', key);
+}
+
+/**
+ * Release the space of deleted files or aborted uploads
+ * @param {SqlStorage} sql
+ * @param {string[]} keys - Object keys
+ */
+export function releaseUploads(sql, keys) {
+  const json = JSON.stringify(keys);
+  sql.exec(
+    'DELETE FROM uploads WHERE file_key IN (SELECT value FROM json_each(?))',
+    json,
+  );
+  sql.exec(
+    'DELETE FROM upload_parts WHERE file_key IN (SELECT value FROM json_each(?))',
+    json,
+  );
+}
+
+/**
+ * Sign the release of deleted files for a room's ChatRoom
+ * @param {string} secret - env.SESSION_SECRET
+ * @param {string} room - Room name
+ * @param {string[]} keys - Object keys
+ * @returns {Promise<string>}
+ */
+export function signUploadRelease(secret, room, keys) {
+  return signToken(secret, 'uploads', { room, keys }, RELEASE_TOKEN_TTL_MS);
+}
+
+/**
+ * Verify a signed release
+ * @param {string} secret - env.SESSION_SECRET
+ * @param {string} token
+ * @param {string} room - Room name the request was routed through
+ * @returns {Promise<string[]>} Object keys to release
+ * @throws {Error} If the token is invalid or was signed for another room
+ */
+export async function verifyUploadRelease(secret, token, room) {
+  const claims = await verifyToken(secret, token, 'uploads');
+  if (claims.room !== room) {
+    throw new Error('Upload release was signed for another room');
+  }
+  return claims.keys;
+}
@@ -1,4 +1,27 @@
 export const MAX_MESSAGE_LENGTH = 100000;
 
+// Messages per page when loading channel history
+export const HISTORY_PAGE_SIZE = 50;
+
 export const MAX_FILE_SIZE_MB = 100; // 100 MB
 export const MAX_FILE_SIZE_BYTES = MAX_FILE_SIZE_MB * 1024 * 1024;
+
+// Bytes from the start of an upload the server detects its type from; a
+// multipart upload sends them when it is created
+export const SNIFF_BYTES = 4096;
+
+// Typing indicators: how long a `typing` event stays active, and how often a
+// client repeats it while the user keeps typing
+export const TYPING_TTL_MS = 5000;
+export const TYPING_THROTTLE_MS = 3000;
+
+// Presence: statuses a connected user can have, and the longest custom status
+export const PRESENCE_STATUSES = ['online', 'idle', 'away', 'dnd'];
+export const MAX_STATUS_TEXT_LENGTH = 128;
+
+// Moderation: how long `/mute` lasts unless a duration is given, the longest
+// mute, and the close codes of the presence WebSocket for kicked and banned users
+export const DEFAULT_MUTE_SECONDS = 10 * 60;
+export const MAX_MUTE_SECONDS = 30 * 24 * 60 * 60;
+export const KICKED_CLOSE_CODE = 4001;
+export const BANNED_CLOSE_CODE = 4003;
@@ -0,0 +1,36 @@
+/**
+ * Encrypted message text
+ *
+ * In end-to-end encrypted rooms (see ui/utils/message-crypto.mjs) clients
+ * store message text as `ENC1:<iv>:<ciphertext>`, both base64url. File
+ * messages keep their `FILE:` prefix and list the stable paths of their
+ * uploads after the ciphertext, so the server can still tell which files a
+ * message links:
+ *
+ *   FILE:ENC1:<iv>:<ciphertext>|/files/<key>
+ *
+ * The server cannot read either; it does not index them for search.
+ *
+ * An encrypted room is marked with the `encrypted` room setting ('true'),
+ * written by an owner or moderator who has the key. From then on the server
+ * refuses message text that is not encrypted, and clients without the key
+ * refuse to send.
+ */
+
+export const ENCRYPTED_TEXT_PREFIX = 'ENC1:';
+
+// Room setting marking a room as end-to-end encrypted
+export const ENCRYPTED_ROOM_KEY = 'encrypted';
+
+/**
+ * Whether message text is encrypted
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isEncryptedText(text) {
+  if (typeof text !== 'string') return false;
+  return (
+    text.startsWith(ENCRYPTED_TEXT_PREFIX) ||
+    text.startsWith(`FILE:${ENCRYPTED_TEXT_PREFIX}`)
+  );
+}
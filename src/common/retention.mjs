@@ -0,0 +1,77 @@
+/**
+ * Message retention settings
+ *
+ * Stored in the `room_settings` collection as a number of days, written as a
+ * string:
+ *  - `retentionDays`: every channel of the room ('' or '0' keeps messages forever)
+ *  - `retentionDays:<channel>`: one channel (lowercase name), overriding the
+ *    room ('' follows the room, '0' keeps the channel's messages forever)
+ *
+ * The replication Durable Object deletes messages past their retention from
+ * a scheduled alarm (see rxdb-replication.mjs). Only room owners and
+ * moderators may change these settings.
+ */
+
+export const RETENTION_KEY = 'retentionDays';
+export const MAX_RETENTION_DAYS = 3650;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the room_settings key of a retention setting
+ * @param {string|null} [channel] - Channel name, or null for the whole room
+ * @returns {string}
+ */
+export function getRetentionKey(channel = null) {
+  return channel ? `${RETENTION_KEY}:${channel.toLowerCase()}` : RETENTION_KEY;
+}
+
+/**
+ * @param {string} key - room_settings key
+ * @returns {boolean} Whether the key holds a retention setting
+ */
+export function isRetentionKey(key) {
+  return key === RETENTION_KEY || key.startsWith(`${RETENTION_KEY}:`);
+}
+
+/**
+ * @param {string} key - room_settings key
+ * @returns {boolean} Whether the key is a retention key as getRetentionKey()
+ *   makes it; the expiry alarm does not find settings stored under others
+ */
+export function isCanonicalRetentionKey(key) {
+  if (key === RETENTION_KEY) return true;
+  const channel = key.slice(RETENTION_KEY.length + 1);
+  return channel !== '' && key === getRetentionKey(channel);
+}
+
+/**
+ * Read a retention setting value
+ * @param {string|undefined} value
+ * @returns {number|null} Days (0 = forever), null if unset or invalid
+ */
+export function parseRetentionDays(value) {
+  if (typeof value !== 'string' || !/^\d{1,4}$/.test(value)) {
+    return null;
+  }
+  const days = Number(value);
+  return days <= MAX_RETENTION_DAYS ? days : null;
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean} Whether the value can be stored in a retention setting
+ */
+export function isValidRetentionValue(value) {
+  return value === '' || parseRetentionDays(value) !== null;
+}
+
+/**
+ * Get the timestamp before which messages have expired
+ * @param {number} days - Retention in days
+ * @param {number} [now]
+ * @returns {number}
+ */
+export function getRetentionCutoff(days, now = Date.now()) {
+  return now - days * DAY_MS;
+}
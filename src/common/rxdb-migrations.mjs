@@ -0,0 +1,89 @@
+/**
+ * RxDB Schema Migrations
+ *
+ * Shared by the client and the replication Durable Object so that both sides
+ * upgrade documents the same way:
+ *  - the client passes them to RxDB as `migrationStrategies`, which upgrades
+ *    the documents stored in IndexedDB
+ *  - the replication DO applies them to the JSON blobs in its collection
+ *    tables when it starts with a newer schema version
+ *
+ * To change a schema, bump its `version` in rxdb-schemas.mjs and add a
+ * strategy keyed by the new version here. A strategy receives a document of
+ * the previous version and returns the upgraded document, or null to drop it.
+ * Strategies must be deterministic, since the client and the server migrate
+ * their copies independently.
+ *
+ * @example
+ * messages: {
+ *   // v1 adds `mentions`
+ *   1: (doc) => ({ ...doc, mentions: [] }),
+ * },
+ */
+
+import { collectionSchemas } from './rxdb-schemas.mjs';
+
+/**
+ * Migration strategies for each collection, keyed by target version
+ * @type {Object<string, Object<number, (doc: Object) => Object|null>>}
+ */
+export const migrationStrategies = {
+  messages: {},
+  reactions: {},
+  channels: {
+    // v1 adds `createdBy`, unknown for existing channels
+    1: (doc) => ({ ...doc, createdBy: null }),
+  },
+  pins: {
+    // v1 adds `pinnedBy`, unknown for existing pins
+    1: (doc) => ({ ...doc, pinnedBy: null }),
+  },
+  room_settings: {},
+};
+
+/**
+ * Get the current schema version of every collection
+ * @returns {Object<string, number>} Collection name -> schema version
+ */
+export function getSchemaVersions() {
+  return Object.fromEntries(
+    Object.entries(collectionSchemas).map(([name, schema]) => [
+      name,
+      schema.version,
+    ]),
+  );
+}
+
+/**
+ * Upgrade a document from one schema version to another by applying each
+ * intermediate strategy in order
+ *
+ * @param {string} collectionName
+ * @param {Object} doc - Document at `fromVersion`
+ * @param {number} fromVersion
+ * @param {number} [toVersion] - Defaults to the current schema version
+ * @returns {Object|null} Upgraded document, or null if a strategy dropped it
+ * @throws {Error} If a strategy for an intermediate version is missing
+ */
+export function migrateDocument(
+  collectionName,
+  doc,
+  fromVersion,
+  toVersion = collectionSchemas[collectionName].version,
+) {
+  const strategies = migrationStrategies[collectionName] || {};
+  let migrated = doc;
+  for (let version = fromVersion + 1; version <= toVersion; version++) {
+    const strategy = strategies[version];
+    if (!strategy) {
+      throw new Error(
+        `Missing migration strategy for ${collectionName} v${version}`,
+      );
+    }
+    migrated = strategy(migrated);
+    if (migrated === null) {
+      return null;
+    }
+  }
+  return migrated;
+}
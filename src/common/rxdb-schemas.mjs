@@ -3,8 +3,13 @@
  *
  * Defines collections for messages, reactions, channels, and pins.
  * These schemas replace the TinyBase table definitions.
+ *
+ * Shared by the client (RxDB collections) and the replication Durable Object,
+ * which validates every replicated write against them (see schema-validator.mjs).
  */
 
+import { MAX_MESSAGE_LENGTH } from './constants.mjs';
+
 // Maximum timestamp value for indexed number fields (matches RxDB internal _meta.lwt max)
 const MAX_TIMESTAMP = 1000000000000000;
 
@@ -48,12 +53,14 @@ export const reactionsSchema = {
 };
 
 export const channelsSchema = {
-  version: 0,
+  version: 1,
   primaryKey: 'channel',
   type: 'object',
   properties: {
     channel: { type: 'string', maxLength: 100 },
     count: { type: 'number' },
+    // Null for channels created before creators were recorded
+    createdBy: { type: ['string', 'null'] },
     lastUsed: {
       type: 'number',
       minimum: 0,
@@ -67,13 +74,15 @@ export const channelsSchema = {
 };
 
 export const pinsSchema = {
-  version: 0,
+  version: 1,
   primaryKey: 'messageId',
   type: 'object',
   properties: {
     messageId: { type: 'string', maxLength: 100 },
     channelName: { type: 'string' },
     pinnedAt: { type: 'number' },
+    // Null for pins made before pinners were recorded
+    pinnedBy: { type: ['string', 'null'] },
     _deleted: { type: 'boolean' },
   },
   required: ['messageId', 'channelName', 'pinnedAt'],
@@ -91,3 +100,41 @@ export const roomSettingsSchema = {
   },
   required: ['key', 'value'],
 };
+
+/**
+ * Schema for each replicated collection, keyed by collection name
+ */
+export const collectionSchemas = {
+  messages: messagesSchema,
+  reactions: reactionsSchema,
+  channels: channelsSchema,
+  pins: pinsSchema,
+  room_settings: roomSettingsSchema,
+};
+
+/**
+ * Additional `maxLength` limits enforced by the replication server only.
+ * They are kept out of the RxDB schemas above because changing a schema
+ * changes its hash, which existing IndexedDB databases refuse unless the
+ * version is bumped with a migration (see rxdb-migrations.mjs).
+ */
+export const serverFieldLimits = {
+  messages: {
+    text: MAX_MESSAGE_LENGTH,
+    username: 32,
+    channel: 100,
+    replyToId: 100,
+  },
+  reactions: {
+    messageId: 100,
+    reactionId: 50,
+    username: 32,
+  },
+  channels: {},
+  pins: {
+    channelName: 100,
+  },
+  room_settings: {
+    value: 1000,
+  },
+};
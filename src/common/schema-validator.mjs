@@ -0,0 +1,129 @@
+/**
+ * Minimal JSON Schema validator for RxDB documents
+ *
+ * Supports the subset of JSON Schema used by rxdb-schemas.mjs: `type`
+ * (single or array), `required`, `maxLength`, `minLength`, `minimum`,
+ * `maximum` and `multipleOf`. Like RxDB, unknown top-level properties are
+ * not allowed.
+ *
+ * Workers cannot compile validators with `new Function`, so this walks the
+ * schema directly instead of using a code-generating validator.
+ */
+
+// Replication metadata that is never part of the stored document
+const INTERNAL_FIELDS = ['_deleted', '_meta', '_rev', '_attachments'];
+
+/**
+ * @typedef {Object} ValidationError
+ * @property {string} path - Field name the error refers to
+ * @property {string} message - Human readable description
+ */
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check a value against a `type` keyword
+ * @param {*} value
+ * @param {string|string[]} type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  const types = Array.isArray(type) ? type : [type];
+  const actual = typeOf(value);
+  return types.some(
+    (t) =>
+      t === actual ||
+      (t === 'number' && actual === 'integer' && Number.isFinite(value)),
+  );
+}
+
+/**
+ * Validate a single property value
+ * @param {string} path
+ * @param {*} value
+ * @param {Object} schema - Property schema
+ * @param {number} [maxLength] - Extra length limit for strings
+ * @returns {ValidationError[]}
+ */
+function validateProperty(path, value, schema, maxLength) {
+  if (schema.type && !matchesType(value, schema.type)) {
+    const expected = [].concat(schema.type).join(' or ');
+    return [{ path, message: `must be ${expected}` }];
+  }
+
+  const errors = [];
+  if (typeof value === 'string') {
+    const limit = Math.min(schema.maxLength ?? Infinity, maxLength ?? Infinity);
+    if (value.length > limit) {
+      errors.push({ path, message: `must be at most ${limit} characters` });
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({
+        path,
+        message: `must be at least ${schema.minLength} characters`,
+      });
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+    if (schema.multipleOf !== undefined && value % schema.multipleOf !== 0) {
+      errors.push({
+        path,
+        message: `must be a multiple of ${schema.multipleOf}`,
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate a document against an RxDB collection schema
+ *
+ * @param {Object} schema - RxDB schema (see rxdb-schemas.mjs)
+ * @param {Object} doc - Document to validate (replication metadata is ignored)
+ * @param {Object<string, number>} [fieldLimits] - Extra maxLength per field
+ * @returns {ValidationError[]} Empty if the document is valid
+ */
+export function validateDocument(schema, doc, fieldLimits = {}) {
+  if (typeOf(doc) !== 'object') {
+    return [{ path: '', message: 'document must be an object' }];
+  }
+
+  const errors = [];
+  for (const field of schema.required || []) {
+    if (doc[field] === undefined) {
+      errors.push({ path: field, message: 'is required' });
+    }
+  }
+
+  for (const [field, value] of Object.entries(doc)) {
+    const propertySchema = schema.properties[field];
+    if (!propertySchema) {
+      if (!INTERNAL_FIELDS.includes(field)) {
+        errors.push({ path: field, message: 'is not allowed' });
+      }
+      continue;
+    }
+    if (value === undefined) continue;
+    errors.push(
+      ...validateProperty(field, value, propertySchema, fieldLimits[field]),
+    );
+  }
+
+  return errors;
+}
@@ -0,0 +1,61 @@
+/**
+ * Message Search Query Grammar
+ *
+ * Shared by the search modal and the replication Durable Object's search
+ * endpoint, so both read a query the same way. Discord-style filters can be
+ * mixed with free text:
+ *  - from:username          Messages by a user
+ *  - in:channel             Messages in a channel
+ *  - has:link | has:file    Messages with links or files
+ *  - pinned:true | pinned:false
+ */
+
+// Markers around matched terms in search result snippets. Control characters
+// cannot appear in typed text, so the client can escape the snippet and then
+// turn them into highlight tags.
+export const SNIPPET_MARK_START = '\u0002';
+export const SNIPPET_MARK_END = '\u0003';
+
+/**
+ * @typedef {Object} SearchFilters
+ * @property {string} text - Free text to search for
+ * @property {string|null} from - from:username
+ * @property {string|null} in - in:channel
+ * @property {string|null} has - has:link | has:file
+ * @property {boolean|null} pinned - pinned:true | pinned:false
+ */
+
+/**
+ * Parse a search query into free text and filters
+ * @param {string} query
+ * @returns {SearchFilters}
+ */
+export function parseSearchQuery(query) {
+  const filters = {
+    text: '',
+    from: null,
+    in: null,
+    has: null,
+    pinned: null,
+  };
+
+  const fromMatch = query.match(/from:(\S+)/);
+  const inMatch = query.match(/in:(\S+)/);
+  const hasMatch = query.match(/has:(\S+)/);
+  const pinnedMatch = query.match(/pinned:(true|false)/);
+
+  if (fromMatch) filters.from = fromMatch[1];
+  if (inMatch) filters.in = inMatch[1];
+  if (hasMatch) filters.has = hasMatch[1];
+  if (pinnedMatch) filters.pinned = pinnedMatch[1] === 'true';
+
+  // Remove filters from text search
+  filters.text = query
+    .replace(/from:\S+/g, '')
+    .replace(/in:\S+/g, '')
+    .replace(/has:\S+/g, '')
+    .replace(/pinned:(true|false)/g, '')
+    .trim();
+
+  return filters;
+}
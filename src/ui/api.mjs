@@ -1,4 +1,14 @@
 import { MultipartUploader } from './utils/multipart-uploader.mjs';
+import { getSessionToken } from './utils/session-token.mjs';
+import {
+  getFileFingerprint,
+  getUploadSession,
+  saveUploadSession,
+  deleteUploadSession,
+} from './utils/upload-sessions.mjs';
+
+// How long a request waits for the presence socket to deliver a session token
+const SESSION_TOKEN_TIMEOUT_MS = 10 * 1000;
 
 // API Client class for server requests
 class ChatAPI {
@@ -7,20 +17,28 @@ class ChatAPI {
     this.baseUrl = `${window.location.protocol}//${this.hostname}/api`;
   }
 
-  // Create private room
+  /**
+   * Create a private room
+   * @returns {Promise<{room: string, ownerSecret: string}>} Room name and the creator's owner secret
+   */
   async createPrivateRoom() {
     const response = await fetch(`${this.baseUrl}/room`, { method: 'POST' });
     if (!response.ok) {
-      throw new Error('Failed to create private room');
+      // Rate-limited responses explain how long to wait
+      const error =
+        response.status === 429 ? (await response.json()).error : null;
+      throw new Error(error || 'Failed to create private room');
     }
-    return await response.text();
+    return await response.json();
   }
 
   // Upload file (legacy - single request, kept for backward compatibility)
-  async uploadFile(roomName, formData) {
+  async uploadFile(roomName, formData, { signal } = {}) {
     const response = await fetch(`${this.baseUrl}/room/${roomName}/upload`, {
       method: 'POST',
+      headers: await this.getAuthHeaders(),
       body: formData,
+      signal,
     });
     if (!response.ok) {
       const error = await response.json();
@@ -38,6 +56,7 @@ class ChatAPI {
    * @param {number} [options.maxConcurrency] - Max parallel uploads (default: 5)
    * @param {Function} [options.onProgress] - Progress callback
    * @param {Function} [options.onChunkComplete] - Chunk complete callback
+   * @param {AbortSignal} [options.signal] - Cancels the upload
    * @returns {Promise<Object>} Upload result
    */
   async uploadFileMultipart(roomName, file, options = {}) {
@@ -45,17 +64,45 @@ class ChatAPI {
       file,
       roomName,
       baseUrl: this.baseUrl,
+      headers: await this.getAuthHeaders(),
       ...options,
     });
 
     return await uploader.start();
   }
 
+  /**
+   * Abort a multipart upload
+   * @param {string} roomName - Room name
+   * @param {{ uploadId: string, fileKey: string }} session
+   */
+  async abortMultipartUpload(roomName, { uploadId, fileKey }) {
+    const response = await fetch(
+      `${this.baseUrl}/room/${roomName}/upload/mpu-abort`,
+      {
+        method: 'POST',
+        headers: {
+          ...(await this.getAuthHeaders()),
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ uploadId, key: fileKey }),
+      },
+    );
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to abort multipart upload');
+    }
+  }
+
   /**
    * Smart upload
+   * A multipart upload of the same file that did not finish (e.g. the page was
+   * reloaded) is offered for resuming.
    * @param {string} roomName - Room name
    * @param {File} file - File to upload
    * @param {Object} options - Upload options (for multipart)
+   * @param {Function} [options.confirmResume] - Asked (file) => boolean whether to resume; defaults to window.confirm
+   * @param {AbortSignal} [options.signal] - Cancels the upload
    * @returns {Promise<Object>} Upload result
    */
   async uploadFileAuto(roomName, file, options = {}) {
@@ -63,12 +110,48 @@ class ChatAPI {
 
     if (file.size > MULTIPART_THRESHOLD) {
       // Use multipart for large files
-      return await this.uploadFileMultipart(roomName, file, options);
+      const {
+        confirmResume = (file) =>
+          window.confirm(
+            `An earlier upload of "${file.name}" did not finish.\nResume it?`,
+          ),
+        ...uploadOptions
+      } = options;
+      const fingerprint = await getFileFingerprint(roomName, file);
+      const session = await getUploadSession(fingerprint);
+      const resume = session && (await confirmResume(file)) ? session : null;
+      if (session && !resume) {
+        // Release the space the abandoned upload reserves
+        this.abortMultipartUpload(roomName, session).catch((err) =>
+          console.warn('Failed to abort abandoned upload:', err),
+        );
+      }
+
+      try {
+        const result = await this.uploadFileMultipart(roomName, file, {
+          ...uploadOptions,
+          resume,
+          onSessionCreated: (created) =>
+            saveUploadSession({
+              ...created,
+              fingerprint,
+              createdAt: Date.now(),
+            }),
+        });
+        await deleteUploadSession(fingerprint);
+        return result;
+      } catch (err) {
+        // The uploader aborted the upload on the server
+        await deleteUploadSession(fingerprint);
+        throw err;
+      }
     } else {
       // Use legacy single upload for small files
       const formData = new FormData();
       formData.append('file', file);
-      return await this.uploadFile(roomName, formData);
+      return await this.uploadFile(roomName, formData, {
+        signal: options.signal,
+      });
     }
   }
 
@@ -76,6 +159,7 @@ class ChatAPI {
   async getThreadReplies(roomName, messageId, nested = true) {
     const response = await fetch(
       `${this.baseUrl}/room/${roomName}/thread/${messageId}?nested=${nested}`,
+      { headers: await this.getAuthHeaders() },
     );
     if (!response.ok) {
       throw new Error('Failed to load thread');
@@ -87,6 +171,7 @@ class ChatAPI {
   async getChannelMessages(roomName, channelName, limit = 100) {
     const response = await fetch(
       `${this.baseUrl}/room/${roomName}/channel/${channelName}/messages?limit=${limit}`,
+      { headers: await this.getAuthHeaders() },
     );
     if (!response.ok) {
       throw new Error('Failed to load channel messages');
@@ -94,6 +179,25 @@ class ChatAPI {
     return await response.json();
   }
 
+  /**
+   * Full-text search over the room's message history
+   * @param {string} roomName - Room name
+   * @param {string} query - Search query (see common/search-query.mjs)
+   * @param {number} [offset] - Number of results to skip
+   * @returns {Promise<{ results: Array, nextOffset: number|null }>}
+   */
+  async searchMessages(roomName, query, offset = 0) {
+    const params = new URLSearchParams({ q: query, offset: String(offset) });
+    const response = await fetch(
+      `${this.baseUrl}/rxdb/${roomName}/search?${params}`,
+      { headers: await this.getAuthHeaders() },
+    );
+    if (!response.ok) {
+      throw new Error('Search failed');
+    }
+    return await response.json();
+  }
+
   // Get WebSocket URL
   getWebSocketUrl(roomName) {
     const wss = window.location.protocol === 'http:' ? 'ws://' : 'wss://';
@@ -105,16 +209,13 @@ class ChatAPI {
     return `${wss}${this.hostname}/api/rxdb/${roomName}`;
   }
 
-  // Delete message
-  async deleteMessage(roomName, messageId, username) {
+  // Delete message (only the author may delete it)
+  async deleteMessage(roomName, messageId) {
     const response = await fetch(
       `${this.baseUrl}/room/${roomName}/message/${messageId}`,
       {
         method: 'DELETE',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ username }),
+        headers: await this.getAuthHeaders(),
       },
     );
 
@@ -125,19 +226,17 @@ class ChatAPI {
     return await response.json();
   }
 
-  // Edit message
-  async editMessage(roomName, messageId, username, newMessage) {
+  // Edit message (only the author may edit it)
+  async editMessage(roomName, messageId, newMessage) {
     const response = await fetch(
       `${this.baseUrl}/room/${roomName}/message/${messageId}`,
       {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
+          ...(await this.getAuthHeaders()),
         },
-        body: JSON.stringify({
-          username,
-          newMessage,
-        }),
+        body: JSON.stringify({ newMessage }),
       },
     );
 
@@ -148,6 +247,85 @@ class ChatAPI {
     return await response.json();
   }
 
+  // Get the previous versions of an edited message, oldest first
+  async getMessageRevisions(roomName, messageId) {
+    const response = await fetch(
+      `${this.baseUrl}/room/${roomName}/message/${messageId}/revisions`,
+      { headers: await this.getAuthHeaders() },
+    );
+    if (!response.ok) {
+      throw new Error('Failed to load edit history');
+    }
+    return await response.json();
+  }
+
+  // Get a page of the room's audit log, newest first (room owners only)
+  async getAuditLog(roomName, before = null) {
+    const query = before ? `?before=${before}` : '';
+    const response = await fetch(
+      `${this.baseUrl}/room/${roomName}/audit${query}`,
+      { headers: await this.getAuthHeaders() },
+    );
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to load audit log');
+    }
+    return await response.json();
+  }
+
+  /**
+   * Get signed, expiring download URLs for files of the room
+   * @param {string} roomName - Room name
+   * @param {string[]} keys - Object keys (the `<key>` of `/files/<key>`)
+   * @returns {Promise<{urls: Object<string, string>, expiresAt: number}>} Signed URLs by key; files of other rooms are left out
+   */
+  async signFileUrls(roomName, keys) {
+    const response = await fetch(
+      `${this.baseUrl}/room/${roomName}/files/sign`,
+      {
+        method: 'POST',
+        headers: {
+          ...(await this.getAuthHeaders()),
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ keys }),
+      },
+    );
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to sign file URLs');
+    }
+    return await response.json();
+  }
+
+  /**
+   * Get the storage used by the room's uploads and by the current user
+   * @param {string} roomName - Room name
+   * @returns {Promise<{room: {used: number, quota: number}, uploader: {used: number, quota: number}}>} Bytes
+   */
+  async getStorageUsage(roomName) {
+    const response = await fetch(`${this.baseUrl}/room/${roomName}/storage`, {
+      headers: await this.getAuthHeaders(),
+    });
+    if (!response.ok) {
+      throw new Error('Failed to load storage usage');
+    }
+    return await response.json();
+  }
+
+  // Authorization header carrying the session token of the presence socket.
+  // Without a token in time the request goes out unauthenticated, so the
+  // server answers 401 instead of the request hanging.
+  async getAuthHeaders() {
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(resolve, SESSION_TOKEN_TIMEOUT_MS, null);
+    });
+    const token = await Promise.race([getSessionToken(), timeout]);
+    clearTimeout(timer);
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
 }
 
 // Initialize API client
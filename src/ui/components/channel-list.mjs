@@ -8,6 +8,7 @@
 import { signal, component } from 'reefjs';
 import { listenReefEvent } from '../utils/reef-helpers.mjs';
 import { getCurrentChannel } from '../utils/chat-state.mjs';
+import { userState } from '../utils/user-state.mjs';
 import logger from '../../common/logger.mjs';
 
 const SignalName = 'channelsSignal';
@@ -184,8 +185,14 @@ export function initChannelList(
    */
   function upsertChannel(channelName, count = 0) {
     const now = Date.now();
-    tinybaseStore.setCell('channels', channelName, 'count', count);
-    tinybaseStore.setCell('channels', channelName, 'lastUsed', now);
+    tinybaseStore.setRow('channels', channelName, {
+      count,
+      lastUsed: now,
+      // The server only accepts new channels created under our own name
+      createdBy:
+        tinybaseStore.getCell('channels', channelName, 'createdBy') ??
+        userState.value.username,
+    });
     logger.log(`📝 Channel upserted: ${channelName}`);
   }
 
@@ -13,10 +13,16 @@ import { throttle } from '../../common/utils.mjs';
 import { listenReefEvent } from '../utils/reef-helpers.mjs';
 import logger from '../../common/logger.mjs';
 import { markChannelAsRead, getUnreadCount } from '../rxdb/read-status.mjs';
+import { loadMessageHistory } from '../rxdb/index.mjs';
 import { forEach } from '../react/flow.mjs';
 import { getCurrentChannel } from '../utils/chat-state.mjs';
 import { whenChannelChange } from './channel-list.mjs';
 import { Disposable, MutableDisposable } from '../../common/disposable.mjs';
+import {
+  isEncryptedText,
+  ENCRYPTED_MESSAGE_PLACEHOLDER,
+} from '../utils/message-crypto.mjs';
+import { getFailedMessages } from '../utils/outbox.mjs';
 import { VirtualMessageList } from './virtual-message-list.mjs';
 
 /**
@@ -33,6 +39,9 @@ import { VirtualMessageList } from './virtual-message-list.mjs';
 const SignalName = 'messagesSignal';
 const tableId = 'messages';
 
+// Load the previous history page when scrolled this close to the top
+const LOAD_OLDER_THRESHOLD_PX = 200;
+
 /**
  * Initialize message list component
  * @param {Object} tinybaseStore - RxDB compat store instance
@@ -46,6 +55,7 @@ const tableId = 'messages';
  * @param {function} [welcomeConfig.getCurrentUsername] - Function that returns current username
  * @param {function} [welcomeConfig.getRoomDisplayName] - Function that returns display name for the room
  * @param {boolean} [welcomeConfig.isPrivateRoom] - Whether this is a private room
+ * @param {boolean} [welcomeConfig.isEncrypted] - Whether the room is end-to-end encrypted
  * @returns {Object} Component instance and helper functions
  */
 export function initMessageList(
@@ -79,6 +89,110 @@ export function initMessageList(
   let isAtBottom = true;
   let isInitialLoad = true;
 
+  // History paging state per channel (lowercased): { hasMore, loading }
+  const historyState = new Map();
+  // Keeps the oldest visible message in place while an older page is prepended
+  /** @type {{ messageId: string, offset: number }|null} */
+  let scrollAnchor = null;
+
+  /**
+   * Load a page of the channel's history from the server
+   * @param {string} channel
+   * @param {{ timestamp: number, messageId: string }|null} before - Load messages older than this one (newest page if null)
+   * @returns {Promise<number>} Number of messages loaded
+   */
+  async function loadHistoryPage(channel, before) {
+    const key = channel.toLowerCase();
+    if (!historyState.has(key)) {
+      historyState.set(key, { hasMore: true, loading: false });
+    }
+    const state = historyState.get(key);
+    if (state.loading) return 0;
+
+    state.loading = true;
+    try {
+      const { count, hasMore } = await loadMessageHistory(channel, { before });
+      state.hasMore = hasMore;
+      logger.log(`📜 Loaded ${count} history messages in #${channel}`);
+      return count;
+    } catch (error) {
+      logger.error('Failed to load message history:', error);
+      return 0;
+    } finally {
+      state.loading = false;
+    }
+  }
+
+  /**
+   * Get the oldest replicated message currently listed for a channel
+   * @param {string} channel
+   * @returns {Object|undefined}
+   */
+  function getOldestMessage(channel) {
+    return virtualList
+      .getItemsByChannel(channel)
+      .find((item) => item._type === 'regular');
+  }
+
+  /**
+   * Load history pages until a point in time is covered, e.g. to show a
+   * search result that is not loaded yet. Pages continue from the oldest
+   * loaded message, so no gap is left between them.
+   * @param {string} channel
+   * @param {number} timestamp - Load until messages this old are present
+   * @param {number} [maxPages] - Give up after this many pages
+   * @returns {Promise<boolean>} Whether the timestamp is now covered
+   */
+  async function loadHistoryUntil(channel, timestamp, maxPages = 20) {
+    const oldest = getOldestMessage(channel);
+    if (oldest && oldest.timestamp <= timestamp) return true;
+
+    let before = oldest
+      ? { timestamp: oldest.timestamp, messageId: oldest.messageId }
+      : null;
+    for (let page = 0; page < maxPages; page++) {
+      const result = await loadMessageHistory(channel, { before });
+      if (!result.oldest) return false;
+      if (result.oldest.timestamp <= timestamp || !result.hasMore) {
+        return result.oldest.timestamp <= timestamp;
+      }
+      before = result.oldest;
+    }
+    return false;
+  }
+
+  /**
+   * Load the page before the oldest loaded message of the current channel
+   */
+  async function loadOlderMessages() {
+    const channel = getCurrentChannel();
+    const state = historyState.get(channel.toLowerCase());
+    if (channel.startsWith('dm-') || !state?.hasMore || state.loading) return;
+
+    const oldest = getOldestMessage(channel);
+    if (!oldest) return;
+
+    const oldestEl = container.querySelector(
+      `message-element[data-message-id="${CSS.escape(oldest.messageId)}"]`,
+    );
+    if (oldestEl) {
+      scrollAnchor = {
+        messageId: oldest.messageId,
+        offset:
+          oldestEl.getBoundingClientRect().top -
+          container.getBoundingClientRect().top,
+      };
+    }
+
+    const count = await loadHistoryPage(channel, {
+      timestamp: oldest.timestamp,
+      messageId: oldest.messageId,
+    });
+    if (count === 0) {
+      scrollAnchor = null;
+    }
+  }
+
   /**
    * Sync RxDB → Signal
    * 读取 RxDB 的 messages 表，按 channel 过滤，自动更新 Signal
@@ -133,13 +247,14 @@ export function initMessageList(
           if (parentData) {
             // 生成预览（前 50 个字符）
             let preview = parentData;
-            if (preview.startsWith('FILE:')) {
+            if (isEncryptedText(preview)) {
+              preview = ENCRYPTED_MESSAGE_PLACEHOLDER;
+            } else if (preview.startsWith('FILE:')) {
               const parts = preview.substring(5).split('|');
               preview = parts[1] || 'File'; // 使用文件名作为预览
             }
-            preview = preview.substring(0, 50);
-            if (parentData.length > 50) {
-              preview += '...';
+            if (preview.length > 50) {
+              preview = preview.substring(0, 50) + '...';
             }
 
             replyTo = {
@@ -212,6 +327,7 @@ export function initMessageList(
 
       // Sync regular items into VirtualMessageList
       virtualList.setRegularItems(messagesList);
+      syncFailedMessages();
 
       messagesSignal.version++; // 增加版本号，强制重新渲染
 
@@ -233,12 +349,16 @@ export function initMessageList(
     const disposable = mutableDisposable.create();
     // Reset to scroll to bottom when switching channels
     isInitialLoad = true;
+    scrollAnchor = null;
 
     if (channel.startsWith('dm-')) {
       logger.debug(`🔄 Channel changed to DM: ${channel}, skipping listener`);
       return;
     }
 
+    // Only recent history is replicated up front; fetch the newest page
+    loadHistoryPage(channel, null);
+
     // Listen to messages table changes via compat store
     const id = tinybaseStore.addTableListener('messages', () => {
       logger.debug(
@@ -336,6 +456,12 @@ export function initMessageList(
             lines.push(`Welcome to ${roomDisplayName}. Say hi!`);
           }
         }
+        if (welcomeConfig.isEncrypted) {
+          lines.push(
+            'Messages and files in this room are end-to-end encrypted with the key in the link (after the #). ' +
+              'The server cannot read them; only people you send the full link to can.',
+          );
+        }
         welcomeHtml = lines.map((line) => `<p class="system-message" style="color: #888; font-style: italic;">* ${line}</p>`).join('');
       }
       container.innerHTML = `
@@ -437,6 +563,25 @@ export function initMessageList(
       `✅ Rendered ${allMessages.length} messages in #${currentChannel}`,
     );
 
+    // Keep the previously oldest message in place after older ones arrive
+    if (scrollAnchor) {
+      const anchorEl = messagesContainer.querySelector(
+        `message-element[data-message-id="${CSS.escape(scrollAnchor.messageId)}"]`,
+      );
+      if (anchorEl) {
+        container.scrollTop +=
+          anchorEl.getBoundingClientRect().top -
+          container.getBoundingClientRect().top -
+          scrollAnchor.offset;
+      }
+      if (
+        getOldestMessage(currentChannel)?.messageId !== scrollAnchor.messageId
+      ) {
+        scrollAnchor = null;
+      }
+      return;
+    }
+
     // Scroll to bottom if this is initial load or user was at bottom
     if (isInitialLoad || isAtBottom) {
       // Use requestAnimationFrame to ensure DOM is updated
@@ -466,6 +611,14 @@ export function initMessageList(
     isAtBottom =
       container.scrollTop + container.clientHeight >=
       container.scrollHeight - 1;
+    if (isAtBottom) {
+      scrollAnchor = null;
+    }
+
+    // Page in older history when scrolling up
+    if (container.scrollTop < LOAD_OLDER_THRESHOLD_PX) {
+      loadOlderMessages();
+    }
   });
 
   renderMessages();
@@ -473,6 +626,9 @@ export function initMessageList(
   function sendMessage(text, username, channel, options = {}) {
     const messageId = `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
+    // username and timestamp are provisional: the replication server stamps
+    // new messages with the authenticated name and its own clock, and RxDB
+    // replaces the local copy with the corrected document.
     const messageData = {
       text: text,
       username: username,
@@ -577,6 +733,42 @@ export function initMessageList(
     logger.log('🗑️ Temp message removed:', tempId);
   }
 
+  /**
+   * Show the messages the server rejected as temp messages
+   * RxDB rolls their local copy back, so they are only left in the outbox
+   * (see utils/outbox.mjs), where they can be retried or discarded.
+   */
+  function syncFailedMessages() {
+    const failed = new Map(
+      getFailedMessages().map((entry) => [entry.messageId, entry]),
+    );
+    for (const item of messagesSignal.tempItems) {
+      if (item._isOutbox && !failed.has(item.messageId)) {
+        removeTempMessage(item.messageId);
+      }
+    }
+
+    // Until the rollback arrives, the message is still a regular item
+    const listed = new Set(
+      virtualList.getAllItems().map((item) => item.messageId),
+    );
+    for (const entry of failed.values()) {
+      if (listed.has(entry.messageId)) continue;
+      addTempMessage({
+        messageId: entry.messageId,
+        name: entry.username,
+        message: entry.text,
+        timestamp: entry.timestamp,
+        channel: entry.channel,
+        replyToId: entry.replyToId,
+        editedAt: null,
+        _isOutbox: true,
+      });
+    }
+  }
+
+  listenReefEvent('outboxState', syncFailedMessages);
+
   /**
    * Helper: 设置 isAtBottom 状态（用于外部同步）
    */
@@ -611,6 +803,7 @@ export function initMessageList(
     updateTempMessage,
     removeTempMessage,
     addSystemMessage,
+    loadHistoryUntil,
     syncNow: syncRxdbToSignal,
     render: renderMessages, // 暴露渲染函数供外部使用
     scrollToBottom, // 强制滚动到底部
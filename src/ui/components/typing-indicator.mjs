@@ -0,0 +1,167 @@
+/**
+ * Typing Indicator Component - Reef.js
+ *
+ * Architecture:
+ * Presence WebSocket `typing` events → Signal → Reef Components
+ *
+ * Shows "X and Y are typing…" under the message list (current channel) and
+ * under the thread replies (open thread). Entries expire on their own after
+ * the `expiresIn` sent by the server, so a user who stops typing without a
+ * stop event (closed tab, lost connection) doesn't linger.
+ */
+
+import { signal, component } from 'reefjs';
+import { chatState } from '../utils/chat-state.mjs';
+import { userState } from '../utils/user-state.mjs';
+import { html } from '../utils/html.mjs';
+
+const SignalName = 'typingIndicatorSignal';
+
+/**
+ * @typedef {Object} Typer
+ * @property {string} key - name + channel + thread
+ * @property {string} name
+ * @property {string} channel
+ * @property {string|null} threadId - Thread root message id, null for the channel
+ */
+
+/**
+ * Describe who is typing
+ * @param {string[]} names
+ * @returns {string}
+ */
+function describeTypers(names) {
+  if (names.length === 1) return `${names[0]} is typing…`;
+  if (names.length === 2) return `${names[0]} and ${names[1]} are typing…`;
+  if (names.length === 3) {
+    return `${names[0]}, ${names[1]} and ${names[2]} are typing…`;
+  }
+  return 'Several people are typing…';
+}
+
+/**
+ * Initialize typing indicators
+ * @param {string} channelSelector - Container under the message list
+ * @param {string} threadSelector - Container under the thread replies
+ * @returns {Object} Component instances and helper functions
+ */
+export function initTypingIndicator(channelSelector, threadSelector) {
+  const typingSignal = signal(
+    {
+      /** @type {Typer[]} */
+      typers: [],
+    },
+    SignalName,
+  );
+
+  // Expiry timers by typer key
+  const timers = new Map();
+
+  const sameChannel = (a, b) =>
+    (a || '').toLowerCase() === (b || '').toLowerCase();
+
+  function createTemplate(matches) {
+    return () => {
+      const names = typingSignal.typers
+        .filter(
+          (typer) => typer.name !== userState.value.username && matches(typer),
+        )
+        .map((typer) => typer.name);
+      // Deduplicate (same user typing from several tabs)
+      const unique = [...new Set(names)];
+      if (unique.length === 0) return '';
+      const text = describeTypers(unique);
+      return html`<span class="typing-indicator-text">${text}</span>`;
+    };
+  }
+
+  const components = [];
+  const channelContainer = document.querySelector(channelSelector);
+  if (channelContainer) {
+    components.push(
+      component(
+        channelContainer,
+        createTemplate(
+          (typer) =>
+            !typer.threadId &&
+            sameChannel(typer.channel, chatState.value.channel),
+        ),
+        { signals: [SignalName, 'chatState'] },
+      ),
+    );
+  }
+  const threadContainer = document.querySelector(threadSelector);
+  if (threadContainer) {
+    components.push(
+      component(
+        threadContainer,
+        createTemplate(
+          (typer) =>
+            !!typer.threadId && typer.threadId === chatState.value.threadId,
+        ),
+        { signals: [SignalName, 'chatState'] },
+      ),
+    );
+  }
+
+  function removeTyper(key) {
+    clearTimeout(timers.get(key));
+    timers.delete(key);
+    if (typingSignal.typers.some((typer) => typer.key === key)) {
+      typingSignal.typers = typingSignal.typers.filter(
+        (typer) => typer.key !== key,
+      );
+    }
+  }
+
+  /**
+   * Apply a `typing` event from the presence WebSocket
+   * @param {{name: string, channel: string, threadId: string|null, active: boolean, expiresIn: number}} event
+   */
+  function handleTyping({ name, channel, threadId, active, expiresIn }) {
+    const key = [name, channel.toLowerCase(), threadId || ''].join('\u0000');
+    if (!active) {
+      removeTyper(key);
+      return;
+    }
+
+    clearTimeout(timers.get(key));
+    timers.set(
+      key,
+      setTimeout(() => removeTyper(key), expiresIn),
+    );
+    if (!typingSignal.typers.some((typer) => typer.key === key)) {
+      typingSignal.typers = [
+        ...typingSignal.typers,
+        { key, name, channel, threadId: threadId || null },
+      ];
+    }
+  }
+
+  /**
+   * Forget everything a user was typing (e.g. the user left)
+   * @param {string} name
+   */
+  function removeUser(name) {
+    typingSignal.typers
+      .filter((typer) => typer.name === name)
+      .forEach((typer) => removeTyper(typer.key));
+  }
+
+  /**
+   * Clear all typing state (e.g. the presence socket reconnects)
+   */
+  function clear() {
+    timers.forEach((timer) => clearTimeout(timer));
+    timers.clear();
+    typingSignal.typers = [];
+  }
+
+  return {
+    signal: typingSignal,
+    components,
+    handleTyping,
+    removeUser,
+    clear,
+  };
+}
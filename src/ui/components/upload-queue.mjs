@@ -0,0 +1,257 @@
+/**
+ * Upload Queue Component - Reef.js
+ *
+ * Architecture:
+ * Picked / pasted / dropped files → Signal → Reef Components
+ *
+ * Files wait in a queue and upload a few at a time. Each entry shows its
+ * progress and can be cancelled while it waits or uploads; failed uploads
+ * stay in the queue to be retried or dismissed. Finished uploads leave the
+ * queue (their FILE: message is posted by the `upload` callback).
+ *
+ * Entries remember where they were queued: the queue under the message list
+ * shows uploads to the channel, the one under the thread replies shows
+ * uploads to the open thread.
+ */
+
+import { signal, component } from 'reefjs';
+import { chatState } from '../utils/chat-state.mjs';
+import { html, raw } from '../utils/html.mjs';
+import { formatFileSize } from '../../common/format-utils.js';
+
+const SignalName = 'uploadQueueSignal';
+
+// Uploads running at the same time
+const MAX_CONCURRENT_UPLOADS = 2;
+
+/**
+ * @typedef {Object} QueuedUpload
+ * @property {string} id
+ * @property {string} name
+ * @property {number} size
+ * @property {string|null} threadId - Thread the file is posted to, null for the channel
+ * @property {'queued'|'uploading'|'failed'} status
+ * @property {number} progress - Percentage
+ * @property {string|null} error
+ */
+
+/**
+ * @callback UploadCallback
+ * @param {File} file
+ * @param {Object} target - The `target` given to enqueue()
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with {percentage}
+ * @param {AbortSignal} options.signal - Aborted when the upload is cancelled
+ * @returns {Promise<void>}
+ */
+
+/**
+ * Initialize upload queues
+ * @param {string} channelSelector - Container above the channel input
+ * @param {string} threadSelector - Container above the thread input
+ * @param {UploadCallback} upload - Uploads a file and posts its message
+ * @returns {Object} Component instances and helper functions
+ */
+export function initUploadQueue(channelSelector, threadSelector, upload) {
+  const queueSignal = signal(
+    {
+      /** @type {QueuedUpload[]} */
+      items: [],
+    },
+    SignalName,
+  );
+
+  // Files, targets and abort controllers by entry id (kept out of the signal)
+  const files = new Map();
+  const targets = new Map();
+  const controllers = new Map();
+
+  function renderItem(item) {
+    const status =
+      item.status === 'uploading'
+        ? `${item.progress}%`
+        : item.status === 'failed'
+          ? item.error || 'Failed'
+          : 'Waiting…';
+    const retryButton =
+      item.status === 'failed'
+        ? html`<button
+            type="button"
+            data-action="retry-upload"
+            data-id="${item.id}"
+            title="Retry"
+          >
+            <i class="ri-refresh-line"></i>
+          </button>`
+        : '';
+    return html`
+      <li class="upload-queue-item upload-queue-${item.status}">
+        <div class="upload-queue-info">
+          <span class="upload-queue-name" title="${item.name}"
+            >${item.name}</span
+          >
+          <span class="upload-queue-status"
+            >${formatFileSize(item.size)} · ${status}</span
+          >
+        </div>
+        <progress max="100" value="${item.progress}"></progress>
+        ${raw(retryButton)}
+        <button
+          type="button"
+          data-action="cancel-upload"
+          data-id="${item.id}"
+          title="${item.status === 'failed' ? 'Dismiss' : 'Cancel'}"
+        >
+          <i class="ri-close-line"></i>
+        </button>
+      </li>
+    `;
+  }
+
+  function createTemplate(matches) {
+    return () => {
+      const items = queueSignal.items.filter(matches);
+      if (items.length === 0) return '';
+      return `<ul class="upload-queue-list">${items.map(renderItem).join('')}</ul>`;
+    };
+  }
+
+  const components = [];
+  const containers = [
+    [channelSelector, (item) => !item.threadId],
+    [
+      threadSelector,
+      (item) => !!item.threadId && item.threadId === chatState.value.threadId,
+    ],
+  ];
+  for (const [selector, matches] of containers) {
+    const container = document.querySelector(selector);
+    if (!container) continue;
+
+    components.push(
+      component(container, createTemplate(matches), {
+        signals: [SignalName, 'chatState'],
+      }),
+    );
+
+    container.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-action]');
+      if (!button) return;
+      if (button.dataset.action === 'cancel-upload') {
+        cancel(button.dataset.id);
+      } else if (button.dataset.action === 'retry-upload') {
+        retry(button.dataset.id);
+      }
+    });
+  }
+
+  function updateItem(id, updates) {
+    queueSignal.items = queueSignal.items.map((item) =>
+      item.id === id ? { ...item, ...updates } : item,
+    );
+  }
+
+  function removeItem(id) {
+    files.delete(id);
+    targets.delete(id);
+    controllers.delete(id);
+    queueSignal.items = queueSignal.items.filter((item) => item.id !== id);
+  }
+
+  // Start queued uploads while there is room
+  function pump() {
+    let running = queueSignal.items.filter(
+      (item) => item.status === 'uploading',
+    ).length;
+    for (const item of queueSignal.items) {
+      if (running >= MAX_CONCURRENT_UPLOADS) break;
+      if (item.status === 'queued') {
+        running++;
+        start(item.id);
+      }
+    }
+  }
+
+  async function start(id) {
+    const controller = new AbortController();
+    controllers.set(id, controller);
+    updateItem(id, { status: 'uploading', progress: 0, error: null });
+
+    try {
+      await upload(files.get(id), targets.get(id), {
+        onProgress: ({ percentage }) => {
+          if (!controller.signal.aborted) {
+            updateItem(id, { progress: Math.round(percentage) });
+          }
+        },
+        signal: controller.signal,
+      });
+      removeItem(id);
+    } catch (err) {
+      if (controller.signal.aborted) {
+        removeItem(id);
+      } else {
+        console.error('❌ Upload failed:', err);
+        updateItem(id, { status: 'failed', error: err.message });
+      }
+    }
+    pump();
+  }
+
+  /**
+   * Queue files for upload
+   * @param {File[]} newFiles
+   * @param {Object} target - Passed to the upload callback
+   * @param {string|null} [target.threadId] - Thread to post to, null for the channel
+   */
+  function enqueue(newFiles, target) {
+    const items = newFiles.map((file) => {
+      const id = crypto.randomUUID();
+      files.set(id, file);
+      targets.set(id, target);
+      return {
+        id,
+        name: file.name,
+        size: file.size,
+        threadId: target.threadId || null,
+        status: 'queued',
+        progress: 0,
+        error: null,
+      };
+    });
+    queueSignal.items = [...queueSignal.items, ...items];
+    pump();
+  }
+
+  /**
+   * Cancel a queued or running upload, or dismiss a failed one
+   * @param {string} id
+   */
+  function cancel(id) {
+    const item = queueSignal.items.find((item) => item.id === id);
+    if (!item) return;
+    if (item.status === 'uploading') {
+      // start() removes the entry once the upload stops
+      controllers.get(id)?.abort();
+      return;
+    }
+    removeItem(id);
+  }
+
+  /**
+   * Queue a failed upload again
+   * @param {string} id
+   */
+  function retry(id) {
+    updateItem(id, { status: 'queued', progress: 0, error: null });
+    pump();
+  }
+
+  return {
+    signal: queueSignal,
+    components,
+    enqueue,
+    cancel,
+    retry,
+  };
+}
@@ -4,59 +4,138 @@
  * Architecture:
  * Signal (响应式用户列表) → Reef Component (自动渲染)
  *
- * Displays online users in the current room with automatic updates
+ * Displays online users in the current room with their status (online, idle,
+ * away, do not disturb) and custom status text, followed by recently offline
+ * members with their last-seen time.
  */
 
 import { signal, component } from 'reefjs';
 import { userState } from '../utils/user-state.mjs';
+import { html, raw } from '../utils/html.mjs';
 import logger from '../../common/logger.mjs';
 
 const SignalName = 'userRosterSignal';
 
+// How often "last seen" times are refreshed
+const LAST_SEEN_REFRESH_MS = 60 * 1000;
+
+const STATUS_LABELS = {
+  online: 'Online',
+  idle: 'Idle',
+  away: 'Away',
+  dnd: 'Do not disturb',
+};
+
+/**
+ * @typedef {Object} RosterUser
+ * @property {string} name
+ * @property {string} status - 'online' | 'idle' | 'away' | 'dnd'
+ * @property {string} statusText - Custom status text
+ */
+
+/**
+ * Format how long ago a user was last seen
+ * @param {number} timestamp
+ * @returns {string} e.g. "just now", "5m ago", "3h ago", "2d ago"
+ */
+function formatLastSeen(timestamp) {
+  const diff = Date.now() - timestamp;
+  if (diff < 60000) return 'just now';
+  if (diff < 3600000) return `${Math.floor(diff / 60000)}m ago`;
+  if (diff < 86400000) return `${Math.floor(diff / 3600000)}h ago`;
+  return `${Math.floor(diff / 86400000)}d ago`;
+}
+
 /**
  * Initialize user roster component
  * @param {string} containerSelector - CSS selector for container element
- * @param {Object} currentUser - Current user info { username }
  * @returns {Object} Component instance and helper functions
  */
 export function initUserRoster(containerSelector) {
   // Reef.js Signal - 响应式用户列表
   const rosterSignal = signal(
     {
-      /** @type {string[]} */
+      /** @type {RosterUser[]} */
       users: [], // 在线用户列表
+      /** @type {Array<{name: string, lastSeen: number}>} */
+      recent: [], // 最近离线的用户
     },
     SignalName,
   );
 
+  /**
+   * Render an online user
+   * @param {RosterUser} user
+   * @returns {string} HTML string
+   */
+  function renderOnlineUser(user) {
+    const isCurrentUser = user.name === userState.value.username;
+    const displayName = user.name + (isCurrentUser ? ' (me)' : '');
+    const userClass = isCurrentUser ? 'current-user' : 'other-user';
+    const statusText = user.statusText
+      ? html`<span class="user-status-text">${user.statusText}</span>`
+      : '';
+    const logoutButton = isCurrentUser
+      ? '<button class="logout-btn" data-action="logout" title="Logout and change username">×</button>'
+      : '';
+
+    return html`
+      <div class="user-item ${userClass}" data-username="${user.name}">
+        <span class="user-avatar-wrapper">
+          <playful-avatar
+            name="${user.name}"
+            size="32"
+            class="user-avatar"
+          ></playful-avatar>
+          <span
+            class="user-status-dot status-${user.status}"
+            title="${STATUS_LABELS[user.status]}"
+          ></span>
+        </span>
+        <span class="user-name">${displayName}${raw(statusText)}</span>
+        ${raw(logoutButton)}
+      </div>
+    `;
+  }
+
+  /**
+   * Render a recently offline user
+   * @param {{name: string, lastSeen: number}} user
+   * @returns {string} HTML string
+   */
+  function renderRecentUser({ name, lastSeen }) {
+    const lastSeenText = `last seen ${formatLastSeen(lastSeen)}`;
+    return html`
+      <div class="user-item offline-user" data-username="${name}">
+        <playful-avatar
+          name="${name}"
+          size="32"
+          class="user-avatar"
+        ></playful-avatar>
+        <span class="user-name">
+          ${name}
+          <span class="user-status-text">${lastSeenText}</span>
+        </span>
+      </div>
+    `;
+  }
+
   // Template function - 返回 HTML 字符串
   function rosterTemplate() {
-    const { users } = rosterSignal;
-
-    if (users.length === 0) {
-      return '<div class="user-item-empty">No users online</div>';
-    }
+    const { users, recent } = rosterSignal;
 
     // 生成用户列表 HTML
-    return users
-      .map((username) => {
-        const isCurrentUser = username === userState.value.username;
-        const displayName = username + (isCurrentUser ? ' (me)' : '');
-        const userClass = isCurrentUser ? 'current-user' : 'other-user';
-
-        return `
-        <div class="user-item ${userClass}" data-username="${username}">
-          <playful-avatar name="${username}" size="32" class="user-avatar"></playful-avatar>
-          <span class="user-name">${displayName}</span>
-          ${
-            isCurrentUser
-              ? `<button class="logout-btn" data-action="logout" title="Logout and change username">×</button>`
-              : ''
-          }
-        </div>
-      `;
-      })
-      .join('');
+    let result =
+      users.length === 0
+        ? '<div class="user-item-empty">No users online</div>'
+        : users.map(renderOnlineUser).join('');
+
+    // 最近离线的用户
+    if (recent.length > 0) {
+      result += '<div class="roster-section-title">Recently seen</div>';
+      result += recent.map(renderRecentUser).join('');
+    }
+    return result;
   }
 
   // 获取容器
@@ -70,6 +149,13 @@ export function initUserRoster(containerSelector) {
     signals: [SignalName],
   });
 
+  // Keep "last seen" times current
+  setInterval(() => {
+    if (rosterSignal.recent.length > 0) {
+      rosterSignal.recent = [...rosterSignal.recent];
+    }
+  }, LAST_SEEN_REFRESH_MS);
+
   // Event delegation - 处理 logout 按钮点击
   container.addEventListener('click', (event) => {
     const logoutBtn = event.target.closest('[data-action="logout"]');
@@ -88,34 +174,79 @@ export function initUserRoster(containerSelector) {
   /**
    * Add user to roster
    * @param {string} username - Username to add
+   * @param {{status?: string, statusText?: string}} [presence] - User's presence
    */
-  function addUser(username) {
+  function addUser(username, presence = {}) {
     // 防止重复添加
-    if (rosterSignal.users.includes(username)) {
+    if (hasUser(username)) {
       logger.debug(`⚠️ User already in roster: ${username}`);
+      updatePresence(username, presence);
       return;
     }
 
     // 添加用户（触发 Reef.js 重新渲染）
-    rosterSignal.users = [...rosterSignal.users, username];
+    rosterSignal.users = [
+      ...rosterSignal.users,
+      {
+        name: username,
+        status: presence.status || 'online',
+        statusText: presence.statusText || '',
+      },
+    ];
+    rosterSignal.recent = rosterSignal.recent.filter(
+      (user) => user.name !== username,
+    );
     logger.log(`✅ User added to roster: ${username}`);
   }
 
   /**
    * Remove user from roster
    * @param {string} username - Username to remove
+   * @param {number} [lastSeen] - When the user left; lists them as recently seen
    */
-  function removeUser(username) {
+  function removeUser(username, lastSeen) {
     // 移除用户（触发 Reef.js 重新渲染）
-    rosterSignal.users = rosterSignal.users.filter((u) => u !== username);
+    rosterSignal.users = rosterSignal.users.filter((u) => u.name !== username);
+    if (lastSeen) {
+      rosterSignal.recent = [
+        { name: username, lastSeen },
+        ...rosterSignal.recent.filter((user) => user.name !== username),
+      ];
+    }
     logger.log(`🗑️ User removed from roster: ${username}`);
   }
 
+  /**
+   * Update a user's status and custom status text
+   * @param {string} username - Username to update
+   * @param {{status?: string, statusText?: string}} presence - New presence
+   */
+  function updatePresence(username, presence) {
+    rosterSignal.users = rosterSignal.users.map((user) =>
+      user.name === username
+        ? {
+            ...user,
+            status: presence.status || 'online',
+            statusText: presence.statusText || '',
+          }
+        : user,
+    );
+  }
+
+  /**
+   * Replace the list of recently offline members
+   * @param {Array<{name: string, lastSeen: number}>} recent - Most recent first
+   */
+  function setRecentlySeen(recent) {
+    rosterSignal.recent = recent.filter(({ name }) => !hasUser(name));
+  }
+
   /**
    * Clear all users from roster
    */
   function clearUsers() {
     rosterSignal.users = [];
+    rosterSignal.recent = [];
     logger.log('🗑️ Roster cleared');
   }
 
@@ -124,7 +255,7 @@ export function initUserRoster(containerSelector) {
    * @returns {string[]} Array of usernames
    */
   function getUsers() {
-    return [...rosterSignal.users];
+    return rosterSignal.users.map((user) => user.name);
   }
 
   /**
@@ -133,7 +264,7 @@ export function initUserRoster(containerSelector) {
    * @returns {boolean} True if user is in roster
    */
   function hasUser(username) {
-    return rosterSignal.users.includes(username);
+    return rosterSignal.users.some((user) => user.name === username);
   }
 
   return {
@@ -141,6 +272,8 @@ export function initUserRoster(containerSelector) {
     component: rosterComponent,
     addUser,
     removeUser,
+    updatePresence,
+    setRecentlySeen,
     clearUsers,
     getUsers,
     hasUser,
@@ -8,6 +8,26 @@ import {
   startOrResaveDownload,
   cancelDownload,
 } from './utils/download-registry.mjs';
+import { resolveFileUrl } from './utils/file-urls.mjs';
+import {
+  initRoomKey,
+  isRoomEncrypted,
+  isKeyFragment,
+  isEncryptedText,
+  generateRoomSecret,
+  setRoomSecret,
+  getRoomKeyLink,
+  getCurrentRoomKeyLink,
+  encryptMessageText,
+  decryptMessageText,
+  tryDecryptMessage,
+  getStoredMessageLength,
+  encryptFile,
+  decryptFile,
+  ENCRYPTED_MESSAGE_PLACEHOLDER,
+  FILE_ENCRYPTION_OVERHEAD,
+} from './utils/message-crypto.mjs';
+import { ENCRYPTED_ROOM_KEY } from '../common/encrypted-text.mjs';
 import { createReactiveState } from './react/state.mjs';
 import { api } from './api.mjs';
 import { generateRandomUsername } from './utils/random.mjs';
@@ -16,7 +36,15 @@ import {
   MAX_MESSAGE_LENGTH,
   MAX_FILE_SIZE_BYTES,
   MAX_FILE_SIZE_MB,
+  KICKED_CLOSE_CODE,
+  BANNED_CLOSE_CODE,
 } from '../common/constants.mjs';
+import {
+  RETENTION_KEY,
+  MAX_RETENTION_DAYS,
+  getRetentionKey,
+  isValidRetentionValue,
+} from '../common/retention.mjs';
 import {
   initPinnedMessages,
   togglePinnedPanel,
@@ -25,11 +53,41 @@ import {
   initPinListener,
 } from './pinned-messages.mjs';
 import { chatState, initChatState } from './utils/chat-state.mjs';
+import {
+  initOutbox,
+  trackMessage,
+  handleMessagesPushed,
+  getOutboxEntry,
+  discardMessage,
+  getUnsentMessages,
+} from './utils/outbox.mjs';
 import { userState, initUserState } from './utils/user-state.mjs';
+import { presenceState, initPresence, getPresence } from './utils/presence.mjs';
+import {
+  moderationState,
+  canModerate,
+  getRoleSecret,
+  setRoleSecret,
+  parseModerationCommand,
+  describeModeration,
+  describeModerationList,
+} from './utils/moderation.mjs';
+import {
+  getSessionToken,
+  setSessionToken,
+  clearSessionToken,
+  setTokenRefresher,
+} from './utils/session-token.mjs';
 import { createRxDBStorage } from './rxdb/index.mjs';
+import {
+  SNIPPET_MARK_START,
+  SNIPPET_MARK_END,
+} from '../common/search-query.mjs';
 import { initMessageList } from './components/message-list.mjs';
 import { initChannelList } from './components/channel-list.mjs';
 import { initUserRoster } from './components/user-roster.mjs';
+import { initTypingIndicator } from './components/typing-indicator.mjs';
+import { initUploadQueue } from './components/upload-queue.mjs';
 import { listenReefEvent } from './utils/reef-helpers.mjs';
 import { createReadStatusStore } from './rxdb/read-status.mjs';
 import { ReactionManager } from './reactions/manager.mjs';
@@ -51,7 +109,45 @@ if (typeof marked !== 'undefined') {
   console.log('✅ Marked.js configured for Markdown rendering');
 }
 
+/**
+ * Fit an image into a bounding box without upscaling it
+ * @param {number} width - Natural width
+ * @param {number} height - Natural height
+ * @param {number} maxWidth
+ * @param {number} maxHeight
+ * @returns {{ width: number, height: number }}
+ */
+function fitImageSize(width, height, maxWidth, maxHeight) {
+  const scale = Math.min(1, maxWidth / width, maxHeight / height);
+  return {
+    width: Math.round(width * scale),
+    height: Math.round(height * scale),
+  };
+}
+
+/**
+ * Read the dimensions of an image file, for uploads the server cannot look
+ * into (encrypted rooms)
+ * @param {File} file
+ * @returns {Promise<{ width: number, height: number }|null>}
+ */
+async function readImageSize(file) {
+  try {
+    const bitmap = await createImageBitmap(file);
+    const size = { width: bitmap.width, height: bitmap.height };
+    bitmap.close();
+    return size;
+  } catch {
+    return null;
+  }
+}
+
 // Lazy loading image custom element
+// With `data-width`/`data-height` (from the upload's image metadata), the
+// element takes the image's final size before it loads, showing the
+// `data-placeholder` preview, and loads `data-thumbnail` when there is one.
+// With `data-encrypted`, the image is downloaded and decrypted with the room
+// key, and shown from a blob: URL (of type `data-type`).
 class LazyImg extends HTMLElement {
   constructor() {
     super();
@@ -66,34 +162,62 @@ class LazyImg extends HTMLElement {
     const maxWidth = this.getAttribute('max-width') || '300px';
     const maxHeight = this.getAttribute('max-height') || '300px';
     const fileName = this.getAttribute('file-name') || 'image';
+    const width = Number(this.getAttribute('data-width'));
+    const height = Number(this.getAttribute('data-height'));
 
     // Store attributes
     this._realSrc = src;
+    this._displaySrc = this.getAttribute('data-thumbnail') || src;
+    this._encrypted = this.hasAttribute('data-encrypted');
+    this._type = this.getAttribute('data-type') || '';
     this._fileName = fileName;
     this._maxWidth = maxWidth;
     this._maxHeight = maxHeight;
+    this._size =
+      width > 0 && height > 0
+        ? fitImageSize(width, height, parseInt(maxWidth), parseInt(maxHeight))
+        : null;
 
     // Create placeholder container
     const placeholder = document.createElement('div');
-    placeholder.style.cssText = `
-      width: ${maxWidth};
-      max-width: ${maxWidth};
-      height: 200px;
-      max-height: ${maxHeight};
-      background: #f0f0f0;
-      border: 2px dashed #ccc;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      flex-direction: column;
-      margin-top: 5px;
-      cursor: pointer;
-    `;
+    if (this._size) {
+      // Reserve the image's space, so loading it does not move the chat
+      const preview = this.getAttribute('data-placeholder');
+      placeholder.style.cssText = `
+        width: ${this._size.width}px;
+        height: ${this._size.height}px;
+        background: #f0f0f0 center / cover no-repeat;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        flex-direction: column;
+        margin-top: 5px;
+        cursor: pointer;
+      `;
+      if (preview && preview.startsWith('data:image/')) {
+        placeholder.style.backgroundImage = `url("${preview}")`;
+      }
+    } else {
+      placeholder.style.cssText = `
+        width: ${maxWidth};
+        max-width: ${maxWidth};
+        height: 200px;
+        max-height: ${maxHeight};
+        background: #f0f0f0;
+        border: 2px dashed #ccc;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        flex-direction: column;
+        margin-top: 5px;
+        cursor: pointer;
+      `;
 
-    placeholder.innerHTML = `
-      <div style="font-size: 48px; color: #999;">📷</div>
-      <div style="margin-top: 8px; color: #999;">Loading...</div>
-    `;
+      placeholder.innerHTML = `
+        <div style="font-size: 48px; color: #999;">📷</div>
+        <div style="margin-top: 8px; color: #999;">Loading...</div>
+      `;
+    }
 
     this._placeholder = placeholder;
     this.appendChild(placeholder);
@@ -132,30 +256,48 @@ class LazyImg extends HTMLElement {
     this.observer.observe(this);
   }
 
-  async loadImage() {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - Sign the image URL again
+   */
+  async loadImage({ refresh = false } = {}) {
     if (this.loaded || !this._realSrc) return;
 
     const placeholder = this._placeholder;
 
     try {
+      // Messages link the stable path; images load through a signed URL
+      const src = this._encrypted
+        ? await this._loadDecrypted(this._displaySrc)
+        : await resolveFileUrl(this._displaySrc, { refresh });
       const tempImg = new Image();
 
       tempImg.onload = () => {
         const img = document.createElement('img');
-        img.src = this._realSrc;
+        img.src = src;
         img.alt = this._fileName;
         img.style.maxWidth = this._maxWidth;
         img.style.maxHeight = this._maxHeight;
+        if (this._size) {
+          img.width = this._size.width;
+          img.height = this._size.height;
+        }
         img.style.display = 'block';
         img.style.marginTop = '5px';
         img.style.cursor = 'pointer';
-        img.onclick = () => window.open(this._realSrc, '_blank');
+        img.onclick = async () =>
+          window.open(
+            this._encrypted ? src : await resolveFileUrl(this._realSrc),
+            '_blank',
+          );
 
         this.replaceChild(img, placeholder);
         this.loaded = true;
 
-        // Handle scroll position maintenance
-        this._handleScrollMaintenance(img);
+        // Handle scroll position maintenance, unless the space was reserved
+        if (!this._size) {
+          this._handleScrollMaintenance(img);
+        }
 
         // Dispatch loaded event
         this.dispatchEvent(
@@ -164,7 +306,12 @@ class LazyImg extends HTMLElement {
       };
 
       tempImg.onerror = () => {
-        console.warn('Failed to load lazy image:', this._realSrc);
+        if (!refresh && !this._encrypted) {
+          // The signed URL may have expired; sign it again once
+          this.loadImage({ refresh: true });
+          return;
+        }
+        console.warn('Failed to load lazy image:', this._displaySrc);
         placeholder.innerHTML = `
           <div style="font-size: 32px; color: #cc0000;">❌</div>
           <div style="margin-top: 8px; color: #cc0000;">Load Failed</div>
@@ -174,7 +321,7 @@ class LazyImg extends HTMLElement {
       };
 
       // Start loading
-      tempImg.src = this._realSrc;
+      tempImg.src = src;
     } catch (error) {
       console.error('❌ Failed to load image:', error);
       placeholder.innerHTML = `
@@ -185,6 +332,22 @@ class LazyImg extends HTMLElement {
     }
   }
 
+  /**
+   * Download and decrypt an image of an encrypted room
+   * @param {string} fileUrl - Stable path of the image
+   * @returns {Promise<string>} blob: URL of the decrypted image
+   */
+  async _loadDecrypted(fileUrl) {
+    let response = await fetch(await resolveFileUrl(fileUrl));
+    if (response.status === 403) {
+      // The signed link expired; sign it again once
+      response = await fetch(await resolveFileUrl(fileUrl, { refresh: true }));
+    }
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const image = await decryptFile(await response.blob(), this._type);
+    return URL.createObjectURL(image);
+  }
+
   _handleScrollMaintenance(img) {
     const isInThreadPanel = this.closest('#thread-panel') !== null;
     const scrollContainer = isInThreadPanel
@@ -492,7 +655,13 @@ class FileMessage extends HTMLElement {
     }
 
     // Either start a fresh download or re-trigger the save dialog from cache.
-    startOrResaveDownload(fileUrl, fileName);
+    // Files of encrypted rooms are decrypted once downloaded.
+    const fileType = this.getAttribute('file-type') || '';
+    startOrResaveDownload(fileUrl, fileName, {
+      decrypt: this.hasAttribute('encrypted')
+        ? (blob) => decryptFile(blob, fileType)
+        : null,
+    });
     // Make sure we receive subsequent updates for this entry.
     this._subscribeToRegistry();
   }
@@ -681,7 +850,11 @@ class ChatMessage extends HTMLElement {
 
   render() {
     const username = this.getAttribute('username');
-    const message = this.getAttribute('message');
+    // Messages that could not be decrypted keep their ciphertext
+    const storedMessage = this.getAttribute('message');
+    const message = isEncryptedText(storedMessage)
+      ? ENCRYPTED_MESSAGE_PLACEHOLDER
+      : storedMessage;
     const timestamp = this.getAttribute('timestamp');
     const messageId = this.getAttribute('message-id');
     const replyTo = this.getAttribute('reply-to');
@@ -800,7 +973,11 @@ class ChatMessage extends HTMLElement {
       editedSpan.style.fontSize = '0.75em';
       editedSpan.style.fontStyle = 'italic';
       editedSpan.style.marginLeft = '4px';
-      editedSpan.title = `Edited at ${formatTimestamp(editedAt)}`;
+      editedSpan.title = `Edited at ${formatTimestamp(editedAt)} - click to see previous versions`;
+      editedSpan.addEventListener('click', (e) => {
+        e.stopPropagation();
+        showEditHistory(messageId, message);
+      });
       contentDiv.appendChild(editedSpan);
     }
 
@@ -890,6 +1067,11 @@ class ChatMessage extends HTMLElement {
       uploadProgress,
       uploading,
       error,
+      width,
+      height,
+      thumbnail,
+      placeholder,
+      encrypted,
     } = fileData;
 
     // Determine upload status from fileData
@@ -903,6 +1085,20 @@ class ChatMessage extends HTMLElement {
       lazyImg.setAttribute('file-name', fileName);
       lazyImg.setAttribute('max-width', '300px');
       lazyImg.setAttribute('max-height', '300px');
+      if (width && height) {
+        lazyImg.setAttribute('data-width', String(width));
+        lazyImg.setAttribute('data-height', String(height));
+      }
+      if (thumbnail) {
+        lazyImg.setAttribute('data-thumbnail', thumbnail);
+      }
+      if (placeholder) {
+        lazyImg.setAttribute('data-placeholder', placeholder);
+      }
+      if (encrypted) {
+        lazyImg.setAttribute('data-encrypted', '');
+        lazyImg.setAttribute('data-type', fileType);
+      }
 
       container.appendChild(lazyImg);
     } else {
@@ -910,6 +1106,10 @@ class ChatMessage extends HTMLElement {
       const fileMessage = document.createElement('file-message');
       fileMessage.setAttribute('file-url', fileUrl);
       fileMessage.setAttribute('file-name', fileName);
+      if (encrypted) {
+        fileMessage.setAttribute('encrypted', '');
+        fileMessage.setAttribute('file-type', fileType);
+      }
 
       // Always set file-size if it's a valid number (including 0 for empty files)
       if (fileSize !== undefined && fileSize !== null && !isNaN(fileSize)) {
@@ -1363,6 +1563,8 @@ let chatroom = document.querySelector('#chatroom');
 let chatlog = document.querySelector('#chatlog');
 let chatInputComponent = null; // Will be initialized after DOM is ready
 let userRoster = null; // Will be initialized with Reef.js component
+let typingIndicator = null; // Will be initialized with Reef.js component
+let uploadQueue = null; // Will be initialized with Reef.js component
 
 // Connection status element
 let connectionStatus = document.querySelector('#connection-status');
@@ -1507,11 +1709,20 @@ class UserMessageAPI {
    * @param {string} message - The message text to send
    * @param {object} replyTo - Optional reply information {messageId, username, preview}
    */
-  async sendMessage(message, replyTo = null) {
+  async sendMessage(message, replyTo = null, channel = currentChannel) {
     if (!message || message.length === 0) {
       return false;
     }
 
+    // The server would refuse the write anyway
+    const { mutedUntil } = moderationState.value;
+    if (mutedUntil > Date.now()) {
+      addSystemMessage(
+        `* You are muted until ${new Date(mutedUntil).toLocaleString()}`,
+      );
+      return false;
+    }
+
     // Wait for RxDB store to be ready
     if (isStoreReady && isStoreReady.promise) {
       await isStoreReady.promise;
@@ -1523,6 +1734,14 @@ class UserMessageAPI {
       return false;
     }
 
+    // The server refuses plain text in encrypted rooms
+    if (isRoomMarkedEncrypted() && !isRoomEncrypted()) {
+      addSystemMessage(
+        '* This room is end-to-end encrypted. Open it with its key link to send messages.',
+      );
+      return false;
+    }
+
     let messageToSend = message;
 
     // Write message to RxDB (will auto-sync via WebSocket replication to other clients)
@@ -1530,11 +1749,20 @@ class UserMessageAPI {
       const messageId = window.messageList.sendMessage(
         messageToSend,
         userState.value.username,
-        currentChannel,
+        channel,
         {
           replyToId: replyTo?.messageId || null,
         },
       );
+      // Stored locally only; the outbox follows it until the server has it
+      trackMessage({
+        messageId,
+        text: messageToSend,
+        username: userState.value.username,
+        channel,
+        replyToId: replyTo?.messageId || null,
+        timestamp: Date.now(),
+      });
       console.log('📝 Message sent via RxDB (will auto-sync):', messageId);
     } catch (error) {
       console.error('Failed to send message via RxDB:', error);
@@ -1554,6 +1782,16 @@ class UserMessageAPI {
 // Initialize user message API
 const userApi = new UserMessageAPI();
 
+// Put a message the server rejected back into the input, to be changed and
+// sent as a new message; sending it unchanged would be rejected again
+window.editFailedMessage = function (messageId) {
+  const entry = getOutboxEntry(messageId);
+  if (!entry || !chatInputComponent) return;
+  chatInputComponent.setValue(entry.text);
+  chatInputComponent.focus();
+  discardMessage(messageId);
+};
+
 // Thread functions
 window.openThread = async function (messageId) {
   // Find the root message of the thread
@@ -1896,8 +2134,9 @@ function showMessageActionsMenu(
     });
   }
 
-  // Delete action (only for own messages)
-  if (data.name === userState.value.username) {
+  // Delete action (own messages, or anyone's for moderators)
+  const isOwnMessage = data.name === userState.value.username;
+  if (isOwnMessage || canModerate()) {
     actions.push({
       icon: 'ri-delete-bin-line',
       label: 'Delete',
@@ -1906,7 +2145,9 @@ function showMessageActionsMenu(
         if (confirm('Delete this message? This action cannot be undone.')) {
           if (window.messageList) {
             window.messageList.deleteMessage(data.messageId);
-            showReEditBanner(data.message);
+            if (isOwnMessage) {
+              showReEditBanner(data.message);
+            }
           }
         }
       },
@@ -2446,6 +2687,17 @@ function initChannelInfoBar() {
       if (e.target === modal) document.body.removeChild(modal);
     };
 
+    // Jump to a result, loading its history page if needed
+    searchResults.addEventListener('click', (e) => {
+      const result = e.target.closest('.search-result');
+      if (!result) return;
+      window.jumpToMessage(
+        result.dataset.messageId,
+        result.dataset.channel,
+        Number(result.dataset.timestamp),
+      );
+    });
+
     // Search on input
     let searchTimeout;
     searchInput.addEventListener('input', (e) => {
@@ -2458,39 +2710,7 @@ function initChannelInfoBar() {
     searchInput.focus();
   }
 
-  // Parse Discord-style search filters
-  function parseSearchQuery(query) {
-    const filters = {
-      text: '', // Plain text search
-      from: null, // from:username
-      in: null, // in:channel
-      has: null, // has:link | has:file
-      pinned: null, // pinned:true | pinned:false
-    };
-
-    // Extract filters
-    const fromMatch = query.match(/from:(\S+)/);
-    const inMatch = query.match(/in:(\S+)/);
-    const hasMatch = query.match(/has:(\S+)/);
-    const pinnedMatch = query.match(/pinned:(true|false)/);
-
-    if (fromMatch) filters.from = fromMatch[1];
-    if (inMatch) filters.in = inMatch[1];
-    if (hasMatch) filters.has = hasMatch[1];
-    if (pinnedMatch) filters.pinned = pinnedMatch[1] === 'true';
-
-    // Remove filters from text search
-    filters.text = query
-      .replace(/from:\S+/g, '')
-      .replace(/in:\S+/g, '')
-      .replace(/has:\S+/g, '')
-      .replace(/pinned:(true|false)/g, '')
-      .trim();
-
-    return filters;
-  }
-
-  // Perform search using RxDB queries
+  // Perform a full-text search over the room history on the server
   async function performSearch(query, resultsContainer) {
     if (!query.trim()) {
       resultsContainer.innerHTML =
@@ -2498,102 +2718,106 @@ function initChannelInfoBar() {
       return;
     }
 
-    const filters = parseSearchQuery(query);
-
     // Show loading state
     resultsContainer.innerHTML =
       '<p style="color: #999; text-align: center;">Searching...</p>';
 
-    // Use the compat store to get all messages and filter client-side
-    const messagesTable = window.store.getTable('messages');
-    const allMessages = Object.entries(messagesTable || {}).map(
-      ([msgId, data]) => ({
-        messageId: msgId,
-        username: data.username || '',
-        text: data.text || '',
-        timestamp: data.timestamp || 0,
-        channel: data.channel || 'general',
-      }),
-    );
-
-    // Apply filters
-    let filteredMessages = allMessages;
-
-    if (filters.from) {
-      filteredMessages = filteredMessages.filter(
-        (m) => m.username === filters.from,
-      );
-    }
-
-    if (filters.in) {
-      filteredMessages = filteredMessages.filter(
-        (m) => m.channel === filters.in,
-      );
-    }
-
-    if (filters.has === 'link') {
-      filteredMessages = filteredMessages.filter((m) =>
-        m.text.includes('http'),
-      );
-    }
-
-    if (filters.has === 'file') {
-      filteredMessages = filteredMessages.filter((m) =>
-        m.text.startsWith('FILE:'),
-      );
-    }
-
-    if (filters.text) {
-      const searchLower = filters.text.toLowerCase();
-      filteredMessages = filteredMessages.filter((m) =>
-        m.text.toLowerCase().includes(searchLower),
-      );
-    }
-
-    // Sort by timestamp descending and limit
-    filteredMessages.sort((a, b) => b.timestamp - a.timestamp);
-    const finalResults = filteredMessages.slice(0, 50);
+    await appendSearchResults(query, 0, resultsContainer);
+  }
 
-    // Render results
-    if (finalResults.length === 0) {
+  // Fetch a page of search results and append it to the results list
+  async function appendSearchResults(query, offset, resultsContainer) {
+    let page;
+    try {
+      page = await api.searchMessages(roomname, query, offset);
+    } catch (err) {
+      console.error('Search failed:', err);
       resultsContainer.innerHTML =
-        '<p style="color: #999; text-align: center;">No messages found</p>';
+        '<p style="color: #999; text-align: center;">Search failed, please try again</p>';
       return;
     }
 
-    resultsContainer.innerHTML = finalResults
-      .map(
-        (msg) => `
-        <div style="
+    // Ignore responses for a query that has since changed
+    const searchInput = document.querySelector('#search-input');
+    if (searchInput && searchInput.value !== query) return;
+
+    if (offset === 0) {
+      // The server cannot read encrypted messages, only filter them
+      const encryptedNote = isRoomEncrypted()
+        ? '<p style="color: #999; font-size: 12px; text-align: center;">🔒 Text search does not cover encrypted messages; filters like from: and in: do.</p>'
+        : '';
+      resultsContainer.innerHTML = encryptedNote;
+      if (page.results.length === 0) {
+        resultsContainer.innerHTML =
+          encryptedNote +
+          '<p style="color: #999; text-align: center;">No messages found</p>';
+        return;
+      }
+    }
+    resultsContainer.querySelector('.search-load-more')?.remove();
+
+    resultsContainer.insertAdjacentHTML(
+      'beforeend',
+      page.results
+        .map(
+          (msg) => `
+        <div class="search-result" style="
           border-bottom: 1px solid #eee;
           padding: 8px 0;
           cursor: pointer;
-        " onclick="window.jumpToMessage('${msg.messageId}', '${msg.channel}')">
+        " data-message-id="${escapeAttribute(msg.messageId)}" data-channel="${escapeAttribute(msg.channel)}" data-timestamp="${msg.timestamp}">
           <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
-            <strong style="color: #333;">${msg.username}</strong>
+            <strong style="color: #333;">${escapeHtml(msg.username)}</strong>
             <span style="color: #999; font-size: 12px;">
-              ${formatTimestamp(msg.timestamp)} • #${msg.channel}
+              ${formatTimestamp(msg.timestamp)} • #${escapeHtml(msg.channel)}
             </span>
           </div>
           <div style="color: #666; font-size: 14px;">
-            ${highlightText(msg.text, filters.text)}
+            ${msg.isFile ? '📎 ' : ''}${highlightSnippet(msg.snippet || getLocalPreview(msg.messageId))}
           </div>
         </div>
       `,
-      )
-      .join('');
+        )
+        .join(''),
+    );
+
+    if (page.nextOffset !== null) {
+      const loadMore = document.createElement('button');
+      loadMore.className = 'search-load-more';
+      loadMore.textContent = 'Load more results';
+      loadMore.style.cssText =
+        'display: block; margin: 8px auto 0; cursor: pointer;';
+      loadMore.onclick = () => {
+        loadMore.disabled = true;
+        appendSearchResults(query, page.nextOffset, resultsContainer);
+      };
+      resultsContainer.appendChild(loadMore);
+    }
   }
 
-  // Highlight search text in results
-  function highlightText(text, searchText) {
-    if (!searchText || text.startsWith('FILE:')) return escapeHtml(text);
+  // Preview of a result the server has no text for: encrypted messages are
+  // shown from their decrypted local copy
+  function getLocalPreview(messageId) {
+    if (!isRoomEncrypted()) return '';
+    const text = window.store?.getCell('messages', messageId, 'text');
+    if (!text || isEncryptedText(text)) return ENCRYPTED_MESSAGE_PLACEHOLDER;
+    if (text.startsWith('FILE:')) {
+      try {
+        return JSON.parse(text.substring(5)).name || '';
+      } catch {
+        return '';
+      }
+    }
+    return text.substring(0, 200);
+  }
 
-    const escaped = escapeHtml(text);
-    const regex = new RegExp(`(${escapeRegex(searchText)})`, 'gi');
-    return escaped.replace(
-      regex,
-      '<mark style="background: #fff59d;">$1</mark>',
-    );
+  // Turn the server's snippet markers into highlights
+  function highlightSnippet(snippet) {
+    return escapeHtml(snippet || '')
+      .split(SNIPPET_MARK_START)
+      .join('<mark style="background: #fff59d;">')
+      .split(SNIPPET_MARK_END)
+      .join('</mark>');
   }
 
   function escapeHtml(text) {
@@ -2602,28 +2826,50 @@ function initChannelInfoBar() {
     return div.innerHTML;
   }
 
-  function escapeRegex(text) {
-    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+  }
+
+  // Wait for a message element to render (check up to 10 times)
+  async function waitForMessageElement(messageId) {
+    for (let attempts = 0; attempts < 10; attempts++) {
+      const msgElement = chatlog.querySelector(
+        `[data-message-id="${messageId}"]`,
+      );
+      if (msgElement) return msgElement;
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    return null;
   }
 
   // Jump to message in chat
-  window.jumpToMessage = async function (messageId, channel = null) {
+  // `timestamp` lets the message list page in history for messages that
+  // are not loaded locally (e.g. search results)
+  window.jumpToMessage = async function (
+    messageId,
+    channel = null,
+    timestamp = null,
+  ) {
     // If channel is provided and different from current, switch to it first
     if (channel && channel !== currentChannel) {
       console.log(`Switching to channel #${channel} to show message`);
       await window.switchToChannel(channel);
+      await waitForMessageElement(messageId);
+    }
 
-      // Wait for messages to render (check up to 10 times)
-      let attempts = 0;
-      while (attempts < 10) {
-        const msgElement = chatlog.querySelector(
-          `[data-message-id="${messageId}"]`,
-        );
-        if (msgElement) break;
-
-        await new Promise((resolve) => setTimeout(resolve, 100));
-        attempts++;
-      }
+    if (
+      timestamp &&
+      !chatlog.querySelector(`[data-message-id="${messageId}"]`) &&
+      window.messageList?.loadHistoryUntil
+    ) {
+      console.log(
+        `Loading history of #${channel || currentChannel} to show message`,
+      );
+      await window.messageList.loadHistoryUntil(
+        channel || currentChannel,
+        timestamp,
+      );
+      await waitForMessageElement(messageId);
     }
 
     // Find the message element
@@ -2663,6 +2909,24 @@ function initChannelInfoBar() {
     });
   }
 
+  // Copy the link of an encrypted room, with its key
+  const btnCopyKeyLink = document.getElementById('btn-copy-key-link');
+  if (btnCopyKeyLink) {
+    btnCopyKeyLink.addEventListener('click', async () => {
+      const link = getCurrentRoomKeyLink();
+      if (!link) return;
+      try {
+        await navigator.clipboard.writeText(link);
+        addSystemMessage(
+          '* Key link copied. Anyone with it can read this room.',
+        );
+      } catch (err) {
+        console.error('Failed to copy key link:', err);
+        window.prompt('Copy the key link:', link);
+      }
+    });
+  }
+
   if (closeRoomSettings && roomSettingsModal) {
     closeRoomSettings.addEventListener('click', () => {
       roomSettingsModal.classList.remove('visible');
@@ -2740,9 +3004,9 @@ function getRoomHistory() {
  * @returns {string} Room name or empty string
  */
 function getRoomNameFromURL() {
-  // First try to get from hash
+  // First try to get from hash (unless it holds the key of an encrypted room)
   const hash = document.location.hash;
-  if (hash.length > 1) {
+  if (hash.length > 1 && !isKeyFragment(hash)) {
     // Remove leading # if present
     return hash.startsWith('#') ? hash.slice(1) : hash;
   }
@@ -2803,6 +3067,7 @@ function removeFromRoomHistory(roomName) {
 export async function main() {
   // Initialize user state (replaces direct localStorage access)
   initUserState();
+  initPresence();
 
   // Go directly to room chooser
   startRoomChooser();
@@ -2842,6 +3107,9 @@ function startRoomChooser() {
   const selectorRoomInput = document.getElementById('selector-room-input');
   const selectorJoinBtn = document.getElementById('selector-join-btn');
   const selectorPrivateBtn = document.getElementById('selector-private-btn');
+  const selectorEncryptCheckbox = document.getElementById(
+    'selector-encrypt-checkbox',
+  );
 
   if (selectorNameInput) {
     selectorNameInput.value = userState.value.username;
@@ -2903,10 +3171,20 @@ function startRoomChooser() {
       selectorPrivateBtn.textContent = 'Creating...';
 
       try {
-        roomname = await api.createPrivateRoom();
-        navigateToRoom(roomname);
+        const { room, ownerSecret } = await api.createPrivateRoom();
+        // The creator owns the room, see utils/moderation.mjs
+        setRoleSecret(room, ownerSecret);
+        roomname = room;
+        if (selectorEncryptCheckbox?.checked) {
+          // The key only exists in the link, see utils/message-crypto.mjs
+          const secret = generateRoomSecret();
+          setRoomSecret(room, secret);
+          window.location.assign(getRoomKeyLink(room, secret));
+        } else {
+          navigateToRoom(roomname);
+        }
       } catch (err) {
-        alert('Something went wrong creating the private room');
+        alert(`Something went wrong creating the private room: ${err.message}`);
         selectorPrivateBtn.disabled = false;
         selectorPrivateBtn.innerHTML =
           '<i class="ri-lock-2-line"></i> Create a Private Room';
@@ -3013,6 +3291,69 @@ const { state: roomInfo, subscribe: subscribeRoomInfo } = createReactiveState({
   isLocalUpdate: false,
 });
 
+// Whether the room is marked as end-to-end encrypted, with or without its
+// key in this browser (see common/encrypted-text.mjs)
+function isRoomMarkedEncrypted() {
+  return window.store?.getValue(ENCRYPTED_ROOM_KEY) === 'true';
+}
+
+// Mark the room as encrypted for everyone, once an owner or moderator opens
+// it with its key
+function markRoomEncrypted() {
+  if (
+    !isRoomEncrypted() ||
+    !canModerate() ||
+    !window.store ||
+    isRoomMarkedEncrypted()
+  ) {
+    return;
+  }
+  window.store
+    .setValue(ENCRYPTED_ROOM_KEY, 'true')
+    .catch((err) => console.warn('Failed to mark the room as encrypted:', err));
+}
+
+/**
+ * Store again the messages the outbox was still sending, which are missing
+ * from the local database once it was removed to resync
+ * @param {import('rxdb').RxDatabase} db
+ */
+async function restoreUnsentMessages(db) {
+  for (const entry of getUnsentMessages()) {
+    if (await db.messages.findOne(entry.messageId).exec()) continue;
+    await window.store.setRow('messages', entry.messageId, {
+      text: entry.text,
+      username: entry.username,
+      channel: entry.channel,
+      timestamp: entry.timestamp,
+      ...(entry.replyToId && { replyToId: entry.replyToId }),
+    });
+  }
+}
+
+// Mark the room as end-to-end encrypted (or not) in the channel bar and the
+// room settings
+function updateEncryptionIndicators() {
+  const encrypted = isRoomEncrypted();
+  const missingKey = !encrypted && isRoomMarkedEncrypted();
+  const badge = document.getElementById('room-encryption-badge');
+  if (badge) {
+    badge.hidden = !encrypted && !missingKey;
+  }
+  const statusText = document.getElementById('encryption-status-text');
+  if (statusText) {
+    statusText.textContent = encrypted
+      ? 'Messages, pin previews and files are encrypted in your browser with the key in the room link (after the #), which is never sent to the server. Share the key link only with people who should read them.'
+      : missingKey
+        ? 'This room is end-to-end encrypted, but this browser does not have its key. Open the room with its key link to read and send messages.'
+        : 'This room is not end-to-end encrypted. Create a private room with encryption enabled for that.';
+  }
+  const copyKeyLink = document.getElementById('btn-copy-key-link');
+  if (copyKeyLink) {
+    copyKeyLink.style.display = encrypted ? '' : 'none';
+  }
+}
+
 async function startChat() {
   // Hide room selector and show chat interface
   hideRoomSelector();
@@ -3042,10 +3383,54 @@ async function startChat() {
   // No longer set hash, navigation is handled by pathname
   // document.location.hash = '#' + roomname;
 
+  // Rooms opened with a key link are end-to-end encrypted
+  const roomKey = await initRoomKey(roomname);
+  updateEncryptionIndicators();
+
+  // Messages sent from this browser that the server has not confirmed yet
+  initOutbox(roomname);
+
   // Initialize RxDB store and collections
-  const { db, destroy } = await createRxDBStorage(roomname);
+  // Writes are authenticated with the session token from the presence socket
+  let rateLimitNoticeUntil = 0;
+  const { db, destroy, reauthenticate } = await createRxDBStorage(roomname, {
+    encryption: roomKey && {
+      keyId: roomKey.id,
+      encryptText: encryptMessageText,
+      decryptText: decryptMessageText,
+    },
+    getAuthToken: getSessionToken,
+    onSchemaMismatch: () => {
+      addSystemMessage(
+        '* This page is out of date with the server and cannot sync. Please reload.',
+      );
+    },
+    onRateLimited: ({ error, retryAfter }) => {
+      // One notice per cooldown; the refused writes are pushed again after it
+      if (Date.now() < rateLimitNoticeUntil) return;
+      rateLimitNoticeUntil = Date.now() + retryAfter * 1000;
+      addSystemMessage(`* ${error} Your changes will be sent after that.`);
+    },
+    onMessagesPushed: handleMessagesPushed,
+    onResyncRequired: () => {
+      // Messages not sent yet stay in the outbox, and are stored again after
+      // the reload (see restoreUnsentMessages())
+      addSystemMessage(
+        '* Old messages were cleaned up on the server. Reloading to sync again...',
+      );
+      window.location.reload();
+    },
+  });
+  rxdbReauthenticate = reauthenticate;
   const store = window.store; // compat store set by createRxDBStorage
 
+  await restoreUnsentMessages(db);
+
+  // Whether the room is encrypted is only known once room settings sync
+  store.addValueListener(ENCRYPTED_ROOM_KEY, updateEncryptionIndicators);
+  updateEncryptionIndicators();
+  markRoomEncrypted();
+
   console.log('✅ RxDB database, collections, and replication initialized');
 
   // Initialize reaction manager (using RxDB compat store)
@@ -3085,6 +3470,7 @@ async function startChat() {
         getCurrentUsername: () => userState.value.username,
         getRoomDisplayName: () => documentTitlePrefix,
         isPrivateRoom: roomname.length === 64,
+        isEncrypted: isRoomEncrypted(),
       },
     );
     console.log('✅ Message list component initialized');
@@ -3227,6 +3613,19 @@ async function startChat() {
   // Initialize user roster component
   userRoster = initUserRoster('#roster');
 
+  // Initialize typing indicators (channel and thread)
+  typingIndicator = initTypingIndicator(
+    '#typing-indicator',
+    '#thread-typing-indicator',
+  );
+
+  // Initialize upload queues (channel and thread)
+  uploadQueue = initUploadQueue(
+    '#upload-queue',
+    '#thread-upload-queue',
+    uploadFile,
+  );
+
   // Listen for logout event from roster
   document.querySelector('#roster').addEventListener('roster:logout', () => {
     // Clear saved username
@@ -3254,7 +3653,10 @@ async function startChat() {
     const charCountElement = document.getElementById('char-count');
     if (charCountElement && chatInputComponent.textarea) {
       const updateCharCount = () => {
-        const length = chatInputComponent.textarea.value.length;
+        // Encrypted rooms count the length of the ciphertext
+        const length = getStoredMessageLength(
+          chatInputComponent.textarea.value,
+        );
 
         // Only show character count when over 20000 characters
         if (length > 20000) {
@@ -3279,8 +3681,15 @@ async function startChat() {
       const message = event.detail.message;
 
       if (message.length > 0) {
+        // Moderation commands go to the room instead of the channel
+        const command = parseModerationCommand(message);
+        if (command) {
+          sendModeration(command);
+          return;
+        }
+
         // Check message length before sending
-        if (message.length > MAX_MESSAGE_LENGTH) {
+        if (getStoredMessageLength(message) > MAX_MESSAGE_LENGTH) {
           alert(`Message is too long (max ${MAX_MESSAGE_LENGTH} characters)`);
           return;
         }
@@ -3295,13 +3704,14 @@ async function startChat() {
       }
     });
 
-    // Handle file uploads from the component
-    chatInputComponent.onFileUpload = async (file) => {
-      const success = await uploadFile(file, null, currentReplyTo);
-      if (success && currentReplyTo) {
-        // Clear reply state after successful upload
-        clearReplyTo();
-      }
+    // Tell the room when the user is typing in the channel
+    chatInputComponent.addEventListener('typing', (event) => {
+      sendTyping(event.detail.active, null);
+    });
+
+    // Queue files picked or pasted in the component
+    chatInputComponent.onFiles = (files) => {
+      queueChannelUploads(files);
     };
 
     // Handle navigation keys
@@ -3321,58 +3731,6 @@ async function startChat() {
       }
     });
 
-    // Handle paste for file upload
-    chatInputComponent.onPaste(async (event) => {
-      const items = event.clipboardData?.items;
-      if (!items) return;
-
-      // Check for any file (images, documents, etc.)
-      for (let item of items) {
-        // Skip plain text items (let them paste normally)
-        if (item.kind === 'file') {
-          event.preventDefault();
-
-          const file = item.getAsFile();
-          if (!file) continue;
-
-          // Determine file type for display
-          const fileType = item.type.startsWith('image/') ? 'image' : 'file';
-
-          // Use file name if available, otherwise generate one with timestamp
-          let fileName = file.name;
-          if (!fileName || fileName === 'image.png' || fileName === 'blob') {
-            // Generate filename with timestamp for unnamed files
-            const timestamp = new Date()
-              .toISOString()
-              .replace(/[:.]/g, '-')
-              .slice(0, -5);
-            const extension = file.type.split('/')[1] || 'bin';
-            fileName = `pasted-${timestamp}.${extension}`;
-          }
-
-          // Prepare replyTo info if replying to a message
-          let replyToInfo = null;
-          if (currentReplyTo) {
-            replyToInfo = {
-              messageId: currentReplyTo.messageId,
-              username: currentReplyTo.username,
-              preview: currentReplyTo.preview,
-            };
-          }
-
-          const success = await uploadFile(file, fileName, replyToInfo);
-          if (success && currentReplyTo) {
-            // Clear reply state after successful upload
-            clearReplyTo();
-          }
-
-          return; // Stop after processing the first file
-        }
-      }
-
-      // If no file was found, allow default text paste behavior
-    });
-
     chatInputComponent.focus();
   }
 
@@ -3385,7 +3743,7 @@ async function startChat() {
     dropOverlay.innerHTML = `
       <div class="drop-overlay-content">
         <i class="ri-upload-cloud-2-line" style="font-size: 64px; margin-bottom: 16px;"></i>
-        <div style="font-size: 24px; font-weight: 500; margin-bottom: 8px;">Drop file to upload</div>
+        <div style="font-size: 24px; font-weight: 500; margin-bottom: 8px;">Drop files to upload</div>
         <div style="font-size: 14px; opacity: 0.8;">Max ${MAX_FILE_SIZE_MB}MB</div>
       </div>
     `;
@@ -3440,32 +3798,9 @@ async function startChat() {
       dragCounter = 0;
       dropOverlay.style.display = 'none';
 
-      const files = e.dataTransfer.files;
+      const files = Array.from(e.dataTransfer.files);
       if (files.length > 0) {
-        // Only handle the first file
-        const file = files[0];
-
-        // Prepare replyTo info if replying to a message
-        let replyToInfo = null;
-        if (currentReplyTo) {
-          replyToInfo = {
-            messageId: currentReplyTo.messageId,
-            username: currentReplyTo.username,
-            preview: currentReplyTo.preview,
-          };
-        }
-
-        const success = await uploadFile(file, null, replyToInfo);
-        if (success && currentReplyTo) {
-          // Clear reply state after successful upload
-          clearReplyTo();
-        }
-
-        if (files.length > 1) {
-          addSystemMessage(
-            `* Note: Only the first file was uploaded (${files.length} files dropped)`,
-          );
-        }
+        queueChannelUploads(files);
       }
     });
   }
@@ -3505,7 +3840,10 @@ async function startChat() {
     const threadCharCountElement = document.getElementById('thread-char-count');
     if (threadCharCountElement && threadInputComponent.textarea) {
       const updateThreadCharCount = () => {
-        const length = threadInputComponent.textarea.value.length;
+        // Encrypted rooms count the length of the ciphertext
+        const length = getStoredMessageLength(
+          threadInputComponent.textarea.value,
+        );
 
         // Only show character count when over 20000 characters
         if (length > 20000) {
@@ -3532,83 +3870,18 @@ async function startChat() {
       sendThreadReply();
     });
 
-    // Handle file uploads from the thread input component
-    threadInputComponent.onFileUpload = async (file) => {
-      const currentThreadId = chatState.value.threadId;
-      if (!currentThreadId) return;
-
-      const originalMessage = messagesCache.get(currentThreadId);
-      if (!originalMessage) {
-        addSystemMessage('* Error: Thread message not found');
-        return;
+    // Tell the room when the user is typing in the open thread
+    threadInputComponent.addEventListener('typing', (event) => {
+      const threadId = chatState.value.threadId;
+      if (threadId) {
+        sendTyping(event.detail.active, threadId);
       }
+    });
 
-      // Prepare replyTo info for thread
-      const replyToInfo = {
-        messageId: currentThreadId,
-        username: originalMessage.name,
-        preview: originalMessage.message.substring(0, 100),
-      };
-
-      const success = await uploadFile(file, null, replyToInfo);
-      if (!success) {
-        // Error message already shown in uploadFile
-      }
+    // Queue files picked or pasted in the thread input component
+    threadInputComponent.onFiles = (files) => {
+      queueThreadUploads(files);
     };
-
-    // Handle paste for file upload in thread input
-    threadInputComponent.onPaste(async (event) => {
-      const currentThreadId = chatState.value.threadId;
-      if (!currentThreadId) return;
-
-      const items = event.clipboardData?.items;
-      if (!items) return;
-
-      // Check for any file (images, documents, etc.)
-      for (let item of items) {
-        // Skip plain text items (let them paste normally)
-        if (item.kind === 'file') {
-          event.preventDefault();
-
-          const file = item.getAsFile();
-          if (!file) continue;
-
-          // Determine file type for display
-          const fileType = item.type.startsWith('image/') ? 'image' : 'file';
-
-          // Use file name if available, otherwise generate one with timestamp
-          let fileName = file.name;
-          if (!fileName || fileName === 'image.png' || fileName === 'blob') {
-            // Generate filename with timestamp for unnamed files
-            const timestamp = new Date()
-              .toISOString()
-              .replace(/[:.]/g, '-')
-              .slice(0, -5);
-            const extension = file.type.split('/')[1] || 'bin';
-            fileName = `pasted-${timestamp}.${extension}`;
-          }
-
-          const originalMessage = messagesCache.get(currentThreadId);
-          if (!originalMessage) {
-            addSystemMessage('* Error: Thread message not found');
-            return;
-          }
-
-          // Prepare replyTo info for thread
-          const replyToInfo = {
-            messageId: currentThreadId,
-            username: originalMessage.name,
-            preview: originalMessage.message.substring(0, 100),
-          };
-
-          await uploadFile(file, fileName, replyToInfo);
-
-          return; // Stop after processing the first file
-        }
-      }
-
-      // If no file was found, allow default text paste behavior
-    });
   }
 
   async function sendThreadReply() {
@@ -3619,7 +3892,7 @@ async function startChat() {
     if (!message) return;
 
     // Check message length before sending
-    if (message.length > MAX_MESSAGE_LENGTH) {
+    if (getStoredMessageLength(message) > MAX_MESSAGE_LENGTH) {
       alert(`Message is too long (max ${MAX_MESSAGE_LENGTH} characters)`);
       return;
     }
@@ -3642,98 +3915,132 @@ async function startChat() {
     }
   }
 
-  // Upload file function with progress tracking
-  async function uploadFile(file, fileName = null, replyTo = null) {
-    console.log('📤 [uploadFile] Starting upload:', {
-      fileName: fileName || file.name,
-      size: file.size,
+  /**
+   * Drop files over the size limit, telling the user
+   * @param {File[]} files
+   * @returns {File[]} Files that may be uploaded
+   */
+  function acceptUploads(files) {
+    // Encrypted files carry a few extra bytes
+    const maxSize = isRoomEncrypted()
+      ? MAX_FILE_SIZE_BYTES - FILE_ENCRYPTION_OVERHEAD
+      : MAX_FILE_SIZE_BYTES;
+    return files.filter((file) => {
+      if (file.size <= maxSize) return true;
+      addSystemMessage(
+        `* Upload failed: ${file.name} is too large (${formatFileSize(file.size)}). Maximum allowed size is ${formatFileSize(maxSize)}.`,
+      );
+      return false;
     });
+  }
 
-    const uploadFileName = fileName || file.name;
-    let tempMessageId = null;
+  // Queue files for the current channel, replying to the message being
+  // replied to (if any)
+  function queueChannelUploads(files) {
+    const replyTo = currentReplyTo
+      ? {
+          messageId: currentReplyTo.messageId,
+          username: currentReplyTo.username,
+          preview: currentReplyTo.preview,
+        }
+      : null;
+    uploadQueue.enqueue(acceptUploads(files), {
+      channel: currentChannel || 'general',
+      threadId: null,
+      replyTo,
+    });
+    if (replyTo) {
+      clearReplyTo();
+    }
+  }
 
-    try {
-      if (file.size > MAX_FILE_SIZE_BYTES) {
-        const fileSizeFormatted = formatFileSize(file.size);
-        const maxSizeFormatted = formatFileSize(MAX_FILE_SIZE_BYTES);
-        const errorMsg = `File is too large (${fileSizeFormatted}). Maximum allowed size is ${maxSizeFormatted}.`;
-
-        addSystemMessage(`* Upload failed: ${errorMsg}`);
-        alert(errorMsg);
-        return false;
-      }
+  // Queue files for the open thread
+  function queueThreadUploads(files) {
+    const currentThreadId = chatState.value.threadId;
+    if (!currentThreadId) return;
 
-      // 1. 添加临时消息到 Reef.js signal（不进 RxDB，不同步）
-      tempMessageId = window.messageList.addTempMessage({
-        name: userState.value.username,
-        message: `FILE:${JSON.stringify({
-          url: '',
-          name: uploadFileName,
-          type: file.type,
-          size: file.size,
-          uploading: true,
-          uploadProgress: 0,
-        })}`,
-        timestamp: Date.now(),
-        channel: currentChannel || 'general',
-        replyToId: replyTo?.messageId || null,
-      });
+    const originalMessage = messagesCache.get(currentThreadId);
+    if (!originalMessage) {
+      addSystemMessage('* Error: Thread message not found');
+      return;
+    }
 
-      // 2. 上传文件到服务器
-      const result = await api.uploadFileAuto(roomname, file, {
-        onProgress: (progress) => {
-          window.messageList.updateTempMessage(tempMessageId, {
-            message: `FILE:${JSON.stringify({
-              url: '',
-              name: uploadFileName,
-              type: file.type,
-              size: file.size,
-              uploading: true,
-              uploadProgress: Math.round(progress.percentage),
-            })}`,
-          });
-        },
-        onChunkComplete: (chunkInfo) => {
-          console.log(
-            `📦 Chunk ${chunkInfo.chunkIndex + 1}/${chunkInfo.totalChunks} uploaded`,
-          );
-        },
-        onError: (error) => {
-          console.error('❌ Upload chunk error:', error);
-        },
-      });
+    uploadQueue.enqueue(acceptUploads(files), {
+      channel: currentChannel || 'general',
+      threadId: currentThreadId,
+      // Prepare replyTo info for thread
+      replyTo: {
+        messageId: currentThreadId,
+        username: originalMessage.name,
+        preview: originalMessage.message.substring(0, 100),
+      },
+    });
+  }
 
-      // 3. 上传成功 - 删除临时消息，通过 WebSocket 发送真实消息
-      window.messageList.removeTempMessage(tempMessageId);
+  /**
+   * Upload a queued file, then post its FILE: message where it was queued
+   * @param {File} file
+   * @param {{ channel: string, replyTo: Object|null }} target
+   * @param {{ onProgress: Function, signal: AbortSignal }} options
+   */
+  async function uploadFile(
+    file,
+    { channel, replyTo },
+    { onProgress, signal },
+  ) {
+    console.log('📤 [uploadFile] Starting upload:', {
+      fileName: file.name,
+      size: file.size,
+    });
 
-      const fileMessage = `FILE:${JSON.stringify({
-        url: result.fileUrl,
-        name: uploadFileName,
-        type: file.type,
-        size: file.size,
-      })}`;
+    if (isRoomMarkedEncrypted() && !isRoomEncrypted()) {
+      throw new Error(
+        'This room is end-to-end encrypted. Open it with its key link to send files.',
+      );
+    }
 
-      await userApi.sendMessage(fileMessage, replyTo);
+    // In encrypted rooms the server only gets ciphertext: the file is
+    // encrypted, and image dimensions read, before the upload
+    const encrypted = isRoomEncrypted();
+    const imageSize =
+      encrypted && file.type.startsWith('image/')
+        ? await readImageSize(file)
+        : null;
+    const upload = encrypted ? await encryptFile(file) : file;
+
+    const result = await api.uploadFileAuto(roomname, upload, {
+      signal,
+      onProgress,
+      onChunkComplete: (chunkInfo) => {
+        console.log(
+          `📦 Chunk ${chunkInfo.chunkIndex + 1}/${chunkInfo.totalChunks} uploaded`,
+        );
+      },
+      onError: (error) => {
+        console.error('❌ Upload chunk error:', error);
+      },
+    });
 
-      return true;
-    } catch (err) {
-      console.error('❌ Upload failed:', err);
-
-      // 更新临时消息为错误状态
-      if (tempMessageId) {
-        window.messageList.updateTempMessage(tempMessageId, {
-          message: `FILE:${JSON.stringify({
-            url: '',
-            name: uploadFileName,
-            type: file.type,
-            size: file.size,
-            uploading: false,
-            error: err.message,
-          })}`,
-        });
-      }
+    const fileMessage = `FILE:${JSON.stringify({
+      url: result.fileUrl,
+      name: file.name,
+      // As detected by the server, see content-policy.mjs; encrypted files
+      // are only binary data to the server
+      type: encrypted ? file.type : result.fileType || file.type,
+      size: file.size,
+      // Dimensions, thumbnail and placeholder of images, see image-metadata.mjs
+      ...(result.image && {
+        width: result.image.width,
+        height: result.image.height,
+        thumbnail: result.image.thumbnailUrl || undefined,
+        placeholder: result.image.placeholder || undefined,
+      }),
+      ...(imageSize && { width: imageSize.width, height: imageSize.height }),
+      ...(encrypted && { encrypted: true }),
+    })}`;
 
-      return false;
+    if (!(await userApi.sendMessage(fileMessage, replyTo, channel))) {
+      throw new Error('Failed to post the file message');
     }
   }
 
@@ -3763,6 +4070,43 @@ function createPromiseResolvers() {
 }
 
 let isStoreReady = null; // Promise that resolves when RxDB store is initialized
+let rxdbReauthenticate = null; // Re-auth RxDB replication after a new session token
+
+/**
+ * Send a typing event over the presence WebSocket
+ * Typing state is ephemeral: nothing is queued while disconnected.
+ * @param {boolean} active - Whether the user is (still) typing
+ * @param {string|null} threadId - Thread being replied to, null for the channel
+ */
+function sendTyping(active, threadId) {
+  if (!currentWebSocket || currentWebSocket.readyState !== WebSocket.OPEN) {
+    return;
+  }
+  currentWebSocket.send(
+    JSON.stringify({
+      typing: { channel: chatState.value.channel, threadId, active },
+    }),
+  );
+}
+
+/**
+ * Send a moderation command over the presence WebSocket
+ * @param {{action: string, target: string, duration?: number}} command
+ */
+function sendModeration(command) {
+  if (!currentWebSocket || currentWebSocket.readyState !== WebSocket.OPEN) {
+    addSystemMessage('* Not connected, try again in a moment');
+    return;
+  }
+  currentWebSocket.send(JSON.stringify({ moderate: command }));
+}
+
+// Announce status changes (visibility, activity, do not disturb, status text)
+listenReefEvent('presenceState', () => {
+  if (currentWebSocket && currentWebSocket.readyState === WebSocket.OPEN) {
+    currentWebSocket.send(JSON.stringify({ presence: getPresence() }));
+  }
+});
 
 function join() {
   let ws = new WebSocket(api.getWebSocketUrl(roomname));
@@ -3774,11 +4118,16 @@ function join() {
       rejoined = true;
       currentWebSocket = null;
       isReconnecting = true; // Mark as reconnecting
+      // The token belonged to the old presence session
+      clearSessionToken();
 
       // Clear the roster
       if (userRoster) {
         userRoster.clearUsers();
       }
+      if (typingIndicator) {
+        typingIndicator.clear();
+      }
 
       // Don't try to reconnect too rapidly.
       let timeSinceLastJoin = Date.now() - startTime;
@@ -3796,9 +4145,16 @@ function join() {
 
   ws.addEventListener('open', async () => {
     currentWebSocket = ws;
+    setTokenRefresher(() => ws.send(JSON.stringify({ refreshToken: true })));
 
     // Send user info message.
-    ws.send(JSON.stringify({ name: userState.value.username }));
+    ws.send(
+      JSON.stringify({
+        name: userState.value.username,
+        ...getPresence(),
+        roleSecret: getRoleSecret(roomname),
+      }),
+    );
   });
 
   let connectionReady = false;
@@ -3807,14 +4163,22 @@ function join() {
     let data = JSON.parse(event.data);
 
     // NOTE: Regular chat messages are now handled by RxDB WebSocket replication
-    // This WebSocket only handles system events
+    // This WebSocket only handles presence events (join/quit, typing, tokens)
 
     if (data.error) {
       addSystemMessage('* Error: ' + data.error);
+    } else if (data.typing) {
+      if (typingIndicator) {
+        typingIndicator.handleTyping(data.typing);
+      }
+    } else if (data.presence) {
+      if (userRoster) {
+        userRoster.updatePresence(data.presence.name, data.presence);
+      }
     } else if (data.joined) {
       // Add user to roster (Reef.js component handles rendering)
       if (userRoster && !userRoster.hasUser(data.joined)) {
-        userRoster.addUser(data.joined);
+        userRoster.addUser(data.joined, data);
 
         // Only show join system message after connection is ready
         // (suppresses the initial batch of existing users on connect)
@@ -3823,16 +4187,66 @@ function join() {
         }
       }
     } else if (data.quit) {
+      if (typingIndicator) {
+        typingIndicator.removeUser(data.quit);
+      }
       // Remove user from roster (Reef.js component handles rendering)
       if (userRoster && userRoster.hasUser(data.quit)) {
-        userRoster.removeUser(data.quit);
+        userRoster.removeUser(data.quit, data.lastSeen);
         if (connectionReady) {
           addSystemMessage(`* ${data.quit} has left the room`);
         }
       }
+    } else if (data.moderated) {
+      const { action, target, until } = data.moderated;
+      if (target === userState.value.username) {
+        if (action === 'mute') moderationState.setMutedUntil(until);
+        if (action === 'unmute') moderationState.setMutedUntil(0);
+      }
+      addSystemMessage(describeModeration(data.moderated));
+    } else if (data.moderation) {
+      describeModerationList(data.moderation).forEach(addSystemMessage);
+    } else if (data.roleChanged) {
+      const { role, secret, token } = data.roleChanged;
+      setRoleSecret(roomname, secret);
+      moderationState.setRole(role);
+      addSystemMessage(
+        role
+          ? `* You are now a ${role} of this room`
+          : '* You are no longer a moderator of this room',
+      );
+      // The replication socket picks up the new role with the new token
+      if (token) {
+        setSessionToken(token);
+        if (rxdbReauthenticate) {
+          rxdbReauthenticate();
+        }
+      }
     } else if (data.ready) {
       connectionReady = true;
 
+      // A stored role secret the room no longer accepts is forgotten
+      moderationState.setRole(data.role);
+      moderationState.setMutedUntil(data.mutedUntil);
+      if (!data.role && getRoleSecret(roomname)) {
+        setRoleSecret(roomname, null);
+      }
+      markRoomEncrypted();
+
+      if (userRoster && data.recentlySeen) {
+        userRoster.setRecentlySeen(data.recentlySeen);
+      }
+
+      // Session token for authenticating RxDB replication writes
+      if (data.token) {
+        setSessionToken(data.token);
+        if (rxdbReauthenticate) {
+          rxdbReauthenticate();
+        }
+      } else {
+        console.warn('⚠️ Server did not issue a session token');
+      }
+
       if (isReconnecting) {
         updateConnectionStatus('connected');
         isReconnecting = false;
@@ -3843,6 +4257,9 @@ function join() {
       if (chatInputComponent) {
         chatInputComponent.focus();
       }
+    } else if (data.token) {
+      // Refreshed session token
+      setSessionToken(data.token);
     }
   });
 
@@ -3855,6 +4272,15 @@ function join() {
       // This connection was replaced by a new one (e.g., user refreshed the page)
       // Don't reconnect since the new connection is already active
       addSystemMessage('* Connection replaced by a new session');
+    } else if (event.code === KICKED_CLOSE_CODE) {
+      // Kicked users may come back, but not automatically
+      updateConnectionStatus('error');
+      addSystemMessage(
+        '* You were kicked from the room. Reload the page to rejoin.',
+      );
+    } else if (event.code === BANNED_CLOSE_CODE) {
+      updateConnectionStatus('error');
+      addSystemMessage('* You are banned from this room');
     } else if (event.code === 1009) {
       // Name too long or invalid - clear saved username using userState
       userState.clearUsername();
@@ -4040,11 +4466,11 @@ function showEditDialog(messageData) {
     font-size: 12px;
     margin-top: 4px;
   `;
-  charCount.textContent = `${textarea.value.length} / ${MAX_MESSAGE_LENGTH}`;
+  charCount.textContent = `${getStoredMessageLength(textarea.value)} / ${MAX_MESSAGE_LENGTH}`;
   dialog.appendChild(charCount);
 
   textarea.addEventListener('input', () => {
-    const len = textarea.value.length;
+    const len = getStoredMessageLength(textarea.value);
     charCount.textContent = `${len} / ${MAX_MESSAGE_LENGTH}`;
     charCount.style.color = len > MAX_MESSAGE_LENGTH ? '#dc3545' : '#666';
   });
@@ -4090,7 +4516,7 @@ function showEditDialog(messageData) {
       return;
     }
 
-    if (newMessage.length > MAX_MESSAGE_LENGTH) {
+    if (getStoredMessageLength(newMessage) > MAX_MESSAGE_LENGTH) {
       alert(`Message is too long (max ${MAX_MESSAGE_LENGTH} characters)`);
       return;
     }
@@ -4312,6 +4738,255 @@ function showRoomContextMenu(event, targetRoomName) {
   }, 10);
 }
 
+/**
+ * Render an entry of the edit history or audit log modals
+ * @param {string} meta - Who and when
+ * @param {string} text
+ * @returns {HTMLLIElement}
+ */
+function renderLogItem(meta, text) {
+  const item = document.createElement('li');
+  item.className = 'log-item';
+  const metaDiv = document.createElement('div');
+  metaDiv.className = 'log-meta';
+  metaDiv.textContent = meta;
+  const textDiv = document.createElement('div');
+  textDiv.className = 'log-text';
+  textDiv.textContent = text;
+  item.append(metaDiv, textDiv);
+  return item;
+}
+
+/**
+ * Show the previous versions of an edited message
+ * @param {string} messageId
+ * @param {string} currentText - Current text of the message, shown first
+ */
+async function showEditHistory(messageId, currentText) {
+  const modal = document.querySelector('#edit-history-modal');
+  const list = document.querySelector('#edit-history-list');
+  if (!modal || !list) return;
+
+  list.replaceChildren(renderLogItem('Loading…', ''));
+  modal.classList.add('visible');
+
+  let revisions;
+  try {
+    ({ revisions } = await api.getMessageRevisions(roomname, messageId));
+  } catch (err) {
+    console.error('Failed to load edit history:', err);
+    list.replaceChildren(renderLogItem('Failed to load edit history', ''));
+    return;
+  }
+  // The server keeps previous versions as they were stored
+  const texts = await Promise.all(
+    revisions.map((revision) =>
+      tryDecryptMessage({ message: revision.text, messageId }),
+    ),
+  );
+
+  // Newest first: the current text, then each replaced version
+  list.replaceChildren(
+    renderLogItem('Current', currentText),
+    ...revisions
+      .map((revision, index) =>
+        renderLogItem(
+          `Replaced by ${revision.editedBy} at ${formatTimestamp(revision.replacedAt)}`,
+          texts[index],
+        ),
+      )
+      .reverse(),
+  );
+}
+
+// Initialize edit history modal
+function initEditHistoryModal() {
+  const modal = document.querySelector('#edit-history-modal');
+  const closeBtn = document.querySelector('#close-edit-history');
+  if (!modal) return;
+
+  closeBtn?.addEventListener('click', () => {
+    modal.classList.remove('visible');
+  });
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      modal.classList.remove('visible');
+    }
+  });
+}
+
+/**
+ * Describe an audit log entry
+ * @param {{at: number, actor: string, action: string, target: string|null, details: Object|null, sessionId: string|null}} entry
+ * @returns {{meta: string, text: string}}
+ */
+function describeAuditEntry({ at, actor, action, target, details, sessionId }) {
+  const session = sessionId ? `session ${sessionId.substring(0, 8)}` : 'HTTP';
+  const extra = details
+    ? Object.entries(details)
+        .map(([key, value]) =>
+          key === 'until'
+            ? `until ${formatTimestamp(value)}`
+            : `${key}: ${value}`,
+        )
+        .join(', ')
+    : '';
+  return {
+    meta: `${formatTimestamp(at)} · ${actor} · ${session}`,
+    text: [action, target, extra && `(${extra})`].filter(Boolean).join(' '),
+  };
+}
+
+// Initialize audit log modal (room owners only)
+function initAuditLogModal() {
+  const modal = document.querySelector('#audit-log-modal');
+  const list = document.querySelector('#audit-log-list');
+  const moreBtn = document.querySelector('#audit-log-more');
+  const closeBtn = document.querySelector('#close-audit-log');
+  const openBtn = document.querySelector('#btn-audit-log');
+  if (!modal || !list || !moreBtn || !openBtn) return;
+
+  // Id of the oldest entry shown, the next page starts before it
+  let before = null;
+
+  const loadPage = async () => {
+    moreBtn.disabled = true;
+    let page;
+    try {
+      page = await api.getAuditLog(roomname, before);
+    } catch (err) {
+      console.error('Failed to load audit log:', err);
+      list.append(renderLogItem('Failed to load audit log', err.message));
+      moreBtn.disabled = false;
+      return;
+    }
+    if (!before && page.entries.length === 0) {
+      list.append(renderLogItem('No entries yet', ''));
+    }
+    list.append(
+      ...page.entries.map((entry) => {
+        const { meta, text } = describeAuditEntry(entry);
+        return renderLogItem(meta, text);
+      }),
+    );
+    if (page.entries.length > 0) {
+      before = page.entries[page.entries.length - 1].id;
+    }
+    moreBtn.classList.toggle('visible', page.hasMore);
+    moreBtn.disabled = false;
+  };
+
+  openBtn.addEventListener('click', () => {
+    before = null;
+    list.replaceChildren();
+    modal.classList.add('visible');
+    loadPage();
+  });
+  moreBtn.addEventListener('click', loadPage);
+
+  closeBtn?.addEventListener('click', () => {
+    modal.classList.remove('visible');
+  });
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      modal.classList.remove('visible');
+    }
+  });
+
+  // Only owners can read the audit log
+  const updateVisibility = () => {
+    openBtn.style.display =
+      moderationState.value.role === 'owner' ? '' : 'none';
+  };
+  listenReefEvent('moderationState', updateVisibility);
+  updateVisibility();
+}
+
+// Initialize the storage meter of the room settings modal
+function initStorageMeter() {
+  const meter = document.querySelector('#storage-meter');
+  const text = document.querySelector('#storage-usage-text');
+  const openBtn = document.querySelector('#btn-room-settings');
+  if (!meter || !text || !openBtn) return;
+
+  // Refresh the usage each time the modal opens
+  openBtn.addEventListener('click', async () => {
+    text.textContent = 'Loading...';
+    let usage;
+    try {
+      usage = await api.getStorageUsage(roomname);
+    } catch (err) {
+      console.error('Failed to load storage usage:', err);
+      text.textContent = err.message;
+      return;
+    }
+    const { room, uploader } = usage;
+    meter.value = Math.min(room.used / room.quota, 1);
+    text.textContent =
+      `Room: ${formatFileSize(room.used)} of ${formatFileSize(room.quota)} used. ` +
+      `Your uploads: ${formatFileSize(uploader.used)} of ${formatFileSize(uploader.quota)}.`;
+  });
+}
+
+// Initialize the message retention section of the room settings modal
+function initRetentionSettings() {
+  const section = document.querySelector('#retention-settings');
+  const roomInput = document.querySelector('#retention-room-days');
+  const channelInput = document.querySelector('#retention-channel-days');
+  const channelName = document.querySelector('#retention-channel-name');
+  const saveBtn = document.querySelector('#btn-save-retention');
+  const openBtn = document.querySelector('#btn-room-settings');
+  if (!section || !roomInput || !channelInput || !saveBtn) return;
+
+  const getChannel = () => chatState.value.channel || 'general';
+
+  // Show the stored settings each time the modal opens
+  openBtn?.addEventListener('click', () => {
+    const channel = getChannel();
+    channelName.textContent = channel;
+    roomInput.value = window.store?.getValue(RETENTION_KEY) ?? '';
+    channelInput.value = window.store?.getValue(getRetentionKey(channel)) ?? '';
+  });
+
+  saveBtn.addEventListener('click', async () => {
+    const store = window.store;
+    if (!store) return;
+
+    const changes = [
+      [RETENTION_KEY, roomInput.value.trim()],
+      [getRetentionKey(getChannel()), channelInput.value.trim()],
+    ].filter(([key, value]) => value !== (store.getValue(key) ?? ''));
+
+    if (!changes.every(([, value]) => isValidRetentionValue(value))) {
+      alert(
+        `Retention must be a whole number of days, at most ${MAX_RETENTION_DAYS}.`,
+      );
+      return;
+    }
+
+    saveBtn.disabled = true;
+    try {
+      for (const [key, value] of changes) {
+        await store.setValue(key, value);
+      }
+    } catch (err) {
+      console.error('Failed to save retention:', err);
+      alert(`Failed to save retention: ${err.message}`);
+      return;
+    } finally {
+      saveBtn.disabled = false;
+    }
+    document.getElementById('room-settings-modal')?.classList.remove('visible');
+  });
+
+  // The server only accepts retention changes from owners and moderators
+  const updateVisibility = () => {
+    section.style.display = canModerate() ? '' : 'none';
+  };
+  listenReefEvent('moderationState', updateVisibility);
+  updateVisibility();
+}
+
 // Initialize user profile modal
 function initUserProfileModal() {
   const userInfoCard = document.querySelector('#user-info-card');
@@ -4320,6 +4995,8 @@ function initUserProfileModal() {
   const usernameInput = document.querySelector('#username-input');
   const previewAvatar = document.querySelector('#preview-avatar');
   const saveBtn = document.querySelector('#save-username-btn');
+  const statusTextInput = document.querySelector('#status-text-input');
+  const dndCheckbox = document.querySelector('#dnd-checkbox');
 
   // Open modal when clicking on user info card
   if (userInfoCard) {
@@ -4331,6 +5008,10 @@ function initUserProfileModal() {
         modal.classList.add('visible');
         usernameInput.value = userState.value.username || '';
         previewAvatar.setAttribute('name', userState.value.username || 'User');
+        if (statusTextInput && dndCheckbox) {
+          statusTextInput.value = presenceState.value.statusText;
+          dndCheckbox.checked = presenceState.value.doNotDisturb;
+        }
       }
     });
   }
@@ -4382,9 +5063,20 @@ function initUserProfileModal() {
     saveBtn.addEventListener('click', () => {
       const newUsername = usernameInput.value.trim();
       if (newUsername && newUsername.length > 0 && newUsername.length <= 32) {
+        const changed = newUsername !== userState.value.username;
+        if (statusTextInput && dndCheckbox) {
+          presenceState.setStatusText(statusTextInput.value);
+          presenceState.setDoNotDisturb(dndCheckbox.checked);
+        }
         userState.setUsername(newUsername);
         userState.value.username = newUsername; // Update global for backward compatibility
         modal.classList.remove('visible');
+
+        // Re-register the presence session so the server issues a session
+        // token for the new name (writes are checked against it)
+        if (changed && currentWebSocket) {
+          currentWebSocket.close(4000, 'Username changed');
+        }
       } else {
         alert('Please enter a valid username (1-32 characters)');
       }
@@ -4407,6 +5099,10 @@ function initializeLeftSidebar() {
   updateRoomListUI();
   updateUserInfoCard();
   initUserProfileModal();
+  initEditHistoryModal();
+  initAuditLogModal();
+  initRetentionSettings();
+  initStorageMeter();
 }
 
 // Hide left sidebar when showing room form (no longer needed, but keep for compatibility)
@@ -4,6 +4,8 @@
  */
 
 import { store, component } from 'reefjs';
+import { decryptPins } from './utils/pin-crypto.mjs';
+import { userState } from './utils/user-state.mjs';
 const SignalName = 'pinnedState';
 
 // Pinned messages state with actions
@@ -399,7 +401,7 @@ export async function loadPinnedMessages(roomName, channelName) {
         if (message) {
           pins.push({
             messageId,
-            message, // Encrypted message
+            message,
             username,
             timestamp,
             pinnedAt: pinData.pinnedAt,
@@ -411,8 +413,9 @@ export async function loadPinnedMessages(roomName, channelName) {
     // Sort by pin timestamp (most recent first)
     pins.sort((a, b) => b.pinnedAt - a.pinnedAt);
 
-    // Return pins with display names
-    return pins.map((pin) => ({
+    // Return pins with display names, and messages that could not be
+    // decrypted when pulled shown as encrypted
+    return (await decryptPins(pins)).map((pin) => ({
       ...pin,
       name: pin.username, // Map username to name for display
     }));
@@ -436,6 +439,7 @@ export async function pinMessage(messageId, messageData) {
     window.store.setRow('pins', messageId, {
       channelName,
       pinnedAt: Date.now(),
+      pinnedBy: userState.value.username,
     });
 
     console.log('[PinnedMessages] Message pinned:', messageId);
@@ -9,27 +9,45 @@ import { createRxDatabase, addRxPlugin } from 'rxdb/plugins/core';
 import { getRxStorageDexie } from 'rxdb/plugins/storage-dexie';
 import { RxDBLeaderElectionPlugin } from 'rxdb/plugins/leader-election';
 import { replicateRxCollection } from 'rxdb/plugins/replication';
+import { RxDBMigrationSchemaPlugin } from 'rxdb/plugins/migration-schema';
 import { Subject } from 'rxjs';
 import ReconnectingWebSocket from '@opensumi/reconnecting-websocket';
 import { api } from '../api.mjs';
+import { HISTORY_PAGE_SIZE } from '../../common/constants.mjs';
 import {
   messagesSchema,
   reactionsSchema,
   channelsSchema,
   pinsSchema,
   roomSettingsSchema,
-} from './schemas.mjs';
+} from '../../common/rxdb-schemas.mjs';
+import {
+  migrationStrategies,
+  getSchemaVersions,
+} from '../../common/rxdb-migrations.mjs';
+import { isEncryptedText } from '../../common/encrypted-text.mjs';
 
 addRxPlugin(RxDBLeaderElectionPlugin);
+addRxPlugin(RxDBMigrationSchemaPlugin);
 
 /**
  * @typedef {import('rxdb').RxDatabase} RxDatabase
  * @typedef {import('rxdb').RxCollection} RxCollection
  */
 
+/**
+ * @typedef {Object} MessageEncryption
+ * @property {string} keyId - Identifies the key; the local database is kept per key
+ * @property {(text: string, messageId: string) => Promise<string>} encryptText
+ * @property {(text: string, messageId: string) => Promise<string>} decryptText
+ */
+
 /** @type {RxDatabase|null} */
 let db = null;
 
+/** @type {Function|null} Loads a page of channel history, see loadMessageHistory */
+let historyLoader = null;
+
 /**
  * Get the current RxDB database instance
  * @returns {RxDatabase}
@@ -78,6 +96,30 @@ export function getRoomSettingsCollection() {
   return db?.room_settings;
 }
 
+/**
+ * Load a page of a channel's message history from the server into the local
+ * messages collection.
+ *
+ * A fresh client only replicates new messages, so history is paged in per
+ * channel: the newest page when a channel is opened, older pages on scroll-up.
+ *
+ * @param {string} channel - Channel name
+ * @param {Object} [options]
+ * @param {{ timestamp: number, messageId: string }|null} [options.before] - Load messages older than this one (newest page if omitted)
+ * @param {number} [options.limit] - Page size
+ * @returns {Promise<{ count: number, hasMore: boolean, oldest: { timestamp: number, messageId: string }|null }>}
+ *   `oldest` is the cursor for the next older page
+ */
+export async function loadMessageHistory(
+  channel,
+  { before = null, limit = HISTORY_PAGE_SIZE } = {},
+) {
+  if (!historyLoader) {
+    return { count: 0, hasMore: false, oldest: null };
+  }
+  return historyLoader(channel, before, limit);
+}
+
 // Collection names for iteration
 export const CollectionNames = {
   Messages: 'messages',
@@ -95,30 +137,143 @@ export const CollectionNames = {
  * replaces the previous 5-connection-per-client approach with a single
  * multiplexed connection.
  *
+ * Each connection first exchanges schema versions with the server; nothing is
+ * replicated until they match. It then authenticates with a session token
+ * issued by the ChatRoom before writes are pushed; the server refuses
+ * `masterWrite` until then.
+ *
  * @param {string} wsUrl - WebSocket URL for the RxDB replication endpoint
+ * @param {Object} [options]
+ * @param {Function} [options.getAuthToken] - ({ refresh }) => Promise<string> session token provider
+ * @param {Function} [options.onSchemaMismatch] - Called with the server's handshake error
+ * @param {Function} [options.onRateLimited] - Called with the server's error when a write is rate-limited
  * @returns {Object} Shared WebSocket manager
  */
-function createSharedWebSocket(wsUrl) {
+function createSharedWebSocket(
+  wsUrl,
+  { getAuthToken, onSchemaMismatch, onRateLimited } = {},
+) {
   const ws = new ReconnectingWebSocket(wsUrl);
   /** @type {Map<string, { pullStream$: Subject, pendingRequests: Map, onReconnect: Function|null }>} */
   const collectionHandlers = new Map();
+  /** @type {Map<string, Function>} handshake/auth request id -> resolve */
+  const controlRequests = new Map();
+  let controlCounter = 0;
+  let authenticatedOnce = false;
+
+  // Resolves once the current connection passed the schema handshake
+  let schemaCompatible = false;
+  let schemaReady = null;
+  let resolveSchemaReady = null;
+  function resetSchemaReady() {
+    schemaReady = new Promise((resolve) => {
+      resolveSchemaReady = resolve;
+    });
+  }
+  resetSchemaReady();
+
+  // Resolves once the current connection is authenticated
+  let authReady = null;
+  let resolveAuthReady = null;
+  function resetAuthReady() {
+    authReady = new Promise((resolve) => {
+      resolveAuthReady = resolve;
+    });
+  }
+  resetAuthReady();
+  if (!getAuthToken) {
+    resolveAuthReady();
+  }
 
-  ws.addEventListener('open', () => {
-    console.log('🔗 WS connected (multiplexed)');
+  /**
+   * Send a connection-level request (not tied to a collection)
+   * @param {string} method
+   * @param {Array} params
+   * @returns {Promise<Object>} The server's result
+   */
+  function sendControlRequest(method, params) {
+    return new Promise((resolve) => {
+      const id = `${method}-${controlCounter++}`;
+      controlRequests.set(id, resolve);
+      ws.send(JSON.stringify({ id, collection: '', method, params }));
+    });
+  }
+
+  /**
+   * Subscribe a collection to its server change stream
+   * @param {string} collectionName
+   */
+  function subscribeChangeStream(collectionName) {
+    ws.send(
+      JSON.stringify({
+        id: 'stream',
+        collection: collectionName,
+        method: 'masterChangeStream$',
+        params: [],
+      }),
+    );
+  }
+
+  /**
+   * Exchange schema versions with the server, then start replicating all
+   * registered collections over the current connection.
+   */
+  async function handshake() {
+    const result = await sendControlRequest('handshake', [
+      { schemaVersions: getSchemaVersions() },
+    ]);
+    if (!result?.ok) {
+      // Retrying cannot help: this bundle and the server disagree on the
+      // document shape until one of them is updated.
+      console.error('❌ RxDB schema handshake failed:', result?.error);
+      if (result?.code === 'SCHEMA_VERSION_MISMATCH' && onSchemaMismatch) {
+        onSchemaMismatch(result);
+      }
+      return;
+    }
+
+    schemaCompatible = true;
+    resolveSchemaReady();
     // Re-subscribe all registered collections to their change streams
     for (const [collectionName, handler] of collectionHandlers) {
-      ws.send(
-        JSON.stringify({
-          id: 'stream',
-          collection: collectionName,
-          method: 'masterChangeStream$',
-          params: [],
-        }),
-      );
+      subscribeChangeStream(collectionName);
       if (handler.onReconnect) {
         handler.onReconnect();
       }
     }
+  }
+
+  /**
+   * Authenticate the current connection, retrying with a refreshed token
+   * until the server accepts one or the connection closes.
+   */
+  async function authenticate() {
+    let refresh = false;
+    while (ws.readyState === WebSocket.OPEN) {
+      const token = await getAuthToken({ refresh });
+      if (ws.readyState !== WebSocket.OPEN) return;
+
+      const result = await sendControlRequest('auth', [token]);
+
+      if (result?.ok) {
+        console.log('🔐 RxDB replication authenticated as', result.name);
+        authenticatedOnce = true;
+        resolveAuthReady();
+        return;
+      }
+
+      console.warn('⚠️ RxDB replication auth failed:', result?.error);
+      refresh = true;
+      await new Promise((resolve) => setTimeout(resolve, 3000));
+    }
+  }
+
+  ws.addEventListener('open', () => {
+    console.log('🔗 WS connected (multiplexed)');
+    handshake();
+    if (getAuthToken) {
+      authenticate();
+    }
   });
 
   ws.addEventListener('message', (event) => {
@@ -129,20 +284,31 @@ function createSharedWebSocket(wsUrl) {
       console.error('Failed to parse WS message:', e);
       return;
     }
-    if (msg.id === 'stream') {
+    if (controlRequests.has(msg.id)) {
+      const resolve = controlRequests.get(msg.id);
+      controlRequests.delete(msg.id);
+      resolve(msg.result);
+    } else if (msg.id === 'stream') {
       // Stream event from server - route to the correct collection
       const handler = collectionHandlers.get(msg.collection);
       if (handler) {
         handler.pullStream$.next(msg.result);
       }
     } else {
+      if (msg.rejected) {
+        // Rejected rows are rolled back through the returned conflicts
+        console.warn(`Server rejected ${msg.collection} writes:`, msg.rejected);
+      }
+      if (msg.result?.code === 'RATE_LIMITED' && onRateLimited) {
+        onRateLimited(msg.result);
+      }
       // Response to a request - find by pending request ID
       let matched = false;
       for (const handler of collectionHandlers.values()) {
         if (handler.pendingRequests.has(msg.id)) {
           const resolve = handler.pendingRequests.get(msg.id);
           handler.pendingRequests.delete(msg.id);
-          resolve(msg.result);
+          resolve(msg);
           matched = true;
           break;
         }
@@ -155,16 +321,27 @@ function createSharedWebSocket(wsUrl) {
 
   ws.addEventListener('close', () => {
     console.log('🔌 WS disconnected');
+    // Pending handshake/auth attempts belong to the old connection
+    for (const resolve of controlRequests.values()) {
+      resolve({ error: 'Connection closed' });
+    }
+    controlRequests.clear();
+    schemaCompatible = false;
+    resetSchemaReady();
+    if (getAuthToken) {
+      authenticatedOnce = false;
+      resetAuthReady();
+    }
   });
 
   return {
     /**
      * Register a collection for replication over this shared connection.
-     * Returns a sendRequest function scoped to that collection.
+     * Returns request functions scoped to that collection.
      *
      * @param {string} collectionName
      * @param {Subject} pullStream$
-     * @returns {{ sendRequest: Function, setOnReconnect: Function }}
+     * @returns {{ sendRequest: Function, sendRequestForResponse: Function, setOnReconnect: Function }}
      */
     registerCollection(collectionName, pullStream$) {
       const pendingRequests = new Map();
@@ -177,47 +354,77 @@ function createSharedWebSocket(wsUrl) {
       };
       collectionHandlers.set(collectionName, handler);
 
-      // Subscribe to change stream if already connected
-      if (ws.readyState === WebSocket.OPEN) {
-        ws.send(
-          JSON.stringify({
-            id: 'stream',
+      // Subscribe to change stream if the connection is already usable
+      if (ws.readyState === WebSocket.OPEN && schemaCompatible) {
+        subscribeChangeStream(collectionName);
+      }
+
+      /**
+       * @param {string} method
+       * @param {Array} params
+       * @returns {Promise<Object>} The whole response, with `result` and,
+       *   for writes, `rejected`
+       */
+      function sendRequestForResponse(method, params) {
+        return new Promise((resolve) => {
+          const id = `${collectionName}-${requestCounter++}`;
+          pendingRequests.set(id, resolve);
+          const request = JSON.stringify({
+            id,
             collection: collectionName,
-            method: 'masterChangeStream$',
-            params: [],
-          }),
-        );
+            method,
+            params,
+          });
+          if (ws.readyState === WebSocket.OPEN) {
+            ws.send(request);
+          } else {
+            // Wait for connection
+            const onOpen = () => {
+              ws.removeEventListener('open', onOpen);
+              ws.send(request);
+            };
+            ws.addEventListener('open', onOpen);
+          }
+        });
       }
 
       return {
-        sendRequest(method, params) {
-          return new Promise((resolve) => {
-            const id = `${collectionName}-${requestCounter++}`;
-            pendingRequests.set(id, resolve);
-            const request = JSON.stringify({
-              id,
-              collection: collectionName,
-              method,
-              params,
-            });
-            if (ws.readyState === WebSocket.OPEN) {
-              ws.send(request);
-            } else {
-              // Wait for connection
-              const onOpen = () => {
-                ws.removeEventListener('open', onOpen);
-                ws.send(request);
-              };
-              ws.addEventListener('open', onOpen);
-            }
-          });
+        async sendRequest(method, params) {
+          return (await sendRequestForResponse(method, params)).result;
         },
+        sendRequestForResponse,
         setOnReconnect(fn) {
           handler.onReconnect = fn;
         },
       };
     },
 
+    /**
+     * Wait until the current connection passed the schema handshake
+     * @returns {Promise<void>}
+     */
+    whenSchemaCompatible() {
+      return schemaReady;
+    },
+
+    /**
+     * Wait until the current connection is authenticated
+     * @returns {Promise<void>}
+     */
+    whenAuthenticated() {
+      return authReady;
+    },
+
+    /**
+     * Re-authenticate an already authenticated connection with a new token
+     * (e.g. after the presence session re-registered under another name)
+     */
+    reauthenticate() {
+      if (getAuthToken && authenticatedOnce) {
+        authenticate();
+      }
+    },
+
     close() {
       ws.close();
     },
@@ -230,21 +437,41 @@ function createSharedWebSocket(wsUrl) {
  *
  * The protocol matches what the RxDB websocket-server plugin expects:
  * - Client sends: { id, collection, method, params }
- * - Server responds: { id, collection, result }
+ * - Server responds: { id, collection, result }, for writes also `rejected`
  * - Server streams: { id: 'stream', collection, result }
  *
  * @param {RxCollection} collection - The RxDB collection to replicate
  * @param {Object} sharedWs - Shared WebSocket manager from createSharedWebSocket
- * @returns {Object} The RxDB replication state
+ * @param {Function} onResyncRequired - Called with the server's error when the
+ *   local checkpoint is too old to continue from
+ * @param {{ pull: Function, push: Function }} [modifiers] - Transform documents
+ *   on their way from and to the server
+ * @param {Function} [onPushed] - Called with `{ rows, rejected }` once the
+ *   server answered a push: the pushed change rows, and the structured errors
+ *   of the rows it rejected
+ * @returns {{ replicationState: Object, sendRequest: Function, applyMasterDocuments: Function }}
+ *   The RxDB replication state, the collection's request function, and a
+ *   function to store documents fetched outside the change log as master state
  */
-function setupWebSocketReplication(collection, sharedWs) {
+function setupWebSocketReplication(
+  collection,
+  sharedWs,
+  onResyncRequired,
+  modifiers,
+  onPushed,
+) {
   const collectionName = collection.name;
   const pullStream$ = new Subject();
+  // Latest pulled checkpoint, reused when applying out-of-band documents
+  let lastCheckpoint = null;
+  pullStream$.subscribe((event) => {
+    if (event?.checkpoint) {
+      lastCheckpoint = event.checkpoint;
+    }
+  });
 
-  const { sendRequest, setOnReconnect } = sharedWs.registerCollection(
-    collectionName,
-    pullStream$,
-  );
+  const { sendRequest, sendRequestForResponse, setOnReconnect } =
+    sharedWs.registerCollection(collectionName, pullStream$);
 
   const replicationState = replicateRxCollection({
     collection,
@@ -253,21 +480,50 @@ function setupWebSocketReplication(collection, sharedWs) {
     retryTime: 3000,
     pull: {
       async handler(checkpointOrNull, batchSize) {
+        await sharedWs.whenSchemaCompatible();
         const result = await sendRequest('masterChangesSince', [
           checkpointOrNull,
           batchSize,
         ]);
+        if (result?.code === 'RESYNC_REQUIRED') {
+          // Deletions were compacted away on the server since our checkpoint
+          onResyncRequired(result);
+        }
+        if (result?.error) {
+          throw new Error(result.error);
+        }
+        if (result.checkpoint) {
+          lastCheckpoint = result.checkpoint;
+        }
         return result;
       },
       batchSize: 100,
       stream$: pullStream$.asObservable(),
+      modifier: modifiers?.pull,
     },
     push: {
       async handler(changeRows) {
-        const result = await sendRequest('masterWrite', [changeRows]);
+        await sharedWs.whenSchemaCompatible();
+        await sharedWs.whenAuthenticated();
+        const { result, rejected = [] } = await sendRequestForResponse(
+          'masterWrite',
+          [changeRows],
+        );
+        if (result?.code === 'RATE_LIMITED') {
+          // Nothing was stored; hold the push until the cooldown is over
+          await new Promise((resolve) =>
+            setTimeout(resolve, result.retryAfter * 1000),
+          );
+        }
+        if (result?.error) {
+          // Throwing makes RxDB retry the push after retryTime
+          throw new Error(result.error);
+        }
+        onPushed?.({ rows: changeRows, rejected });
         return result;
       },
       batchSize: 50,
+      modifier: modifiers?.push,
     },
   });
 
@@ -276,7 +532,44 @@ function setupWebSocketReplication(collection, sharedWs) {
     replicationState.reSync();
   });
 
-  return replicationState;
+  /**
+   * Store server documents (e.g. a history page) as master state.
+   * They go through the pull stream so RxDB does not push them back; the
+   * checkpoint is left where the change log is.
+   * @param {Array} documents
+   */
+  function applyMasterDocuments(documents) {
+    if (documents.length > 0 && lastCheckpoint) {
+      pullStream$.next({ documents, checkpoint: lastCheckpoint });
+    }
+  }
+
+  return { replicationState, sendRequest, applyMasterDocuments };
+}
+
+/**
+ * Replication modifiers that encrypt message text on its way to the server
+ * and decrypt it on its way back (pulls, stream events, history pages and
+ * conflicts all go through the pull modifier)
+ * @param {MessageEncryption} encryption
+ * @returns {{ pull: Function, push: Function }}
+ */
+function createMessageEncryptionModifiers({ encryptText, decryptText }) {
+  return {
+    async pull(doc) {
+      if (!isEncryptedText(doc.text)) return doc;
+      try {
+        return { ...doc, text: await decryptText(doc.text, doc.messageId) };
+      } catch {
+        // Encrypted with another key: kept as is, shown as an encrypted message
+        return doc;
+      }
+    },
+    async push(doc) {
+      if (!doc.text || isEncryptedText(doc.text)) return doc;
+      return { ...doc, text: await encryptText(doc.text, doc.messageId) };
+    },
+  };
 }
 
 /**
@@ -284,16 +577,39 @@ function setupWebSocketReplication(collection, sharedWs) {
  * and set up WebSocket replication for syncing with the server.
  *
  * @param {string} roomName - The room name to sync with
- * @returns {Promise<{db: RxDatabase, destroy: Function}>}
+ * @param {Object} [options]
+ * @param {Function} [options.getAuthToken] - ({ refresh }) => Promise<string> session token provider
+ * @param {Function} [options.onSchemaMismatch] - Called when the server runs incompatible schema versions
+ * @param {Function} [options.onRateLimited] - Called when the server refuses writes for going too fast
+ * @param {Function} [options.onResyncRequired] - Called once the local database
+ *   was removed because it is too old to sync; the page should start over
+ * @param {MessageEncryption|null} [options.encryption] - End-to-end encrypt
+ *   message text, see utils/message-crypto.mjs
+ * @param {Function} [options.onMessagesPushed] - Called with `{ rows, rejected }`
+ *   once the server answered a push of messages, see utils/outbox.mjs
+ * @returns {Promise<{db: RxDatabase, destroy: Function, reauthenticate: Function}>}
  */
-export async function createRxDBStorage(roomName) {
+export async function createRxDBStorage(
+  roomName,
+  {
+    getAuthToken,
+    onSchemaMismatch,
+    onRateLimited,
+    onResyncRequired,
+    encryption = null,
+    onMessagesPushed,
+  } = {},
+) {
   // Clean up existing database if any
   if (db) {
     await db.close();
     db = null;
   }
 
-  const dbName = `workerschat-${roomName}`;
+  // Messages are stored decrypted, so each room key gets its own database
+  const dbName = encryption
+    ? `workerschat-${roomName}-${encryption.keyId}`
+    : `workerschat-${roomName}`;
 
   db = await createRxDatabase({
     name: dbName,
@@ -303,45 +619,116 @@ export async function createRxDBStorage(roomName) {
     closeDuplicates: true,
   });
 
-  // Add collections
+  // Add collections, migrating stored documents from older schema versions
   await db.addCollections({
-    messages: { schema: messagesSchema },
-    reactions: { schema: reactionsSchema },
-    channels: { schema: channelsSchema },
-    pins: { schema: pinsSchema },
-    room_settings: { schema: roomSettingsSchema },
+    messages: {
+      schema: messagesSchema,
+      migrationStrategies: migrationStrategies.messages,
+    },
+    reactions: {
+      schema: reactionsSchema,
+      migrationStrategies: migrationStrategies.reactions,
+    },
+    channels: {
+      schema: channelsSchema,
+      migrationStrategies: migrationStrategies.channels,
+    },
+    pins: {
+      schema: pinsSchema,
+      migrationStrategies: migrationStrategies.pins,
+    },
+    room_settings: {
+      schema: roomSettingsSchema,
+      migrationStrategies: migrationStrategies.room_settings,
+    },
   });
 
   // Set up a single shared WebSocket and replicate all collections over it
   const wsUrl = api.getRxdbSyncUrl(roomName);
-  const sharedWs = createSharedWebSocket(wsUrl);
+  const sharedWs = createSharedWebSocket(wsUrl, {
+    getAuthToken,
+    onSchemaMismatch,
+    onRateLimited,
+  });
   const replications = [];
+  let messagesReplication = null;
 
   for (const collectionName of Object.values(CollectionNames)) {
     const collection = db[collectionName];
-    const replicationState = setupWebSocketReplication(collection, sharedWs);
-    replications.push(replicationState);
+    const replication = setupWebSocketReplication(
+      collection,
+      sharedWs,
+      () => resync(),
+      encryption && collectionName === CollectionNames.Messages
+        ? createMessageEncryptionModifiers(encryption)
+        : undefined,
+      collectionName === CollectionNames.Messages
+        ? onMessagesPushed
+        : undefined,
+    );
+    replications.push(replication.replicationState);
+    if (collectionName === CollectionNames.Messages) {
+      messagesReplication = replication;
+    }
   }
 
+  historyLoader = async (channel, before, limit) => {
+    const { replicationState, sendRequest, applyMasterDocuments } =
+      messagesReplication;
+    // History pages are applied at the checkpoint of the first pull
+    await sharedWs.whenSchemaCompatible();
+    await replicationState.awaitInitialReplication();
+    const result = await sendRequest('masterHistory', [
+      { channel, before, limit },
+    ]);
+    if (result?.error) {
+      throw new Error(result.error);
+    }
+    applyMasterDocuments(result.documents);
+    const oldest = result.documents[0];
+    return {
+      count: result.documents.length,
+      hasMore: result.hasMore,
+      oldest: oldest
+        ? { timestamp: oldest.timestamp, messageId: oldest.messageId }
+        : null,
+    };
+  };
+
   // Store references globally for access from other modules
   window.rxdb = db;
   window.store = createStoreCompat(db);
 
   console.log('✅ RxDB database initialized with collections and replication');
 
-  const destroy = async () => {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.remove] - Also delete the local database
+   */
+  const destroy = async ({ remove = false } = {}) => {
     console.log('🧹 Cleaning up RxDB resources...');
+    historyLoader = null;
     for (const replicationState of replications) {
       await replicationState.cancel();
     }
     sharedWs.close();
     if (db) {
-      await db.close();
+      await (remove ? db.remove() : db.close());
       db = null;
     }
     console.log('✅ RxDB resources cleaned up');
   };
 
+  // Drop the local copy once, when any collection is told to resync
+  let resyncing = null;
+  const resync = () => {
+    resyncing ??= destroy({ remove: true }).then(() => {
+      console.warn('🔄 Local database removed, a full resync is required');
+      onResyncRequired?.();
+    });
+    return resyncing;
+  };
+
   window.rxdbDestroy = destroy;
 
   window.storeUtils = {
@@ -359,7 +746,7 @@ export async function createRxDBStorage(roomName) {
     },
   };
 
-  return { db, destroy };
+  return { db, destroy, reauthenticate: sharedWs.reauthenticate };
 }
 
 /**
@@ -9,13 +9,20 @@
  *   - A short blob cache lets the user re-trigger the browser save dialog
  *     without re-downloading.
  *
+ * Files are fetched through signed, expiring URLs (see file-urls.mjs). A link
+ * refused as expired is signed again once before the download fails.
+ * Files of encrypted rooms are decrypted (`decrypt` option) before they are
+ * saved.
+ *
  * Public API:
  *   getDownload(url)           -> entry | null
  *   subscribeDownload(url, cb) -> unsubscribe()
- *   startOrResaveDownload(url, fileName) -> entry
+ *   startOrResaveDownload(url, fileName, { decrypt }) -> entry
  *   cancelDownload(url)
  */
 
+import { resolveFileUrl } from './file-urls.mjs';
+
 const DONE_DISPLAY_MS = 1500; // duration of the "✓" check icon
 const ERROR_DISPLAY_MS = 5000; // auto-clear an error state
 const BLOB_CACHE_MS = 30000; // keep decoded blob for re-save without refetch
@@ -35,6 +42,7 @@ const PROGRESS_NOTIFY_INTERVAL_MS = 100; // throttle UI updates to ~10/s
  * @property {number|null} doneTimer
  * @property {number|null} cacheExpiryTimer
  * @property {number|null} errorTimer
+ * @property {((blob: Blob) => Promise<Blob>)|null} decrypt
  */
 
 /** @type {Map<string, DownloadEntry>} */
@@ -143,8 +151,14 @@ export function cancelDownload(url) {
  * the save dialog from the cached blob when available.
  *
  * Returns the entry so the caller can immediately render its current state.
+ *
+ * @param {string} url
+ * @param {string} fileName
+ * @param {Object} [options]
+ * @param {(blob: Blob) => Promise<Blob>} [options.decrypt] - Turns the
+ *   downloaded blob into the file to save
  */
-export function startOrResaveDownload(url, fileName) {
+export function startOrResaveDownload(url, fileName, { decrypt = null } = {}) {
   let entry = registry.get(url);
 
   if (entry) {
@@ -182,6 +196,7 @@ export function startOrResaveDownload(url, fileName) {
     doneTimer: null,
     cacheExpiryTimer: null,
     errorTimer: null,
+    decrypt,
   };
   registry.set(url, entry);
 
@@ -193,9 +208,15 @@ export function startOrResaveDownload(url, fileName) {
 
 async function performFetch(entry) {
   try {
-    const response = await fetch(entry.url, {
-      signal: entry.abortController.signal,
-    });
+    const signal = entry.abortController.signal;
+    let response = await fetch(await resolveFileUrl(entry.url), { signal });
+    if (response.status === 403) {
+      // The signed link expired; sign it again once.
+      response = await fetch(
+        await resolveFileUrl(entry.url, { refresh: true }),
+        { signal },
+      );
+    }
     if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
     const contentLengthHeader = response.headers.get('content-length');
@@ -233,7 +254,10 @@ async function performFetch(entry) {
     }
     notify(entry);
 
-    const blob = new Blob(chunks);
+    let blob = new Blob(chunks);
+    if (entry.decrypt) {
+      blob = await entry.decrypt(blob);
+    }
     const blobUrl = URL.createObjectURL(blob);
     entry.blob = blob;
     entry.blobUrl = blobUrl;
@@ -0,0 +1,101 @@
+/**
+ * Signed File URLs
+ *
+ * Messages link uploads by their stable path, `/files/<key>`, but the server
+ * only serves signed links that expire (see src/api/file-urls.mjs). This
+ * module turns stable paths into signed URLs of the current room:
+ * - requests made in the same tick are signed together
+ * - signed URLs are cached until shortly before they expire
+ * - `refresh` signs again, for a link that expired while in use
+ *
+ * Other URLs (blob:, external links) are returned as they are.
+ */
+
+import { api } from '../api.mjs';
+import { chatState } from './chat-state.mjs';
+
+// Sign again a little before the server-side expiry
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Keys per signing request, see MAX_SIGNED_FILES on the server
+const SIGN_BATCH_SIZE = 100;
+
+/** @type {Map<string, {url: string, expiresAt: number}>} */
+const cache = new Map();
+
+/** @type {Map<string, Array<{resolve: Function, reject: Function}>>|null} */
+let pending = null;
+
+/**
+ * Get the object key of a stable file path
+ * @param {string} fileUrl
+ * @returns {string|null} Null if the URL is not a stable file path
+ */
+function getFileKey(fileUrl) {
+  const match = /^\/files\/([^?#]+)$/.exec(fileUrl || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Get a signed URL for a file linked from a message
+ * @param {string} fileUrl - Stable path `/files/<key>`, or any other URL
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh] - Sign again even if a cached URL is still valid
+ * @returns {Promise<string>}
+ */
+export function resolveFileUrl(fileUrl, { refresh = false } = {}) {
+  const key = getFileKey(fileUrl);
+  if (!key) {
+    return Promise.resolve(fileUrl);
+  }
+
+  const cached = cache.get(key);
+  if (cached && !refresh && cached.expiresAt - EXPIRY_MARGIN_MS > Date.now()) {
+    return Promise.resolve(cached.url);
+  }
+
+  return new Promise((resolve, reject) => {
+    if (!pending) {
+      pending = new Map();
+      queueMicrotask(signPending);
+    }
+    if (!pending.has(key)) {
+      pending.set(key, []);
+    }
+    pending.get(key).push({ resolve, reject });
+  });
+}
+
+/**
+ * Sign the keys requested since the last batch
+ */
+async function signPending() {
+  const batch = pending;
+  pending = null;
+  const keys = Array.from(batch.keys());
+
+  for (let i = 0; i < keys.length; i += SIGN_BATCH_SIZE) {
+    const chunk = keys.slice(i, i + SIGN_BATCH_SIZE);
+    let result;
+    try {
+      result = await api.signFileUrls(chatState.value.roomName, chunk);
+    } catch (err) {
+      chunk.forEach((key) =>
+        batch.get(key).forEach(({ reject }) => reject(err)),
+      );
+      continue;
+    }
+
+    for (const key of chunk) {
+      const url = result.urls[key];
+      if (url) {
+        cache.set(key, { url, expiresAt: result.expiresAt });
+      }
+      batch
+        .get(key)
+        .forEach(({ resolve, reject }) =>
+          url ? resolve(url) : reject(new Error('File not found')),
+        );
+    }
+  }
+}
@@ -1,23 +1,375 @@
 /**
- * Message text utilities
- * Crypto has been removed for broader browser compatibility.
- * These functions now pass through message text as-is.
+ * Room Key Encryption - End-to-end encryption for private rooms
+ *
+ * A room is encrypted when it is opened with a secret in the URL fragment,
+ * `/<room>#key=<secret>`. Fragments are never sent to the server; the secret
+ * is also kept in localStorage per room, so the room stays readable when it
+ * is opened again from the room list.
+ *
+ * The secret (32 random bytes, base64url) goes through HKDF-SHA-256, salted
+ * with the room name, to an AES-GCM key that cannot be exported. It encrypts:
+ * - message text, as it is pushed to the server (see rxdb/index.mjs); the
+ *   message id is bound to the ciphertext as additional data
+ * - uploaded files, before they reach R2 (see encryptFile())
+ *
+ * Pulled messages are decrypted before they are stored locally, so the rest
+ * of the UI (message list, pin previews, replies) reads plain text. Messages
+ * that cannot be decrypted, e.g. without the key, keep their ciphertext and
+ * are shown as ENCRYPTED_MESSAGE_PLACEHOLDER.
+ *
+ * See common/encrypted-text.mjs for the stored format.
  */
 
+import {
+  ENCRYPTED_TEXT_PREFIX,
+  isEncryptedText,
+} from '../../common/encrypted-text.mjs';
+
+export { isEncryptedText };
+
+export const ENCRYPTED_MESSAGE_PLACEHOLDER = '🔒 Encrypted message';
+
+// Bytes added to an encrypted file: the IV and the AES-GCM tag
+export const FILE_ENCRYPTION_OVERHEAD = 12 + 16;
+
+const SECRET_BYTES = 32;
+const IV_BYTES = 12;
+const KEY_INFO = 'workers-chat room key v1';
+const KEY_ID_INFO = 'workers-chat room key id v1';
+
+// Decrypted files are only given types that cannot run scripts when opened
+const SAFE_FILE_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'image/avif',
+  'image/bmp',
+  'video/mp4',
+  'video/webm',
+  'audio/mpeg',
+  'audio/ogg',
+  'audio/wav',
+  'application/pdf',
+  'text/plain',
+];
+
 /**
- * Return message text as-is (crypto removed)
- * @param {Object} data - Message data object with `message` property
- * @returns {Promise<string>} Message text
+ * @typedef {Object} RoomKey
+ * @property {string} roomName
+ * @property {string} secret - base64url, as in the key link
+ * @property {string} id - Short hash of the secret, names the local database
+ * @property {CryptoKey} key - AES-GCM key
+ */
+
+/** @type {RoomKey|null} */
+let roomKey = null;
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary)
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * @param {string} room - Room name
+ * @returns {string}
+ */
+function secretKey(room) {
+  return `roomKeySecret:${room}`;
+}
+
+/**
+ * Get the room secret from the URL fragment
+ * @returns {string|null}
+ */
+function getSecretFromUrl() {
+  const match = /^#(?:.*&)?key=([A-Za-z0-9_-]{43})(?:&|$)/.exec(
+    window.location.hash,
+  );
+  return match ? match[1] : null;
+}
+
+/**
+ * Whether the URL fragment holds a room key rather than a room name
+ * @param {string} hash - e.g. `window.location.hash`
+ * @returns {boolean}
+ */
+export function isKeyFragment(hash) {
+  return /^#?(?:.*&)?key=/.test(hash);
+}
+
+/**
+ * Generate the secret of a new encrypted room
+ * @returns {string}
+ */
+export function generateRoomSecret() {
+  return toBase64Url(crypto.getRandomValues(new Uint8Array(SECRET_BYTES)));
+}
+
+/**
+ * Store the secret of a room, so it is encrypted when opened again
+ * @param {string} room - Room name
+ * @param {string} secret
+ */
+export function setRoomSecret(room, secret) {
+  localStorage.setItem(secretKey(room), secret);
+}
+
+/**
+ * Get the link to an encrypted room, with its key in the fragment
+ * @param {string} room - Room name
+ * @param {string} secret
+ * @returns {string}
+ */
+export function getRoomKeyLink(room, secret) {
+  return `${window.location.origin}/${room}#key=${secret}`;
+}
+
+/**
+ * Load the key of the room being opened, from the URL fragment or from
+ * localStorage
+ * @param {string} roomName - Normalized room name
+ * @returns {Promise<RoomKey|null>} Null if the room is not encrypted
+ */
+export async function initRoomKey(roomName) {
+  roomKey = null;
+
+  const urlSecret = getSecretFromUrl();
+  if (urlSecret) {
+    setRoomSecret(roomName, urlSecret);
+  }
+  const secret = urlSecret || localStorage.getItem(secretKey(roomName));
+  if (!secret) return null;
+
+  const material = await crypto.subtle.importKey(
+    'raw',
+    fromBase64Url(secret),
+    'HKDF',
+    false,
+    ['deriveKey', 'deriveBits'],
+  );
+  const salt = new TextEncoder().encode(roomName);
+  const key = await crypto.subtle.deriveKey(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt,
+      info: new TextEncoder().encode(KEY_INFO),
+    },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt'],
+  );
+  const idBits = await crypto.subtle.deriveBits(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt,
+      info: new TextEncoder().encode(KEY_ID_INFO),
+    },
+    material,
+    64,
+  );
+
+  roomKey = {
+    roomName,
+    secret,
+    id: Array.from(new Uint8Array(idBits), (byte) =>
+      byte.toString(16).padStart(2, '0'),
+    ).join(''),
+    key,
+  };
+  return roomKey;
+}
+
+/**
+ * Whether the current room is encrypted
+ * @returns {boolean}
+ */
+export function isRoomEncrypted() {
+  return roomKey !== null;
+}
+
+/**
+ * Get the key link of the current room
+ * @returns {string|null} Null if the room is not encrypted
+ */
+export function getCurrentRoomKeyLink() {
+  return roomKey ? getRoomKeyLink(roomKey.roomName, roomKey.secret) : null;
+}
+
+/**
+ * @param {string} text - Plain text
+ * @param {string} messageId - Bound to the ciphertext
+ * @returns {Promise<string>} `ENC1:<iv>:<ciphertext>`
+ */
+async function encryptString(text, messageId) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const ciphertext = await crypto.subtle.encrypt(
+    {
+      name: 'AES-GCM',
+      iv,
+      additionalData: new TextEncoder().encode(messageId),
+    },
+    roomKey.key,
+    new TextEncoder().encode(text),
+  );
+  return `${ENCRYPTED_TEXT_PREFIX}${toBase64Url(iv)}:${toBase64Url(new Uint8Array(ciphertext))}`;
+}
+
+/**
+ * @param {string} encrypted - `ENC1:<iv>:<ciphertext>`
+ * @param {string} messageId
+ * @returns {Promise<string>}
+ */
+async function decryptString(encrypted, messageId) {
+  const [iv, ciphertext] = encrypted
+    .substring(ENCRYPTED_TEXT_PREFIX.length)
+    .split(':');
+  const plaintext = await crypto.subtle.decrypt(
+    {
+      name: 'AES-GCM',
+      iv: fromBase64Url(iv),
+      additionalData: new TextEncoder().encode(messageId),
+    },
+    roomKey.key,
+    fromBase64Url(ciphertext),
+  );
+  return new TextDecoder().decode(plaintext);
+}
+
+/**
+ * Encrypt the text of a message with the room key
+ * File messages keep the paths of their uploads in the clear, so the server
+ * can sweep the files of deleted messages.
+ * @param {string} text
+ * @param {string} messageId
+ * @returns {Promise<string>}
+ */
+export async function encryptMessageText(text, messageId) {
+  if (!roomKey) {
+    throw new Error('This room is not encrypted');
+  }
+  if (!text.startsWith('FILE:')) {
+    return encryptString(text, messageId);
+  }
+  const content = text.substring(5);
+  const links = content.match(/\/files\/[^"|?#\s]+/g) || [];
+  return ['FILE:' + (await encryptString(content, messageId)), ...links].join(
+    '|',
+  );
+}
+
+/**
+ * Decrypt the text of a message; text that is not encrypted is returned as is
+ * @param {string} text
+ * @param {string} messageId
+ * @returns {Promise<string>}
+ * @throws If the room has no key or the text was encrypted with another key
+ */
+export async function decryptMessageText(text, messageId) {
+  if (!isEncryptedText(text)) return text;
+  if (!roomKey) {
+    throw new Error('This room is not encrypted');
+  }
+  if (text.startsWith('FILE:')) {
+    const encrypted = text.substring(5).split('|')[0];
+    return 'FILE:' + (await decryptString(encrypted, messageId));
+  }
+  return decryptString(text, messageId);
+}
+
+/**
+ * Get displayable text of a message
+ * @param {Object} data - Message data object with `message` and `messageId` properties
+ * @returns {Promise<string>} Message text, or ENCRYPTED_MESSAGE_PLACEHOLDER
+ *   if it cannot be decrypted
  */
 export async function tryDecryptMessage(data) {
-  return data.message;
+  try {
+    return await decryptMessageText(data.message, data.messageId);
+  } catch {
+    return ENCRYPTED_MESSAGE_PLACEHOLDER;
+  }
+}
+
+/**
+ * Get the length message text will have once stored
+ * In encrypted rooms this is the length of the ciphertext, which is what the
+ * server checks against MAX_MESSAGE_LENGTH.
+ * @param {string} text
+ * @returns {number}
+ */
+export function getStoredMessageLength(text) {
+  if (!roomKey) return text.length;
+  const bytes = new TextEncoder().encode(text).length + 16;
+  return (
+    ENCRYPTED_TEXT_PREFIX.length +
+    Math.ceil((IV_BYTES * 4) / 3) +
+    1 +
+    Math.ceil((bytes * 4) / 3)
+  );
+}
+
+/**
+ * Encrypt a file with the room key before it is uploaded
+ * The name and type of the file only travel inside the encrypted message.
+ * @param {File} file
+ * @returns {Promise<File>} IV followed by the ciphertext
+ */
+export async function encryptFile(file) {
+  if (!roomKey) {
+    throw new Error('This room is not encrypted');
+  }
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    roomKey.key,
+    await file.arrayBuffer(),
+  );
+  return new File([iv, ciphertext], 'encrypted.bin', {
+    type: 'application/octet-stream',
+  });
 }
 
 /**
- * Return message text as-is (crypto removed)
- * @param {string} message - Message text
- * @returns {Promise<string>} Message text
+ * Decrypt a downloaded file
+ * @param {Blob} blob - As uploaded by encryptFile()
+ * @param {string} [type] - Type from the file message; types that could run
+ *   scripts are replaced, since blob: URLs share the app's origin
+ * @returns {Promise<Blob>}
  */
-export async function decryptMessageText(message) {
-  return message;
+export async function decryptFile(blob, type) {
+  if (!roomKey) {
+    throw new Error('This room is not encrypted');
+  }
+  const data = await blob.arrayBuffer();
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: data.slice(0, IV_BYTES) },
+    roomKey.key,
+    data.slice(IV_BYTES),
+  );
+  return new Blob([plaintext], {
+    type: SAFE_FILE_TYPES.includes(type) ? type : 'application/octet-stream',
+  });
 }
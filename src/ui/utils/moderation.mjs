@@ -0,0 +1,169 @@
+/**
+ * Moderation State Management
+ *
+ * Centralized Reef.js store for the current user's moderation standing in
+ * the room (see src/api/moderation.mjs):
+ * - role: 'owner' | 'moderator' | null, as told by the ChatRoom
+ * - mutedUntil: end of the user's mute (ms), 0 if not muted
+ *
+ * Role secrets (the owner secret from creating a private room, or a
+ * moderator secret granted by an owner) persist in localStorage per room and
+ * are sent when joining the room.
+ *
+ * Moderation commands are typed into the chat input, e.g. `/mute alice 5`.
+ */
+
+import { store } from 'reefjs';
+
+const SignalName = 'moderationState';
+
+// Chat input commands -> moderation actions of the ChatRoom
+const COMMANDS = {
+  kick: 'kick',
+  ban: 'ban',
+  banip: 'banip',
+  unban: 'unban',
+  mute: 'mute',
+  unmute: 'unmute',
+  mod: 'grant',
+  unmod: 'revoke',
+  bans: 'list',
+};
+
+export const moderationState = store(
+  {
+    role: null,
+    mutedUntil: 0,
+  },
+  {
+    // Action: Set the role the ChatRoom recognized
+    setRole(state, role) {
+      state.role = role || null;
+    },
+
+    // Action: Set the end of the user's mute
+    setMutedUntil(state, mutedUntil) {
+      state.mutedUntil = mutedUntil || 0;
+    },
+  },
+  SignalName,
+);
+
+/**
+ * Whether the current user can moderate the room
+ * @returns {boolean}
+ */
+export function canModerate() {
+  return ['owner', 'moderator'].includes(moderationState.value.role);
+}
+
+/**
+ * @param {string} room - Room name
+ * @returns {string}
+ */
+function secretKey(room) {
+  return `roomRoleSecret:${room}`;
+}
+
+/**
+ * Get the role secret stored for a room
+ * @param {string} room - Room name
+ * @returns {string|null}
+ */
+export function getRoleSecret(room) {
+  return localStorage.getItem(secretKey(room));
+}
+
+/**
+ * Store (or with null, forget) the role secret of a room
+ * An owner secret is never replaced by a moderator secret.
+ * @param {string} room - Room name
+ * @param {string|null} secret
+ */
+export function setRoleSecret(room, secret) {
+  if (secret) {
+    localStorage.setItem(secretKey(room), secret);
+  } else if (moderationState.value.role !== 'owner') {
+    localStorage.removeItem(secretKey(room));
+  }
+}
+
+/**
+ * Parse a moderation command typed into the chat input
+ * @param {string} text - e.g. '/kick alice' or '/mute alice 10' (minutes)
+ * @returns {{action: string, target: string, duration?: number}|null} Null if the text is not a moderation command
+ */
+export function parseModerationCommand(text) {
+  const match = text.trim().match(/^\/(\w+)(?:\s+(.*))?$/);
+  if (!match || !Object.hasOwn(COMMANDS, match[1])) {
+    return null;
+  }
+  const action = COMMANDS[match[1]];
+  const target = (match[2] || '').trim();
+
+  if (action === 'mute') {
+    const minutes = target.match(/^(.*?)\s+(\d+)$/);
+    if (minutes) {
+      return {
+        action,
+        target: minutes[1],
+        duration: Number(minutes[2]) * 60,
+      };
+    }
+  }
+  return { action, target };
+}
+
+/**
+ * Describe a `moderated` event for the chat log
+ * @param {{action: string, target: string, by: string, until?: number}} event
+ * @returns {string}
+ */
+export function describeModeration({ action, target, by, until }) {
+  switch (action) {
+    case 'kick':
+      return `* ${target} was kicked by ${by}`;
+    case 'ban':
+    case 'banip':
+      return `* ${target} was banned by ${by}`;
+    case 'unban':
+      return `* ${by} lifted the ban on ${target}`;
+    case 'mute':
+      return `* ${target} was muted by ${by} until ${new Date(until).toLocaleString()}`;
+    case 'unmute':
+      return `* ${target} was unmuted by ${by}`;
+    case 'grant':
+      return `* ${target} is now a moderator`;
+    case 'revoke':
+      return `* ${target} is no longer a moderator`;
+    default:
+      return `* ${by} moderated ${target}`;
+  }
+}
+
+/**
+ * Describe the reply to `/bans` for the chat log
+ * @param {{bans: Array<{kind: string, value: string, name: string, bannedBy: string}>, mutes: Array<{name: string, until: number}>, moderators: string[]}} list
+ * @returns {string[]} One line per entry
+ */
+export function describeModerationList({ bans, mutes, moderators }) {
+  const lines = [
+    `* Moderators: ${moderators.length > 0 ? moderators.join(', ') : 'none'}`,
+  ];
+  if (bans.length === 0) {
+    lines.push('* No bans');
+  }
+  for (const ban of bans) {
+    lines.push(
+      ban.kind === 'ip'
+        ? `* Banned IP hash ${ban.value} (${ban.name}, by ${ban.bannedBy})`
+        : `* Banned ${ban.name} (by ${ban.bannedBy})`,
+    );
+  }
+  for (const mute of mutes) {
+    lines.push(
+      `* Muted ${mute.name} until ${new Date(mute.until).toLocaleString()}`,
+    );
+  }
+  return lines;
+}
@@ -6,7 +6,8 @@
  * - Progress tracking for each chunk and overall upload
  * - Automatic retry on failure
  * - Abort/cancel support
- * - Resume capability (when server supports listing uploaded parts)
+ * - Resume capability: an upload started earlier (e.g. before a page reload)
+ *   continues with the parts the server has not stored yet
  *
  * Usage:
  * ```js
@@ -24,8 +25,13 @@
  * const result = await uploader.start();
  * console.log('File uploaded:', result.fileUrl);
  * ```
+ *
+ * To resume, pass the session saved from `onSessionCreated` as `resume`
+ * (see upload-sessions.mjs for persisting it).
  */
 
+import { SNIFF_BYTES } from '../../common/constants.mjs';
+
 const DEFAULT_CHUNK_SIZE = 10 * 1024 * 1024; // 10MB (R2 minimum is 5MB except last part)
 const DEFAULT_MAX_CONCURRENCY = 5;
 const DEFAULT_MAX_RETRIES = 3;
@@ -36,23 +42,32 @@ export class MultipartUploader {
    * @param {File} options.file - File to upload
    * @param {string} options.roomName - Chat room name
    * @param {string} [options.baseUrl] - API base URL
+   * @param {Object} [options.headers] - Extra request headers (e.g. Authorization)
    * @param {number} [options.chunkSize] - Size of each chunk in bytes (default: 10MB)
    * @param {number} [options.maxConcurrency] - Maximum parallel uploads (default: 5)
    * @param {number} [options.maxRetries] - Maximum retry attempts per chunk (default: 3)
    * @param {Function} [options.onProgress] - Progress callback (progress) => {}
    * @param {Function} [options.onChunkComplete] - Chunk completion callback (chunkInfo) => {}
    * @param {Function} [options.onError] - Error callback (error) => {}
+   * @param {Function} [options.onSessionCreated] - Called with {uploadId, fileKey, fileId, chunkSize} once the server created the upload
+   * @param {Object} [options.resume] - Session of an earlier upload of the same file to continue
+   * @param {AbortSignal} [options.signal] - Aborts the upload, like abort()
    */
   constructor(options) {
     this.file = options.file;
     this.roomName = options.roomName;
     this.baseUrl = options.baseUrl || '/api';
-    this.chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    this.headers = options.headers || {};
+    this.resume = options.resume || null;
+    // Parts of a resumed upload must be cut as they were
+    this.chunkSize =
+      this.resume?.chunkSize || options.chunkSize || DEFAULT_CHUNK_SIZE;
     this.maxConcurrency = options.maxConcurrency || DEFAULT_MAX_CONCURRENCY;
     this.maxRetries = options.maxRetries || DEFAULT_MAX_RETRIES;
     this.onProgress = options.onProgress || (() => {});
     this.onChunkComplete = options.onChunkComplete || (() => {});
     this.onError = options.onError || (() => {});
+    this.onSessionCreated = options.onSessionCreated || (() => {});
 
     // Calculate total chunks
     this.totalChunks = Math.ceil(this.file.size / this.chunkSize);
@@ -65,6 +80,16 @@ export class MultipartUploader {
     this.completedChunks = 0;
     this.uploadedBytes = 0;
     this.aborted = false;
+    // Cancels the requests in flight when the upload is aborted
+    this.abortController = new AbortController();
+    options.signal?.addEventListener(
+      'abort',
+      () =>
+        this.abort().catch((err) =>
+          console.error('Failed to abort multipart upload:', err),
+        ),
+      { once: true },
+    );
 
     // Concurrency control
     this.activeUploads = 0;
@@ -77,8 +102,11 @@ export class MultipartUploader {
    */
   async start() {
     try {
-      // Step 1: Create multipart upload
-      await this.createMultipartUpload();
+      // Step 1: Resume the earlier upload, or create a multipart upload
+      const resumed = this.resume && (await this.resumeMultipartUpload());
+      if (!resumed) {
+        await this.createMultipartUpload();
+      }
 
       // Step 2: Upload all chunks
       await this.uploadChunks();
@@ -105,6 +133,7 @@ export class MultipartUploader {
    */
   async abort() {
     this.aborted = true;
+    this.abortController.abort();
 
     // Cancel pending uploads
     this.uploadQueue = [];
@@ -115,6 +144,21 @@ export class MultipartUploader {
     }
   }
 
+  /**
+   * Read the first bytes of the file, which the server detects its type from
+   * @returns {Promise<string>} Base64
+   */
+  async readFileHead() {
+    const bytes = new Uint8Array(
+      await this.file.slice(0, SNIFF_BYTES).arrayBuffer(),
+    );
+    let binary = '';
+    for (const byte of bytes) {
+      binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
+  }
+
   /**
    * Create multipart upload session
    */
@@ -124,12 +168,15 @@ export class MultipartUploader {
       {
         method: 'POST',
         headers: {
+          ...this.headers,
           'Content-Type': 'application/json',
         },
+        signal: this.abortController.signal,
         body: JSON.stringify({
           fileName: this.file.name,
           fileType: this.file.type,
           fileSize: this.file.size,
+          head: await this.readFileHead(),
         }),
       },
     );
@@ -144,16 +191,65 @@ export class MultipartUploader {
     this.fileKey = data.fileKey;
     this.fileId = data.fileId;
 
+    this.onSessionCreated({
+      uploadId: this.uploadId,
+      fileKey: this.fileKey,
+      fileId: this.fileId,
+      chunkSize: this.chunkSize,
+    });
+
     return data;
   }
 
+  /**
+   * Continue the upload given as `resume` with the parts the server has
+   * @returns {Promise<boolean>} False if the server no longer knows the upload
+   */
+  async resumeMultipartUpload() {
+    const { uploadId, fileKey, fileId } = this.resume;
+    const response = await fetch(
+      `${this.baseUrl}/room/${this.roomName}/upload/mpu-listparts?uploadId=${encodeURIComponent(uploadId)}&key=${encodeURIComponent(fileKey)}`,
+      { headers: this.headers, signal: this.abortController.signal },
+    );
+
+    if (response.status === 404) {
+      // Completed, aborted or swept in the meantime: start over
+      return false;
+    }
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to list uploaded parts');
+    }
+
+    const { parts } = await response.json();
+    this.uploadId = uploadId;
+    this.fileKey = fileKey;
+    this.fileId = fileId;
+
+    for (const part of parts) {
+      const chunkIndex = part.partNumber - 1;
+      if (chunkIndex >= this.totalChunks) continue;
+      this.uploadedParts[chunkIndex] = {
+        partNumber: part.partNumber,
+        etag: part.etag,
+      };
+      this.completedChunks++;
+      this.uploadedBytes += part.size;
+    }
+    this.updateProgress();
+
+    return true;
+  }
+
   /**
    * Upload all chunks with concurrency control
    */
   async uploadChunks() {
-    // Initialize queue with all chunks
+    // Initialize queue with all chunks the server does not have yet
     for (let i = 0; i < this.totalChunks; i++) {
-      this.uploadQueue.push(i);
+      if (!this.uploadedParts[i]) {
+        this.uploadQueue.push(i);
+      }
     }
 
     // Start concurrent uploads
@@ -205,13 +301,19 @@ export class MultipartUploader {
           `${this.baseUrl}/room/${this.roomName}/upload/mpu-uploadpart?uploadId=${this.uploadId}&partNumber=${partNumber}&key=${this.fileKey}`,
           {
             method: 'PUT',
+            headers: this.headers,
             body: chunk,
+            signal: this.abortController.signal,
           },
         );
 
         if (!response.ok) {
           const error = await response.json();
-          throw new Error(error.error || 'Failed to upload chunk');
+          const err = new Error(error.error || 'Failed to upload chunk');
+          // Rate-limited: the server says when to try again
+          err.retryAfter = Number(response.headers.get('Retry-After')) || 0;
+          err.status = response.status;
+          throw err;
         }
 
         const data = await response.json();
@@ -241,9 +343,14 @@ export class MultipartUploader {
         this.activeUploads--;
         lastError = error;
 
+        // Over the storage quota: retrying cannot help
+        if (error.status === 413) break;
+
         if (attempt < this.maxRetries) {
-          // Exponential backoff
-          const delay = Math.min(1000 * Math.pow(2, attempt), 10000);
+          // Wait as long as the server asks, otherwise exponential backoff
+          const delay = error.retryAfter
+            ? error.retryAfter * 1000
+            : Math.min(1000 * Math.pow(2, attempt), 10000);
           await new Promise((resolve) => setTimeout(resolve, delay));
         }
       }
@@ -272,6 +379,7 @@ export class MultipartUploader {
       {
         method: 'POST',
         headers: {
+          ...this.headers,
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
@@ -302,6 +410,7 @@ export class MultipartUploader {
       {
         method: 'POST',
         headers: {
+          ...this.headers,
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
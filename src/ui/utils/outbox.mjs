@@ -0,0 +1,216 @@
+/**
+ * Outbox - Delivery state of the messages sent from this browser
+ *
+ * Sending a message only inserts it into the local RxDB database; it reaches
+ * the server when replication pushes it. The outbox follows each new message
+ * through the push results of the messages collection (see
+ * createRxDBStorage's `onMessagesPushed`):
+ * - sending: stored locally, not yet accepted by the server. Transient
+ *   failures keep a message sending: while offline, after a network error or
+ *   while held back by the rate limit, replication pushes it again by itself.
+ * - sent: the server stored it
+ * - failed: the server rejected it (schema, moderation or write policy).
+ *   Pushing the same message again would be rejected again, so a failed
+ *   message is final: RxDB rolls the local copy back, and the message list
+ *   shows the outbox entry instead, with the server's reason, to be edited
+ *   into a new message or discarded.
+ *
+ * Sending and failed entries persist in localStorage per room: RxDB pushes
+ * pending messages again after a reload, and failed ones stay until the user
+ * edits or discards them.
+ * When the local database is removed to resync, messages still sending are
+ * stored in the new one again from their entries (see getUnsentMessages()).
+ * Only the tab leading replication receives push results; the other tabs
+ * follow the stored entries, an entry leaving storage while it was sending
+ * means it was sent.
+ */
+
+import { store } from 'reefjs';
+
+const SignalName = 'outboxState';
+
+/**
+ * @typedef {Object} OutboxEntry
+ * @property {string} messageId
+ * @property {'sending'|'sent'|'failed'} status
+ * @property {string|null} error - Why the server rejected the message
+ * @property {string|null} code - Code of the server's rejection, e.g. POLICY
+ * @property {string} text
+ * @property {string} username
+ * @property {string} channel
+ * @property {string|null} replyToId
+ * @property {number} timestamp
+ */
+
+export const outboxState = store(
+  {
+    roomName: null,
+    /** @type {Object<string, OutboxEntry>} */
+    entries: {},
+  },
+  {
+    // Action: Replace all entries (room switch, other tabs)
+    setEntries(state, { roomName, entries }) {
+      state.roomName = roomName;
+      state.entries = entries;
+    },
+
+    // Action: Add or update entries
+    updateEntries(state, updates) {
+      state.entries = { ...state.entries, ...updates };
+    },
+
+    // Action: Remove an entry
+    removeEntry(state, messageId) {
+      const { [messageId]: _removed, ...entries } = state.entries;
+      state.entries = entries;
+    },
+  },
+  SignalName,
+);
+
+/**
+ * @param {string} room - Room name
+ * @returns {string}
+ */
+function storageKey(room) {
+  return `outbox:${room}`;
+}
+
+/**
+ * Read the stored entries of a room
+ * @param {string} room - Room name
+ * @returns {Object<string, OutboxEntry>}
+ */
+function loadEntries(room) {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(room))) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Store the entries of the current room that are not sent yet
+ */
+function saveEntries() {
+  const { roomName, entries } = outboxState.value;
+  if (!roomName) return;
+  const pending = Object.fromEntries(
+    Object.entries(entries).filter(([, entry]) => entry.status !== 'sent'),
+  );
+  if (Object.keys(pending).length > 0) {
+    localStorage.setItem(storageKey(roomName), JSON.stringify(pending));
+  } else {
+    localStorage.removeItem(storageKey(roomName));
+  }
+}
+
+/**
+ * Load the outbox of the room being opened
+ * @param {string} roomName - Normalized room name
+ */
+export function initOutbox(roomName) {
+  outboxState.setEntries({ roomName, entries: loadEntries(roomName) });
+}
+
+// Follow the outbox as other tabs of the room update it
+window.addEventListener('storage', (event) => {
+  const { roomName, entries } = outboxState.value;
+  if (!roomName || event.key !== storageKey(roomName)) return;
+
+  const stored = loadEntries(roomName);
+  for (const [messageId, entry] of Object.entries(entries)) {
+    if (entry.status === 'sending' && !stored[messageId]) {
+      stored[messageId] = { ...entry, status: 'sent' };
+    }
+  }
+  outboxState.setEntries({ roomName, entries: stored });
+});
+
+/**
+ * Start following a message that was just stored locally
+ * @param {Omit<OutboxEntry, 'status'|'error'>} message
+ */
+export function trackMessage(message) {
+  outboxState.updateEntries({
+    [message.messageId]: {
+      ...message,
+      status: 'sending',
+      error: null,
+      code: null,
+    },
+  });
+  saveEntries();
+}
+
+/**
+ * Update the outbox from the server's answer to a push of messages
+ * Messages in the pushed rows were stored, unless they were rejected.
+ * @param {Object} result
+ * @param {Array} result.rows - Pushed change rows
+ * @param {Array<{documentId: string, code: string, message: string}>} result.rejected
+ */
+export function handleMessagesPushed({ rows, rejected }) {
+  const { entries } = outboxState.value;
+  const rejections = new Map(
+    rejected.map((rejection) => [rejection.documentId, rejection]),
+  );
+  const updates = {};
+  for (const row of rows) {
+    const messageId = row.newDocumentState?.messageId;
+    if (entries[messageId]?.status !== 'sending') continue;
+
+    const rejection = rejections.get(messageId);
+    updates[messageId] = rejection
+      ? {
+          ...entries[messageId],
+          status: 'failed',
+          error: rejection.message,
+          code: rejection.code,
+        }
+      : { ...entries[messageId], status: 'sent' };
+  }
+  if (Object.keys(updates).length > 0) {
+    outboxState.updateEntries(updates);
+    saveEntries();
+  }
+}
+
+/**
+ * Get the outbox entry of a message
+ * @param {string} messageId
+ * @returns {OutboxEntry|null} Null if the message was not sent from here
+ */
+export function getOutboxEntry(messageId) {
+  return outboxState.value.entries[messageId] || null;
+}
+
+/**
+ * Get the messages the server has not confirmed yet
+ * @returns {OutboxEntry[]}
+ */
+export function getUnsentMessages() {
+  return Object.values(outboxState.value.entries).filter(
+    (entry) => entry.status === 'sending',
+  );
+}
+
+/**
+ * Get the messages the server rejected
+ * @returns {OutboxEntry[]}
+ */
+export function getFailedMessages() {
+  return Object.values(outboxState.value.entries).filter(
+    (entry) => entry.status === 'failed',
+  );
+}
+
+/**
+ * Forget a message, e.g. a failed one the user discarded or edited
+ * @param {string} messageId
+ */
+export function discardMessage(messageId) {
+  outboxState.removeEntry(messageId);
+  saveEntries();
+}
@@ -1,13 +1,24 @@
 /**
  * Pin Message Utilities
- * Crypto has been removed for broader browser compatibility.
+ * Pin previews show the text of the pinned message. In encrypted rooms that
+ * text is normally decrypted already when it is pulled (see
+ * message-crypto.mjs); what is still encrypted is decrypted here, or shown
+ * as an encrypted message.
  */
 
+import { tryDecryptMessage, isEncryptedText } from './message-crypto.mjs';
+
 /**
- * Return pins array as-is (crypto removed)
- * @param {Array} pins - Array of pin objects with message property
- * @returns {Promise<Array>} - Array of pins
+ * Decrypt the message previews of pins
+ * @param {Array} pins - Array of pin objects with messageId and message properties
+ * @returns {Promise<Array>} - Array of pins with readable messages
  */
 export async function decryptPins(pins) {
-  return pins || [];
+  return Promise.all(
+    (pins || []).map(async (pin) =>
+      isEncryptedText(pin.message)
+        ? { ...pin, message: await tryDecryptMessage(pin) }
+        : pin,
+    ),
+  );
 }
@@ -0,0 +1,112 @@
+/**
+ * Presence State Management
+ *
+ * Centralized Reef.js store for the current user's presence:
+ * - status: 'online' | 'idle' | 'away' | 'dnd'
+ *   Derived from page visibility and input activity, unless the user chose
+ *   "Do not disturb", which overrides it.
+ * - statusText: custom status shown next to the name in the roster
+ *
+ * The user's choices (do not disturb, status text) persist in localStorage.
+ * index.mjs sends the store to the ChatRoom whenever it changes.
+ */
+
+import { store } from 'reefjs';
+import { MAX_STATUS_TEXT_LENGTH } from '../../common/constants.mjs';
+
+const SignalName = 'presenceState';
+
+// No input for this long while the page is visible -> idle
+const IDLE_AFTER_MS = 5 * 60 * 1000;
+// How often to check whether the user went idle
+const IDLE_CHECK_INTERVAL_MS = 30 * 1000;
+
+const savedDoNotDisturb =
+  localStorage.getItem('presenceDoNotDisturb') === 'true';
+
+export const presenceState = store(
+  {
+    status: savedDoNotDisturb ? 'dnd' : 'online',
+    doNotDisturb: savedDoNotDisturb,
+    statusText: localStorage.getItem('presenceStatusText') || '',
+  },
+  {
+    // Action: Set the automatic status (ignored while in do not disturb)
+    setAutoStatus(state, status) {
+      const next = state.doNotDisturb ? 'dnd' : status;
+      if (state.status !== next) {
+        state.status = next;
+      }
+    },
+
+    // Action: Turn do not disturb on or off
+    setDoNotDisturb(state, enabled) {
+      state.doNotDisturb = !!enabled;
+      state.status = enabled ? 'dnd' : getAutoStatus();
+      localStorage.setItem('presenceDoNotDisturb', String(!!enabled));
+    },
+
+    // Action: Set custom status text
+    setStatusText(state, text) {
+      state.statusText = (text || '')
+        .trim()
+        .substring(0, MAX_STATUS_TEXT_LENGTH);
+      if (state.statusText) {
+        localStorage.setItem('presenceStatusText', state.statusText);
+      } else {
+        localStorage.removeItem('presenceStatusText');
+      }
+    },
+  },
+  SignalName,
+);
+
+let lastActivity = Date.now();
+
+/**
+ * Status derived from page visibility and input activity
+ * @returns {'online'|'idle'|'away'}
+ */
+function getAutoStatus() {
+  if (document.visibilityState === 'hidden') return 'away';
+  if (Date.now() - lastActivity >= IDLE_AFTER_MS) return 'idle';
+  return 'online';
+}
+
+function updateAutoStatus() {
+  presenceState.setAutoStatus(getAutoStatus());
+}
+
+/**
+ * Start tracking page visibility and input activity
+ */
+export function initPresence() {
+  const onActivity = () => {
+    lastActivity = Date.now();
+    if (presenceState.value.status === 'idle') {
+      updateAutoStatus();
+    }
+  };
+  for (const type of ['pointerdown', 'pointermove', 'keydown', 'wheel']) {
+    document.addEventListener(type, onActivity, { passive: true });
+  }
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+      lastActivity = Date.now();
+    }
+    updateAutoStatus();
+  });
+
+  setInterval(updateAutoStatus, IDLE_CHECK_INTERVAL_MS);
+  updateAutoStatus();
+}
+
+/**
+ * Get the presence to announce to the room
+ * @returns {{status: string, statusText: string}}
+ */
+export function getPresence() {
+  const { status, statusText } = presenceState.value;
+  return { status, statusText };
+}
@@ -0,0 +1,82 @@
+/**
+ * Session Token Holder
+ *
+ * Keeps the latest session token issued by the ChatRoom presence WebSocket
+ * (sent with `ready`, or as `{ token }` after a refresh request).
+ * The RxDB replication socket authenticates with it before pushing writes.
+ */
+
+// Refresh a little before the server-side expiry
+const EXPIRY_MARGIN_MS = 30 * 1000;
+
+/** @type {string|null} */
+let sessionToken = null;
+/** @type {Function[]} */
+let waiters = [];
+/** @type {Function|null} */
+let requestRefresh = null;
+
+/**
+ * Read the expiry (ms since epoch) from a token payload without verifying it
+ * @param {string} token
+ * @returns {number}
+ */
+function getTokenExpiry(token) {
+  try {
+    const payload = token.split('.')[0].replace(/-/g, '+').replace(/_/g, '/');
+    const bytes = Uint8Array.from(atob(payload), (char) => char.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes)).exp || 0;
+  } catch (e) {
+    return 0;
+  }
+}
+
+/**
+ * Set how a fresh token is requested from the server
+ * @param {Function|null} fn - Sends `{ refreshToken: true }` on the presence socket
+ */
+export function setTokenRefresher(fn) {
+  requestRefresh = fn;
+}
+
+/**
+ * Store a token received from the server and wake up pending readers
+ * @param {string|null} token
+ */
+export function setSessionToken(token) {
+  sessionToken = token || null;
+  if (!sessionToken) return;
+  const pending = waiters;
+  waiters = [];
+  pending.forEach((resolve) => resolve(sessionToken));
+}
+
+/**
+ * Forget the current token (e.g. the presence socket disconnected)
+ */
+export function clearSessionToken() {
+  sessionToken = null;
+}
+
+/**
+ * Get a valid session token, waiting for the server if needed
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh] - Ask the server for a new token even if one is cached
+ * @returns {Promise<string>}
+ */
+export function getSessionToken({ refresh = false } = {}) {
+  const fresh =
+    sessionToken &&
+    getTokenExpiry(sessionToken) - EXPIRY_MARGIN_MS > Date.now();
+  if (fresh && !refresh) {
+    return Promise.resolve(sessionToken);
+  }
+
+  const promise = new Promise((resolve) => waiters.push(resolve));
+  // Only a registered presence session can refresh; otherwise the next
+  // `ready` message delivers a token anyway.
+  if (sessionToken && requestRefresh) {
+    requestRefresh();
+  }
+  return promise;
+}
@@ -0,0 +1,128 @@
+/**
+ * Upload Sessions - Multipart uploads that survive a page reload
+ *
+ * While a multipart upload runs, its session (uploadId, object key, chunk
+ * size) is kept in IndexedDB under the file's fingerprint. When the same file
+ * is uploaded again to the same room, the saved session is offered for
+ * resuming: the uploader asks the server which parts are already stored
+ * (/upload/mpu-listparts) and only sends the others.
+ *
+ * Sessions are dropped once the upload completes or fails, and ignored after
+ * SESSION_MAX_AGE_MS, when the server aborts unfinished uploads anyway.
+ */
+
+const DB_NAME = 'upload-sessions';
+const STORE_NAME = 'sessions';
+
+// Unfinished uploads are aborted by the server after a day
+const SESSION_MAX_AGE_MS = 23 * 60 * 60 * 1000;
+
+// Bytes from the start of the file hashed into the fingerprint
+const FINGERPRINT_SAMPLE_SIZE = 1024 * 1024;
+
+/**
+ * @typedef {Object} UploadSession
+ * @property {string} fingerprint - See getFileFingerprint()
+ * @property {string} uploadId
+ * @property {string} fileKey
+ * @property {string} fileId
+ * @property {number} chunkSize - Parts must be cut the same way when resuming
+ * @property {number} createdAt
+ */
+
+/** @type {Promise<IDBDatabase>|null} */
+let dbPromise = null;
+
+function openDatabase() {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'fingerprint' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+  return dbPromise;
+}
+
+/**
+ * Run a request against the session store
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} operation
+ * @returns {Promise<any>}
+ */
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = operation(
+      db.transaction(STORE_NAME, mode).objectStore(STORE_NAME),
+    );
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Identify a file across page reloads
+ * The room is part of the fingerprint: a session only resumes in its room.
+ * @param {string} roomName
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+export async function getFileFingerprint(roomName, file) {
+  const sample = await file.slice(0, FINGERPRINT_SAMPLE_SIZE).arrayBuffer();
+  const digest = await crypto.subtle.digest('SHA-256', sample);
+  const hash = Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, '0'),
+  ).join('');
+  return [roomName, file.name, file.size, file.lastModified, hash].join(':');
+}
+
+/**
+ * Get the saved session of a file
+ * @param {string} fingerprint
+ * @returns {Promise<UploadSession|null>} Null if there is none, or it is too old
+ */
+export async function getUploadSession(fingerprint) {
+  try {
+    const session = await withStore('readonly', (store) =>
+      store.get(fingerprint),
+    );
+    if (!session) return null;
+    if (Date.now() - session.createdAt > SESSION_MAX_AGE_MS) {
+      await deleteUploadSession(fingerprint);
+      return null;
+    }
+    return session;
+  } catch (err) {
+    console.warn('Failed to read upload session:', err);
+    return null;
+  }
+}
+
+/**
+ * Save the session of an upload that has started
+ * @param {UploadSession} session
+ */
+export async function saveUploadSession(session) {
+  try {
+    await withStore('readwrite', (store) => store.put(session));
+  } catch (err) {
+    console.warn('Failed to save upload session:', err);
+  }
+}
+
+/**
+ * Forget the session of a file
+ * @param {string} fingerprint
+ */
+export async function deleteUploadSession(fingerprint) {
+  try {
+    await withStore('readwrite', (store) => store.delete(fingerprint));
+  } catch (err) {
+    console.warn('Failed to delete upload session:', err);
+  }
+}
@@ -1,10 +1,33 @@
+import { TYPING_THROTTLE_MS } from '../../common/constants.mjs';
+
+/**
+ * Give pasted files without a real name (screenshots) a unique one
+ * @param {File} file
+ * @returns {File}
+ */
+function namePastedFile(file) {
+  if (file.name && file.name !== 'image.png' && file.name !== 'blob') {
+    return file;
+  }
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+  const extension = file.type.split('/')[1] || 'bin';
+  return new File([file], `pasted-${timestamp}.${extension}`, {
+    type: file.type,
+    lastModified: file.lastModified,
+  });
+}
+
 // Chat input component custom element
 class ChatInputComponent extends HTMLElement {
   constructor() {
     super();
     this.onSubmit = null;
     this.onResize = null;
-    this.onFileUpload = null;
+    // Called with the files picked or pasted (File[])
+    this.onFiles = null;
+    this.onTyping = null;
+    // When the last active `typing` event was sent (0 when not typing)
+    this.lastTypingAt = 0;
   }
 
   connectedCallback() {
@@ -191,6 +214,7 @@ class ChatInputComponent extends HTMLElement {
     // Auto-resize on input
     this.textarea.addEventListener('input', () => {
       this.autoResize();
+      this.updateTyping();
     });
 
     // Send button click - submit message
@@ -266,39 +290,36 @@ class ChatInputComponent extends HTMLElement {
       }
     }
 
-    // File input change (all files)
-    if (this.fileInput) {
-      this.fileInput.addEventListener('change', async (event) => {
+    // File input change (all files) and media input change (images/videos)
+    for (const input of [this.fileInput, this.mediaInput]) {
+      if (!input) continue;
+      input.addEventListener('change', (event) => {
         if (!event.target.files || event.target.files.length === 0) return;
-
-        await Promise.all(
-          Array.from(event.target.files).map(async (file) => {
-            if (this.onFileUpload) {
-              await this.onFileUpload(file);
-            }
-          }),
-        );
-
-        this.fileInput.value = '';
+        this.addFiles(Array.from(event.target.files));
+        input.value = '';
       });
     }
 
-    // Media input change (images/videos)
-    if (this.mediaInput) {
-      this.mediaInput.addEventListener('change', async (event) => {
-        if (!event.target.files || event.target.files.length === 0) return;
+    // Paste files (screenshots, copied files); text pastes as usual
+    this.textarea.addEventListener('paste', (event) => {
+      const files = Array.from(event.clipboardData?.items || [])
+        .filter((item) => item.kind === 'file')
+        .map((item) => item.getAsFile())
+        .filter(Boolean);
+      if (files.length === 0) return;
 
-        await Promise.all(
-          Array.from(event.target.files).map(async (file) => {
-            if (this.onFileUpload) {
-              await this.onFileUpload(file);
-            }
-          }),
-        );
+      event.preventDefault();
+      this.addFiles(files.map(namePastedFile));
+    });
+  }
 
-        this.mediaInput.value = '';
-      });
+  addFiles(files) {
+    if (this.onFiles) {
+      this.onFiles(files);
     }
+
+    // Dispatch custom event
+    this.dispatchEvent(new CustomEvent('files', { detail: { files } }));
   }
 
   autoResize() {
@@ -323,6 +344,39 @@ class ChatInputComponent extends HTMLElement {
     );
   }
 
+  // Report typing activity: repeated every TYPING_THROTTLE_MS while the user
+  // keeps typing, and stopped once the input is empty
+  updateTyping() {
+    if (!this.textarea) return;
+
+    if (this.textarea.value.trim().length === 0) {
+      this.stopTyping();
+      return;
+    }
+
+    const now = Date.now();
+    if (now - this.lastTypingAt >= TYPING_THROTTLE_MS) {
+      this.lastTypingAt = now;
+      this.notifyTyping(true);
+    }
+  }
+
+  stopTyping() {
+    if (this.lastTypingAt) {
+      this.lastTypingAt = 0;
+      this.notifyTyping(false);
+    }
+  }
+
+  notifyTyping(active) {
+    if (this.onTyping) {
+      this.onTyping(active);
+    }
+
+    // Dispatch custom event
+    this.dispatchEvent(new CustomEvent('typing', { detail: { active } }));
+  }
+
   submit() {
     if (!this.textarea) return;
 
@@ -344,6 +398,7 @@ class ChatInputComponent extends HTMLElement {
     if (this.textarea) {
       this.textarea.value = '';
       this.autoResize();
+      this.stopTyping();
     }
   }
 
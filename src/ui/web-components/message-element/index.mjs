@@ -2,6 +2,7 @@ import { signal, component } from 'reefjs';
 import { attr, clsx, html, raw } from '../../utils/html.mjs';
 import { REACTION_TYPES } from '../../reactions/config.mjs';
 import { renderReactions } from '../../reactions/ui.mjs';
+import { getOutboxEntry, discardMessage } from '../../utils/outbox.mjs';
 
 /**
  * @typedef {Object} MessageData
@@ -24,6 +25,8 @@ import { renderReactions } from '../../reactions/ui.mjs';
  * - Automatically updates when data changes (via Reef.js signals)
  * - Scoped state per component instance (via UUID namespace)
  * - Efficient DOM diffing (only updates what changed)
+ * - Shows whether messages sent from this browser reached the server (see
+ *   utils/outbox.mjs); failed ones can be edited or discarded
  *
  * Usage:
  *   const msgEl = document.createElement('message-element');
@@ -114,12 +117,20 @@ class MessageElement extends HTMLElement {
           window.reactionManager,
         );
       },
+
+      handleEditFailed: () => {
+        window.editFailedMessage?.(this.data.messageId);
+      },
+
+      handleDiscardSend: () => {
+        discardMessage(this.data.messageId);
+      },
     };
 
     // Initialize Reef component (will auto-render on data changes)
     component(this, this.template, {
       events: this.events,
-      signals: [this.uuid],
+      signals: [this.uuid, 'outboxState'],
     });
   }
 
@@ -180,6 +191,8 @@ class MessageElement extends HTMLElement {
     const hoverTime = `${hh}:${mm}`;
 
     let messageContent = d.message;
+    const delivery = getOutboxEntry(d.messageId);
+    const failed = delivery?.status === 'failed';
 
     // Safely encode replyTo as JSON (manually escape for attribute context)
     const replyToAttr = d.replyTo
@@ -232,6 +245,36 @@ class MessageElement extends HTMLElement {
             </button>
           `;
 
+    // Delivery state of messages sent from this browser
+    let deliveryHtml = '';
+    if (failed) {
+      deliveryHtml = html`
+        <div class="message-delivery message-delivery-failed">
+          <i class="ri-error-warning-line"></i>
+          <span>Not sent: ${delivery.error || 'Rejected by the server'}</span>
+          <button class="message-delivery-btn" onclick="handleEditFailed()">
+            Edit
+          </button>
+          <button class="message-delivery-btn" onclick="handleDiscardSend()">
+            Discard
+          </button>
+        </div>
+      `;
+    } else if (delivery) {
+      const sending = delivery.status === 'sending';
+      deliveryHtml = html`
+        <div
+          class="${clsx(
+            'message-delivery',
+            `message-delivery-${delivery.status}`,
+          )}"
+          title="${sending ? 'Waiting to reach the server' : 'Sent'}"
+        >
+          <i class="${sending ? 'ri-time-line' : 'ri-check-line'}"></i>
+        </div>
+      `;
+    }
+
     return html`
       <div
         class="message-wrapper"
@@ -240,8 +283,8 @@ class MessageElement extends HTMLElement {
         data-timestamp="${d.timestamp}"
         data-hover-time="${hoverTime}"
       >
-        <!-- Message Actions (hover bar) -->
-        <div class="message-actions-sticky">
+        <!-- Message Actions (hover bar), not for messages the server rejected -->
+        <div class="message-actions-sticky" ${attr('hidden', failed)}>
           <div class="message-actions">
             <!-- Quick Reactions -->
             <div class="message-actions-section">
@@ -292,6 +335,7 @@ class MessageElement extends HTMLElement {
             )}
             ${raw(d.editedAt ? `edited-at="${d.editedAt}"` : '')}
           ></chat-message>
+          ${raw(deliveryHtml)}
         </div>
 
         <!-- Reactions Display -->
@@ -0,0 +1,31 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getLinkedFileKeys } from '../src/api/file-sweeper.mjs';
+
+describe('getLinkedFileKeys', () => {
+  it('finds the files of JSON file messages', () => {
+    const text = `FILE:${JSON.stringify({
+      url: '/files/lobby-123-a.png?exp=1&sig=x',
+      name: 'a.png',
+      type: 'image/png',
+      thumbnail: '/files/lobby-123-a.png.thumb.webp',
+    })}`;
+    assert.deepEqual(getLinkedFileKeys(text), [
+      'lobby-123-a.png',
+      'lobby-123-a.png.thumb.webp',
+    ]);
+  });
+
+  it('finds the file of legacy file messages', () => {
+    assert.deepEqual(
+      getLinkedFileKeys('FILE:/files/lobby-123-b.pdf|b.pdf|application/pdf'),
+      ['lobby-123-b.pdf'],
+    );
+  });
+
+  it('ignores other messages', () => {
+    assert.deepEqual(getLinkedFileKeys('see /files/lobby-123-c.txt'), []);
+    assert.deepEqual(getLinkedFileKeys(null), []);
+  });
+});
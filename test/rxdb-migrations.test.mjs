@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  migrationStrategies,
+  getSchemaVersions,
+  migrateDocument,
+} from '../src/common/rxdb-migrations.mjs';
+import { collectionSchemas } from '../src/common/rxdb-schemas.mjs';
+import { validateDocument } from '../src/common/schema-validator.mjs';
+
+describe('getSchemaVersions', () => {
+  it('reports the version of every collection', () => {
+    const versions = getSchemaVersions();
+    assert.deepEqual(Object.keys(versions), Object.keys(collectionSchemas));
+    assert.equal(versions.channels, collectionSchemas.channels.version);
+  });
+});
+
+describe('migrationStrategies', () => {
+  it('has a strategy for every version of every collection', () => {
+    for (const [name, schema] of Object.entries(collectionSchemas)) {
+      for (let version = 1; version <= schema.version; version++) {
+        assert.equal(
+          typeof migrationStrategies[name]?.[version],
+          'function',
+          `${name} v${version}`,
+        );
+      }
+    }
+  });
+});
+
+describe('migrateDocument', () => {
+  it('upgrades a document to the current schema', () => {
+    const channel = { channel: 'random', count: 3, lastUsed: 1000 };
+    const migrated = migrateDocument('channels', channel, 0);
+    assert.deepEqual(migrated, { ...channel, createdBy: null });
+    assert.deepEqual(
+      validateDocument(collectionSchemas.channels, migrated),
+      [],
+    );
+  });
+
+  it('leaves current documents alone', () => {
+    const pin = {
+      messageId: 'm1',
+      channelName: 'general',
+      pinnedAt: 1000,
+      pinnedBy: 'alice',
+    };
+    assert.equal(migrateDocument('pins', pin, 1), pin);
+  });
+
+  it('fails without a strategy for an intermediate version', () => {
+    assert.throws(() => migrateDocument('messages', {}, 0, 1), {
+      message: 'Missing migration strategy for messages v1',
+    });
+  });
+});
@@ -0,0 +1,296 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { checkWritePolicy } from '../src/api/rxdb-policies.mjs';
+import { ENCRYPTED_TEXT_PREFIX } from '../src/common/encrypted-text.mjs';
+
+const alice = { name: 'alice', role: null };
+const bob = { name: 'bob', role: null };
+const moderator = { name: 'mod', role: 'moderator' };
+
+const message = {
+  messageId: 'm1',
+  text: 'hello',
+  username: 'alice',
+  channel: 'general',
+  timestamp: 1000,
+  replyToId: null,
+  editedAt: null,
+};
+
+/**
+ * Build a getDocument lookup over fixed documents
+ * @param {Object<string, Object<string, Object>>} [collections]
+ * @returns {Function}
+ */
+function documents(collections = {}) {
+  return (name, id) => collections[name]?.[id] ?? null;
+}
+
+/**
+ * @param {string} collectionName
+ * @param {Object} context
+ * @returns {string|null}
+ */
+function check(collectionName, context) {
+  return checkWritePolicy(collectionName, {
+    currentDoc: null,
+    getDocument: documents(),
+    ...context,
+  });
+}
+
+describe('messages policy', () => {
+  it('accepts a message written under the own name', () => {
+    assert.equal(check('messages', { identity: alice, newDoc: message }), null);
+  });
+
+  it('rejects a message written under another name', () => {
+    assert.match(
+      check('messages', { identity: bob, newDoc: message }),
+      /Cannot write a message as alice/,
+    );
+  });
+
+  it('lets the author edit the text', () => {
+    const newDoc = { ...message, text: 'edited', editedAt: 2000 };
+    assert.equal(
+      check('messages', { identity: alice, newDoc, currentDoc: message }),
+      null,
+    );
+  });
+
+  it('keeps others from editing a message', () => {
+    const newDoc = { ...message, username: 'bob', text: 'edited' };
+    assert.match(
+      check('messages', { identity: bob, newDoc, currentDoc: message }),
+      /belongs to alice/,
+    );
+  });
+
+  it('keeps an edit from moving a message', () => {
+    const newDoc = { ...message, channel: 'random' };
+    assert.equal(
+      check('messages', { identity: alice, newDoc, currentDoc: message }),
+      'Field "channel" of a message cannot be changed',
+    );
+  });
+
+  it("lets moderators delete anyone's message as it is", () => {
+    const newDoc = { ...message, _deleted: true };
+    assert.equal(
+      check('messages', { identity: moderator, newDoc, currentDoc: message }),
+      null,
+    );
+  });
+
+  it('keeps moderators from rewriting the message they delete', () => {
+    const newDoc = { ...message, text: 'rewritten', _deleted: true };
+    assert.match(
+      check('messages', { identity: moderator, newDoc, currentDoc: message }),
+      /Cannot write a message as alice/,
+    );
+  });
+
+  describe('in a room marked as encrypted', () => {
+    const getDocument = documents({
+      room_settings: { encrypted: { key: 'encrypted', value: 'true' } },
+    });
+
+    it('rejects plain text', () => {
+      assert.equal(
+        check('messages', { identity: alice, newDoc: message, getDocument }),
+        'Messages in this room must be end-to-end encrypted',
+      );
+    });
+
+    it('accepts encrypted text', () => {
+      const newDoc = { ...message, text: `${ENCRYPTED_TEXT_PREFIX}abc` };
+      assert.equal(
+        check('messages', { identity: alice, newDoc, getDocument }),
+        null,
+      );
+    });
+
+    it('still lets the author delete a plain text message', () => {
+      const newDoc = { ...message, _deleted: true };
+      assert.equal(
+        check('messages', {
+          identity: alice,
+          newDoc,
+          currentDoc: message,
+          getDocument,
+        }),
+        null,
+      );
+    });
+  });
+});
+
+describe('reactions policy', () => {
+  const reaction = {
+    id: 'r1',
+    messageId: 'm1',
+    reactionId: 'like',
+    username: 'alice',
+    timestamp: 1000,
+  };
+
+  it('accepts a reaction under the own name', () => {
+    assert.equal(
+      check('reactions', { identity: alice, newDoc: reaction }),
+      null,
+    );
+  });
+
+  it('keeps others from removing a reaction', () => {
+    const newDoc = { ...reaction, username: 'bob', _deleted: true };
+    assert.match(
+      check('reactions', { identity: bob, newDoc, currentDoc: reaction }),
+      /belongs to alice/,
+    );
+  });
+
+  it('keeps a reaction from moving to another message', () => {
+    const newDoc = { ...reaction, messageId: 'm2' };
+    assert.equal(
+      check('reactions', { identity: alice, newDoc, currentDoc: reaction }),
+      'Field "messageId" of a reaction cannot be changed',
+    );
+  });
+});
+
+describe('channels policy', () => {
+  const channel = { channel: 'random', createdBy: 'alice', lastUsed: 1000 };
+
+  it('accepts a channel created under the own name', () => {
+    assert.equal(check('channels', { identity: alice, newDoc: channel }), null);
+  });
+
+  it('keeps others from deleting a channel', () => {
+    const newDoc = { ...channel, _deleted: true };
+    assert.equal(
+      check('channels', { identity: bob, newDoc, currentDoc: channel }),
+      'This channel belongs to alice',
+    );
+  });
+
+  it('lets moderators delete any channel', () => {
+    const newDoc = { ...channel, _deleted: true };
+    assert.equal(
+      check('channels', { identity: moderator, newDoc, currentDoc: channel }),
+      null,
+    );
+  });
+
+  it('leaves channels of unknown creators to moderators', () => {
+    const currentDoc = { ...channel, createdBy: null };
+    const newDoc = { ...currentDoc, _deleted: true };
+    assert.equal(
+      check('channels', { identity: alice, newDoc, currentDoc }),
+      'Only owners and moderators can change this channel',
+    );
+  });
+
+  it('keeps the creator from being changed', () => {
+    const newDoc = { ...channel, createdBy: 'bob' };
+    assert.equal(
+      check('channels', { identity: alice, newDoc, currentDoc: channel }),
+      'Field "createdBy" of a channel cannot be changed',
+    );
+  });
+});
+
+describe('pins policy', () => {
+  const pin = {
+    messageId: 'm1',
+    channelName: 'General',
+    pinnedAt: 2000,
+    pinnedBy: 'bob',
+  };
+  const getDocument = documents({ messages: { m1: message } });
+
+  it('accepts a pin of a message in its channel', () => {
+    assert.equal(
+      check('pins', { identity: bob, newDoc: pin, getDocument }),
+      null,
+    );
+  });
+
+  it('rejects a pin of an unknown message', () => {
+    assert.equal(
+      check('pins', { identity: bob, newDoc: pin }),
+      'Cannot pin unknown message m1',
+    );
+  });
+
+  it('rejects a pin in another channel', () => {
+    const newDoc = { ...pin, channelName: 'random' };
+    assert.equal(
+      check('pins', { identity: bob, newDoc, getDocument }),
+      'Pin channel does not match message channel',
+    );
+  });
+
+  it('keeps others from unpinning', () => {
+    const newDoc = { ...pin, _deleted: true };
+    assert.equal(
+      check('pins', { identity: alice, newDoc, currentDoc: pin, getDocument }),
+      'This pin belongs to bob',
+    );
+  });
+});
+
+describe('room settings policy', () => {
+  it('accepts a known setting', () => {
+    const newDoc = { key: 'roomName', value: 'Lobby' };
+    assert.equal(check('room_settings', { identity: alice, newDoc }), null);
+  });
+
+  it('rejects unknown settings', () => {
+    const newDoc = { key: 'theme', value: 'dark' };
+    assert.equal(
+      check('room_settings', { identity: alice, newDoc }),
+      'Unknown room setting: theme',
+    );
+  });
+
+  it('keeps settings from being deleted', () => {
+    const newDoc = { key: 'roomName', value: 'Lobby', _deleted: true };
+    assert.equal(
+      check('room_settings', { identity: alice, newDoc }),
+      'Room setting roomName cannot be deleted',
+    );
+  });
+
+  it('leaves retention to moderators', () => {
+    const newDoc = { key: 'retentionDays', value: '30' };
+    assert.equal(
+      check('room_settings', { identity: alice, newDoc }),
+      'Only owners and moderators can change message retention',
+    );
+    assert.equal(check('room_settings', { identity: moderator, newDoc }), null);
+  });
+
+  it('leaves marking the room as encrypted to moderators, for good', () => {
+    const newDoc = { key: 'encrypted', value: 'true' };
+    assert.equal(
+      check('room_settings', { identity: alice, newDoc }),
+      'Only owners and moderators can mark the room as encrypted',
+    );
+    assert.equal(check('room_settings', { identity: moderator, newDoc }), null);
+    assert.equal(
+      check('room_settings', {
+        identity: moderator,
+        newDoc: { ...newDoc, value: 'false' },
+      }),
+      'An encrypted room cannot be made unencrypted',
+    );
+  });
+});
+
+describe('collections without a policy', () => {
+  it('accepts any write', () => {
+    assert.equal(check('unknown', { identity: alice, newDoc: {} }), null);
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateDocument } from '../src/common/schema-validator.mjs';
+import {
+  messagesSchema,
+  serverFieldLimits,
+} from '../src/common/rxdb-schemas.mjs';
+import { MAX_MESSAGE_LENGTH } from '../src/common/constants.mjs';
+
+const message = {
+  messageId: 'm1',
+  text: 'hello',
+  username: 'alice',
+  channel: 'general',
+  timestamp: 1000,
+  replyToId: null,
+  editedAt: null,
+};
+
+/**
+ * @param {Object} doc
+ * @returns {import('../src/common/schema-validator.mjs').ValidationError[]}
+ */
+function validateMessage(doc) {
+  return validateDocument(messagesSchema, doc, serverFieldLimits.messages);
+}
+
+describe('validateDocument', () => {
+  it('accepts a valid document', () => {
+    assert.deepEqual(validateMessage(message), []);
+  });
+
+  it('ignores replication metadata', () => {
+    const doc = { ...message, _deleted: false, _rev: '1-a', _meta: {} };
+    assert.deepEqual(validateMessage(doc), []);
+  });
+
+  it('rejects documents that are not objects', () => {
+    for (const doc of [null, 'text', [message]]) {
+      assert.deepEqual(validateMessage(doc), [
+        { path: '', message: 'document must be an object' },
+      ]);
+    }
+  });
+
+  it('reports missing required fields', () => {
+    const { text: _text, ...doc } = message;
+    assert.deepEqual(validateMessage(doc), [
+      { path: 'text', message: 'is required' },
+    ]);
+  });
+
+  it('rejects unknown fields', () => {
+    assert.deepEqual(validateMessage({ ...message, admin: true }), [
+      { path: 'admin', message: 'is not allowed' },
+    ]);
+  });
+
+  it('checks types, including type lists', () => {
+    assert.deepEqual(validateMessage({ ...message, replyToId: 5 }), [
+      { path: 'replyToId', message: 'must be string or null' },
+    ]);
+    assert.deepEqual(validateMessage({ ...message, timestamp: '1000' }), [
+      { path: 'timestamp', message: 'must be number' },
+    ]);
+  });
+
+  it('checks number bounds and multiples', () => {
+    assert.deepEqual(validateMessage({ ...message, timestamp: -1 }), [
+      { path: 'timestamp', message: 'must be >= 0' },
+    ]);
+    assert.deepEqual(validateMessage({ ...message, timestamp: 1.5 }), [
+      { path: 'timestamp', message: 'must be a multiple of 1' },
+    ]);
+  });
+
+  it('applies the stricter of the schema and server length limits', () => {
+    assert.deepEqual(
+      validateMessage({ ...message, messageId: 'x'.repeat(101) }),
+      [{ path: 'messageId', message: 'must be at most 100 characters' }],
+    );
+    assert.deepEqual(
+      validateMessage({ ...message, text: 'x'.repeat(MAX_MESSAGE_LENGTH + 1) }),
+      [
+        {
+          path: 'text',
+          message: `must be at most ${MAX_MESSAGE_LENGTH} characters`,
+        },
+      ],
+    );
+  });
+
+  it('leaves length to the schema without server limits', () => {
+    const doc = { ...message, text: 'x'.repeat(MAX_MESSAGE_LENGTH + 1) };
+    assert.deepEqual(validateDocument(messagesSchema, doc), []);
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  signToken,
+  verifyToken,
+  signSessionToken,
+  verifySessionToken,
+} from '../src/api/session-token.mjs';
+
+const SECRET = 'test-secret';
+
+describe('signToken / verifyToken', () => {
+  it('round-trips the claims', async () => {
+    const token = await signToken(SECRET, 'test', { room: 'lobby' }, 60_000);
+    const claims = await verifyToken(SECRET, token, 'test');
+    assert.equal(claims.room, 'lobby');
+    assert.equal(claims.typ, 'test');
+    assert.ok(claims.exp > Date.now());
+  });
+
+  it('rejects tokens of another type', async () => {
+    const token = await signToken(SECRET, 'uploads', {}, 60_000);
+    await assert.rejects(verifyToken(SECRET, token, 'session'), {
+      message: 'Invalid session token',
+    });
+  });
+
+  it('rejects tokens signed with another secret', async () => {
+    const token = await signToken('other-secret', 'test', {}, 60_000);
+    await assert.rejects(verifyToken(SECRET, token, 'test'), {
+      message: 'Invalid session token',
+    });
+  });
+
+  it('rejects tampered claims', async () => {
+    const token = await signToken(SECRET, 'test', { name: 'alice' }, 60_000);
+    const [, signature] = token.split('.');
+    const forged = Buffer.from(
+      JSON.stringify({ name: 'bob', typ: 'test', exp: Date.now() + 60_000 }),
+    ).toString('base64url');
+    await assert.rejects(
+      verifyToken(SECRET, `${forged}.${signature}`, 'test'),
+      { message: 'Invalid session token' },
+    );
+  });
+
+  it('rejects expired tokens', async () => {
+    const token = await signToken(SECRET, 'test', {}, -1);
+    await assert.rejects(verifyToken(SECRET, token, 'test'), {
+      message: 'Session token expired',
+    });
+  });
+
+  it('rejects missing and malformed tokens', async () => {
+    await assert.rejects(verifyToken(SECRET, undefined, 'test'), {
+      message: 'Missing session token',
+    });
+    await assert.rejects(verifyToken(SECRET, 'no-signature', 'test'), {
+      message: 'Malformed session token',
+    });
+    await assert.rejects(verifyToken(SECRET, 'abc.!!!', 'test'), {
+      message: 'Invalid session token',
+    });
+  });
+
+  it('needs a secret', async () => {
+    await assert.rejects(signToken('', 'test', {}, 60_000), {
+      message: 'SESSION_SECRET is not configured',
+    });
+  });
+});
+
+describe('session tokens', () => {
+  it('bind a name and role to a room', async () => {
+    const token = await signSessionToken(SECRET, {
+      room: 'lobby',
+      name: 'alice',
+      role: 'owner',
+    });
+    const claims = await verifySessionToken(SECRET, token);
+    assert.equal(claims.room, 'lobby');
+    assert.equal(claims.name, 'alice');
+    assert.equal(claims.role, 'owner');
+  });
+
+  it('default to no role', async () => {
+    const token = await signSessionToken(SECRET, {
+      room: 'lobby',
+      name: 'alice',
+    });
+    assert.equal((await verifySessionToken(SECRET, token)).role, null);
+  });
+
+  it('are not accepted as other tokens', async () => {
+    const token = await signSessionToken(SECRET, {
+      room: 'lobby',
+      name: 'alice',
+    });
+    await assert.rejects(verifyToken(SECRET, token, 'uploads'), {
+      message: 'Invalid session token',
+    });
+  });
+});